@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Fixture check for frame capture validation (core/capture.js)
+// Validates samples/deferred.capture.json against samples/deferred.rendergraph.json and asserts the exact
+// findings its deliberate deviations produce, then checks that a capture mirroring the barrier plan is clean
+//
+// Usage: node check-capture-fixtures.js
+//
+// Exit codes: 0 all checks passed, 1 a check failed
+
+const assert = require('assert');
+const path = require('path');
+const { loadCore } = require('./load-core');
+const { CORE_MODULES, validateFiles } = require('./rendergraph-capture');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+const GRAPH_FILE = path.join(SAMPLES, 'deferred.rendergraph.json');
+const CAPTURE_FILE = path.join(SAMPLES, 'deferred.capture.json');
+
+// [severity, type, node, render target] of every finding the sample capture must produce, in order
+const EXPECTED_FINDINGS = [
+    ['ERROR', 'MISSING_BARRIER', 'SSAO', 'depth'],
+    ['ERROR', 'LAYOUT_MISMATCH', 'Lighting', 'ssao'],
+    ['WARNING', 'BARRIER_MISMATCH', 'Lighting', 'ssao'],
+    ['INFO', 'EXTRA_BARRIER', 'Lighting', 'history_color'],
+    ['WARNING', 'EXTRA_NODE', 'DebugOverlay', null],
+    ['INFO', 'SKIPPED_NODE', 'Viewport', null],
+    ['WARNING', 'SKIPPED_NODE', 'BloomMips', null]
+];
+
+// Values created inside the core context have its own Array and Object prototypes, which deepStrictEqual
+// tells apart from this context's
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build the capture a runtime following the barrier plan to the letter would record
+ */
+function captureFromPlan(plan, conditions) {
+    return {
+        format: 'rendergraph-frame-capture',
+        version: 1,
+        conditions,
+        nodes: plan.nodes.map(node => ({
+            name: node.name,
+            nodeIndex: node.nodeIndex,
+            images: node.imageStates.map(state => ({ name: state.rtName, layout: state.layout })),
+            barriers: node.barriers.map(barrier => ({
+                image: barrier.rtName,
+                oldLayout: barrier.oldLayout,
+                newLayout: barrier.newLayout,
+                srcStageMask: barrier.srcStageMask,
+                srcAccessMask: barrier.srcAccessMask,
+                dstStageMask: barrier.dstStageMask,
+                dstAccessMask: barrier.dstAccessMask
+            }))
+        }))
+    };
+}
+
+const checks = {
+    'sample capture reports its deliberate deviations': (core) => {
+        const { result } = validateFiles(core, GRAPH_FILE, CAPTURE_FILE);
+        const findings = result.issues.map(issue =>
+            [issue.severity, issue.type, issue.details.node_name, issue.details.render_target_name ?? null]);
+        assert.deepStrictEqual(plain(findings), EXPECTED_FINDINGS);
+        assert.deepStrictEqual(plain(result.summary), { captured: 6, declared: 7, matched: 5, skipped: 2, extra: 1 });
+    },
+
+    'capture mirroring the barrier plan is clean': (core) => {
+        const { capture, analyzed, result } = validateFiles(core, GRAPH_FILE, CAPTURE_FILE);
+        const mirrored = core.RenderGraphCapture.parseCapture(captureFromPlan(result.plan, capture.conditions));
+        const clean = core.RenderGraphCapture.validateCapture(mirrored, analyzed);
+        assert.deepStrictEqual(plain(clean.issues), []);
+        assert.strictEqual(clean.summary.matched, result.plan.nodes.length);
+    },
+
+    'short enum names match the full Vulkan names': (core) => {
+        const { normalizeEnum } = core.RenderGraphCapture;
+        assert.strictEqual(normalizeEnum('color_attachment_optimal', 'layout'), 'VK_IMAGE_LAYOUT_COLOR_ATTACHMENT_OPTIMAL');
+        assert.strictEqual(normalizeEnum('BLIT', 'stage'), 'VK_PIPELINE_STAGE_2_BLIT_BIT');
+        assert.strictEqual(normalizeEnum('NONE', 'access'), 'VK_ACCESS_2_NONE');
+    }
+};
+
+function main() {
+    const core = loadCore(CORE_MODULES);
+    let failed = 0;
+
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            check(core);
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}\n${error.message.replace(/^/gm, '  ')}`);
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,27 @@
+// Loads the browser core modules (js/core) into an isolated context under Node
+// The context stands in for the browser window so the modules' window.RenderGraph* exports work unchanged
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CORE_DIR = path.join(__dirname, '..', 'js', 'core');
+
+/**
+ * Load core modules in dependency order
+ * @param {Array} modules - File names inside js/core
+ * @returns {Object} Context exposing the RenderGraph* globals
+ */
+function loadCore(modules) {
+    const context = vm.createContext({ console });
+    context.window = context;
+
+    for (const file of modules) {
+        const filename = path.join(CORE_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return context;
+}
+
+module.exports = { loadCore };
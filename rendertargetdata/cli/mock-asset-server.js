@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+// Mock asset/edit WebSocket server for testing live render graph subscriptions offline
+// Serves one render graph file: every client gets a connect-confirmation with its description,
+// later changes to the file are pushed as JSON Patch edit messages
+//
+// Usage: node mock-asset-server.js [options] <graph.json>
+//   --port <port>         Port to listen on (default: 8787)
+//   --script <file>       JSON array of edits to send one after another: JSON Patch arrays or full messages
+//   --interval <ms>       Delay between scripted edits (default: 3000)
+//   --drop-every <ms>     Close every connection periodically to exercise reconnection
+//
+// Point the viewer at it with index.html?ws=ws://localhost:8787/asset/edit and press Live
+// (any UUID is accepted; the viewer sends no token to local servers)
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { loadCore } = require('./load-core');
+
+const { RenderGraphPatch } = loadCore(['patch.js']);
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const USAGE = `Usage: mock-asset-server [options] <graph.json>
+
+Options:
+  --port <port>        Port to listen on (default: 8787)
+  --script <file>      JSON array of edits (JSON Patch arrays or full messages) to send in turn
+  --interval <ms>      Delay between scripted edits (default: 3000)
+  --drop-every <ms>    Close every connection periodically to test reconnection
+  -h, --help           Show this help`;
+
+function parseArgs(argv) {
+    const options = { port: 8787, script: null, interval: 3000, dropEvery: 0, input: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split('=', 2) : [arg, undefined];
+        const value = () => inlineValue ?? argv[++i];
+        const number = () => {
+            const parsed = Number(value());
+            if (!Number.isFinite(parsed) || parsed < 0) throw new Error(`${flag} needs a positive number`);
+            return parsed;
+        };
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--port':
+                options.port = number();
+                break;
+            case '--script':
+                options.script = value();
+                break;
+            case '--interval':
+                options.interval = number();
+                break;
+            case '--drop-every':
+                options.dropEvery = number();
+                break;
+            default:
+                if (flag.startsWith('-')) {
+                    throw new Error(`Unknown option '${flag}'`);
+                }
+                options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Encode a server to client frame (servers never mask)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete client frames from a buffer
+ * @returns {Object} { frames: [{ opcode, payload }], rest }
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        frames.push({ opcode, payload });
+        buffer = buffer.subarray(offset + length);
+    }
+
+    return { frames, rest: buffer };
+}
+
+/**
+ * Compute JSON Patch operations turning one document into another
+ * Arrays that change length are replaced as a whole
+ */
+function diffToPatch(before, after, path = '', operations = []) {
+    const isObject = value => value !== null && typeof value === 'object';
+
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after) ||
+        (Array.isArray(before) && before.length !== after.length)) {
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            operations.push({ op: 'replace', path, value: after });
+        }
+        return operations;
+    }
+
+    const escape = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+    for (const key of Object.keys(before)) {
+        if (!(key in after)) operations.push({ op: 'remove', path: `${path}/${escape(key)}` });
+    }
+    for (const key of Object.keys(after)) {
+        const childPath = `${path}/${escape(key)}`;
+        if (!(key in before)) {
+            operations.push({ op: 'add', path: childPath, value: after[key] });
+        } else {
+            diffToPatch(before[key], after[key], childPath, operations);
+        }
+    }
+
+    return operations;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(argv) {
+    let options;
+    let description;
+    let script = [];
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        if (!options.input) {
+            console.error(USAGE);
+            process.exitCode = 2;
+            return;
+        }
+        description = readJson(options.input);
+        if (options.script) {
+            script = readJson(options.script);
+            if (!Array.isArray(script)) throw new Error('The edit script must be a JSON array');
+        }
+    } catch (error) {
+        console.error(`mock-asset-server: ${error.message}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const clients = new Set();
+
+    const send = (socket, message) => {
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    };
+
+    const broadcast = (message) => {
+        clients.forEach(socket => send(socket, message));
+        console.log(`-> ${message.type} to ${clients.size} client(s)`);
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket connections only\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        console.log(`Client connected (asset ${params.get('assetUUID') || '?'})`);
+        clients.add(socket);
+        send(socket, { type: 'connect-confirmation', data: { description } });
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = rest;
+
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === OPCODES.close) {
+                    socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+                } else if (opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(OPCODES.pong, payload));
+                }
+            });
+        });
+
+        const forget = () => {
+            if (clients.delete(socket)) console.log('Client disconnected');
+        };
+        socket.on('close', forget);
+        socket.on('error', forget);
+    });
+
+    // Push edits made to the graph file
+    fs.watchFile(options.input, { interval: 500 }, () => {
+        let next;
+        try {
+            next = readJson(options.input);
+        } catch (error) {
+            console.warn(`Ignoring unreadable graph file: ${error.message}`);
+            return;
+        }
+
+        const patch = diffToPatch(description, next);
+        description = next;
+        if (patch.length > 0) {
+            broadcast({ type: 'edit', data: { patch } });
+        }
+    });
+
+    // Scripted edits, applied to the served description so reconnecting clients stay in sync
+    let step = 0;
+    const playScript = () => {
+        if (step >= script.length) return;
+
+        const entry = script[step++];
+        setTimeout(playScript, options.interval);
+
+        const message = Array.isArray(entry) ? { type: 'edit', data: { patch: entry } } : entry;
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+            console.warn(`Skipping script step ${step} of ${script.length}: not a patch or a message with a type`);
+            return;
+        }
+
+        const data = message.data || {};
+        try {
+            if (data.description) {
+                description = data.description;
+            } else if (Array.isArray(data.patch)) {
+                description = RenderGraphPatch.applyPatch(description, data.patch);
+            }
+        } catch (error) {
+            // A broken step is skipped; clients keep the description it would have changed
+            console.warn(`Skipping script step ${step} of ${script.length}: ${error.message}`);
+            return;
+        }
+
+        broadcast(message);
+    };
+
+    if (options.dropEvery > 0) {
+        setInterval(() => {
+            if (clients.size === 0) return;
+            console.log(`Dropping ${clients.size} client(s)`);
+            clients.forEach(socket => socket.destroy());
+        }, options.dropEvery);
+    }
+
+    server.listen(options.port, () => {
+        console.log(`Serving ${options.input} on ws://localhost:${options.port}/asset/edit`);
+        console.log(`Open the viewer with ?ws=ws://localhost:${options.port}/asset/edit and press Live`);
+        if (script.length > 0) setTimeout(playScript, options.interval);
+    });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// Headless frame capture validation
+// Compares a frame capture recorded by the engine with the render graph it ran, under the conditions the
+// capture recorded, and reports skipped and extra nodes, layout mismatches and barrier differences
+//
+// Usage: node rendergraph-capture.js [options] <graph.json> <capture.json>
+//   --format text|json         Output format (default: text)
+//   --fail-on warning|error|none
+//                              Lowest severity that makes the exit code non-zero (default: error)
+//
+// Example: node rendergraph-capture.js ../samples/deferred.rendergraph.json ../samples/deferred.capture.json
+// The samples are fixtures: check-capture-fixtures.js asserts the findings they produce
+//
+// Exit codes: 0 no failing issues, 1 failing issues found, 2 usage or input error
+
+const fs = require('fs');
+const { loadCore } = require('./load-core');
+
+const CORE_MODULES = ['constants.js', 'formats.js', 'schemas.js', 'parser.js', 'analyzer.js', 'conditions.js', 'barriers.js',
+    'capture.js'];
+
+const SEVERITIES = ['ERROR', 'WARNING', 'INFO'];
+const FAIL_LEVELS = { error: ['ERROR'], warning: ['ERROR', 'WARNING'], none: [] };
+const FORMATS = ['text', 'json'];
+
+const USAGE = `Usage: rendergraph-capture [options] <graph.json> <capture.json>
+
+Options:
+  --format text|json            Output format (default: text)
+  --fail-on warning|error|none  Lowest severity that fails the run (default: error)
+  -h, --help                    Show this help`;
+
+/**
+ * Parse command line arguments
+ * @returns {Object} { format, failOn, inputs, help }
+ */
+function parseArgs(argv) {
+    const options = { format: 'text', failOn: 'error', inputs: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split('=', 2) : [arg, undefined];
+        const value = () => inlineValue ?? argv[++i];
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--format':
+                options.format = value();
+                if (!FORMATS.includes(options.format)) {
+                    throw new Error(`Unknown format '${options.format}' (expected ${FORMATS.join(', ')})`);
+                }
+                break;
+            case '--fail-on':
+                options.failOn = value();
+                if (!(options.failOn in FAIL_LEVELS)) {
+                    throw new Error(`Unknown --fail-on level '${options.failOn}' (expected warning, error or none)`);
+                }
+                break;
+            default:
+                if (flag.startsWith('-')) {
+                    throw new Error(`Unknown option '${flag}'`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function readJson(file, what) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${what} ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Analyze the graph with the capture's conditions and validate the capture against it
+ * @returns {Object} { name, capture, analyzed, result }
+ */
+function validateFiles(core, graphFile, captureFile) {
+    const data = readJson(graphFile, 'render graph');
+    const validation = core.RenderGraphParser.isValidRawRenderGraph(data);
+    if (!validation.valid) {
+        throw new Error(`Invalid render graph ${graphFile}: ${validation.error}`);
+    }
+
+    let capture;
+    try {
+        capture = core.RenderGraphCapture.parseCapture(readJson(captureFile, 'capture'));
+    } catch (error) {
+        throw new Error(`Invalid capture ${captureFile}: ${error.message}`);
+    }
+
+    const parsed = core.RenderGraphParser.parseRawRenderGraph(data);
+    if (capture.conditions) {
+        core.RenderGraphConditions.applyConditions(parsed, capture.conditions);
+    }
+    const analyzed = core.RenderGraphAnalyzer.analyze(
+        parsed.renderTargets,
+        parsed.nodes,
+        parsed.renderPasses,
+        parsed.graphOrder
+    );
+
+    return {
+        name: data.name || graphFile,
+        capture,
+        analyzed,
+        result: core.RenderGraphCapture.validateCapture(capture, analyzed)
+    };
+}
+
+function formatText({ name, capture, result }, captureFile) {
+    const counts = { ERROR: 0, WARNING: 0, INFO: 0 };
+    result.issues.forEach(issue => { counts[issue.severity]++; });
+
+    const { summary } = result;
+    const frame = capture.frame !== null ? ` frame ${capture.frame}` : '';
+    const lines = [
+        `${captureFile} (${name}${frame}): ${summary.matched} of ${summary.declared} nodes matched, ` +
+            `${summary.skipped} skipped, ${summary.extra} extra`,
+        `  ${counts.ERROR} errors, ${counts.WARNING} warnings, ${counts.INFO} infos`
+    ];
+
+    for (const severity of SEVERITIES) {
+        const issues = result.issues.filter(issue => issue.severity === severity);
+        if (issues.length === 0) continue;
+
+        lines.push(`  ${severity}`);
+        issues.forEach(issue => lines.push(`    [${issue.type}] ${issue.message}`));
+    }
+
+    return lines.join('\n');
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (options.inputs.length !== 2) {
+            console.error(USAGE);
+            return 2;
+        }
+    } catch (error) {
+        console.error(`rendergraph-capture: ${error.message}`);
+        return 2;
+    }
+
+    const [graphFile, captureFile] = options.inputs;
+    const core = loadCore(CORE_MODULES);
+    let validated;
+    try {
+        validated = validateFiles(core, graphFile, captureFile);
+    } catch (error) {
+        console.error(`rendergraph-capture: ${error.message}`);
+        return 2;
+    }
+
+    console.log(options.format === 'json'
+        ? core.RenderGraphCapture.exportReport(validated.result, validated.capture, validated.name)
+        : formatText(validated, captureFile));
+
+    const failing = FAIL_LEVELS[options.failOn];
+    return validated.result.issues.some(issue => failing.includes(issue.severity)) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { CORE_MODULES, validateFiles };
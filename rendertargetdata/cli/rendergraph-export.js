@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Headless render graph diagram export
+// Writes a raw render graph as Graphviz DOT, Mermaid or GraphML using the core exporters
+//
+// Usage: node rendergraph-export.js [options] <graph.json>
+//   --format dot|mermaid|graphml   Diagram format (default: dot)
+//   --rt-mode resources|edges      Draw render targets as nodes or as labelled edges (default: resources)
+//   --no-issues                    Do not colour nodes and render targets by debugger issues
+//   --out <file>                   Output file (default: stdout)
+//
+// Exit codes: 0 success, 2 usage or input error
+
+const fs = require('fs');
+const { loadCore } = require('./load-core');
+
+const CORE_MODULES = ['constants.js', 'formats.js', 'schemas.js', 'parser.js', 'analyzer.js', 'memory.js', 'merging.js', 'hazards.js',
+    'debugger.js', 'rules.js', 'exporters.js'];
+const RT_MODES = ['resources', 'edges'];
+
+const USAGE = `Usage: rendergraph-export [options] <graph.json>
+
+Options:
+  --format dot|mermaid|graphml   Diagram format (default: dot)
+  --rt-mode resources|edges      Render targets as nodes or labelled edges (default: resources)
+  --no-issues                    Do not colour by debugger issues
+  --out <file>                   Output file (default: stdout)
+  -h, --help                     Show this help`;
+
+function parseArgs(argv, formats) {
+    const options = { format: 'dot', rtMode: 'resources', issues: true, out: null, input: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split('=', 2) : [arg, undefined];
+        const value = () => inlineValue ?? argv[++i];
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--format':
+                options.format = value();
+                if (!(options.format in formats)) {
+                    throw new Error(`Unknown format '${options.format}' (expected ${Object.keys(formats).join(', ')})`);
+                }
+                break;
+            case '--rt-mode':
+                options.rtMode = value();
+                if (!RT_MODES.includes(options.rtMode)) {
+                    throw new Error(`Unknown --rt-mode '${options.rtMode}' (expected ${RT_MODES.join(' or ')})`);
+                }
+                break;
+            case '--no-issues':
+                options.issues = false;
+                break;
+            case '--out':
+                options.out = value();
+                break;
+            default:
+                if (flag.startsWith('-')) {
+                    throw new Error(`Unknown option '${flag}'`);
+                }
+                if (options.input) {
+                    throw new Error('Only one render graph can be exported at a time');
+                }
+                options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function main(argv) {
+    const core = loadCore(CORE_MODULES);
+
+    let options;
+    let data;
+    try {
+        options = parseArgs(argv, core.RenderGraphExport.FORMATS);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (!options.input) {
+            console.error(USAGE);
+            return 2;
+        }
+
+        data = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+        const validation = core.RenderGraphParser.isValidRawRenderGraph(data);
+        if (!validation.valid) {
+            throw new Error(`Invalid render graph: ${validation.error}`);
+        }
+    } catch (error) {
+        console.error(`rendergraph-export: ${error.message}`);
+        return 2;
+    }
+
+    const parsed = core.RenderGraphParser.parseRawRenderGraph(data);
+    const analyzed = core.RenderGraphAnalyzer.analyze(
+        parsed.renderTargets,
+        parsed.nodes,
+        parsed.renderPasses,
+        parsed.graphOrder
+    );
+
+    const issues = options.issues
+        ? core.RenderGraphDebugger.runAllChecks(analyzed.renderTargets, analyzed.nodes, analyzed.renderPasses, data)
+        : [];
+
+    const output = core.RenderGraphExport.FORMATS[options.format].exporter(analyzed, {
+        name: data.name,
+        rtMode: options.rtMode,
+        issues
+    });
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output + '\n');
+    } else {
+        console.log(output);
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
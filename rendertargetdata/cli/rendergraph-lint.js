@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+// Headless render graph validation
+// Runs the browser core modules (parser, analyzer, debugger) under Node and reports their issues
+//
+// Usage: node rendergraph-lint.js [options] <graph.json|directory>...
+//   --format text|json|sarif|junit
+//                              Output format (default: text)
+//   --fail-on warning|error|none
+//                              Lowest severity that makes the exit code non-zero (default: error)
+//   --rules <rules.json>       Rules configuration (checks, severity overrides, suppressions)
+//   --fix                      Apply the automatic fixes that only change flags and rewrite the files
+//   --fix-types <TYPE,...>     Issue types to fix with --fix, including ones that restructure the graph
+//
+// Exit codes: 0 no failing issues, 1 failing issues found, 2 usage or input error
+
+const fs = require('fs');
+const path = require('path');
+const { loadCore } = require('./load-core');
+
+const CORE_MODULES = ['constants.js', 'formats.js', 'schemas.js', 'parser.js', 'analyzer.js', 'memory.js', 'merging.js', 'hazards.js',
+    'debugger.js', 'rules.js', 'reporting.js', 'patch.js', 'fixes.js'];
+
+const SEVERITIES = ['ERROR', 'WARNING', 'INFO'];
+const FAIL_LEVELS = { error: ['ERROR'], warning: ['ERROR', 'WARNING'], none: [] };
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+const USAGE = `Usage: rendergraph-lint [options] <graph.json|directory>...
+
+Options:
+  --format text|json|sarif|junit
+                                Output format (default: text)
+  --fail-on warning|error|none  Lowest severity that fails the run (default: error)
+  --rules <rules.json>          Rules configuration (checks, severity overrides, suppressions)
+  --fix                         Apply the automatic fixes that only change flags, rewriting the files
+  --fix-types <TYPE,...>        Issue types to fix with --fix (may restructure the graph)
+  -h, --help                    Show this help`;
+
+/**
+ * Parse command line arguments
+ * @returns {Object} { format, failOn, rules, fix, fixTypes, inputs, help }
+ */
+function parseArgs(argv) {
+    const options = { format: 'text', failOn: 'error', rules: null, fix: false, fixTypes: null, inputs: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split('=', 2) : [arg, undefined];
+        const value = () => inlineValue ?? argv[++i];
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--format':
+                options.format = value();
+                if (!FORMATS.includes(options.format)) {
+                    throw new Error(`Unknown format '${options.format}' (expected ${FORMATS.join(', ')})`);
+                }
+                break;
+            case '--fail-on':
+                options.failOn = value();
+                if (!(options.failOn in FAIL_LEVELS)) {
+                    throw new Error(`Unknown --fail-on level '${options.failOn}' (expected warning, error or none)`);
+                }
+                break;
+            case '--rules':
+                options.rules = value();
+                if (!options.rules) {
+                    throw new Error('--rules needs a file');
+                }
+                break;
+            case '--fix':
+                options.fix = true;
+                break;
+            case '--fix-types':
+                options.fixTypes = String(value() || '').split(',').map(type => type.trim()).filter(Boolean);
+                if (options.fixTypes.length === 0) {
+                    throw new Error('--fix-types needs a comma-separated list of issue types');
+                }
+                break;
+            default:
+                if (flag.startsWith('-')) {
+                    throw new Error(`Unknown option '${flag}'`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Expand inputs into a list of JSON files; directories are scanned recursively
+ * @returns {Array} { file, explicit } entries, explicit meaning named on the command line
+ */
+function collectFiles(inputs) {
+    const files = [];
+
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else if (entry.name.toLowerCase().endsWith('.json')) {
+                files.push({ file: full, explicit: false });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            throw new Error(`No such file or directory: ${input}`);
+        }
+        if (fs.statSync(input).isDirectory()) {
+            walk(input);
+        } else {
+            files.push({ file: input, explicit: true });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load and validate a rules configuration file
+ */
+function loadRules(core, file) {
+    try {
+        return core.RenderGraphRules.normalizeRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        throw new Error(`Invalid rules file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Validate a single render graph file
+ * @returns {Object} { file, name, description, issues, suppressed, disabledChecks, fixed, error, skipped }
+ */
+function lintFile(core, file, explicit, rules) {
+    const result = {
+        file, name: null, description: null, issues: [], suppressed: [], disabledChecks: [], fixed: [], error: null, skipped: false
+    };
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        result.error = `Could not read JSON: ${error.message}`;
+        return result;
+    }
+
+    const validation = core.RenderGraphParser.isValidRawRenderGraph(data);
+    if (!validation.valid) {
+        // Other JSON files in a scanned directory are not render graphs and are ignored
+        if (explicit) {
+            result.error = `Invalid render graph: ${validation.error}`;
+        } else {
+            result.skipped = true;
+        }
+        return result;
+    }
+
+    const parsed = core.RenderGraphParser.parseRawRenderGraph(data);
+    const analyzed = core.RenderGraphAnalyzer.analyze(
+        parsed.renderTargets,
+        parsed.nodes,
+        parsed.renderPasses,
+        parsed.graphOrder
+    );
+
+    result.name = data.name || path.basename(file, '.json');
+    result.description = data;
+    result.disabledChecks = core.RenderGraphRules.getDisabledChecks(rules);
+    const issues = core.RenderGraphDebugger.runAllChecks(
+        analyzed.renderTargets,
+        analyzed.nodes,
+        analyzed.renderPasses,
+        data,
+        { disabledChecks: result.disabledChecks }
+    );
+
+    const filtered = core.RenderGraphRules.applyRules(issues, rules, { graphName: data.name });
+    result.issues = core.RenderGraphFixes.attachFixes(filtered.issues, data);
+    result.suppressed = filtered.suppressed.map(({ issue }) => issue);
+
+    return result;
+}
+
+/**
+ * Apply automatic fixes to a linted file, rewrite it and lint it again
+ * @param {Array|null} types - Issue types to fix, null for every fix that only changes flags
+ * @returns {Object} Result of the new lint, with fixed listing the applied fixes
+ */
+function fixFile(core, result, rules, types) {
+    const fixable = result.issues.filter(issue => issue.fix && !issue.fix.error &&
+        (types ? types.includes(issue.type) : issue.fix.safe));
+    if (fixable.length === 0) return result;
+
+    const { description, applied } = core.RenderGraphFixes.applyFixes(result.description, fixable);
+    if (applied.length === 0) return result;
+
+    fs.writeFileSync(result.file, JSON.stringify(description, null, 2) + '\n');
+
+    const relinted = lintFile(core, result.file, true, rules);
+    relinted.fixed = applied.map(({ issue, fix }) => ({ type: issue.type, title: fix.title, message: issue.message }));
+    return relinted;
+}
+
+function countBySeverity(issues) {
+    const counts = { ERROR: 0, WARNING: 0, INFO: 0 };
+    issues.forEach(issue => { counts[issue.severity] = (counts[issue.severity] || 0) + 1; });
+    return counts;
+}
+
+function formatText(results) {
+    const lines = [];
+
+    for (const result of results) {
+        if (result.error) {
+            lines.push(`${result.file}: ${result.error}`, '');
+            continue;
+        }
+
+        const counts = countBySeverity(result.issues);
+        const suppressed = result.suppressed.length > 0 ? `, ${result.suppressed.length} suppressed` : '';
+        lines.push(`${result.file} (${result.name}): ${counts.ERROR} errors, ${counts.WARNING} warnings, ${counts.INFO} infos${suppressed}`);
+
+        if (result.fixed.length > 0) {
+            lines.push(`  FIXED`);
+            result.fixed.forEach(fix => lines.push(`    [${fix.type}] ${fix.title}: ${fix.message}`));
+        }
+
+        for (const severity of SEVERITIES) {
+            const issues = result.issues.filter(issue => issue.severity === severity);
+            if (issues.length === 0) continue;
+
+            lines.push(`  ${severity}`);
+            issues.forEach(issue => lines.push(`    [${issue.type}] ${issue.message}`));
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+function formatJson(results) {
+    const files = results.map(result => ({
+        file: result.file,
+        name: result.name,
+        error: result.error,
+        ...(result.error ? {} : {
+            counts: countBySeverity(result.issues),
+            issues: result.issues,
+            suppressed: result.suppressed,
+            fixed: result.fixed
+        })
+    }));
+
+    const totals = countBySeverity(results.flatMap(result => result.issues));
+    totals.SUPPRESSED = results.reduce((sum, result) => sum + result.suppressed.length, 0);
+    totals.FILE_ERRORS = results.filter(result => result.error).length;
+
+    return JSON.stringify({ files, totals }, null, 2);
+}
+
+function main(argv) {
+    let options;
+    let files;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (options.inputs.length === 0) {
+            console.error(USAGE);
+            return 2;
+        }
+        files = collectFiles(options.inputs);
+    } catch (error) {
+        console.error(`rendergraph-lint: ${error.message}`);
+        return 2;
+    }
+
+    const core = loadCore(CORE_MODULES);
+    let rules = null;
+    try {
+        rules = options.rules ? loadRules(core, options.rules) : null;
+    } catch (error) {
+        console.error(`rendergraph-lint: ${error.message}`);
+        return 2;
+    }
+
+    const results = files
+        .map(({ file, explicit }) => lintFile(core, file, explicit, rules))
+        .filter(result => !result.skipped)
+        .map(result => (options.fix && !result.error ? fixFile(core, result, rules, options.fixTypes) : result));
+
+    if (results.length === 0) {
+        console.error('rendergraph-lint: no render graph files found');
+        return 2;
+    }
+
+    const formatters = {
+        text: () => formatText(results),
+        json: () => formatJson(results),
+        sarif: () => JSON.stringify(core.RenderGraphReporting.toSarif(results), null, 2),
+        junit: () => core.RenderGraphReporting.toJUnit(results, { failOn: FAIL_LEVELS[options.failOn] })
+    };
+    console.log(formatters[options.format]());
+
+    if (results.some(result => result.error)) return 2;
+
+    const failing = FAIL_LEVELS[options.failOn];
+    return results.some(result => result.issues.some(issue => failing.includes(issue.severity))) ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,136 @@
+// Barrier plan view - image layouts and synchronization2 barriers per node
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    // Module API
+    const barriersModule = vh.createViewModule('barriers', {
+        init: function() {
+            this.container = document.getElementById('barriers-panel');
+            this.plan = null;
+            this.planSource = null;
+            this.renderInitialState();
+        },
+
+        activate: function() {
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            this.plan = null;
+            const panel = document.getElementById('barriers-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function() {
+            this.render();
+        },
+
+        renderInitialState: function() {
+            if (!this.container) return;
+            this.container.innerHTML = vh.createInfoMessage(
+                'Load a raw render graph to synthesize its image layouts and barriers.'
+            );
+        },
+
+        // Build the plan lazily from the analyzed graph
+        getPlan: function() {
+            if (!app.analyzedData || !window.RenderGraphBarriers) return null;
+
+            // Rebuild when the analyzed graph changed while another tab was active
+            if (!this.plan || this.planSource !== app.analyzedData) {
+                this.planSource = app.analyzedData;
+                this.plan = window.RenderGraphBarriers.buildBarrierPlan(
+                    app.analyzedData.renderTargets,
+                    app.analyzedData.nodes
+                );
+            }
+            return this.plan;
+        },
+
+        exportPlan: function() {
+            const plan = this.getPlan();
+            if (!plan) return;
+
+            const graphName = app.rawData?.name || null;
+            const json = window.RenderGraphBarriers.exportBarrierPlan(plan, graphName);
+            vh.downloadFile(`${graphName || 'rendergraph'}_barriers.json`, json);
+        },
+
+        render: function() {
+            const plan = this.getPlan();
+            if (!plan) {
+                this.renderInitialState();
+                return;
+            }
+
+            const short = window.RenderGraphBarriers.shortName;
+            this.container.innerHTML = '';
+
+            // Summary and export
+            const summarySection = vh.createSection('Barrier Plan');
+            const hazardCounts = { RAW: 0, WAR: 0, WAW: 0 };
+            plan.barriers.forEach(b => {
+                if (b.hazard) hazardCounts[b.hazard]++;
+            });
+            summarySection.appendChild(vh.createPropertyBox({
+                'Barriers': plan.barriers.length,
+                'Layout Transitions': plan.barriers.filter(b => b.layoutTransition).length,
+                'RAW': hazardCounts.RAW,
+                'WAR': hazardCounts.WAR,
+                'WAW': hazardCounts.WAW,
+                'Persistent RTs': plan.renderTargets.filter(rt => rt.persistent).length
+            }));
+
+            const exportBtn = vh.createElement('button', '', { textContent: 'Export JSON' });
+            exportBtn.addEventListener('click', () => this.exportPlan());
+            summarySection.appendChild(exportBtn);
+            this.container.appendChild(summarySection);
+
+            // Barriers grouped by the node they must be recorded before
+            const query = app.searchQuery();
+            const nodesSection = vh.createSection('Barriers by Node');
+            let shown = 0;
+
+            plan.nodes.forEach(node => {
+                const barriers = node.barriers.filter(b => app.renderTargetMatchesSearch(b.rtIndex));
+                if (barriers.length === 0) return;
+                shown++;
+
+                const nodeDiv = vh.createElement('div', 'barrier-node');
+                const passInfo = node.renderPass ? ` <span class="node-render-pass">(${node.renderPass})</span>` : '';
+                nodeDiv.innerHTML = `<h3><span class="node-order">#${node.executionOrder}</span> ${node.name}${passInfo}</h3>` +
+                    vh.createTable(barriers, [
+                        { header: 'Render Target', accessor: b =>
+                            `<span class="clickable-rt" data-rtname="${b.rtName}">${b.rtName}</span>` },
+                        { header: 'Hazard', accessor: b => b.hazard
+                            ? vh.createBadge(b.hazard, `hazard-badge ${b.hazard.toLowerCase()}`) : '-' },
+                        { header: 'Layout', accessor: b => `${short(b.oldLayout)} → ${short(b.newLayout)}` },
+                        { header: 'Source', accessor: b =>
+                            `${b.srcNodeName ?? '-'}<br><small>${b.srcStageMask.map(short).join(' | ')}<br>${b.srcAccessMask.map(short).join(' | ')}</small>` },
+                        { header: 'Destination', accessor: b =>
+                            `<small>${b.dstStageMask.map(short).join(' | ')}<br>${b.dstAccessMask.map(short).join(' | ')}</small>` }
+                    ]);
+
+                nodeDiv.querySelectorAll('.clickable-rt').forEach(el => {
+                    el.addEventListener('click', () => {
+                        app.setSearchAndSwitchTab(el.dataset.rtname, 'details');
+                    });
+                });
+
+                nodesSection.appendChild(nodeDiv);
+            });
+
+            if (shown === 0) {
+                nodesSection.appendChild(vh.createElement('div', 'info-message', {
+                    textContent: !query.isEmpty ? `No barriers for render targets matching '${query.text}'.` : 'No barriers required.'
+                }));
+            }
+
+            this.container.appendChild(nodesSection);
+        }
+    });
+
+})(RenderGraphViewer);
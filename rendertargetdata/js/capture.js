@@ -0,0 +1,290 @@
+// Capture view - a frame capture recorded by the engine, aligned with the loaded graph, and the nodes,
+// layouts and barriers where the runtime departs from it (see core/capture.js)
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    const Capture = window.RenderGraphCapture;
+
+    const SEVERITY_BADGES = { ERROR: 'severity-error', WARNING: 'severity-warning', INFO: '' };
+
+    // Module API
+    const captureModule = vh.createViewModule('capture', {
+        init: function() {
+            this.container = document.getElementById('capture-panel');
+            this.capture = null;
+            this.captureName = null;
+            this.result = null;
+            this.resultSource = null;
+            this.searchTerm = '';
+            this.render();
+        },
+
+        activate: function() {
+            this.searchTerm = app.searchQuery().freeText;
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            this.result = null;
+            const panel = document.getElementById('capture-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function(searchTerm) {
+            this.searchTerm = searchTerm;
+            this.render();
+        },
+
+        /**
+         * Load a frame capture and show how it lines up with the loaded graph
+         * @param {Object} data - Capture JSON
+         * @param {string} name - File name shown in the summary
+         */
+        loadCapture: function(data, name = null) {
+            try {
+                this.capture = Capture.parseCapture(data);
+            } catch (error) {
+                alert('Invalid frame capture: ' + error.message);
+                return;
+            }
+            this.captureName = name;
+            this.result = null;
+            app.switchTab('capture');
+        },
+
+        pickCapture: function() {
+            const fileInput = vh.createElement('input', '', { type: 'file', accept: '.json' });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        this.loadCapture(JSON.parse(e.target.result), file.name);
+                    } catch (error) {
+                        alert('Error parsing JSON file: ' + error.message);
+                    }
+                };
+                reader.readAsText(file);
+            });
+            fileInput.click();
+        },
+
+        clearCapture: function() {
+            this.capture = null;
+            this.captureName = null;
+            this.result = null;
+            this.render();
+        },
+
+        // Validate lazily, again whenever the analyzed graph changed
+        getResult: function() {
+            if (!this.capture || !app.analyzedData) return null;
+
+            if (!this.result || this.resultSource !== app.analyzedData) {
+                this.resultSource = app.analyzedData;
+                this.result = Capture.validateCapture(this.capture, app.analyzedData);
+            }
+            return this.result;
+        },
+
+        exportReport: function() {
+            const result = this.getResult();
+            if (!result) return;
+
+            const graphName = app.rawData?.name || null;
+            const json = Capture.exportReport(result, this.capture, graphName);
+            vh.downloadFile(`${graphName || 'rendergraph'}_capture_report.json`, json);
+        },
+
+        // Whether the simulated conditions differ from the ones the capture ran with
+        conditionsDiffer: function() {
+            const recorded = this.capture.conditions;
+            if (!recorded) return false;
+
+            const active = app.activeConditions;
+            return Object.entries(recorded).some(([key, enabled]) =>
+                (enabled !== false) !== (!active || active[key] !== false));
+        },
+
+        renderInitialState: function() {
+            this.container.innerHTML = vh.createInfoMessage(
+                'Load a frame capture (format "rendergraph-frame-capture": the nodes the engine executed in order, ' +
+                'with their bound images, layouts and barriers) to check it against the loaded render graph.'
+            );
+
+            const actions = vh.createElement('div', 'resolution-actions');
+            const loadBtn = vh.createElement('button', '', { textContent: 'Load Capture' });
+            loadBtn.addEventListener('click', () => this.pickCapture());
+            actions.appendChild(loadBtn);
+            this.container.appendChild(actions);
+        },
+
+        render: function() {
+            if (!this.container) return;
+            this.container.innerHTML = '';
+
+            if (!this.capture) {
+                this.renderInitialState();
+                return;
+            }
+
+            const result = this.getResult();
+            this.container.appendChild(this.createSummarySection(result));
+            if (!result) return;
+
+            this.container.appendChild(this.createAlignmentSection(result));
+            this.container.appendChild(this.createIssuesSection(result));
+        },
+
+        createSummarySection: function(result) {
+            const section = vh.createSection('Frame Capture');
+            const capture = this.capture;
+
+            const properties = {
+                'Capture': this.captureName || '-',
+                'Frame': capture.frame ?? '-',
+                'Recorded from': capture.graph ?? '-',
+                'Captured nodes': capture.nodes.length
+            };
+            if (result) {
+                const count = severity => result.issues.filter(issue => issue.severity === severity).length;
+                Object.assign(properties, {
+                    'Matched': `${result.summary.matched} of ${result.summary.declared} scheduled nodes`,
+                    'Skipped': result.summary.skipped,
+                    'Extra': result.summary.extra,
+                    'Errors': count('ERROR'),
+                    'Warnings': count('WARNING'),
+                    'Infos': count('INFO')
+                });
+            }
+            section.appendChild(vh.createPropertyBox(properties));
+
+            if (!app.analyzedData) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage(
+                    'Load the raw render graph the capture was recorded from to compare them.'
+                ));
+            } else if (capture.graph && app.rawData?.name && capture.graph !== app.rawData.name) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage(
+                    `The capture was recorded from '${vh.escapeHtml(capture.graph)}', the loaded graph is ` +
+                    `'${vh.escapeHtml(app.rawData.name)}'.`
+                ));
+            }
+
+            const actions = vh.createElement('div', 'resolution-actions');
+            if (app.analyzedData && this.conditionsDiffer()) {
+                const conditionsBtn = vh.createElement('button', '', {
+                    textContent: 'Simulate Capture Conditions',
+                    title: `The capture ran with ${app.ConditionsPanel.describe(capture.conditions)}`
+                });
+                conditionsBtn.addEventListener('click', () => app.ConditionsPanel.apply(capture.conditions));
+                actions.appendChild(conditionsBtn);
+            }
+
+            const buttons = [
+                ['Load Capture', () => this.pickCapture()],
+                ['Export Report', () => this.exportReport()],
+                ['Clear', () => this.clearCapture()]
+            ];
+            for (const [label, handler] of buttons) {
+                const button = vh.createElement('button', '', { textContent: label, disabled: label === 'Export Report' && !result });
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            }
+            section.appendChild(actions);
+
+            return section;
+        },
+
+        // Extra nodes are not in the graph and have nothing to inspect
+        nodeLink: function(index, name) {
+            if (index === null || index === undefined) return name !== null ? vh.escapeHtml(name) : '-';
+            return `<span class="clickable-node" data-node="${index}">${vh.escapeHtml(name)}</span>`;
+        },
+
+        rtLink: function(name) {
+            return name
+                ? `<span class="clickable-rt" data-rtname="${vh.escapeHtml(name)}">${vh.escapeHtml(name)}</span>`
+                : '-';
+        },
+
+        // Node names open the node inspector, render target names the details
+        bindLinks: function(section) {
+            section.addEventListener('click', (e) => {
+                const node = e.target.closest('.clickable-node');
+                if (node) {
+                    app.tabModules.details.inspectNode(parseInt(node.dataset.node));
+                    return;
+                }
+                const rt = e.target.closest('.clickable-rt');
+                if (rt) {
+                    app.setSearchAndSwitchTab(rt.dataset.rtname, 'details');
+                }
+            });
+        },
+
+        createAlignmentSection: function(result) {
+            const section = vh.createSection('Alignment');
+            const issuesByPair = pair => result.issues.filter(issue =>
+                pair.captured ? issue.details.capture_position === pair.captured.position
+                    : issue.type === 'SKIPPED_NODE' && issue.details.node_index === pair.declared.nodeIndex);
+
+            const status = pair => {
+                if (!pair.captured) return vh.createBadge('Skipped', 'capture-skipped');
+                if (!pair.declared) return vh.createBadge('Extra', 'capture-extra');
+                if (issuesByPair(pair).some(issue => issue.type === 'OUT_OF_ORDER_NODE')) {
+                    return vh.createBadge('Out of order', 'capture-extra');
+                }
+                return vh.createBadge('Matched', 'capture-matched');
+            };
+
+            section.insertAdjacentHTML('beforeend', vh.createTable(result.pairs, [
+                { header: 'Capture #', accessor: pair => pair.captured ? pair.captured.position : '-' },
+                { header: 'Node', accessor: pair => pair.declared
+                    ? this.nodeLink(pair.declared.nodeIndex, pair.declared.name)
+                    : this.nodeLink(null, pair.captured.name ?? `#${pair.captured.nodeIndex}`) },
+                { header: 'Declared Order', accessor: pair => pair.declared ? pair.declared.executionOrder : '-' },
+                { header: 'Status', accessor: status },
+                { header: 'Issues', accessor: pair => {
+                    const issues = issuesByPair(pair).filter(issue => issue.type !== 'SKIPPED_NODE');
+                    return issues.length > 0 ? issues.length : '-';
+                } }
+            ]));
+
+            this.bindLinks(section);
+            return section;
+        },
+
+        createIssuesSection: function(result) {
+            const term = this.searchTerm.toLowerCase();
+            const issues = result.issues.filter(issue => !term || issue.message.toLowerCase().includes(term));
+
+            const section = vh.createSection(`Differences (${issues.length})`);
+            if (issues.length === 0) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage(
+                    result.issues.length === 0
+                        ? 'The capture matches the declared graph.'
+                        : `No differences matching '${vh.escapeHtml(this.searchTerm)}'.`
+                ));
+                return section;
+            }
+
+            section.insertAdjacentHTML('beforeend', vh.createTable(issues, [
+                { header: 'Severity', accessor: issue => vh.createBadge(issue.severity, SEVERITY_BADGES[issue.severity]) },
+                { header: 'Type', accessor: issue => issue.type },
+                { header: 'Node', accessor: issue => this.nodeLink(
+                    issue.type === 'EXTRA_NODE' ? null : issue.details.node_index, issue.details.node_name) },
+                { header: 'Render Target', accessor: issue => this.rtLink(issue.details.render_target_name) },
+                { header: 'Message', accessor: issue => vh.escapeHtml(issue.message) }
+            ]));
+
+            this.bindLinks(section);
+            return section;
+        }
+    });
+
+})(RenderGraphViewer);
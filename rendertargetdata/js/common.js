@@ -2,7 +2,11 @@
 const RenderGraphViewer = (function() {
     let graphData = null;
     let selectedRenderTargetIndex = null;
+    // Parsed search box query, shared by every view (see core/query.js)
+    let searchQuery = RenderGraphQuery.parseQuery('');
     let colorMap = {};
+    // Output resolution used to turn screen-relative RT extents into pixels
+    let outputResolution = { width: 1920, height: 1080 };
     // Simple tab registry
     const tabModules = {};
 
@@ -141,29 +145,42 @@ const RenderGraphViewer = (function() {
 
     // Handle search input
     function handleSearch() {
-        const searchTerm = elements.searchInput.value.toLowerCase();
+        // Parse the query once; views get its bare words as the search term and the query itself
+        searchQuery = RenderGraphQuery.parseQuery(elements.searchInput.value);
+        const searchTerm = searchQuery.freeText;
 
-        // Filter render target list for details view
-        const renderTargetItems = elements.renderTargetList.querySelectorAll('.render-target-item');
-        renderTargetItems.forEach(item => {
-            const targetName = item.textContent.toLowerCase();
-            if (targetName.includes(searchTerm)) {
-                item.classList.remove('hide');
-            } else {
-                item.classList.add('hide');
-            }
-        });
+        elements.searchInput.classList.toggle('query-error', searchQuery.errors.length > 0);
+        elements.searchInput.title = searchQuery.errors.map(error => error.message).join('\n');
+
+        filterRenderTargetList();
 
         // Notify the active module about search term changes for filtering in other views
         const activeTab = Array.from(elements.tabs).find(tab => tab.classList.contains('active'));
         if (activeTab) {
             const tabId = activeTab.dataset.tab;
             if (tabModules[tabId] && typeof tabModules[tabId].onSearch === 'function') {
-                tabModules[tabId].onSearch(searchTerm);
+                tabModules[tabId].onSearch(searchTerm, searchQuery);
             }
         }
     }
 
+    // Check a render target of the loaded graph against the search query; unknown indices always match
+    function renderTargetMatchesSearch(index) {
+        if (searchQuery.isEmpty || !graphData) return true;
+
+        const context = RenderGraphQuery.createContext(graphData);
+        const rt = context.rtsByIndex.get(index);
+        return !rt || RenderGraphQuery.matchRenderTarget(searchQuery, rt, context);
+    }
+
+    // Hide render targets not matching the query in the details list
+    function filterRenderTargetList() {
+        const renderTargetItems = elements.renderTargetList.querySelectorAll('.render-target-item');
+        renderTargetItems.forEach(item => {
+            item.classList.toggle('hide', !renderTargetMatchesSearch(parseInt(item.dataset.index)));
+        });
+    }
+
     // Load and process graph data
     function loadGraphData(data) {
         graphData = data;
@@ -188,6 +205,26 @@ const RenderGraphViewer = (function() {
         }
     }
 
+    // Change the output resolution and let the active module refresh size estimates
+    // Returns false, keeping the current resolution, for sizes a GPU could not render to
+    function setOutputResolution(width, height) {
+        const max = window.RenderGraphConstants.MAX_OUTPUT_DIMENSION;
+        if (![width, height].every(size => Number.isInteger(size) && size >= 1 && size <= max)) {
+            console.warn(`Ignoring output resolution ${width}x${height}: sizes must be between 1 and ${max}`);
+            return false;
+        }
+        outputResolution = { width: width, height: height };
+
+        const activeTab = Array.from(elements.tabs).find(tab => tab.classList.contains('active'));
+        if (activeTab) {
+            const tabId = activeTab.dataset.tab;
+            if (tabModules[tabId] && typeof tabModules[tabId].onResolutionChanged === 'function') {
+                tabModules[tabId].onResolutionChanged(outputResolution);
+            }
+        }
+        return true;
+    }
+
     // Assign unique colors to render targets
     function assignColors() {
         colorMap = {};
@@ -225,6 +262,8 @@ const RenderGraphViewer = (function() {
 
             elements.renderTargetList.appendChild(item);
         });
+
+        filterRenderTargetList();
     }
 
     // Select a render target and display its details
@@ -336,6 +375,15 @@ const RenderGraphViewer = (function() {
             return box;
         },
 
+        // Escape text from the loaded graph for use in HTML strings
+        escapeHtml: function(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        },
+
         // Create a badge
         createBadge: function(text, className = '') {
             return `<span class="badge ${className}">${text}</span>`;
@@ -470,6 +518,17 @@ const RenderGraphViewer = (function() {
             `;
         },
 
+        // Trigger a browser download of generated text content
+        downloadFile: function(filename, content, mimeType = 'application/json') {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const link = this.createElement('a', '', { href: url, download: filename });
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
         // Create a module template with standard lifecycle methods
         createViewModule: function(id, options = {}) {
             const defaultOptions = {
@@ -520,7 +579,11 @@ const RenderGraphViewer = (function() {
         init: init,
         elements: elements,
         graphData: () => graphData,
+        searchQuery: () => searchQuery,
+        renderTargetMatchesSearch: renderTargetMatchesSearch,
         colorMap: () => colorMap,
+        outputResolution: () => outputResolution,
+        setOutputResolution: setOutputResolution,
         registerTabModule: registerTabModule,
         switchTab: switchTab,
         setSearchAndSwitchTab: setSearchAndSwitchTab,
@@ -0,0 +1,80 @@
+// Condition toggles - re-runs the analysis pipeline for a single graph permutation
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    app.ConditionsPanel = {
+        container: document.getElementById('conditions-bar'),
+
+        /**
+         * Render the toggles for the condition keys of the loaded graph
+         * @param {Array} keys - Distinct condition keys
+         * @param {Object|null} conditions - Active toggles, null when showing every node
+         * @param {Object} inactive - { removedNodes, removedRenderPasses } of the current run
+         */
+        render: function(keys, conditions, inactive) {
+            if (!this.container) return;
+
+            this.container.innerHTML = '';
+            if (keys.length === 0) {
+                this.container.style.display = 'none';
+                return;
+            }
+            this.container.style.display = 'flex';
+
+            this.container.appendChild(vh.createElement('span', 'conditions-label', {
+                textContent: 'Conditions'
+            }));
+
+            keys.forEach(key => {
+                const label = vh.createElement('label', 'condition-toggle');
+                const checkbox = vh.createElement('input', '', {
+                    type: 'checkbox',
+                    checked: !conditions || conditions[key] !== false
+                });
+                checkbox.addEventListener('change', () => {
+                    this.setCondition(keys, conditions, key, checkbox.checked);
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(key));
+                this.container.appendChild(label);
+            });
+
+            const status = conditions
+                ? `${inactive.removedNodes.length} nodes, ${inactive.removedRenderPasses.length} passes inactive`
+                : 'Showing all nodes';
+            this.container.appendChild(vh.createElement('span', 'conditions-status', { textContent: status }));
+
+            if (conditions) {
+                const resetBtn = vh.createElement('button', '', { textContent: 'Show All' });
+                resetBtn.addEventListener('click', () => this.apply(null));
+                this.container.appendChild(resetBtn);
+            }
+        },
+
+        setCondition: function(keys, conditions, key, enabled) {
+            // The first toggle starts a simulation with every key enabled
+            const next = {};
+            keys.forEach(k => { next[k] = !conditions || conditions[k] !== false; });
+            next[key] = enabled;
+            this.apply(next);
+        },
+
+        // Re-process the loaded raw graph with the given toggles
+        apply: function(conditions) {
+            if (!app.rawData || !app.FileHandler) return;
+            app.FileHandler.processRawRenderGraph(app.rawData, { conditions, keepTab: true, inPlace: true });
+        },
+
+        /**
+         * Describe the active toggles, e.g. "SSAO off, MSAA on"
+         */
+        describe: function(conditions) {
+            if (!conditions) return 'all conditions';
+            return Object.entries(conditions)
+                .map(([key, enabled]) => `${key} ${enabled ? 'on' : 'off'}`)
+                .join(', ');
+        }
+    };
+
+})(RenderGraphViewer);
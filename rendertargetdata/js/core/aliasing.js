@@ -0,0 +1,162 @@
+// Aliasing module - plans transient memory aliasing from render target lifetimes
+// Packs RTs with disjoint lifetimes into shared heaps, regardless of format
+
+(function() {
+    const { estimateRenderTargetMemory, DEFAULT_RESOLUTION } = window.RenderGraphMemory;
+
+    // Placement alignment for aliased allocations (typical image alignment on desktop GPUs)
+    const DEFAULT_ALIGNMENT = 64 * 1024;
+
+    /**
+     * Get the execution order range [first, last] during which a render target is alive
+     * @returns {Array|null} Lifetime range, or null if the RT is never used
+     */
+    function getLifetime(rt, nodes) {
+        if (rt.firstUsedAtNode === null || rt.lastUsedAtNode === null) return null;
+        if (!(rt.firstUsedAtNode in nodes) || !(rt.lastUsedAtNode in nodes)) return null;
+        return [nodes[rt.firstUsedAtNode].executionOrder, nodes[rt.lastUsedAtNode].executionOrder];
+    }
+
+    /**
+     * Check whether a render target must keep its content across frames
+     * An RT whose first use is a read (history buffers, externally filled inputs)
+     * cannot share memory with anything else
+     */
+    function isPersistent(rt) {
+        return rt.firstUsedAtNode !== null && !rt.outputFromNodes.includes(rt.firstUsedAtNode);
+    }
+
+    function lifetimesOverlap(a, b) {
+        return a.start <= b.end && b.start <= a.end;
+    }
+
+    function alignUp(value, alignment) {
+        return alignment > 1 ? Math.ceil(value / alignment) * alignment : value;
+    }
+
+    /**
+     * Find the lowest offset in a heap where an allocation fits without overlapping
+     * any allocation whose lifetime intersects it
+     * @returns {number|null} Offset in bytes, or null if the heap cannot hold it
+     */
+    function findOffset(heap, allocation) {
+        const conflicts = heap.allocations
+            .filter(other => lifetimesOverlap(other, allocation))
+            .sort((a, b) => a.offset - b.offset);
+
+        let offset = 0;
+        for (const other of conflicts) {
+            if (offset + allocation.size <= other.offset) break;
+            offset = Math.max(offset, other.offset + other.size);
+        }
+
+        return offset + allocation.size <= heap.size ? offset : null;
+    }
+
+    /**
+     * Plan memory aliasing for all render targets of an analyzed graph
+     * @param {Object} renderTargets - Analyzed render targets
+     * @param {Object} nodes - Analyzed nodes
+     * @param {Object} options - { resolution: {width, height}, alignment: number }
+     * @returns {Object} Heap assignment, memory totals and live memory per execution order
+     */
+    function planAliasing(renderTargets, nodes, options = {}) {
+        const resolution = options.resolution || DEFAULT_RESOLUTION;
+        const alignment = options.alignment ?? DEFAULT_ALIGNMENT;
+
+        // Build allocation requests for every RT that is alive at some point
+        const allocations = [];
+        for (const rt of Object.values(renderTargets)) {
+            const lifetime = getLifetime(rt, nodes);
+            if (!lifetime) continue;
+
+            const estimate = estimateRenderTargetMemory(rt, resolution);
+            if (estimate.bytes === 0) continue;
+
+            allocations.push({
+                rtIndex: rt.index,
+                name: rt.name,
+                format: estimate.format,
+                bytes: estimate.bytes,
+                size: alignUp(estimate.bytes, alignment),
+                start: lifetime[0],
+                end: lifetime[1],
+                persistent: isPersistent(rt),
+                offset: 0,
+                heapIndex: null
+            });
+        }
+
+        // Largest first gives the classic first-fit-decreasing packing
+        const ordered = [...allocations].sort((a, b) => b.size - a.size || a.start - b.start);
+
+        const heaps = [];
+        for (const allocation of ordered) {
+            let placed = false;
+
+            if (!allocation.persistent) {
+                for (const heap of heaps) {
+                    if (heap.dedicated) continue;
+                    const offset = findOffset(heap, allocation);
+                    if (offset !== null) {
+                        allocation.offset = offset;
+                        allocation.heapIndex = heap.index;
+                        heap.allocations.push(allocation);
+                        placed = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!placed) {
+                const heap = {
+                    index: heaps.length,
+                    size: allocation.size,
+                    dedicated: allocation.persistent,
+                    allocations: [allocation]
+                };
+                allocation.offset = 0;
+                allocation.heapIndex = heap.index;
+                heaps.push(heap);
+            }
+        }
+
+        // Live memory per execution order (lower bound for any aliasing scheme)
+        const maxExecutionOrder = Object.values(nodes)
+            .reduce((max, n) => Math.max(max, n.executionOrder), 0);
+        const timeline = [];
+        for (let order = 0; order <= maxExecutionOrder; order++) {
+            const liveBytes = allocations
+                .filter(a => a.persistent || (a.start <= order && order <= a.end))
+                .reduce((sum, a) => sum + a.size, 0);
+            timeline.push({ executionOrder: order, liveBytes });
+        }
+
+        const naiveBytes = allocations.reduce((sum, a) => sum + a.size, 0);
+        const aliasedBytes = heaps.reduce((sum, h) => sum + h.size, 0);
+        const peakLiveBytes = timeline.reduce((max, t) => Math.max(max, t.liveBytes), 0);
+
+        return {
+            resolution: { width: resolution.width, height: resolution.height },
+            alignment,
+            heaps,
+            allocations,
+            naiveBytes,
+            aliasedBytes,
+            savedBytes: naiveBytes - aliasedBytes,
+            peakLiveBytes,
+            timeline,
+            maxExecutionOrder
+        };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphAliasing = {
+        DEFAULT_ALIGNMENT,
+        getLifetime,
+        isPersistent,
+        findOffset,
+        planAliasing
+    };
+
+})();
@@ -2,8 +2,6 @@
 // Port of Python analyzer.py to JavaScript
 
 (function() {
-    const { BINDING_RANGES } = window.RenderGraphConstants;
-
     // Analysis cache for performance with large graphs
     const analysisCache = new WeakMap();
 
@@ -134,38 +132,20 @@
      * - 0x10000 + RT_index = Read-only binding
      * - 0x20000 + RT_index = Write-only binding
      * - 0x30000 + RT_index = Read-write binding
+     * Bindings may be nested under a 'bindings' key; keys the node type's schema gives
+     * another meaning (push constants, dispatch sizes...) are never bindings
      */
-    function decodeShaderBindings(dataJson, rtCount) {
-        const bindings = [];
-
-        for (const [key, value] of Object.entries(dataJson)) {
-            if (typeof value !== 'number') continue;
-
-            let type = null;
-            let rtIndex = null;
-
-            if (value >= BINDING_RANGES.READ.start && value < BINDING_RANGES.READ.end) {
-                type = 'input';
-                rtIndex = value - BINDING_RANGES.READ.start;
-            } else if (value >= BINDING_RANGES.WRITE.start && value < BINDING_RANGES.WRITE.end) {
-                type = 'output';
-                rtIndex = value - BINDING_RANGES.WRITE.start;
-            } else if (value >= BINDING_RANGES.READWRITE.start && value < BINDING_RANGES.READWRITE.end) {
-                type = 'input_output';
-                rtIndex = value - BINDING_RANGES.READWRITE.start;
-            }
-
-            if (type && rtIndex !== null && rtIndex >= 0 && rtIndex < rtCount) {
-                bindings.push({
-                    key: key,
-                    type: type,
-                    rtIndex: rtIndex,
-                    encodedAddress: value
-                });
-            }
-        }
-
-        return bindings;
+    function decodeShaderBindings(dataJson, rtCount, nodeType = null) {
+        const schema = window.RenderGraphSchemas.getSchema(nodeType);
+
+        return window.RenderGraphSchemas.collectBindings(dataJson, schema)
+            .filter(binding => binding.rtIndex < rtCount)
+            .map(binding => ({
+                key: binding.key,
+                type: binding.type,
+                rtIndex: binding.rtIndex,
+                encodedAddress: binding.address
+            }));
     }
 
     /**
@@ -215,7 +195,7 @@
             }
 
             // 2. Process shader bindings from dataJson
-            const bindings = decodeShaderBindings(node.dataJson, rtCount);
+            const bindings = decodeShaderBindings(node.dataJson, rtCount, node.type);
             for (const binding of bindings) {
                 const rtIdx = binding.rtIndex;
                 if (rtIdx in renderTargets) {
@@ -450,6 +430,88 @@
         }
     }
 
+    // Render target fields filled in by the analysis, carried over by updateAnalysis
+    const RT_ANALYSIS_FIELDS = [
+        'inputToNodes', 'outputFromNodes', 'firstUsedAtNode', 'lastUsedAtNode', 'nodeUsageTypes',
+        'usedAsColorAttachment', 'usedAsDepthAttachment', 'usedAsResolveAttachment', 'conditions'
+    ];
+
+    /**
+     * Sort JSON Patch operations into the render targets and nodes they touch
+     * Only edits to render target properties, node names and the graph name leave execution order,
+     * relationships and lifetimes alone; render pass names are copied into the relationships
+     * @returns {Object|null} { renderTargets, nodes } as sets of array positions, null for any other edit
+     */
+    function classifyEdits(operations, description) {
+        const renderTargets = new Set();
+        const nodes = new Set();
+        const position = (list, token) => {
+            const index = Number(token);
+            return /^(0|[1-9]\d*)$/.test(token) && index < (description[list] || []).length ? index : -1;
+        };
+
+        for (const operation of operations) {
+            if (operation.op === 'test') continue;
+            if (!['add', 'remove', 'replace'].includes(operation.op)) return null;
+
+            const tokens = window.RenderGraphPatch.parsePointer(operation.path);
+            if (tokens.length === 1 && tokens[0] === 'name') continue;
+
+            const [list, token, key] = tokens;
+            if (list === 'renderTargetDescriptions' && position(list, token) >= 0 &&
+                (tokens.length > 2 || operation.op === 'replace')) {
+                renderTargets.add(Number(token));
+            } else if (list === 'nodeDataDescriptions' && position(list, token) >= 0 &&
+                tokens.length === 3 && key === 'name') {
+                nodes.add(Number(token));
+            } else {
+                return null;
+            }
+        }
+        return { renderTargets, nodes };
+    }
+
+    /**
+     * Bring an analysis up to date with edits that keep the graph's structure, without running it again
+     * @param {Object} analyzed - Result of analyze for the description before the edits (left untouched)
+     * @param {Object} description - Raw description after the edits
+     * @param {Array} operations - JSON Patch operations from the previous description to this one
+     * @returns {Object|null} { renderTargets, nodes, renderPasses }, null when the edits need a full analysis
+     */
+    function updateAnalysis(analyzed, description, operations) {
+        const edits = classifyEdits(operations, description);
+        if (!edits) return null;
+
+        const { RenderTarget, Node } = window.RenderGraphParser;
+        const renderTargets = { ...analyzed.renderTargets };
+        const nodes = { ...analyzed.nodes };
+
+        for (const index of edits.renderTargets) {
+            const desc = description.renderTargetDescriptions[index];
+            const previous = analyzed.renderTargets[index];
+            if (!desc || typeof desc !== 'object' || !previous) return null;
+
+            const rt = new RenderTarget(index, desc);
+            RT_ANALYSIS_FIELDS.forEach(field => { rt[field] = previous[field]; });
+            renderTargets[index] = rt;
+        }
+
+        for (const position of edits.nodes) {
+            const desc = description.nodeDataDescriptions[position];
+            const previous = desc && analyzed.nodes[desc.nodeIndex];
+            // Nodes left out by the simulated conditions are not in the analysis
+            if (!previous) continue;
+
+            const node = new Node(previous.index, desc);
+            node.executionOrder = previous.executionOrder;
+            node.renderPass = previous.renderPass;
+            node.renderPassIndex = previous.renderPassIndex;
+            nodes[previous.index] = node;
+        }
+
+        return { renderTargets, nodes, renderPasses: analyzed.renderPasses };
+    }
+
     /**
      * Transform analyzed data to view format expected by timeline.js, nodegraph.js, etc.
      */
@@ -528,7 +590,8 @@
             render_pass: node.renderPass,
             render_pass_index: node.renderPassIndex,
             input_targets: inputTargets,
-            output_targets: outputTargets
+            output_targets: outputTargets,
+            data_json: node.dataJson
         };
     }
 
@@ -585,7 +648,8 @@
             name: rt.name,
             format: {
                 value: rt.format,
-                name: rt.getFormatName()
+                name: rt.getFormatName(),
+                info: rt.getFormatInfo()
             },
             resolution: rt.getResolutionDescription(),
             mip_levels: rt.mipLevels,
@@ -675,6 +739,7 @@
         decodeShaderBindings,
         analyzeRenderTargetUsage,
         updateRenderTargetLifetimes,
+        updateAnalysis,
         PRIORITIES
     };
 
@@ -1,9 +1,24 @@
 // 3dverse API module for fetching render graph assets via WebSocket
+//
+// Live subscriptions keep the asset/edit socket open and apply later messages to the description:
+//   - any message carrying data.description replaces the whole description (connect-confirmation included)
+//   - messages carrying data.patch / data.operations (or an array as data) are applied as JSON Patch
+// The socket URL can be overridden with ?ws=<url> or ThreeDverseAPI.setApiUrl(), e.g. to use
+// cli/mock-asset-server.js offline. Overrides must point at the local machine, and the Labs token is
+// only ever sent to the default API host
 (function(global) {
     'use strict';
 
     const API_WS_URL = 'wss://api.3dverse.com/legacy/asset/edit';
     const TOKEN_STORAGE = 'rendergraph_viewer_token';
+    const WS_URL_STORAGE = 'rendergraph_viewer_ws_url';
+
+    // Hosts a socket URL override may point at
+    const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+    const CONNECT_TIMEOUT = 15000;
+    const RECONNECT_BASE_DELAY = 1000;
+    const RECONNECT_MAX_DELAY = 30000;
 
     const ThreeDverseAPI = {
         setLabsToken: function(token) {
@@ -22,6 +37,48 @@
             return !!this.getLabsToken();
         },
 
+        // Whether a socket URL points at the local machine
+        isLocalUrl: function(url) {
+            try {
+                const parsed = new URL(url);
+                return (parsed.protocol === 'ws:' || parsed.protocol === 'wss:') && LOCAL_HOSTS.includes(parsed.hostname);
+            } catch (e) {
+                return false;
+            }
+        },
+
+        // Override the asset/edit socket URL with a local one (null restores the default)
+        setApiUrl: function(url) {
+            if (url) {
+                if (!this.isLocalUrl(url)) {
+                    throw new Error(`Socket URL overrides must point at ${LOCAL_HOSTS.join(', ')}`);
+                }
+                localStorage.setItem(WS_URL_STORAGE, url);
+            } else {
+                localStorage.removeItem(WS_URL_STORAGE);
+            }
+        },
+
+        // Overrides pointing anywhere but the local machine are ignored, so a crafted link cannot
+        // redirect the socket
+        getApiUrl: function() {
+            const fromQuery = global.location ? new URLSearchParams(global.location.search).get('ws') : null;
+            for (const url of [fromQuery, localStorage.getItem(WS_URL_STORAGE)]) {
+                if (!url) continue;
+                if (this.isLocalUrl(url)) return url;
+                console.warn('Ignoring socket URL override that is not local:', url);
+            }
+            return API_WS_URL;
+        },
+
+        // The token goes to the default API host only; local mock servers accept any connection
+        buildSocketUrl: function(assetUUID, token) {
+            const url = this.getApiUrl();
+            const params = new URLSearchParams({ assetType: 'renderGraph', assetUUID });
+            if (url === API_WS_URL) params.set('token', token);
+            return `${url}?${params}`;
+        },
+
         // Fetch render graph via WebSocket
         fetchLabsRenderGraph: function(assetUUID, token) {
             return new Promise((resolve, reject) => {
@@ -35,8 +92,8 @@
                     this.setLabsToken(token);
                 }
 
-                const wsUrl = `${API_WS_URL}?token=${useToken}&assetType=renderGraph&assetUUID=${assetUUID}`;
-                console.log('Connecting to:', API_WS_URL, 'asset:', assetUUID);
+                const wsUrl = this.buildSocketUrl(assetUUID, useToken);
+                console.log('Connecting to:', this.getApiUrl(), 'asset:', assetUUID);
 
                 let ws;
                 try {
@@ -49,7 +106,7 @@
                 const timeout = setTimeout(() => {
                     ws.close();
                     reject(new Error('WebSocket connection timeout (15s)'));
-                }, 15000);
+                }, CONNECT_TIMEOUT);
 
                 ws.onopen = function() {
                     console.log('WebSocket connected, waiting for data...');
@@ -85,6 +142,162 @@
             });
         },
 
+        /**
+         * Keep the asset/edit socket open and follow edits to a render graph
+         * Reconnects with exponential backoff until closed
+         * @param {string} assetUUID - Render graph asset
+         * @param {string} token - Labs API token (falls back to the saved token)
+         * @param {Object} handlers - { onDescription(description, { initial, message, operations }), onStatus(status, info) }
+         *   operations are the JSON Patch edits from the previous description, null when it was replaced whole
+         *   status is one of 'connecting', 'live', 'reconnecting', 'closed'
+         * @returns {Object} Subscription with close(), getStatus() and getDescription()
+         */
+        subscribeLabsRenderGraph: function(assetUUID, token, handlers = {}) {
+            const useToken = token || this.getLabsToken();
+            if (!useToken) {
+                throw new Error('No token. Copy JWT token from Network tab WebSocket URL.');
+            }
+
+            const wsUrl = this.buildSocketUrl(assetUUID, useToken);
+            const applyEditMessage = this.applyEditMessage;
+
+            let ws = null;
+            let description = null;
+            let status = null;
+            let attempt = 0;
+            let closed = false;
+            let retryTimer = null;
+            let connectTimer = null;
+
+            const setStatus = (next, info = {}) => {
+                status = next;
+                if (handlers.onStatus) handlers.onStatus(next, info);
+            };
+
+            const scheduleReconnect = (reason) => {
+                if (closed) return;
+                const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, attempt), RECONNECT_MAX_DELAY);
+                attempt++;
+                setStatus('reconnecting', { attempt, delay, reason });
+                retryTimer = setTimeout(connect, delay);
+            };
+
+            function connect() {
+                retryTimer = null;
+                setStatus('connecting', { attempt });
+
+                try {
+                    ws = new WebSocket(wsUrl);
+                } catch (err) {
+                    scheduleReconnect('Failed to create WebSocket: ' + err.message);
+                    return;
+                }
+
+                connectTimer = setTimeout(() => ws.close(), CONNECT_TIMEOUT);
+
+                ws.onmessage = function(event) {
+                    let msg;
+                    try {
+                        msg = JSON.parse(event.data);
+                    } catch (err) {
+                        console.warn('Failed to parse WebSocket message:', err);
+                        return;
+                    }
+                    if (!msg || typeof msg !== 'object') {
+                        console.warn('Ignoring WebSocket message that is not an object:', event.data);
+                        return;
+                    }
+
+                    const initial = msg.type === 'connect-confirmation';
+                    let next;
+                    try {
+                        next = applyEditMessage(description, msg);
+                    } catch (err) {
+                        console.warn(`Could not apply '${msg.type}' message:`, err.message);
+                        return;
+                    }
+                    if (next === description) return;
+
+                    if (initial) {
+                        // The server sends the full description again after every reconnect
+                        clearTimeout(connectTimer);
+                        attempt = 0;
+                        setStatus('live', { name: next.name || '' });
+                    }
+
+                    description = next;
+                    if (handlers.onDescription) {
+                        handlers.onDescription(description, {
+                            initial,
+                            message: msg,
+                            operations: initial ? null : ThreeDverseAPI.getEditOperations(msg)
+                        });
+                    }
+                };
+
+                ws.onerror = function() {
+                    console.warn('Live WebSocket error');
+                };
+
+                ws.onclose = function(event) {
+                    clearTimeout(connectTimer);
+                    ws = null;
+                    if (closed) return;
+                    scheduleReconnect(event.reason || `closed (${event.code})`);
+                };
+            }
+
+            connect();
+
+            return {
+                close: function() {
+                    closed = true;
+                    clearTimeout(retryTimer);
+                    clearTimeout(connectTimer);
+                    if (ws) ws.close();
+                    setStatus('closed');
+                },
+                getStatus: () => status,
+                getDescription: () => description
+            };
+        },
+
+        /**
+         * Apply an asset/edit message to a render graph description
+         * @param {Object|null} description - Current description (left untouched)
+         * @param {Object} msg - Parsed WebSocket message
+         * @returns {Object|null} The new description, or the same object when the message is not an edit
+         * @throws {Error} When a patch cannot be applied
+         */
+        applyEditMessage: function(description, msg) {
+            const data = msg && msg.data;
+            if (!data) return description;
+
+            if (data.description) {
+                return data.description;
+            }
+
+            const operations = ThreeDverseAPI.getEditOperations(msg);
+            if (operations) {
+                if (!description) throw new Error('Edit received before the initial description');
+                return global.RenderGraphPatch.applyPatch(description, operations);
+            }
+
+            return description;
+        },
+
+        /**
+         * JSON Patch operations carried by an edit message
+         * @returns {Array|null} Operations, null when the message sends a full description or no edit
+         */
+        getEditOperations: function(msg) {
+            const data = msg && msg.data;
+            if (!data || data.description) return null;
+
+            const operations = Array.isArray(data) ? data : (data.patch || data.operations);
+            return Array.isArray(operations) ? operations : null;
+        },
+
         // Extract token from a full WebSocket URL
         extractTokenFromUrl: function(url) {
             const match = url.match(/token=([^&]+)/);
@@ -0,0 +1,348 @@
+// Barriers module - synthesizes image layouts and synchronization2 barriers
+// Derives, for every RT used by every node in execution order, the required layout,
+// pipeline stages and access masks, then the barriers needed between consecutive uses
+
+(function() {
+    const { USAGE_BITS, ASPECT_BITS } = window.RenderGraphConstants;
+
+    // Node types (see NODE_TYPES in constants.js)
+    const DRAW_NODE = 1;
+    const DYNAMIC_DRAW_NODE = 2;
+    const COMPUTE_NODE = 3;
+    const BLIT_NODE = 4;
+    const DEPTH_STENCIL_BLIT_NODE = 5;
+    const FULLSCREEN_PASS_NODE = 8;
+    const GENERATE_MIPS_NODE = 9;
+    const CLEAR_NODE = 13;
+    const DEBUG_DRAW_NODE = 16;
+    const COMPUTE_DISPATCH_NODE = 17;
+
+    const GRAPHICS_NODES = [DRAW_NODE, DYNAMIC_DRAW_NODE, FULLSCREEN_PASS_NODE, DEBUG_DRAW_NODE];
+    const COMPUTE_NODES = [COMPUTE_NODE, COMPUTE_DISPATCH_NODE];
+    const BLIT_NODES = [BLIT_NODE, DEPTH_STENCIL_BLIT_NODE];
+
+    // Vulkan enum names used in the plan (kept verbatim so it can be diffed against the runtime)
+    const LAYOUTS = {
+        UNDEFINED: 'VK_IMAGE_LAYOUT_UNDEFINED',
+        GENERAL: 'VK_IMAGE_LAYOUT_GENERAL',
+        COLOR_ATTACHMENT: 'VK_IMAGE_LAYOUT_COLOR_ATTACHMENT_OPTIMAL',
+        DEPTH_STENCIL_ATTACHMENT: 'VK_IMAGE_LAYOUT_DEPTH_STENCIL_ATTACHMENT_OPTIMAL',
+        SHADER_READ_ONLY: 'VK_IMAGE_LAYOUT_SHADER_READ_ONLY_OPTIMAL',
+        TRANSFER_SRC: 'VK_IMAGE_LAYOUT_TRANSFER_SRC_OPTIMAL',
+        TRANSFER_DST: 'VK_IMAGE_LAYOUT_TRANSFER_DST_OPTIMAL'
+    };
+
+    const STAGES = {
+        NONE: 'VK_PIPELINE_STAGE_2_NONE',
+        ALL_COMMANDS: 'VK_PIPELINE_STAGE_2_ALL_COMMANDS_BIT',
+        FRAGMENT_SHADER: 'VK_PIPELINE_STAGE_2_FRAGMENT_SHADER_BIT',
+        COMPUTE_SHADER: 'VK_PIPELINE_STAGE_2_COMPUTE_SHADER_BIT',
+        EARLY_FRAGMENT_TESTS: 'VK_PIPELINE_STAGE_2_EARLY_FRAGMENT_TESTS_BIT',
+        LATE_FRAGMENT_TESTS: 'VK_PIPELINE_STAGE_2_LATE_FRAGMENT_TESTS_BIT',
+        COLOR_ATTACHMENT_OUTPUT: 'VK_PIPELINE_STAGE_2_COLOR_ATTACHMENT_OUTPUT_BIT',
+        BLIT: 'VK_PIPELINE_STAGE_2_BLIT_BIT',
+        CLEAR: 'VK_PIPELINE_STAGE_2_CLEAR_BIT'
+    };
+
+    const ACCESS = {
+        NONE: 'VK_ACCESS_2_NONE',
+        MEMORY_READ: 'VK_ACCESS_2_MEMORY_READ_BIT',
+        MEMORY_WRITE: 'VK_ACCESS_2_MEMORY_WRITE_BIT',
+        SHADER_SAMPLED_READ: 'VK_ACCESS_2_SHADER_SAMPLED_READ_BIT',
+        SHADER_STORAGE_READ: 'VK_ACCESS_2_SHADER_STORAGE_READ_BIT',
+        SHADER_STORAGE_WRITE: 'VK_ACCESS_2_SHADER_STORAGE_WRITE_BIT',
+        COLOR_ATTACHMENT_READ: 'VK_ACCESS_2_COLOR_ATTACHMENT_READ_BIT',
+        COLOR_ATTACHMENT_WRITE: 'VK_ACCESS_2_COLOR_ATTACHMENT_WRITE_BIT',
+        DEPTH_STENCIL_ATTACHMENT_READ: 'VK_ACCESS_2_DEPTH_STENCIL_ATTACHMENT_READ_BIT',
+        DEPTH_STENCIL_ATTACHMENT_WRITE: 'VK_ACCESS_2_DEPTH_STENCIL_ATTACHMENT_WRITE_BIT',
+        TRANSFER_READ: 'VK_ACCESS_2_TRANSFER_READ_BIT',
+        TRANSFER_WRITE: 'VK_ACCESS_2_TRANSFER_WRITE_BIT'
+    };
+
+    const WRITE_ACCESSES = [
+        ACCESS.MEMORY_WRITE, ACCESS.SHADER_STORAGE_WRITE, ACCESS.COLOR_ATTACHMENT_WRITE,
+        ACCESS.DEPTH_STENCIL_ATTACHMENT_WRITE, ACCESS.TRANSFER_WRITE
+    ];
+
+    const ASPECT_NAMES = {
+        COLOR: 'VK_IMAGE_ASPECT_COLOR_BIT',
+        DEPTH: 'VK_IMAGE_ASPECT_DEPTH_BIT',
+        STENCIL: 'VK_IMAGE_ASPECT_STENCIL_BIT'
+    };
+
+    function state(layout, stages, access, write) {
+        return { layout, stages, access, write };
+    }
+
+    /**
+     * Determine the image state a single relationship requires
+     */
+    function stateForRelationship(rel, rt, node) {
+        const isDepth = (rt.aspect & ASPECT_BITS.DEPTH) !== 0;
+        const shaderStage = COMPUTE_NODES.includes(node.type) ? STAGES.COMPUTE_SHADER : STAGES.FRAGMENT_SHADER;
+
+        switch (rel.type) {
+            case 'color_attachment':
+            case 'msaa_resolve_source':
+                return state(LAYOUTS.COLOR_ATTACHMENT, [STAGES.COLOR_ATTACHMENT_OUTPUT],
+                    [ACCESS.COLOR_ATTACHMENT_READ, ACCESS.COLOR_ATTACHMENT_WRITE], true);
+            case 'resolve_attachment':
+            case 'msaa_resolve_target':
+                return state(LAYOUTS.COLOR_ATTACHMENT, [STAGES.COLOR_ATTACHMENT_OUTPUT],
+                    [ACCESS.COLOR_ATTACHMENT_WRITE], true);
+            case 'depth_attachment':
+                return state(LAYOUTS.DEPTH_STENCIL_ATTACHMENT,
+                    [STAGES.EARLY_FRAGMENT_TESTS, STAGES.LATE_FRAGMENT_TESTS],
+                    [ACCESS.DEPTH_STENCIL_ATTACHMENT_READ, ACCESS.DEPTH_STENCIL_ATTACHMENT_WRITE], true);
+            case 'shader_binding':
+                if (rel.bindingType === 'input') {
+                    // Compute reads of non-sampled images go through storage access
+                    if (COMPUTE_NODES.includes(node.type) && !(rt.usage & USAGE_BITS.SAMPLED)) {
+                        return state(LAYOUTS.GENERAL, [shaderStage], [ACCESS.SHADER_STORAGE_READ], false);
+                    }
+                    return state(LAYOUTS.SHADER_READ_ONLY, [shaderStage], [ACCESS.SHADER_SAMPLED_READ], false);
+                }
+                return state(LAYOUTS.GENERAL, [shaderStage],
+                    rel.bindingType === 'input_output'
+                        ? [ACCESS.SHADER_STORAGE_READ, ACCESS.SHADER_STORAGE_WRITE]
+                        : [ACCESS.SHADER_STORAGE_WRITE],
+                    true);
+            case 'node_input':
+                if (BLIT_NODES.includes(node.type)) {
+                    return state(LAYOUTS.TRANSFER_SRC, [STAGES.BLIT], [ACCESS.TRANSFER_READ], false);
+                }
+                if (node.type === GENERATE_MIPS_NODE) {
+                    // Mip generation blits level N into N+1 inside the same image
+                    return state(LAYOUTS.GENERAL, [STAGES.BLIT],
+                        [ACCESS.TRANSFER_READ, ACCESS.TRANSFER_WRITE], true);
+                }
+                if (GRAPHICS_NODES.includes(node.type) || COMPUTE_NODES.includes(node.type)) {
+                    return state(LAYOUTS.SHADER_READ_ONLY, [shaderStage], [ACCESS.SHADER_SAMPLED_READ], false);
+                }
+                return state(LAYOUTS.GENERAL, [STAGES.ALL_COMMANDS], [ACCESS.MEMORY_READ], false);
+            case 'node_output':
+                if (BLIT_NODES.includes(node.type)) {
+                    return state(LAYOUTS.TRANSFER_DST, [STAGES.BLIT], [ACCESS.TRANSFER_WRITE], true);
+                }
+                if (node.type === CLEAR_NODE) {
+                    return state(LAYOUTS.TRANSFER_DST, [STAGES.CLEAR], [ACCESS.TRANSFER_WRITE], true);
+                }
+                if (COMPUTE_NODES.includes(node.type)) {
+                    return state(LAYOUTS.GENERAL, [STAGES.COMPUTE_SHADER], [ACCESS.SHADER_STORAGE_WRITE], true);
+                }
+                if (GRAPHICS_NODES.includes(node.type)) {
+                    return isDepth
+                        ? state(LAYOUTS.DEPTH_STENCIL_ATTACHMENT,
+                            [STAGES.EARLY_FRAGMENT_TESTS, STAGES.LATE_FRAGMENT_TESTS],
+                            [ACCESS.DEPTH_STENCIL_ATTACHMENT_READ, ACCESS.DEPTH_STENCIL_ATTACHMENT_WRITE], true)
+                        : state(LAYOUTS.COLOR_ATTACHMENT, [STAGES.COLOR_ATTACHMENT_OUTPUT],
+                            [ACCESS.COLOR_ATTACHMENT_WRITE], true);
+                }
+                return state(LAYOUTS.GENERAL, [STAGES.ALL_COMMANDS], [ACCESS.MEMORY_WRITE], true);
+            default:
+                return null;
+        }
+    }
+
+    function union(a, b) {
+        return [...new Set([...a, ...b])];
+    }
+
+    /**
+     * Merge all relationships a node has with an RT into one image state
+     * Conflicting layouts (e.g. sampled while attached) fall back to GENERAL
+     */
+    function resolveNodeState(rt, node, relationships) {
+        let merged = null;
+        for (const rel of relationships) {
+            const s = stateForRelationship(rel, rt, node);
+            if (!s) continue;
+            if (!merged) {
+                merged = { ...s };
+                continue;
+            }
+            merged = state(
+                merged.layout === s.layout ? merged.layout : LAYOUTS.GENERAL,
+                union(merged.stages, s.stages),
+                union(merged.access, s.access),
+                merged.write || s.write
+            );
+        }
+        return merged;
+    }
+
+    function getAspectMask(rt) {
+        const mask = [];
+        if (rt.aspect & ASPECT_BITS.COLOR) mask.push(ASPECT_NAMES.COLOR);
+        if (rt.aspect & ASPECT_BITS.DEPTH) mask.push(ASPECT_NAMES.DEPTH);
+        if (rt.aspect & ASPECT_BITS.STENCIL) mask.push(ASPECT_NAMES.STENCIL);
+        return mask;
+    }
+
+    function classifyHazard(prevWrite, currWrite) {
+        if (prevWrite && currWrite) return 'WAW';
+        if (prevWrite) return 'RAW';
+        if (currWrite) return 'WAR';
+        return null;
+    }
+
+    function orNone(list, none) {
+        return list.length > 0 ? list : [none];
+    }
+
+    /**
+     * Build the barrier plan for an analyzed graph
+     * @param {Object} renderTargets - Analyzed render targets
+     * @param {Object} nodes - Analyzed nodes
+     * @returns {Object} { nodes: per-node image states and barriers, barriers, renderTargets }
+     */
+    function buildBarrierPlan(renderTargets, nodes) {
+        const orderedNodes = Object.values(nodes)
+            .filter(n => n.executionOrder >= 0)
+            .sort((a, b) => a.executionOrder - b.executionOrder);
+
+        const planNodes = {};
+        for (const node of orderedNodes) {
+            planNodes[node.index] = {
+                nodeIndex: node.index,
+                name: node.name,
+                executionOrder: node.executionOrder,
+                renderPass: node.renderPass,
+                imageStates: [],
+                barriers: []
+            };
+        }
+
+        const barriers = [];
+        const rtSummaries = [];
+
+        for (const rt of Object.values(renderTargets)) {
+            // Image state for every node using this RT, in execution order
+            const uses = [];
+            for (const node of orderedNodes) {
+                const relationships = rt.nodeUsageTypes[node.index];
+                if (!relationships || relationships.length === 0) continue;
+                const s = resolveNodeState(rt, node, relationships);
+                if (s) uses.push({ node, state: s });
+            }
+            if (uses.length === 0) continue;
+
+            // History buffers and external inputs start the frame in the layout they ended it in
+            const persistent = !uses[0].state.write;
+            const last = uses[uses.length - 1];
+            let prev = persistent
+                ? { node: null, state: last.state, readStages: last.state.write ? [] : last.state.stages }
+                : { node: null, state: state(LAYOUTS.UNDEFINED, [], [], false), readStages: [] };
+
+            for (const use of uses) {
+                const curr = use.state;
+                const layoutChange = prev.state.layout !== curr.layout;
+                // The first use of a transient RT has nothing to synchronize with, only a transition
+                const hazard = prev.node || persistent ? classifyHazard(prev.state.write, curr.write) : null;
+
+                // Consecutive attachment use inside one render pass is synchronized by the pass itself
+                const samePass = prev.node && prev.node.renderPassIndex !== null &&
+                    prev.node.renderPassIndex === use.node.renderPassIndex;
+
+                const needsBarrier = layoutChange || (hazard !== null && !samePass);
+
+                if (needsBarrier) {
+                    // WAR only needs an execution dependency on every reader since the last write
+                    const srcStages = prev.state.write ? prev.state.stages : prev.readStages;
+                    const srcAccess = prev.state.write
+                        ? prev.state.access.filter(a => WRITE_ACCESSES.includes(a))
+                        : [];
+
+                    const barrier = {
+                        rtIndex: rt.index,
+                        rtName: rt.name,
+                        srcNodeIndex: prev.node ? prev.node.index : null,
+                        srcNodeName: prev.node ? prev.node.name : (persistent ? '<previous frame>' : null),
+                        dstNodeIndex: use.node.index,
+                        dstNodeName: use.node.name,
+                        executionOrder: use.node.executionOrder,
+                        srcStageMask: orNone(srcStages, STAGES.NONE),
+                        srcAccessMask: orNone(srcAccess, ACCESS.NONE),
+                        dstStageMask: orNone(curr.stages, STAGES.NONE),
+                        dstAccessMask: orNone(curr.access, ACCESS.NONE),
+                        oldLayout: prev.state.layout,
+                        newLayout: curr.layout,
+                        aspectMask: getAspectMask(rt),
+                        hazard: hazard,
+                        layoutTransition: layoutChange
+                    };
+                    barriers.push(barrier);
+                    planNodes[use.node.index].barriers.push(barrier);
+                }
+
+                planNodes[use.node.index].imageStates.push({
+                    rtIndex: rt.index,
+                    rtName: rt.name,
+                    layout: curr.layout,
+                    stageMask: curr.stages,
+                    accessMask: curr.access,
+                    write: curr.write
+                });
+
+                // Accumulate readers so a later write waits on all of them
+                const readStages = curr.write ? [] : union(prev.readStages, curr.stages);
+                prev = { node: use.node, state: curr, readStages };
+            }
+
+            rtSummaries.push({
+                rtIndex: rt.index,
+                name: rt.name,
+                persistent: persistent,
+                initialLayout: persistent ? last.state.layout : LAYOUTS.UNDEFINED,
+                finalLayout: last.state.layout,
+                useCount: uses.length
+            });
+        }
+
+        barriers.sort((a, b) => a.executionOrder - b.executionOrder || a.rtIndex - b.rtIndex);
+
+        return {
+            nodes: orderedNodes.map(n => planNodes[n.index]),
+            barriers,
+            renderTargets: rtSummaries
+        };
+    }
+
+    /**
+     * Serialize a barrier plan to JSON for diffing against the runtime
+     */
+    function exportBarrierPlan(plan, graphName = null) {
+        return JSON.stringify({
+            format: 'rendergraph-barrier-plan',
+            version: 1,
+            graph: graphName,
+            renderTargets: plan.renderTargets,
+            barriers: plan.barriers,
+            nodes: plan.nodes.map(n => ({
+                nodeIndex: n.nodeIndex,
+                name: n.name,
+                executionOrder: n.executionOrder,
+                imageStates: n.imageStates
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Strip the Vulkan enum prefix for compact display
+     */
+    function shortName(vkName) {
+        return vkName.replace(/^VK_(IMAGE_LAYOUT|PIPELINE_STAGE_2|ACCESS_2|IMAGE_ASPECT)_/, '').replace(/_BIT$/, '');
+    }
+
+    // Export for use by other modules
+    window.RenderGraphBarriers = {
+        LAYOUTS,
+        STAGES,
+        ACCESS,
+        buildBarrierPlan,
+        exportBarrierPlan,
+        resolveNodeState,
+        shortName
+    };
+
+})();
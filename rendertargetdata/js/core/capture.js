@@ -0,0 +1,334 @@
+// Capture module - validates a frame capture recorded by the engine against the declared graph
+// A capture lists the nodes the runtime executed in one frame, in order, with the images each bound,
+// their layouts and the barriers recorded before it:
+//   { format: 'rendergraph-frame-capture', version: 1, graph, frame, conditions: { KEY: bool },
+//     nodes: [{ name, nodeIndex, images: [{ name, layout }],
+//               barriers: [{ image, oldLayout, newLayout, srcStageMask, srcAccessMask, dstStageMask, dstAccessMask }] }] }
+// Names are the Vulkan enums of the barrier plan (see barriers.js), with or without their VK_ prefix;
+// masks are lists or '|' separated strings. Nodes without images or barriers did not record them
+
+(function() {
+    const Barriers = window.RenderGraphBarriers;
+
+    const CAPTURE_FORMAT = 'rendergraph-frame-capture';
+    const CAPTURE_VERSION = 1;
+
+    // Issue types reported by validateCapture, with their severity
+    const ISSUE_TYPES = {
+        SKIPPED_NODE: 'WARNING',
+        EXTRA_NODE: 'WARNING',
+        OUT_OF_ORDER_NODE: 'WARNING',
+        LAYOUT_MISMATCH: 'ERROR',
+        UNDECLARED_IMAGE: 'WARNING',
+        UNBOUND_IMAGE: 'INFO',
+        MISSING_BARRIER: 'ERROR',
+        BARRIER_MISMATCH: 'WARNING',
+        EXTRA_BARRIER: 'INFO'
+    };
+
+    const PREFIXES = {
+        layout: 'VK_IMAGE_LAYOUT_',
+        stage: 'VK_PIPELINE_STAGE_2_',
+        access: 'VK_ACCESS_2_'
+    };
+
+    function isCapture(data) {
+        return !!data && data.format === CAPTURE_FORMAT && Array.isArray(data.nodes);
+    }
+
+    // Full Vulkan enum name, e.g. COLOR_ATTACHMENT_OPTIMAL -> VK_IMAGE_LAYOUT_COLOR_ATTACHMENT_OPTIMAL
+    function normalizeEnum(value, kind) {
+        const name = String(value).trim().toUpperCase();
+        if (name.startsWith('VK_')) return name;
+        return PREFIXES[kind] + (kind !== 'layout' && !name.endsWith('_BIT') && name !== 'NONE' ? `${name}_BIT` : name);
+    }
+
+    function normalizeMask(value, kind, label) {
+        if (value === undefined || value === null) return null;
+        const list = typeof value === 'string' ? value.split('|') : value;
+        if (!Array.isArray(list)) {
+            throw new Error(`${label} must be a list or a '|' separated string`);
+        }
+        return list.map(entry => String(entry).trim()).filter(Boolean).map(entry => normalizeEnum(entry, kind));
+    }
+
+    /**
+     * Validate a capture and normalize its enum names
+     * @returns {Object} { graph, frame, conditions, nodes: [{ position, name, nodeIndex, images, barriers }] }
+     *                   images and barriers are null when the node did not record them
+     * @throws {Error} When the data is not a capture or an entry has the wrong shape
+     */
+    function parseCapture(data) {
+        if (!isCapture(data)) {
+            throw new Error(`Not a frame capture (expected format '${CAPTURE_FORMAT}' and a nodes list)`);
+        }
+        if (data.version > CAPTURE_VERSION) {
+            throw new Error(`Capture version ${data.version} is newer than this viewer supports (${CAPTURE_VERSION})`);
+        }
+        if (data.conditions !== undefined && (typeof data.conditions !== 'object' || Array.isArray(data.conditions))) {
+            throw new Error('conditions must map condition keys to booleans');
+        }
+
+        const nodes = data.nodes.map((entry, position) => {
+            const label = `nodes[${position}]`;
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`${label} must be an object`);
+            }
+            if (typeof entry.name !== 'string' && !Number.isInteger(entry.nodeIndex)) {
+                throw new Error(`${label} needs a name or a nodeIndex`);
+            }
+
+            let images = null;
+            if (entry.images !== undefined) {
+                if (!Array.isArray(entry.images)) throw new Error(`${label}.images must be a list`);
+                images = entry.images.map((image, i) => {
+                    if (!image || typeof image.name !== 'string') {
+                        throw new Error(`${label}.images[${i}] needs a name`);
+                    }
+                    return { name: image.name, layout: image.layout ? normalizeEnum(image.layout, 'layout') : null };
+                });
+            }
+
+            let barriers = null;
+            if (entry.barriers !== undefined) {
+                if (!Array.isArray(entry.barriers)) throw new Error(`${label}.barriers must be a list`);
+                barriers = entry.barriers.map((barrier, i) => {
+                    const barrierLabel = `${label}.barriers[${i}]`;
+                    if (!barrier || typeof barrier.image !== 'string') {
+                        throw new Error(`${barrierLabel} needs an image`);
+                    }
+                    return {
+                        image: barrier.image,
+                        oldLayout: barrier.oldLayout ? normalizeEnum(barrier.oldLayout, 'layout') : null,
+                        newLayout: barrier.newLayout ? normalizeEnum(barrier.newLayout, 'layout') : null,
+                        srcStageMask: normalizeMask(barrier.srcStageMask, 'stage', `${barrierLabel}.srcStageMask`),
+                        srcAccessMask: normalizeMask(barrier.srcAccessMask, 'access', `${barrierLabel}.srcAccessMask`),
+                        dstStageMask: normalizeMask(barrier.dstStageMask, 'stage', `${barrierLabel}.dstStageMask`),
+                        dstAccessMask: normalizeMask(barrier.dstAccessMask, 'access', `${barrierLabel}.dstAccessMask`)
+                    };
+                });
+            }
+
+            return {
+                position,
+                name: typeof entry.name === 'string' ? entry.name : null,
+                nodeIndex: Number.isInteger(entry.nodeIndex) ? entry.nodeIndex : null,
+                images,
+                barriers
+            };
+        });
+
+        return {
+            graph: data.graph ?? null,
+            frame: data.frame ?? null,
+            conditions: data.conditions || null,
+            nodes
+        };
+    }
+
+    /**
+     * Pair the captured nodes with the scheduled nodes of the barrier plan
+     * Nodes are matched by name, the index telling apart nodes sharing a name; captured nodes without a
+     * name are matched by index only. Among candidates the first one not yet matched wins
+     * @returns {Array} { captured, declared } pairs in capture order, then the skipped declared nodes;
+     *                  either side is null for extra or skipped nodes
+     */
+    function alignCapture(capture, plan) {
+        const matched = new Set();
+        const pairs = capture.nodes.map(captured => {
+            const candidates = plan.nodes.filter(node => !matched.has(node.nodeIndex) &&
+                (captured.name !== null ? node.name === captured.name : node.nodeIndex === captured.nodeIndex));
+            const declared = candidates.find(node => node.nodeIndex === captured.nodeIndex) || candidates[0] || null;
+            if (declared) matched.add(declared.nodeIndex);
+            return { captured, declared };
+        });
+
+        plan.nodes
+            .filter(node => !matched.has(node.nodeIndex))
+            .forEach(declared => pairs.push({ captured: null, declared }));
+
+        return pairs;
+    }
+
+    function missingFrom(expected, actual) {
+        return actual ? expected.filter(entry => !actual.includes(entry)) : [];
+    }
+
+    /**
+     * Compare a capture with the graph it was recorded from
+     * @param {Object} capture - Output of parseCapture
+     * @param {Object} analyzed - { renderTargets, nodes } from the analyzer, with the capture's conditions applied
+     * @returns {Object} { plan, pairs, issues, summary: { captured, declared, matched, skipped, extra } }
+     */
+    function validateCapture(capture, analyzed) {
+        const plan = Barriers.buildBarrierPlan(analyzed.renderTargets, analyzed.nodes);
+        const pairs = alignCapture(capture, plan);
+        const issues = [];
+        const short = Barriers.shortName;
+
+        const addIssue = (type, message, details) => {
+            issues.push({ severity: ISSUE_TYPES[type], type, message, details });
+        };
+
+        const nodeDetails = (captured, declared) => ({
+            node_index: declared ? declared.nodeIndex : captured.nodeIndex,
+            node_name: declared ? declared.name : captured.name,
+            capture_position: captured ? captured.position : null,
+            execution_order: declared ? declared.executionOrder : null
+        });
+
+        let lastOrder = -1;
+        let lastName = null;
+        for (const { captured, declared } of pairs) {
+            if (!declared) {
+                const label = captured.name !== null ? `'${captured.name}'` : `#${captured.nodeIndex}`;
+                const unscheduled = Object.values(analyzed.nodes).find(node =>
+                    captured.name !== null ? node.name === captured.name : node.index === captured.nodeIndex);
+                addIssue('EXTRA_NODE', unscheduled
+                    ? `Node ${label} ran at capture position ${captured.position} but is not scheduled by the graph`
+                    : `Node ${label} ran at capture position ${captured.position} but is not declared in the graph`,
+                nodeDetails(captured, null));
+                continue;
+            }
+
+            if (!captured) {
+                // Nodes touching no image, like viewports, may not show up in a capture at all
+                const idle = declared.imageStates.length === 0;
+                issues.push({
+                    severity: idle ? 'INFO' : ISSUE_TYPES.SKIPPED_NODE,
+                    type: 'SKIPPED_NODE',
+                    message: `Node '${declared.name}' (execution order ${declared.executionOrder}) did not run in the capture` +
+                        (idle ? ', it uses no render target' : ''),
+                    details: nodeDetails(null, declared)
+                });
+                continue;
+            }
+
+            const details = nodeDetails(captured, declared);
+            if (declared.executionOrder < lastOrder) {
+                addIssue('OUT_OF_ORDER_NODE',
+                    `Node '${declared.name}' ran after '${lastName}' although the graph schedules it before`, details);
+            } else {
+                lastOrder = declared.executionOrder;
+                lastName = declared.name;
+            }
+
+            if (captured.images) {
+                for (const image of captured.images) {
+                    const state = declared.imageStates.find(s => s.rtName === image.name);
+                    if (!state) {
+                        addIssue('UNDECLARED_IMAGE',
+                            `Node '${declared.name}' bound '${image.name}', which the graph does not declare for it`,
+                            { ...details, render_target_name: image.name, captured_layout: image.layout });
+                    } else if (image.layout && image.layout !== state.layout) {
+                        addIssue('LAYOUT_MISMATCH',
+                            `Node '${declared.name}' used '${image.name}' in ${short(image.layout)} instead of ${short(state.layout)}`,
+                            { ...details, render_target_name: image.name, declared_layout: state.layout, captured_layout: image.layout });
+                    }
+                }
+                declared.imageStates
+                    .filter(state => !captured.images.some(image => image.name === state.rtName))
+                    .forEach(state => addIssue('UNBOUND_IMAGE',
+                        `Node '${declared.name}' did not bind '${state.rtName}', declared in ${short(state.layout)}`,
+                        { ...details, render_target_name: state.rtName, declared_layout: state.layout }));
+            }
+
+            if (captured.barriers) {
+                for (const expected of declared.barriers) {
+                    const barrier = captured.barriers.find(b => b.image === expected.rtName);
+                    const barrierDetails = {
+                        ...details,
+                        render_target_name: expected.rtName,
+                        declared_old_layout: expected.oldLayout,
+                        declared_new_layout: expected.newLayout
+                    };
+                    if (!barrier) {
+                        addIssue('MISSING_BARRIER',
+                            `No barrier on '${expected.rtName}' before '${declared.name}' ` +
+                            `(${expected.hazard || 'layout transition'}, ${short(expected.oldLayout)} → ${short(expected.newLayout)})`,
+                            barrierDetails);
+                        continue;
+                    }
+
+                    const differences = [];
+                    if (barrier.oldLayout && barrier.oldLayout !== expected.oldLayout && expected.oldLayout !== Barriers.LAYOUTS.UNDEFINED) {
+                        differences.push(`old layout ${short(barrier.oldLayout)} instead of ${short(expected.oldLayout)}`);
+                    }
+                    if (barrier.newLayout && barrier.newLayout !== expected.newLayout) {
+                        differences.push(`new layout ${short(barrier.newLayout)} instead of ${short(expected.newLayout)}`);
+                    }
+                    // Broader masks only over-synchronize; the declared stages and accesses must all be covered
+                    const missing = {
+                        srcStageMask: missingFrom(expected.srcStageMask, barrier.srcStageMask),
+                        srcAccessMask: missingFrom(expected.srcAccessMask, barrier.srcAccessMask),
+                        dstStageMask: missingFrom(expected.dstStageMask, barrier.dstStageMask),
+                        dstAccessMask: missingFrom(expected.dstAccessMask, barrier.dstAccessMask)
+                    };
+                    for (const [mask, entries] of Object.entries(missing)) {
+                        const uncovered = entries.filter(entry => entry !== Barriers.STAGES.NONE && entry !== Barriers.ACCESS.NONE);
+                        if (uncovered.length > 0) differences.push(`${mask} lacks ${uncovered.map(short).join(' | ')}`);
+                    }
+
+                    if (differences.length > 0) {
+                        addIssue('BARRIER_MISMATCH',
+                            `Barrier on '${expected.rtName}' before '${declared.name}': ${differences.join('; ')}`,
+                            { ...barrierDetails, captured_old_layout: barrier.oldLayout, captured_new_layout: barrier.newLayout });
+                    }
+                }
+
+                captured.barriers
+                    .filter(barrier => !declared.barriers.some(expected => expected.rtName === barrier.image))
+                    .forEach(barrier => addIssue('EXTRA_BARRIER',
+                        `Barrier on '${barrier.image}' before '${declared.name}' is not required by the graph`,
+                        { ...details, render_target_name: barrier.image, captured_old_layout: barrier.oldLayout, captured_new_layout: barrier.newLayout }));
+            }
+        }
+
+        return {
+            plan,
+            pairs,
+            issues,
+            summary: {
+                captured: capture.nodes.length,
+                declared: plan.nodes.length,
+                matched: pairs.filter(pair => pair.captured && pair.declared).length,
+                skipped: pairs.filter(pair => !pair.captured).length,
+                extra: pairs.filter(pair => !pair.declared).length
+            }
+        };
+    }
+
+    /**
+     * Serialize a validation result for CI or bug reports
+     */
+    function exportReport(result, capture, graphName = null) {
+        return JSON.stringify({
+            format: 'rendergraph-capture-report',
+            version: CAPTURE_VERSION,
+            graph: graphName,
+            frame: capture.frame,
+            summary: result.summary,
+            alignment: result.pairs.map(({ captured, declared }) => ({
+                capturePosition: captured ? captured.position : null,
+                name: declared ? declared.name : captured.name,
+                nodeIndex: declared ? declared.nodeIndex : captured.nodeIndex,
+                executionOrder: declared ? declared.executionOrder : null
+            })),
+            issues: result.issues
+        }, null, 2);
+    }
+
+    // Export for use by other modules
+    window.RenderGraphCapture = {
+        CAPTURE_FORMAT,
+        CAPTURE_VERSION,
+        ISSUE_TYPES,
+        isCapture,
+        normalizeEnum,
+        parseCapture,
+        alignCapture,
+        validateCapture,
+        exportReport
+    };
+
+})();
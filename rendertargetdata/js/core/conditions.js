@@ -0,0 +1,99 @@
+// Conditions module - simulates a permutation of the render graph
+// Nodes and passes carry condition keys; a leading '!' means "only when the key is off"
+
+(function() {
+
+    /**
+     * Split a condition into its key and negation
+     * @param {string} condition - Condition as written in the graph (e.g. "SSAO" or "!MSAA")
+     * @returns {Object} { key, negated }
+     */
+    function parseCondition(condition) {
+        const text = String(condition).trim();
+        return text.startsWith('!')
+            ? { key: text.slice(1).trim(), negated: true }
+            : { key: text, negated: false };
+    }
+
+    /**
+     * Collect every distinct condition key used by nodes and render passes
+     * @param {Object} nodes - Parsed nodes
+     * @param {Object} renderPasses - Parsed render passes
+     * @returns {Array} Sorted condition keys
+     */
+    function collectConditionKeys(nodes, renderPasses) {
+        const keys = new Set();
+        for (const entity of [...Object.values(nodes), ...Object.values(renderPasses)]) {
+            (entity.conditions || []).forEach(cond => keys.add(parseCondition(cond).key));
+        }
+        return [...keys].sort();
+    }
+
+    /**
+     * Check whether a list of conditions holds for a set of toggles
+     * Keys missing from the toggles are treated as enabled
+     * @param {Array} conditions - Conditions of a node or render pass
+     * @param {Object} activeConditions - Map of condition key to boolean
+     */
+    function isActive(conditions, activeConditions) {
+        return (conditions || []).every(cond => {
+            const { key, negated } = parseCondition(cond);
+            const enabled = activeConditions[key] !== false;
+            return negated ? !enabled : enabled;
+        });
+    }
+
+    /**
+     * Remove inactive nodes and render passes from parsed render graph data
+     * Must run before analysis; render targets are kept so their indices stay valid
+     * @param {Object} parsed - Output of parseRawRenderGraph (modified in place)
+     * @param {Object} activeConditions - Map of condition key to boolean
+     * @returns {Object} { removedNodes, removedRenderPasses } as index arrays
+     */
+    function applyConditions(parsed, activeConditions) {
+        const removedNodes = [];
+        const removedRenderPasses = [];
+
+        // A pass whose conditions fail takes all of its nodes with it
+        for (const [rpIdx, rp] of Object.entries(parsed.renderPasses)) {
+            if (!isActive(rp.conditions, activeConditions)) {
+                removedRenderPasses.push(parseInt(rpIdx));
+                delete parsed.renderPasses[rpIdx];
+            }
+        }
+
+        for (const [nodeIdx, node] of Object.entries(parsed.nodes)) {
+            const passRemoved = node.renderPassIndex !== null &&
+                removedRenderPasses.includes(node.renderPassIndex);
+            if (passRemoved || !isActive(node.conditions, activeConditions)) {
+                removedNodes.push(parseInt(nodeIdx));
+                delete parsed.nodes[nodeIdx];
+            }
+        }
+
+        // Drop references to removed nodes from the remaining passes and the graph order
+        // A pass left without any of its nodes is not recorded at all
+        for (const [rpIdx, rp] of Object.entries(parsed.renderPasses)) {
+            const remaining = rp.nodeIndices.filter(idx => idx in parsed.nodes);
+            if (rp.nodeIndices.length > 0 && remaining.length === 0) {
+                removedRenderPasses.push(parseInt(rpIdx));
+                delete parsed.renderPasses[rpIdx];
+            } else {
+                rp.nodeIndices = remaining;
+            }
+        }
+        parsed.graphOrder = parsed.graphOrder.filter(entry =>
+            !Array.isArray(entry) || entry.length < 2 || entry[1] in parsed.nodes);
+
+        return { removedNodes, removedRenderPasses };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphConditions = {
+        parseCondition,
+        collectConditionKeys,
+        isActive,
+        applyConditions
+    };
+
+})();
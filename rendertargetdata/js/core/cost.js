@@ -0,0 +1,297 @@
+// Cost module - a simple configurable model of the bandwidth and ALU weight of nodes and render passes
+// It only ranks the work of a graph, to point at its expensive part before profiling on hardware:
+//   - raster nodes shade the extent of their pass (times a coverage factor) and touch every render
+//     target they read or write once per shaded pixel
+//   - compute nodes run the invocations of their declared dispatch and touch at most one texel of every
+//     bound render target per invocation; without a dispatch size one invocation per written texel is assumed
+//   - blits read the source and write the destination, mip generation reads and writes the mip chain,
+//     clears write the whole target
+// The weight combines both: ALU operations plus bytes times the bandwidth cost of the model
+
+(function() {
+    const Memory = window.RenderGraphMemory;
+    const Schemas = window.RenderGraphSchemas;
+    const Hazards = window.RenderGraphHazards;
+
+    const METHODS = ['raster', 'compute', 'blit', 'mips', 'clear', 'none'];
+
+    const DEFAULT_MODEL = {
+        // ALU operations one byte of render target traffic is worth in the weight
+        bandwidthCost: 4,
+        // Threads per workgroup of compute nodes without a groupSize
+        defaultGroupSize: [8, 8, 1],
+        // Per node type: the estimation method, ALU operations per pixel, invocation or texel written,
+        // and for raster nodes the fraction of the pass extent they shade
+        nodeTypes: {
+            0: { method: 'none', alu: 0 },
+            1: { method: 'raster', alu: 64, coverage: 1 },
+            2: { method: 'raster', alu: 64, coverage: 1 },
+            3: { method: 'compute', alu: 32 },
+            4: { method: 'blit', alu: 2 },
+            5: { method: 'blit', alu: 2 },
+            8: { method: 'raster', alu: 32, coverage: 1 },
+            9: { method: 'mips', alu: 4 },
+            13: { method: 'clear', alu: 0 },
+            15: { method: 'clear', alu: 0 },
+            16: { method: 'raster', alu: 4, coverage: 0.1 },
+            17: { method: 'compute', alu: 32 }
+        }
+    };
+
+    // Unknown node types are not counted
+    const FALLBACK_TYPE = { method: 'none', alu: 0 };
+
+    function createModel() {
+        return normalizeModel(DEFAULT_MODEL);
+    }
+
+    /**
+     * Validate a cost model, filling in what it leaves out from the default one
+     * @throws {Error} When a value is invalid
+     */
+    function normalizeModel(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Cost model must be an object');
+        }
+
+        const nonNegative = (value, name) => {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                throw new Error(`${name} must be a non-negative number`);
+            }
+            return value;
+        };
+
+        const model = {
+            bandwidthCost: nonNegative(data.bandwidthCost ?? DEFAULT_MODEL.bandwidthCost, 'bandwidthCost'),
+            defaultGroupSize: DEFAULT_MODEL.defaultGroupSize,
+            nodeTypes: {}
+        };
+
+        if (data.defaultGroupSize !== undefined) {
+            const size = Schemas.decodeDispatch(data.defaultGroupSize);
+            if (!size) throw new Error('defaultGroupSize must be 1 to 3 positive integers');
+            model.defaultGroupSize = [size.x, size.y, size.z];
+        }
+
+        const types = { ...DEFAULT_MODEL.nodeTypes, ...(data.nodeTypes || {}) };
+        for (const [type, entry] of Object.entries(types)) {
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`nodeTypes.${type} must be an object`);
+            }
+            const defaults = DEFAULT_MODEL.nodeTypes[type] || FALLBACK_TYPE;
+            const method = entry.method ?? defaults.method;
+            if (!METHODS.includes(method)) {
+                throw new Error(`nodeTypes.${type}.method must be one of ${METHODS.join(', ')}`);
+            }
+
+            model.nodeTypes[type] = {
+                method,
+                alu: nonNegative(entry.alu ?? defaults.alu, `nodeTypes.${type}.alu`)
+            };
+            if (method === 'raster') {
+                model.nodeTypes[type].coverage = nonNegative(entry.coverage ?? defaults.coverage ?? 1, `nodeTypes.${type}.coverage`);
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * Render targets a node reads and writes, with their memory estimate
+     */
+    function getTouchedTargets(node, renderTargets, targets) {
+        return Object.values(renderTargets)
+            .map(rt => {
+                const accesses = Hazards.getAccesses(rt, node);
+                if (accesses.length === 0) return null;
+                const target = targets[rt.index];
+                const texels = target.width * target.height * target.depth;
+                return {
+                    rt,
+                    target,
+                    texels,
+                    // Bytes of one texel with all its samples
+                    texelBytes: texels > 0 ? target.mips[0].bytes / texels : 0,
+                    reads: accesses.some(a => a.read),
+                    writes: accesses.some(a => a.write)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    // Number of times a render target is touched: once to read, once to write
+    function accessCount(touched) {
+        return (touched.reads ? 1 : 0) + (touched.writes ? 1 : 0);
+    }
+
+    /**
+     * Extent a raster node shades: its pass's first attachment, else the output resolution
+     */
+    function getRasterExtent(node, renderPasses, renderTargets, targets, resolution) {
+        const rp = node.renderPassIndex !== null ? renderPasses[node.renderPassIndex] : null;
+        const attachment = rp
+            ? [...rp.colorAttachmentIndices, rp.depthAttachmentIndex].find(idx => idx !== null && idx in renderTargets)
+            : undefined;
+        if (attachment !== undefined) {
+            return { width: targets[attachment].width, height: targets[attachment].height };
+        }
+        return { width: resolution.width, height: resolution.height };
+    }
+
+    /**
+     * Estimate the cost of one node
+     * @returns {Object} { method, pixels, invocations, bytes, alu, assumed } - assumed when the
+     *                   estimate had to guess the amount of work
+     */
+    function estimateNodeCost(node, analyzed, targets, model, resolution) {
+        const { renderTargets, renderPasses } = analyzed;
+        const config = model.nodeTypes[node.type] || FALLBACK_TYPE;
+        const touched = getTouchedTargets(node, renderTargets, targets);
+        const cost = { method: config.method, pixels: 0, invocations: 0, bytes: 0, alu: 0, assumed: false };
+
+        switch (config.method) {
+            case 'raster': {
+                const extent = getRasterExtent(node, renderPasses, renderTargets, targets, resolution);
+                cost.pixels = Math.round(extent.width * extent.height * config.coverage);
+                cost.bytes = config.coverage * touched.reduce((sum, t) => sum + t.target.mips[0].bytes * accessCount(t), 0);
+                cost.alu = cost.pixels * config.alu;
+                break;
+            }
+            case 'compute': {
+                const data = node.dataJson || {};
+                const dispatch = Schemas.decodeDispatch(data.dispatchSize);
+                const group = Schemas.decodeDispatch(data.groupSize) || Schemas.decodeDispatch(model.defaultGroupSize);
+                if (dispatch) {
+                    cost.invocations = dispatch.total * group.total;
+                } else {
+                    cost.invocations = touched.filter(t => t.writes).reduce((max, t) => Math.max(max, t.texels), 0);
+                    cost.assumed = true;
+                }
+                cost.bytes = touched.reduce((sum, t) =>
+                    sum + Math.min(t.texels, cost.invocations) * t.texelBytes * accessCount(t), 0);
+                cost.alu = cost.invocations * config.alu;
+                break;
+            }
+            case 'blit':
+                cost.bytes = touched.reduce((sum, t) => sum + t.target.mips[0].bytes * accessCount(t), 0);
+                cost.alu = touched.filter(t => t.writes).reduce((sum, t) => sum + t.texels, 0) * config.alu;
+                break;
+            case 'mips':
+                // Every level is read to write the next one
+                touched.forEach(t => {
+                    const levels = t.target.mips;
+                    for (let level = 1; level < levels.length; level++) {
+                        cost.bytes += levels[level - 1].bytes + levels[level].bytes;
+                        cost.alu += levels[level].width * levels[level].height * levels[level].depth * config.alu;
+                    }
+                });
+                break;
+            case 'clear':
+                cost.bytes = touched.filter(t => t.writes).reduce((sum, t) => sum + t.target.bytes, 0);
+                cost.alu = touched.filter(t => t.writes).reduce((sum, t) => sum + t.texels, 0) * config.alu;
+                break;
+        }
+
+        return cost;
+    }
+
+    /**
+     * Estimate the cost of every node and render pass of a graph
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses } from the analyzer
+     * @param {Object} options - { model, resolution }
+     * @returns {Object} { model, resolution, nodes (execution order), passes, totals: { bytes, alu, weight },
+     *                     maxNodeWeight }
+     */
+    function estimateCosts(analyzed, options = {}) {
+        const model = options.model || createModel();
+        const resolution = options.resolution || Memory.DEFAULT_RESOLUTION;
+
+        const targets = {};
+        for (const rt of Object.values(analyzed.renderTargets)) {
+            targets[rt.index] = Memory.estimateRenderTargetMemory(rt, resolution);
+        }
+
+        const nodes = Object.values(analyzed.nodes)
+            .filter(node => node.executionOrder >= 0)
+            .sort((a, b) => a.executionOrder - b.executionOrder)
+            .map(node => {
+                const cost = estimateNodeCost(node, analyzed, targets, model, resolution);
+                return {
+                    index: node.index,
+                    name: node.name,
+                    typeName: node.getTypeName(),
+                    executionOrder: node.executionOrder,
+                    renderPassIndex: node.renderPassIndex,
+                    ...cost,
+                    weight: cost.alu + cost.bytes * model.bandwidthCost
+                };
+            });
+
+        const totals = {
+            bytes: nodes.reduce((sum, n) => sum + n.bytes, 0),
+            alu: nodes.reduce((sum, n) => sum + n.alu, 0),
+            weight: nodes.reduce((sum, n) => sum + n.weight, 0)
+        };
+        nodes.forEach(n => { n.share = totals.weight > 0 ? n.weight / totals.weight : 0; });
+
+        const passes = Object.values(analyzed.renderPasses)
+            .map(rp => {
+                const members = nodes.filter(n => n.renderPassIndex === rp.index);
+                const weight = members.reduce((sum, n) => sum + n.weight, 0);
+                return {
+                    index: rp.index,
+                    name: rp.name,
+                    nodeIndices: members.map(n => n.index),
+                    bytes: members.reduce((sum, n) => sum + n.bytes, 0),
+                    alu: members.reduce((sum, n) => sum + n.alu, 0),
+                    weight,
+                    share: totals.weight > 0 ? weight / totals.weight : 0
+                };
+            })
+            .filter(pass => pass.nodeIndices.length > 0);
+
+        return {
+            model,
+            resolution,
+            nodes,
+            passes,
+            totals,
+            maxNodeWeight: nodes.reduce((max, n) => Math.max(max, n.weight), 0)
+        };
+    }
+
+    /**
+     * Format an operation count with a metric suffix
+     */
+    function formatOps(ops) {
+        const units = ['', 'K', 'M', 'G', 'T'];
+        let value = ops;
+        let unit = 0;
+        while (value >= 1000 && unit < units.length - 1) {
+            value /= 1000;
+            unit++;
+        }
+        return `${unit === 0 ? Math.round(value) : value.toFixed(2)}${units[unit]}`;
+    }
+
+    /**
+     * Heat colour for a weight relative to the heaviest one, from cool blue to hot red
+     */
+    function heatColor(weight, maxWeight) {
+        const heat = maxWeight > 0 ? Math.min(1, weight / maxWeight) : 0;
+        return `hsla(${Math.round(220 - heat * 220)}, 75%, 50%, ${(0.15 + heat * 0.7).toFixed(2)})`;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphCost = {
+        METHODS,
+        DEFAULT_MODEL,
+        createModel,
+        normalizeModel,
+        estimateNodeCost,
+        estimateCosts,
+        formatOps,
+        heatColor
+    };
+
+})();
@@ -2,7 +2,12 @@
 // Port of Python debugger.py to JavaScript
 
 (function() {
-    const { USAGE_BITS, ASPECT_BITS, NODE_TYPES, FORMAT_MAP, BINDING_RANGES } = window.RenderGraphConstants;
+    const { USAGE_BITS, ASPECT_BITS, NODE_TYPES } = window.RenderGraphConstants;
+    const Formats = window.RenderGraphFormats;
+    const Schemas = window.RenderGraphSchemas;
+    const { formatBytes } = window.RenderGraphMemory;
+    const Merging = window.RenderGraphMerging;
+    const Hazards = window.RenderGraphHazards;
 
     // Node type constants for readability (matching Python debugger.py)
     const VIEWPORT_NODE = 0;
@@ -18,10 +23,6 @@
     const DEBUG_DRAW_NODE = 16;
     const COMPUTE_DISPATCH_NODE = 17;
 
-    // Format categories for validation
-    const COLOR_FORMATS = [37, 44, 76, 91, 97, 109, 122]; // R8, R16G16, R16, RGBA16F, RGB10A2, RGBA8, RGBA16F
-    const DEPTH_FORMATS = [124, 126, 130]; // D16, D24S8, D32F
-
     // System render target indices to ignore
     const SYSTEM_RT_INDICES = [4294967276, 4294967279, 4294967278, 4294967277];
 
@@ -51,42 +52,211 @@
         "lod": ["mip"]
     };
 
+    // Names of all checks run by runAllChecks, in execution order
+    const CHECK_NAMES = [
+        'checkUnusedRenderTargets',
+        'checkIncompleteChains',
+        'checkUnusedNodes',
+        'checkRenderPassConsistency',
+        'checkFormatCompatibility',
+        'checkMissingReferences',
+        'checkRenderTargetFormatCompatibility',
+        'checkRenderTargetUsageFlags',
+        'checkRenderPassSampleCountConsistency',
+        'checkNodeIOValidity',
+        'checkRTMemoryRequirements',
+        'checkMSAAResolveCompatibility',
+        'checkRenderTargetLifetime',
+        'checkResourceBarriers',
+        'checkMipmapGeneration',
+        'checkResourceAliasingOpportunities',
+        'checkShaderBindingNamingConsistency',
+        'checkNodeDataSchemas',
+        'checkRenderPassMergeOpportunities',
+        'checkReadWriteHazards'
+    ];
+
+    // Report metadata for each check: a title, what it verifies and the issue types it reports
+    // with their default severity (used for SARIF rules and JUnit test cases)
+    const CHECK_INFO = {
+        checkUnusedRenderTargets: {
+            title: 'Unused render targets',
+            description: 'Render targets that are declared but never read or written by any node.',
+            issueTypes: { UNUSED_RENDER_TARGET: 'WARNING' }
+        },
+        checkIncompleteChains: {
+            title: 'Incomplete producer/consumer chains',
+            description: 'Render targets that are written but never read, or read but never written.',
+            issueTypes: { WRITE_ONLY_RENDER_TARGET: 'WARNING', READ_ONLY_RENDER_TARGET: 'ERROR' }
+        },
+        checkUnusedNodes: {
+            title: 'Isolated nodes',
+            description: 'Nodes that are not connected to any render target.',
+            issueTypes: { ISOLATED_NODE: 'WARNING' }
+        },
+        checkRenderPassConsistency: {
+            title: 'Render pass consistency',
+            description: 'Render pass attachments must exist and carry the usage and aspect flags of their role, and passes must contain valid nodes.',
+            issueTypes: {
+                INVALID_COLOR_ATTACHMENT: 'ERROR', INVALID_DEPTH_ATTACHMENT: 'ERROR', INVALID_RESOLVE_ATTACHMENT: 'ERROR',
+                INVALID_RT_USAGE_FLAG: 'ERROR', INVALID_RT_ASPECT_FLAG: 'ERROR', INVALID_RESOLVE_SAMPLE_COUNT: 'ERROR',
+                EMPTY_RENDER_PASS: 'WARNING', INVALID_RENDER_PASS_NODE: 'ERROR'
+            }
+        },
+        checkFormatCompatibility: {
+            title: 'Blit format compatibility',
+            description: 'Blit sources and destinations must have formats and sample counts the blit can convert between.',
+            issueTypes: { FORMAT_MISMATCH: 'ERROR', BLIT_FORMAT_CONVERSION: 'INFO', SAMPLE_COUNT_MISMATCH: 'ERROR' }
+        },
+        checkMissingReferences: {
+            title: 'Missing references',
+            description: 'Nodes must only reference render targets that exist.',
+            issueTypes: { MISSING_RENDER_TARGET: 'ERROR' }
+        },
+        checkRenderTargetFormatCompatibility: {
+            title: 'Render target formats',
+            description: 'Render target formats must support the way the target is used: color or depth attachment, storage image.',
+            issueTypes: {
+                UNKNOWN_FORMAT: 'WARNING', INVALID_COLOR_FORMAT: 'ERROR', INVALID_DEPTH_FORMAT: 'ERROR',
+                UNSUPPORTED_STORAGE_FORMAT: 'WARNING', EXTENDED_STORAGE_FORMAT: 'INFO'
+            }
+        },
+        checkRenderTargetUsageFlags: {
+            title: 'Render target usage flags',
+            description: 'Render targets read by shaders need SAMPLED or STORAGE usage, targets written by compute need STORAGE.',
+            issueTypes: { MISSING_SAMPLED_FLAG: 'ERROR', MISSING_STORAGE_FLAG: 'ERROR' }
+        },
+        checkRenderPassSampleCountConsistency: {
+            title: 'Render pass sample counts',
+            description: 'Attachments of a render pass must share a sample count and resolve targets must be single-sampled.',
+            issueTypes: {
+                SAMPLE_COUNT_MISMATCH: 'ERROR', INVALID_RESOLVE_SAMPLE_COUNT: 'ERROR',
+                MISMATCHED_RESOLVE_ATTACHMENTS: 'ERROR', POTENTIAL_TRANSIENT_OPTIMIZATION: 'INFO'
+            }
+        },
+        checkNodeIOValidity: {
+            title: 'Node inputs and outputs',
+            description: 'Nodes must have the inputs and outputs their type requires.',
+            issueTypes: {
+                INVALID_NODE_INPUTS: 'ERROR', INVALID_NODE_OUTPUTS: 'ERROR',
+                UNEXPECTED_NODE_INPUTS: 'WARNING', MISSING_COMPUTE_STORAGE_FLAG: 'ERROR'
+            }
+        },
+        checkRTMemoryRequirements: {
+            title: 'Render target memory',
+            description: 'Transient usage and resolution scaling of render targets.',
+            issueTypes: { MISSING_TRANSIENT_FLAG: 'INFO', INVALID_TRANSIENT_USAGE: 'ERROR', INCONSISTENT_RT_SCALING: 'WARNING' }
+        },
+        checkMSAAResolveCompatibility: {
+            title: 'MSAA resolve compatibility',
+            description: 'Multisampled attachments and their resolve targets must match in format and have valid sample counts.',
+            issueTypes: {
+                INVALID_COLOR_ATTACHMENT: 'ERROR', INVALID_RESOLVE_ATTACHMENT: 'ERROR', MSAA_RESOLVE_FORMAT_MISMATCH: 'ERROR',
+                INVALID_MSAA_SAMPLE_COUNT: 'ERROR', INVALID_RESOLVE_SAMPLE_COUNT: 'ERROR'
+            }
+        },
+        checkRenderTargetLifetime: {
+            title: 'Render target lifetimes',
+            description: 'Render targets must be written before they are first read.',
+            issueTypes: { INVALID_FIRST_USAGE: 'ERROR', INVALID_LAST_USAGE: 'ERROR', READ_BEFORE_WRITE: 'ERROR' }
+        },
+        checkResourceBarriers: {
+            title: 'Resource barriers',
+            description: 'Usage changes of a render target between nodes need a barrier.',
+            issueTypes: { MISSING_RESOURCE_BARRIER: 'WARNING' }
+        },
+        checkMipmapGeneration: {
+            title: 'Mipmap generation',
+            description: 'Render targets with mip levels need their mips generated before they are read.',
+            issueTypes: { MISSING_MIPMAP_GENERATION: 'WARNING', INVALID_MIPMAP_GENERATION_ORDER: 'ERROR' }
+        },
+        checkResourceAliasingOpportunities: {
+            title: 'Aliasing opportunities',
+            description: 'Compatible render targets with disjoint lifetimes that could share memory.',
+            issueTypes: { ALIASING_OPPORTUNITY: 'INFO' }
+        },
+        checkShaderBindingNamingConsistency: {
+            title: 'Shader binding naming',
+            description: 'Shader binding names should match the meaning and coordinate space of the render targets bound to them.',
+            issueTypes: { SEMANTIC_MISMATCH: 'ERROR', COORDINATE_SPACE_MISMATCH: 'WARNING' }
+        },
+        checkNodeDataSchemas: {
+            title: 'Node parameters',
+            description: 'The dataJson of a node must hold the parameters its type expects: valid shader bindings, push constants and dispatch sizes.',
+            issueTypes: {
+                MISSING_NODE_DATA: 'WARNING', INVALID_NODE_DATA: 'WARNING', UNKNOWN_NODE_DATA_KEY: 'INFO',
+                INVALID_BINDING_ADDRESS: 'ERROR', UNEXPECTED_SHADER_BINDING: 'WARNING',
+                PUSH_CONSTANTS_TOO_LARGE: 'WARNING', DISPATCH_SIZE_EXCEEDED: 'WARNING'
+            }
+        },
+        checkRenderPassMergeOpportunities: {
+            title: 'Render pass merging',
+            description: 'Consecutive render passes of the same extent and sample count whose attachments could stay in tile memory as one pass or as subpasses.',
+            issueTypes: { RENDER_PASS_MERGE_OPPORTUNITY: 'INFO', SUBPASS_OPPORTUNITY: 'INFO' }
+        },
+        checkReadWriteHazards: {
+            title: 'Read/write hazards',
+            description: 'A node must not sample a render target it renders to, and storage accesses to one render target inside a node or render pass need ordering.',
+            issueTypes: {
+                FEEDBACK_LOOP: 'ERROR', DEPTH_FEEDBACK_LOOP: 'WARNING', INTRA_NODE_HAZARD: 'WARNING',
+                UNORDERED_STORAGE_WRITES: 'WARNING', UNORDERED_STORAGE_ACCESS: 'WARNING'
+            }
+        }
+    };
+
     /**
      * Main entry point - run all validation checks
      * @param {Object} renderTargets - Analyzed render targets
      * @param {Object} nodes - Analyzed nodes
      * @param {Object} renderPasses - Analyzed render passes
      * @param {Object} rawData - Optional raw data for shader binding checks
+     * @param {Object} options - { disabledChecks: Array of check names to skip }
      * @returns {Array} Array of issue objects
      */
-    function runAllChecks(renderTargets, nodes, renderPasses, rawData = null) {
+    function runAllChecks(renderTargets, nodes, renderPasses, rawData = null, options = {}) {
         const issues = [];
+        const disabled = new Set(options.disabledChecks || []);
+        let currentCheck = null;
 
+        // Issues remember the check that reported them, for the report exporters
         const addIssue = (severity, type, message, details = {}) => {
-            issues.push({ severity, type, message, details });
+            issues.push({ severity, type, message, details, check: currentCheck });
         };
 
-        // Run all validation checks
-        checkUnusedRenderTargets(renderTargets, addIssue);
-        checkIncompleteChains(renderTargets, nodes, addIssue);
-        checkUnusedNodes(nodes, addIssue);
-        checkRenderPassConsistency(renderPasses, renderTargets, nodes, addIssue);
-        checkFormatCompatibility(nodes, renderTargets, addIssue);
-        checkMissingReferences(nodes, renderTargets, addIssue);
-        checkRenderTargetFormatCompatibility(renderTargets, addIssue);
-        checkRenderTargetUsageFlags(renderTargets, nodes, addIssue);
-        checkRenderPassSampleCountConsistency(renderPasses, renderTargets, addIssue);
-        checkNodeIOValidity(nodes, renderTargets, addIssue);
-        checkRTMemoryRequirements(renderTargets, renderPasses, nodes, addIssue);
-        checkMSAAResolveCompatibility(renderPasses, renderTargets, addIssue);
-        checkRenderTargetLifetime(renderTargets, nodes, addIssue);
-        checkResourceBarriers(renderTargets, nodes, addIssue);
-        checkMipmapGeneration(nodes, renderTargets, addIssue);
-        checkResourceAliasingOpportunities(renderTargets, nodes, addIssue);
-
-        // Shader binding naming check needs raw data
-        if (rawData) {
-            checkShaderBindingNamingConsistency(nodes, renderTargets, rawData, addIssue);
+        const checks = {
+            checkUnusedRenderTargets: () => checkUnusedRenderTargets(renderTargets, addIssue),
+            checkIncompleteChains: () => checkIncompleteChains(renderTargets, nodes, addIssue),
+            checkUnusedNodes: () => checkUnusedNodes(nodes, addIssue),
+            checkRenderPassConsistency: () => checkRenderPassConsistency(renderPasses, renderTargets, nodes, addIssue),
+            checkFormatCompatibility: () => checkFormatCompatibility(nodes, renderTargets, addIssue),
+            checkMissingReferences: () => checkMissingReferences(nodes, renderTargets, addIssue),
+            checkRenderTargetFormatCompatibility: () => checkRenderTargetFormatCompatibility(renderTargets, addIssue),
+            checkRenderTargetUsageFlags: () => checkRenderTargetUsageFlags(renderTargets, nodes, addIssue),
+            checkRenderPassSampleCountConsistency: () => checkRenderPassSampleCountConsistency(renderPasses, renderTargets, addIssue),
+            checkNodeIOValidity: () => checkNodeIOValidity(nodes, renderTargets, addIssue),
+            checkRTMemoryRequirements: () => checkRTMemoryRequirements(renderTargets, renderPasses, nodes, addIssue),
+            checkMSAAResolveCompatibility: () => checkMSAAResolveCompatibility(renderPasses, renderTargets, addIssue),
+            checkRenderTargetLifetime: () => checkRenderTargetLifetime(renderTargets, nodes, addIssue),
+            checkResourceBarriers: () => checkResourceBarriers(renderTargets, nodes, addIssue),
+            checkMipmapGeneration: () => checkMipmapGeneration(nodes, renderTargets, addIssue),
+            checkResourceAliasingOpportunities: () => checkResourceAliasingOpportunities(renderTargets, nodes, addIssue),
+            // Shader binding naming check needs raw data
+            checkShaderBindingNamingConsistency: () => {
+                if (rawData) {
+                    checkShaderBindingNamingConsistency(nodes, renderTargets, rawData, addIssue);
+                }
+            },
+            checkNodeDataSchemas: () => checkNodeDataSchemas(nodes, renderTargets, addIssue),
+            checkRenderPassMergeOpportunities: () => checkRenderPassMergeOpportunities(renderTargets, nodes, renderPasses, addIssue),
+            checkReadWriteHazards: () => checkReadWriteHazards(renderTargets, nodes, addIssue)
+        };
+
+        // Run all enabled validation checks
+        for (const name of CHECK_NAMES) {
+            if (!disabled.has(name)) {
+                currentCheck = name;
+                checks[name]();
+            }
         }
 
         return issues;
@@ -363,24 +533,34 @@
 
                     // Check format compatibility
                     if (inputRt.format !== outputRt.format) {
-                        addIssue("ERROR", "FORMAT_MISMATCH",
-                            `Format mismatch in blit node '${node.name}': RT '${inputRt.name}' (RT#${inputIdx}, ${inputRt.getFormatName()}) to RT '${outputRt.name}' (RT#${outputIdx}, ${outputRt.getFormatName()})`,
-                            {
-                                node_index: parseInt(nodeIdx),
-                                node_name: node.name,
-                                node_type: node.getTypeName(),
-                                input_rt: {
-                                    index: inputIdx,
-                                    name: inputRt.name,
-                                    format: inputRt.getFormatName()
-                                },
-                                output_rt: {
-                                    index: outputIdx,
-                                    name: outputRt.name,
-                                    format: outputRt.getFormatName()
-                                }
+                        const reason = getBlitFormatIncompatibility(inputRt.format, outputRt.format);
+                        const details = {
+                            node_index: parseInt(nodeIdx),
+                            node_name: node.name,
+                            node_type: node.getTypeName(),
+                            input_rt: {
+                                index: inputIdx,
+                                name: inputRt.name,
+                                format: inputRt.getFormatName()
+                            },
+                            output_rt: {
+                                index: outputIdx,
+                                name: outputRt.name,
+                                format: outputRt.getFormatName()
                             }
-                        );
+                        };
+
+                        if (reason) {
+                            addIssue("ERROR", "FORMAT_MISMATCH",
+                                `Format mismatch in blit node '${node.name}': RT '${inputRt.name}' (RT#${inputIdx}, ${inputRt.getFormatName()}) to RT '${outputRt.name}' (RT#${outputIdx}, ${outputRt.getFormatName()}): ${reason}`,
+                                { ...details, reason }
+                            );
+                        } else {
+                            addIssue("INFO", "BLIT_FORMAT_CONVERSION",
+                                `Blit node '${node.name}' converts ${inputRt.getFormatName()} (RT '${inputRt.name}') to ${outputRt.getFormatName()} (RT '${outputRt.name}')`,
+                                details
+                            );
+                        }
                     }
 
                     // Check sample count compatibility
@@ -412,6 +592,30 @@
         }
     }
 
+    /**
+     * Explain why a blit cannot convert between two formats
+     * @returns {string|null} Reason, or null when vkCmdBlitImage can convert them
+     */
+    function getBlitFormatIncompatibility(srcFormat, dstFormat) {
+        const src = Formats.getFormatInfo(srcFormat);
+        const dst = Formats.getFormatInfo(dstFormat);
+        if (!src || !dst) {
+            return `unknown format ${Formats.getFormatName(src ? dstFormat : srcFormat)}`;
+        }
+        if (Formats.isDepthStencilFormat(srcFormat) || Formats.isDepthStencilFormat(dstFormat)) {
+            return "depth/stencil blits need identical formats";
+        }
+        if (dst.compressed) {
+            return "cannot blit to a compressed format";
+        }
+        const srcInteger = Formats.isIntegerFormat(srcFormat);
+        if (srcInteger !== Formats.isIntegerFormat(dstFormat) ||
+            (srcInteger && src.numericType !== dst.numericType)) {
+            return "integer formats only blit to integer formats of the same signedness";
+        }
+        return null;
+    }
+
     /**
      * Check for missing references in nodes and render targets
      */
@@ -450,37 +654,66 @@
     }
 
     /**
-     * Check that render targets have appropriate formats for their usage
+     * Check that render targets have appropriate formats for their usage, using the format metadata
      */
     function checkRenderTargetFormatCompatibility(renderTargets, addIssue) {
         for (const [idx, rt] of Object.entries(renderTargets)) {
+            const info = Formats.getFormatInfo(rt.format);
+            const baseDetails = {
+                render_target_index: parseInt(idx),
+                render_target_name: rt.name,
+                format: rt.getFormatName()
+            };
+
+            if (!info) {
+                addIssue("WARNING", "UNKNOWN_FORMAT",
+                    `Render target '${rt.name}' (RT#${idx}) uses unknown format ${rt.format}; format checks are skipped`,
+                    baseDetails
+                );
+                continue;
+            }
+
             // Check color attachments
-            if (rt.usedAsColorAttachment.length > 0 && !COLOR_FORMATS.includes(rt.format)) {
+            if (rt.usedAsColorAttachment.length > 0 && !info.support.colorAttachment) {
                 addIssue("ERROR", "INVALID_COLOR_FORMAT",
-                    `Render target '${rt.name}' (RT#${idx}) used as color attachment has non-color format ${rt.getFormatName()}`,
+                    `Render target '${rt.name}' (RT#${idx}) used as color attachment has format ${rt.getFormatName()}, which cannot be a color attachment`,
                     {
-                        render_target_index: parseInt(idx),
-                        render_target_name: rt.name,
-                        format: rt.getFormatName(),
-                        expected_formats: COLOR_FORMATS.map(fmt => FORMAT_MAP[fmt] || `Unknown (${fmt})`),
+                        ...baseDetails,
+                        reason: Formats.isColorFormat(rt.format)
+                            ? (info.compressed ? "compressed formats cannot be rendered to" : "format has no color attachment support")
+                            : "depth/stencil format",
                         render_passes: rt.usedAsColorAttachment.map(rp => rp.pass_name)
                     }
                 );
             }
 
             // Check depth attachments
-            if (rt.usedAsDepthAttachment.length > 0 && !DEPTH_FORMATS.includes(rt.format)) {
+            if (rt.usedAsDepthAttachment.length > 0 && !Formats.isDepthStencilFormat(rt.format)) {
                 addIssue("ERROR", "INVALID_DEPTH_FORMAT",
                     `Render target '${rt.name}' (RT#${idx}) used as depth attachment has non-depth format ${rt.getFormatName()}`,
                     {
-                        render_target_index: parseInt(idx),
-                        render_target_name: rt.name,
-                        format: rt.getFormatName(),
-                        expected_formats: DEPTH_FORMATS.map(fmt => FORMAT_MAP[fmt] || `Unknown (${fmt})`),
+                        ...baseDetails,
+                        reason: "format has no depth or stencil aspect",
                         render_passes: rt.usedAsDepthAttachment.map(rp => rp.pass_name)
                     }
                 );
             }
+
+            // Check storage images
+            if (rt.usage & USAGE_BITS.STORAGE) {
+                const storage = info.support.storage;
+                if (!storage) {
+                    addIssue("WARNING", "UNSUPPORTED_STORAGE_FORMAT",
+                        `Render target '${rt.name}' (RT#${idx}) has the STORAGE flag but format ${rt.getFormatName()} is not a storage image format`,
+                        baseDetails
+                    );
+                } else if (storage === Formats.SUPPORT.EXTENDED) {
+                    addIssue("INFO", "EXTENDED_STORAGE_FORMAT",
+                        `Render target '${rt.name}' (RT#${idx}) uses ${rt.getFormatName()} as a storage image, which requires shaderStorageImageExtendedFormats`,
+                        { ...baseDetails, required_feature: "shaderStorageImageExtendedFormats" }
+                    );
+                }
+            }
         }
     }
 
@@ -1313,15 +1546,6 @@
      * Check if shader bindings are connected to semantically appropriate render targets
      */
     function checkShaderBindingNamingConsistency(nodes, renderTargets, rawData, addIssue) {
-        // Build mapping from binding addresses to render target indices
-        const rtCount = Object.keys(renderTargets).length;
-        const bindingAddressToRtIndex = {};
-        for (let i = 0; i < rtCount; i++) {
-            bindingAddressToRtIndex[BINDING_RANGES.READ.start + i] = i;
-            bindingAddressToRtIndex[BINDING_RANGES.WRITE.start + i] = i;
-            bindingAddressToRtIndex[BINDING_RANGES.READWRITE.start + i] = i;
-        }
-
         // Process each node
         for (const [nodeIdx, node] of Object.entries(nodes)) {
             // Get data_json from the original raw data
@@ -1342,62 +1566,125 @@
                 continue;
             }
 
-            // Process each key-value pair in dataJson
-            for (const [bindingName, value] of Object.entries(dataJson)) {
-                // Only process values that are in the render target address encoding ranges
-                let bindingType = null;
-                if (typeof value === 'number') {
-                    if (value >= BINDING_RANGES.READ.start && value < BINDING_RANGES.READ.end) {
-                        bindingType = "input";
-                    } else if (value >= BINDING_RANGES.WRITE.start && value < BINDING_RANGES.WRITE.end) {
-                        bindingType = "output";
-                    } else if (value >= BINDING_RANGES.READWRITE.start && value < BINDING_RANGES.READWRITE.end) {
-                        bindingType = "input_output";
-                    }
-                }
+            // Process each shader binding in dataJson, nested ones included
+            for (const binding of Schemas.collectBindings(dataJson, Schemas.getSchema(node.type))) {
+                const bindingName = binding.key;
+                const bindingType = binding.type;
+                const rtIdx = binding.rtIndex;
+                if (!(rtIdx in renderTargets)) continue;
 
-                if (bindingType) {
-                    const rtIdx = bindingAddressToRtIndex[value];
-                    if (rtIdx !== undefined && rtIdx in renderTargets) {
-                        const rt = renderTargets[rtIdx];
-                        const bindingSemantics = extractSemantics(bindingName);
-                        const rtSemantics = extractSemantics(rt.name);
-
-                        // If both have identified semantic concepts but they're incompatible
-                        if (bindingSemantics.concepts.length > 0 && rtSemantics.concepts.length > 0 && !areCompatible(bindingSemantics, rtSemantics)) {
-                            addIssue("ERROR", "SEMANTIC_MISMATCH",
-                                `Shader binding '${bindingName}' (concepts: ${bindingSemantics.concepts.join(', ')}) appears to be misconnected to '${rt.name}' (concepts: ${rtSemantics.concepts.join(', ')})`,
-                                {
-                                    node_index: parseInt(nodeIdx),
-                                    node_name: node.name,
-                                    binding_name: bindingName,
-                                    binding_type: bindingType,
-                                    binding_concepts: bindingSemantics.concepts,
-                                    binding_space: bindingSemantics.spacePrefix,
-                                    render_target_index: rtIdx,
-                                    render_target_name: rt.name,
-                                    render_target_concepts: rtSemantics.concepts,
-                                    render_target_space: rtSemantics.spacePrefix
-                                }
-                            );
+                const rt = renderTargets[rtIdx];
+                const bindingSemantics = extractSemantics(bindingName);
+                const rtSemantics = extractSemantics(rt.name);
+
+                // If both have identified semantic concepts but they're incompatible
+                if (bindingSemantics.concepts.length > 0 && rtSemantics.concepts.length > 0 && !areCompatible(bindingSemantics, rtSemantics)) {
+                    addIssue("ERROR", "SEMANTIC_MISMATCH",
+                        `Shader binding '${bindingName}' (concepts: ${bindingSemantics.concepts.join(', ')}) appears to be misconnected to '${rt.name}' (concepts: ${rtSemantics.concepts.join(', ')})`,
+                        {
+                            node_index: parseInt(nodeIdx),
+                            node_name: node.name,
+                            binding_name: bindingName,
+                            binding_type: bindingType,
+                            binding_concepts: bindingSemantics.concepts,
+                            binding_space: bindingSemantics.spacePrefix,
+                            render_target_index: rtIdx,
+                            render_target_name: rt.name,
+                            render_target_concepts: rtSemantics.concepts,
+                            render_target_space: rtSemantics.spacePrefix
                         }
-                        // Check for coordinate space mismatches
-                        else if (bindingSemantics.hasSpacePrefix && rtSemantics.hasSpacePrefix && bindingSemantics.spacePrefix !== rtSemantics.spacePrefix) {
-                            addIssue("WARNING", "COORDINATE_SPACE_MISMATCH",
-                                `Shader binding '${bindingName}' uses ${bindingSemantics.spacePrefix} coordinates but is connected to '${rt.name}' which uses ${rtSemantics.spacePrefix} coordinates`,
-                                {
-                                    node_index: parseInt(nodeIdx),
-                                    node_name: node.name,
-                                    binding_name: bindingName,
-                                    binding_space: bindingSemantics.spacePrefix,
-                                    render_target_name: rt.name,
-                                    render_target_space: rtSemantics.spacePrefix
-                                }
-                            );
+                    );
+                }
+                // Check for coordinate space mismatches
+                else if (bindingSemantics.hasSpacePrefix && rtSemantics.hasSpacePrefix && bindingSemantics.spacePrefix !== rtSemantics.spacePrefix) {
+                    addIssue("WARNING", "COORDINATE_SPACE_MISMATCH",
+                        `Shader binding '${bindingName}' uses ${bindingSemantics.spacePrefix} coordinates but is connected to '${rt.name}' which uses ${rtSemantics.spacePrefix} coordinates`,
+                        {
+                            node_index: parseInt(nodeIdx),
+                            node_name: node.name,
+                            binding_name: bindingName,
+                            binding_space: bindingSemantics.spacePrefix,
+                            render_target_name: rt.name,
+                            render_target_space: rtSemantics.spacePrefix
                         }
-                    }
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Check node dataJson against the schema of the node type (see schemas.js)
+     */
+    function checkNodeDataSchemas(nodes, renderTargets, addIssue) {
+        for (const [nodeIdx, node] of Object.entries(nodes)) {
+            const inspection = Schemas.inspectNodeData(node.dataJson, node.type, renderTargets);
+
+            for (const problem of inspection.problems) {
+                const details = {
+                    node_index: parseInt(nodeIdx),
+                    node_name: node.name,
+                    node_type: node.getTypeName(),
+                    key: problem.key
+                };
+
+                const binding = inspection.bindings.find(b => b.key === problem.key);
+                if (problem.type === 'INVALID_BINDING_ADDRESS' && binding) {
+                    details.binding_address = '0x' + binding.address.toString(16);
+                    details.binding_type = binding.type;
                 }
+
+                addIssue(problem.severity, problem.type,
+                    `Node '${node.name}' (index ${nodeIdx}): ${problem.message}`, details);
+            }
+        }
+    }
+
+    /**
+     * Check consecutive render passes that could be merged or chained as subpasses (see merging.js)
+     * Savings are estimated at the default 1920×1080 output resolution
+     */
+    function checkRenderPassMergeOpportunities(renderTargets, nodes, renderPasses, addIssue) {
+        const { opportunities, resolution } = Merging.analyze({ renderTargets, nodes, renderPasses });
+        for (const opportunity of opportunities) {
+            const { first, second, attachments } = opportunity;
+            const inputs = attachments.filter(a => a.relation === 'input').map(a => `'${a.name}'`);
+            const how = opportunity.kind === 'subpass'
+                ? `chained as subpasses of one pass, '${second.name}' reading ${inputs.join(', ')} as input attachment(s)`
+                : 'merged into one pass';
+
+            addIssue("INFO", opportunity.kind === 'subpass' ? "SUBPASS_OPPORTUNITY" : "RENDER_PASS_MERGE_OPPORTUNITY",
+                `Render passes '${first.name}' and '${second.name}' could be ${how}, saving about ` +
+                `${formatBytes(opportunity.savedBytes)} of attachment traffic per frame at ${resolution.width}×${resolution.height}`,
+                {
+                    first_render_pass: first.name,
+                    second_render_pass: second.name,
+                    render_target_name: attachments.map(a => a.name),
+                    confidence: opportunity.confidence,
+                    saved_bytes: opportunity.savedBytes
+                });
+        }
+    }
+
+    /**
+     * Check read/write hazards within nodes and render passes (see hazards.js)
+     * Hazards between passes are ordered by barriers and not reported
+     */
+    function checkReadWriteHazards(renderTargets, nodes, addIssue) {
+        for (const hazard of Hazards.analyze(renderTargets, nodes).findings) {
+            const details = {
+                node_index: hazard.to.nodeIndex,
+                node_name: hazard.to.nodeName,
+                render_target_index: hazard.rtIndex,
+                render_target_name: hazard.rtName,
+                hazard: hazard.type,
+                binding_keys: [...new Set([...hazard.from.bindingKeys, ...hazard.to.bindingKeys])]
+            };
+            if (hazard.scope === 'pass') {
+                details.previous_node = hazard.from.nodeName;
             }
+
+            addIssue(hazard.severity, hazard.finding, hazard.message, details);
         }
     }
 
@@ -1420,6 +1707,8 @@
 
     // Export for use by other modules
     window.RenderGraphDebugger = {
+        CHECK_NAMES,
+        CHECK_INFO,
         runAllChecks,
         formatIssuesForView,
         // Individual checks for testing
@@ -1440,6 +1729,9 @@
         checkMipmapGeneration,
         checkResourceAliasingOpportunities,
         checkShaderBindingNamingConsistency,
+        checkNodeDataSchemas,
+        checkRenderPassMergeOpportunities,
+        checkReadWriteHazards,
         // Helper functions
         extractSemantics,
         areCompatible
@@ -0,0 +1,254 @@
+// Dependencies module - derives the producer/consumer DAG between nodes
+// Edges come from render target accesses (node inputs/outputs, shader bindings, attachments) in execution order,
+// plus the ordering needed inside render passes and after viewport state changes
+
+(function() {
+    // Node types (see NODE_TYPES in constants.js)
+    const VIEWPORT_NODE = 0;
+    const GRAPHICS_NODES = [1, 2, 8, 16];
+    const COMPUTE_NODES = [3, 17];
+
+    // Why one node has to run after another
+    const EDGE_KINDS = {
+        RAW: 'RAW',     // reads what the other node wrote (true data dependency)
+        WAR: 'WAR',     // overwrites what the other node still reads
+        WAW: 'WAW',     // overwrites what the other node wrote
+        PASS: 'PASS',   // consecutive nodes of the same render pass
+        STATE: 'STATE'  // graphics node using the viewport set by the other node
+    };
+
+    /**
+     * Classify how a node accesses a render target from its analyzed relationships
+     */
+    function accessOf(relationships) {
+        let read = false;
+        let write = false;
+        for (const rel of relationships) {
+            if (rel.relationship === 'write') write = true;
+            if (rel.relationship === 'read' || rel.bindingType === 'input_output') read = true;
+        }
+        return { read, write };
+    }
+
+    /**
+     * Build the dependency edges between nodes
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses }
+     * @returns {Array} Edges { from, to, kinds, renderTargets } with from executing before to
+     */
+    function buildDependencyEdges(analyzed) {
+        const { renderTargets, nodes } = analyzed;
+        const edgeMap = new Map();
+
+        const addEdge = (from, to, kind, rtName = null) => {
+            if (from === to) return;
+            const key = `${from}->${to}`;
+            if (!edgeMap.has(key)) {
+                edgeMap.set(key, { from, to, kinds: [], renderTargets: [] });
+            }
+            const edge = edgeMap.get(key);
+            if (!edge.kinds.includes(kind)) edge.kinds.push(kind);
+            if (rtName && !edge.renderTargets.includes(rtName)) edge.renderTargets.push(rtName);
+        };
+
+        // Render target hazards, walking each RT's users in execution order
+        for (const rt of Object.values(renderTargets)) {
+            const users = Object.keys(rt.nodeUsageTypes)
+                .map(Number)
+                .filter(idx => idx in nodes)
+                .sort((a, b) => nodes[a].executionOrder - nodes[b].executionOrder);
+
+            let lastWriter = null;
+            let readersSinceWrite = [];
+
+            for (const idx of users) {
+                const { read, write } = accessOf(rt.nodeUsageTypes[idx]);
+
+                if (read && lastWriter !== null) {
+                    addEdge(lastWriter, idx, EDGE_KINDS.RAW, rt.name);
+                }
+                if (write) {
+                    readersSinceWrite.forEach(reader => addEdge(reader, idx, EDGE_KINDS.WAR, rt.name));
+                    if (lastWriter !== null && !read) {
+                        addEdge(lastWriter, idx, EDGE_KINDS.WAW, rt.name);
+                    }
+                    lastWriter = idx;
+                    readersSinceWrite = [];
+                } else if (read) {
+                    readersSinceWrite.push(idx);
+                }
+            }
+        }
+
+        const ordered = Object.values(nodes).sort((a, b) => a.executionOrder - b.executionOrder);
+
+        // Nodes of a render pass stay in their recorded order
+        const lastInPass = {};
+        for (const node of ordered) {
+            if (node.renderPassIndex === null || node.renderPassIndex === undefined) continue;
+            if (node.renderPassIndex in lastInPass) {
+                addEdge(lastInPass[node.renderPassIndex], node.index, EDGE_KINDS.PASS);
+            }
+            lastInPass[node.renderPassIndex] = node.index;
+        }
+
+        // Viewport nodes set state for the graphics nodes that follow them
+        let viewport = null;
+        let usersOfViewport = [];
+        for (const node of ordered) {
+            if (node.type === VIEWPORT_NODE) {
+                if (viewport !== null) addEdge(viewport, node.index, EDGE_KINDS.STATE);
+                usersOfViewport.forEach(idx => addEdge(idx, node.index, EDGE_KINDS.STATE));
+                viewport = node.index;
+                usersOfViewport = [];
+            } else if (viewport !== null && GRAPHICS_NODES.includes(node.type)) {
+                addEdge(viewport, node.index, EDGE_KINDS.STATE);
+                usersOfViewport.push(node.index);
+            }
+        }
+
+        return [...edgeMap.values()];
+    }
+
+    /**
+     * Analyze the dependency DAG of an analyzed render graph
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses }
+     * @param {Object} options - { weight(node) } cost of a node for the critical path (default 1)
+     * @returns {Object} { nodes, edges, levels, criticalPath, criticalLength, parallelGroups,
+     *                     asyncComputeCandidates, reorderable }
+     */
+    function analyzeDependencies(analyzed, options = {}) {
+        const weightOf = options.weight || (() => 1);
+        const edges = buildDependencyEdges(analyzed);
+        const ordered = Object.values(analyzed.nodes).sort((a, b) => a.executionOrder - b.executionOrder);
+        const lastOrder = ordered.length - 1;
+
+        const info = {};
+        for (const node of ordered) {
+            info[node.index] = {
+                index: node.index,
+                name: node.name,
+                type: node.type,
+                executionOrder: node.executionOrder,
+                renderPassIndex: node.renderPassIndex,
+                weight: weightOf(node),
+                predecessors: [],
+                successors: [],
+                level: 0,
+                latestLevel: 0,
+                slack: 0,
+                start: 0,
+                finish: 0,
+                onCriticalPath: false,
+                earliestOrder: 0,
+                latestOrder: lastOrder
+            };
+        }
+
+        for (const edge of edges) {
+            info[edge.from].successors.push(edge.to);
+            info[edge.to].predecessors.push(edge.from);
+        }
+
+        // Execution order is a valid topological order since edges always point forward
+        for (const node of ordered) {
+            const entry = info[node.index];
+            for (const pred of entry.predecessors) {
+                entry.level = Math.max(entry.level, info[pred].level + 1);
+                entry.start = Math.max(entry.start, info[pred].finish);
+                entry.earliestOrder = Math.max(entry.earliestOrder, info[pred].executionOrder + 1);
+            }
+            entry.finish = entry.start + entry.weight;
+        }
+
+        const depth = ordered.reduce((max, node) => Math.max(max, info[node.index].level), 0);
+        for (const node of [...ordered].reverse()) {
+            const entry = info[node.index];
+            entry.latestLevel = depth;
+            for (const succ of entry.successors) {
+                entry.latestLevel = Math.min(entry.latestLevel, info[succ].latestLevel - 1);
+                entry.latestOrder = Math.min(entry.latestOrder, info[succ].executionOrder - 1);
+            }
+            entry.slack = entry.latestLevel - entry.level;
+        }
+
+        // Critical path: heaviest chain, traced back from the node finishing last
+        const criticalPath = [];
+        let current = ordered.reduce((best, node) =>
+            !best || info[node.index].finish > info[best.index].finish ? node : best, null);
+        while (current) {
+            const entry = info[current.index];
+            entry.onCriticalPath = true;
+            criticalPath.unshift(current.index);
+            const pred = entry.predecessors.find(p => info[p].finish === entry.start);
+            current = pred !== undefined ? analyzed.nodes[pred] : null;
+        }
+
+        const levels = [];
+        for (const node of ordered) {
+            const level = info[node.index].level;
+            (levels[level] = levels[level] || []).push(node.index);
+        }
+
+        return {
+            nodes: info,
+            edges,
+            levels,
+            criticalPath,
+            criticalLength: criticalPath.length > 0 ? info[criticalPath[criticalPath.length - 1]].finish : 0,
+            parallelGroups: levels.map((indices, level) => ({ level, nodes: indices }))
+                .filter(group => group.nodes.length > 1),
+            asyncComputeCandidates: findAsyncComputeCandidates(ordered, info),
+            reorderable: ordered
+                .map(node => info[node.index])
+                .filter(entry => entry.earliestOrder < entry.executionOrder || entry.latestOrder > entry.executionOrder)
+                .map(entry => ({
+                    node: entry.index,
+                    executionOrder: entry.executionOrder,
+                    earliestOrder: entry.earliestOrder,
+                    latestOrder: entry.latestOrder
+                }))
+        };
+    }
+
+    /**
+     * Compute nodes outside render passes that have no dependency path to or from some graphics work
+     * Those could be moved to an async compute queue and overlap with it
+     */
+    function findAsyncComputeCandidates(ordered, info) {
+        // Descendants of every node, built backwards through the execution order
+        const descendants = {};
+        for (const node of [...ordered].reverse()) {
+            const set = new Set();
+            for (const succ of info[node.index].successors) {
+                set.add(succ);
+                descendants[succ].forEach(idx => set.add(idx));
+            }
+            descendants[node.index] = set;
+        }
+
+        const graphicsNodes = ordered.filter(node => GRAPHICS_NODES.includes(node.type));
+        const candidates = [];
+
+        for (const node of ordered) {
+            if (!COMPUTE_NODES.includes(node.type) || node.renderPassIndex !== null) continue;
+
+            const overlaps = graphicsNodes
+                .filter(g => !descendants[node.index].has(g.index) && !descendants[g.index].has(node.index))
+                .map(g => g.index);
+
+            if (overlaps.length > 0) {
+                candidates.push({ node: node.index, overlaps });
+            }
+        }
+
+        return candidates;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphDependencies = {
+        EDGE_KINDS,
+        buildDependencyEdges,
+        analyzeDependencies
+    };
+
+})();
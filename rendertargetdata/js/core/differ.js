@@ -0,0 +1,236 @@
+// Differ module - compares two analyzed render graphs
+// Entities are matched by name since indices are not stable between graph revisions
+
+(function() {
+
+    // Keys that only carry indices or ordering and must not be part of an issue identity
+    const INDEX_KEY_PATTERN = /(^index$|_index$|_indices$|^execution_order$)/;
+
+    /**
+     * Build a name -> entity map, disambiguating duplicate names by occurrence
+     * @param {Object} entities - Entities keyed by index
+     * @returns {Map} Map of match key to entity
+     */
+    function keyByName(entities) {
+        const map = new Map();
+        const counts = {};
+
+        Object.values(entities)
+            .sort((a, b) => a.index - b.index)
+            .forEach(entity => {
+                counts[entity.name] = (counts[entity.name] || 0) + 1;
+                const key = counts[entity.name] === 1 ? entity.name : `${entity.name} (${counts[entity.name]})`;
+                map.set(key, entity);
+            });
+
+        return map;
+    }
+
+    function namesOf(indices, entities) {
+        return indices
+            .filter(idx => idx !== null && idx !== undefined && idx in entities)
+            .map(idx => entities[idx].name)
+            .sort();
+    }
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Compare a list of [field, before, after] triples and keep the ones that differ
+     */
+    function collectChanges(fields) {
+        return fields
+            .filter(([, before, after]) => !sameValue(before, after))
+            .map(([field, before, after]) => ({ field, before, after }));
+    }
+
+    /**
+     * Describe the comparable properties of a render target
+     */
+    function describeRenderTarget(rt, graph) {
+        return {
+            format: rt.getFormatName(),
+            extent: [...rt.extent],
+            mipLevels: rt.mipLevels,
+            sampleCount: rt.sampleCount,
+            usage: rt.getUsageFlags(),
+            aspect: rt.getAspectFlags(),
+            writers: namesOf([...new Set(rt.outputFromNodes)], graph.nodes),
+            readers: namesOf([...new Set(rt.inputToNodes)], graph.nodes)
+        };
+    }
+
+    /**
+     * Describe the comparable properties of a node (execution order is reported separately)
+     */
+    function describeNode(node, graph) {
+        const reads = [];
+        const writes = [];
+        for (const rt of Object.values(graph.renderTargets)) {
+            if (rt.inputToNodes.includes(node.index)) reads.push(rt.name);
+            if (rt.outputFromNodes.includes(node.index)) writes.push(rt.name);
+        }
+
+        return {
+            type: node.getTypeName(),
+            renderPass: node.renderPass,
+            conditions: [...node.conditions].sort(),
+            reads: reads.sort(),
+            writes: writes.sort()
+        };
+    }
+
+    /**
+     * Describe the comparable properties of a render pass
+     */
+    function describeRenderPass(rp, graph) {
+        return {
+            nodes: namesOf(rp.nodeIndices, graph.nodes),
+            colorAttachments: namesOf(rp.colorAttachmentIndices, graph.renderTargets),
+            depthAttachment: namesOf([rp.depthAttachmentIndex], graph.renderTargets)[0] ?? null,
+            resolveAttachments: namesOf(rp.resolveAttachmentIndices, graph.renderTargets),
+            conditions: [...rp.conditions].sort()
+        };
+    }
+
+    /**
+     * Diff one entity collection of two graphs
+     * @returns {Object} { added, removed, modified, unchanged }
+     */
+    function diffEntities(baseEntities, targetEntities, describe, baseGraph, targetGraph) {
+        const baseMap = keyByName(baseEntities);
+        const targetMap = keyByName(targetEntities);
+        const result = { added: [], removed: [], modified: [], unchanged: [] };
+
+        for (const [key, entity] of baseMap) {
+            if (!targetMap.has(key)) {
+                result.removed.push({ key, name: entity.name, baseIndex: entity.index, targetIndex: null });
+            }
+        }
+
+        for (const [key, entity] of targetMap) {
+            const baseEntity = baseMap.get(key);
+            if (!baseEntity) {
+                result.added.push({ key, name: entity.name, baseIndex: null, targetIndex: entity.index });
+                continue;
+            }
+
+            const before = describe(baseEntity, baseGraph);
+            const after = describe(entity, targetGraph);
+            const changes = collectChanges(Object.keys(after).map(field => [field, before[field], after[field]]));
+            const entry = { key, name: entity.name, baseIndex: baseEntity.index, targetIndex: entity.index, changes };
+
+            (changes.length > 0 ? result.modified : result.unchanged).push(entry);
+        }
+
+        return result;
+    }
+
+    /**
+     * Drop index-like fields from issue details so the same issue matches across graphs
+     */
+    function stripIndices(value) {
+        if (Array.isArray(value)) return value.map(stripIndices);
+        if (value && typeof value === 'object') {
+            const stripped = {};
+            for (const key of Object.keys(value).sort()) {
+                if (!INDEX_KEY_PATTERN.test(key)) stripped[key] = stripIndices(value[key]);
+            }
+            return stripped;
+        }
+        return value;
+    }
+
+    /**
+     * Build a stable identity for a debugger issue
+     */
+    function getIssueKey(issue) {
+        return `${issue.severity}|${issue.type}|${JSON.stringify(stripIndices(issue.details || {}))}`;
+    }
+
+    /**
+     * Compare debugger issues of two graphs
+     * @returns {Object} { introduced, resolved, persisting }
+     */
+    function diffIssues(baseIssues, targetIssues) {
+        const baseKeys = new Set(baseIssues.map(getIssueKey));
+        const targetKeys = new Set(targetIssues.map(getIssueKey));
+
+        return {
+            introduced: targetIssues.filter(issue => !baseKeys.has(getIssueKey(issue))),
+            resolved: baseIssues.filter(issue => !targetKeys.has(getIssueKey(issue))),
+            persisting: targetIssues.filter(issue => baseKeys.has(getIssueKey(issue))).length
+        };
+    }
+
+    /**
+     * Diff two analyzed render graphs
+     * @param {Object} base - { renderTargets, nodes, renderPasses, issues } of the reference graph
+     * @param {Object} target - Same shape for the graph being compared
+     * @returns {Object} Added/removed/modified entities, execution order shifts, issue changes
+     *                   and a per-index node status for both sides
+     */
+    function diffGraphs(base, target) {
+        const renderTargets = diffEntities(base.renderTargets, target.renderTargets,
+            describeRenderTarget, base, target);
+        const nodes = diffEntities(base.nodes, target.nodes, describeNode, base, target);
+        const renderPasses = diffEntities(base.renderPasses, target.renderPasses,
+            describeRenderPass, base, target);
+
+        // Execution order shifts for nodes present in both graphs
+        const executionOrder = [...nodes.modified, ...nodes.unchanged]
+            .map(entry => {
+                const before = base.nodes[entry.baseIndex].executionOrder;
+                const after = target.nodes[entry.targetIndex].executionOrder;
+                return { key: entry.key, name: entry.name, before, after, delta: after - before };
+            })
+            .filter(shift => shift.delta !== 0)
+            .sort((a, b) => a.after - b.after);
+
+        const issues = diffIssues(base.issues || [], target.issues || []);
+
+        // Status lookup used to highlight nodes on either side
+        const nodeStatus = { base: {}, target: {} };
+        nodes.removed.forEach(e => { nodeStatus.base[e.baseIndex] = 'removed'; });
+        nodes.added.forEach(e => { nodeStatus.target[e.targetIndex] = 'added'; });
+        nodes.modified.forEach(e => {
+            nodeStatus.base[e.baseIndex] = 'modified';
+            nodeStatus.target[e.targetIndex] = 'modified';
+        });
+
+        const count = d => d.added.length + d.removed.length + d.modified.length;
+
+        return {
+            renderTargets,
+            nodes,
+            renderPasses,
+            executionOrder,
+            issues,
+            nodeStatus,
+            summary: {
+                renderTargetChanges: count(renderTargets),
+                nodeChanges: count(nodes),
+                renderPassChanges: count(renderPasses),
+                executionOrderShifts: executionOrder.length,
+                introducedIssues: issues.introduced.length,
+                resolvedIssues: issues.resolved.length,
+                identical: count(renderTargets) + count(nodes) + count(renderPasses) === 0 &&
+                    executionOrder.length === 0
+            }
+        };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphDiff = {
+        keyByName,
+        describeRenderTarget,
+        describeNode,
+        describeRenderPass,
+        diffGraphs,
+        diffIssues,
+        getIssueKey
+    };
+
+})();
@@ -0,0 +1,245 @@
+// Editor module - edits a raw render graph description with undo/redo
+// Every edit parses the current description, changes the parsed objects and serializes them back,
+// so the result always follows the raw schema and keeps fields the viewer does not know about
+
+(function() {
+    const { parseRawRenderGraph, serializeRawRenderGraph, Node } = window.RenderGraphParser;
+
+    const DEFAULT_MAX_HISTORY = 100;
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function requireEntry(objects, index, what) {
+        if (!(index in objects)) {
+            throw new Error(`No ${what} with index ${index}`);
+        }
+        return objects[index];
+    }
+
+    function checkRenderTargetIndices(parsed, indices) {
+        if (!Array.isArray(indices)) {
+            throw new Error('Render target indices must be an array');
+        }
+        indices.forEach(idx => {
+            if (!Number.isInteger(idx) || !(idx in parsed.renderTargets)) {
+                throw new Error(`No render target with index ${idx}`);
+            }
+        });
+    }
+
+    /**
+     * Create an editor for a raw render graph
+     * @param {Object} description - Raw render graph JSON (left untouched)
+     * @param {Object} options - { maxHistory, onChange(description, editor), validate(description) }
+     *   validate throws to reject an edit before it is recorded
+     * @returns {Object} Editor
+     */
+    function createEditor(description, options = {}) {
+        const maxHistory = options.maxHistory || DEFAULT_MAX_HISTORY;
+        const original = description;
+        let current = description;
+        const undoStack = [];
+        const redoStack = [];
+
+        const notify = () => {
+            if (options.onChange) options.onChange(current, editor);
+        };
+
+        const editor = {
+            getDescription: () => current,
+            getOriginal: () => original,
+            isDirty: () => current !== original,
+            canUndo: () => undoStack.length > 0,
+            canRedo: () => redoStack.length > 0,
+            undoLabel: () => undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+            redoLabel: () => redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null,
+
+            /**
+             * Apply an edit to the parsed graph
+             * @param {string} label - Shown in the undo history
+             * @param {Function} mutate - Receives { renderTargets, nodes, renderPasses, graphOrder }
+             * @throws {Error} When the edit is invalid; the description and the history are left unchanged
+             */
+            apply: function(label, mutate) {
+                const parsed = parseRawRenderGraph(clone(current));
+                mutate(parsed);
+                const next = serializeRawRenderGraph(parsed, current);
+                if (options.validate) options.validate(next);
+
+                undoStack.push({ label, description: current });
+                if (undoStack.length > maxHistory) undoStack.shift();
+                redoStack.length = 0;
+
+                current = next;
+                notify();
+                return current;
+            },
+
+            undo: function() {
+                if (undoStack.length === 0) return current;
+                const entry = undoStack.pop();
+                redoStack.push({ label: entry.label, description: current });
+                current = entry.description;
+                notify();
+                return current;
+            },
+
+            redo: function() {
+                if (redoStack.length === 0) return current;
+                const entry = redoStack.pop();
+                undoStack.push({ label: entry.label, description: current });
+                current = entry.description;
+                notify();
+                return current;
+            },
+
+            renameRenderTarget: function(index, name) {
+                const trimmed = String(name || '').trim();
+                if (!trimmed) throw new Error('Render target names cannot be empty');
+
+                return this.apply(`Rename render target to ${trimmed}`, parsed => {
+                    requireEntry(parsed.renderTargets, index, 'render target').name = trimmed;
+                });
+            },
+
+            /**
+             * Change render target properties
+             * @param {number} index - Render target index
+             * @param {Object} fields - Any of { format, extent, usage, sampleCount, mipLevels }
+             */
+            updateRenderTarget: function(index, fields) {
+                const allowed = ['format', 'extent', 'usage', 'sampleCount', 'mipLevels'];
+                const unknown = Object.keys(fields).filter(key => !allowed.includes(key));
+                if (unknown.length > 0) throw new Error(`Cannot edit ${unknown.join(', ')}`);
+
+                if ('extent' in fields &&
+                    (!Array.isArray(fields.extent) || fields.extent.length !== 3 ||
+                     fields.extent.some(v => typeof v !== 'number' || v < 0))) {
+                    throw new Error('Extent must be three non-negative numbers');
+                }
+                ['format', 'usage', 'sampleCount', 'mipLevels'].forEach(key => {
+                    if (key in fields && (!Number.isInteger(fields[key]) || fields[key] < 0)) {
+                        throw new Error(`${key} must be a non-negative integer`);
+                    }
+                });
+
+                return this.apply(`Edit ${Object.keys(fields).join(', ')}`, parsed => {
+                    Object.assign(requireEntry(parsed.renderTargets, index, 'render target'), fields);
+                });
+            },
+
+            /**
+             * Rewire the render targets a node reads and writes
+             * @param {number} nodeIndex - Node index
+             * @param {Object} targets - { inputs, outputs } render target index arrays
+             */
+            setNodeRenderTargets: function(nodeIndex, targets) {
+                return this.apply('Rewire node', parsed => {
+                    const node = requireEntry(parsed.nodes, nodeIndex, 'node');
+                    if (targets.inputs) {
+                        checkRenderTargetIndices(parsed, targets.inputs);
+                        node.inputs = targets.inputs;
+                    }
+                    if (targets.outputs) {
+                        checkRenderTargetIndices(parsed, targets.outputs);
+                        node.outputs = targets.outputs;
+                    }
+                });
+            },
+
+            renameNode: function(nodeIndex, name) {
+                const trimmed = String(name || '').trim();
+                if (!trimmed) throw new Error('Node names cannot be empty');
+
+                return this.apply(`Rename node to ${trimmed}`, parsed => {
+                    requireEntry(parsed.nodes, nodeIndex, 'node').name = trimmed;
+                });
+            },
+
+            /**
+             * Move a graphOrder entry
+             * @param {number} from - Position of the entry
+             * @param {number} to - Position it should end up at
+             */
+            moveGraphOrderEntry: function(from, to) {
+                return this.apply('Reorder graph', parsed => {
+                    const order = parsed.graphOrder;
+                    if (from < 0 || from >= order.length || to < 0 || to >= order.length) {
+                        throw new Error('graphOrder position out of range');
+                    }
+                    const [entry] = order.splice(from, 1);
+                    order.splice(to, 0, entry);
+                });
+            },
+
+            /**
+             * Add a node, scheduled last (at the end of its render pass when it has one)
+             * @param {Object} spec - { name, type, renderPassIndex, inputs, outputs }
+             * @returns {number} Index of the new node
+             */
+            addNode: function(spec) {
+                const name = String(spec.name || '').trim();
+                if (!name) throw new Error('Node names cannot be empty');
+
+                let nodeIndex = null;
+                this.apply(`Add node ${name}`, parsed => {
+                    nodeIndex = Object.keys(parsed.nodes).reduce((max, idx) => Math.max(max, Number(idx)), -1) + 1;
+
+                    const desc = { nodeIndex, name, type: spec.type || 0 };
+                    if (spec.inputs && spec.inputs.length > 0) {
+                        checkRenderTargetIndices(parsed, spec.inputs);
+                        desc.inputRenderTargetIndices = spec.inputs;
+                    }
+                    if (spec.outputs && spec.outputs.length > 0) {
+                        checkRenderTargetIndices(parsed, spec.outputs);
+                        desc.outputRenderTargetIndices = spec.outputs;
+                    }
+                    parsed.nodes[nodeIndex] = new Node(nodeIndex, desc);
+
+                    const passIndex = spec.renderPassIndex ?? null;
+                    if (passIndex === null) {
+                        parsed.graphOrder.push([-1, nodeIndex]);
+                        return;
+                    }
+
+                    const rp = requireEntry(parsed.renderPasses, passIndex, 'render pass');
+                    rp.nodeIndices = [...rp.nodeIndices, nodeIndex];
+
+                    const lastEntry = parsed.graphOrder.map(entry => entry[0]).lastIndexOf(passIndex);
+                    parsed.graphOrder.splice(lastEntry >= 0 ? lastEntry + 1 : parsed.graphOrder.length, 0,
+                        [passIndex, nodeIndex]);
+                });
+                return nodeIndex;
+            },
+
+            /**
+             * Remove a node from the graph, its render pass and graphOrder
+             */
+            removeNode: function(nodeIndex) {
+                return this.apply('Remove node', parsed => {
+                    const node = requireEntry(parsed.nodes, nodeIndex, 'node');
+                    delete parsed.nodes[nodeIndex];
+
+                    if (node.renderPassIndex !== null) {
+                        const rp = parsed.renderPasses[node.renderPassIndex];
+                        rp.nodeIndices = rp.nodeIndices.filter(idx => idx !== nodeIndex);
+                    }
+
+                    const remaining = parsed.graphOrder.filter(entry => !Array.isArray(entry) || entry[1] !== nodeIndex);
+                    parsed.graphOrder.length = 0;
+                    parsed.graphOrder.push(...remaining);
+                });
+            }
+        };
+
+        return editor;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphEditor = {
+        createEditor
+    };
+
+})();
@@ -0,0 +1,278 @@
+// Exporters module - serializes an analyzed render graph for external diagram tools
+// Produces Graphviz DOT, Mermaid flowcharts and GraphML from the data model only
+
+(function() {
+    const SEVERITY_ORDER = ['ERROR', 'WARNING', 'INFO'];
+    const SEVERITY_COLORS = { ERROR: '#f48771', WARNING: '#E5A820', INFO: '#569cd6' };
+    const PASS_COLOR = '#1c2028';
+
+    /**
+     * Collect the nodes, passes and render targets to draw
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses }
+     * @param {Object} options - { rtMode: 'resources'|'edges', issues: Array }
+     * @returns {Object} Tool independent description of the diagram
+     */
+    function buildExportModel(analyzed, options = {}) {
+        const { renderTargets, nodes, renderPasses } = analyzed;
+        const rtMode = options.rtMode || 'resources';
+        const severities = getSeverities(options.issues || []);
+
+        const orderedNodes = Object.values(nodes).sort((a, b) => a.executionOrder - b.executionOrder);
+
+        const diagramNodes = orderedNodes.map(node => ({
+            id: `n${node.index}`,
+            label: `#${node.executionOrder} ${node.name}`,
+            type: node.getTypeName(),
+            passIndex: node.renderPassIndex,
+            severity: severities.nodes[node.name] || null
+        }));
+
+        const passes = Object.values(renderPasses).map(rp => ({
+            id: `rp${rp.index}`,
+            label: rp.name,
+            nodeIds: diagramNodes.filter(n => n.passIndex === rp.index).map(n => n.id)
+        })).filter(pass => pass.nodeIds.length > 0);
+
+        const resources = [];
+        const edges = [];
+
+        for (const rt of Object.values(renderTargets)) {
+            const writers = [...new Set(rt.outputFromNodes)].filter(idx => idx in nodes);
+            const readers = [...new Set(rt.inputToNodes)].filter(idx => idx in nodes);
+            if (writers.length === 0 && readers.length === 0) continue;
+
+            const format = rt.getFormatName();
+            const usage = rt.getUsageFlags().join(' | ');
+            const severity = severities.renderTargets[rt.name] || null;
+
+            if (rtMode === 'resources') {
+                const id = `rt${rt.index}`;
+                resources.push({ id, label: rt.name, format, usage, severity });
+                writers.forEach(idx => edges.push({ from: `n${idx}`, to: id, label: '', severity: null }));
+                readers.forEach(idx => edges.push({ from: id, to: `n${idx}`, label: '', severity: null }));
+            } else {
+                // Connect each reader to the last writer executed before it
+                const orderedWriters = writers.sort((a, b) => nodes[a].executionOrder - nodes[b].executionOrder);
+                for (const readerIdx of readers) {
+                    const readerOrder = nodes[readerIdx].executionOrder;
+                    const writerIdx = [...orderedWriters].reverse()
+                        .find(idx => nodes[idx].executionOrder < readerOrder && idx !== readerIdx);
+                    if (writerIdx === undefined) continue;
+                    edges.push({
+                        from: `n${writerIdx}`,
+                        to: `n${readerIdx}`,
+                        label: `${rt.name} (${format})`,
+                        severity
+                    });
+                }
+            }
+        }
+
+        return { name: options.name || 'RenderGraph', rtMode, nodes: diagramNodes, passes, resources, edges };
+    }
+
+    /**
+     * Map node and render target names to the highest severity of issues mentioning them
+     */
+    function getSeverities(issues) {
+        const result = { nodes: {}, renderTargets: {} };
+        const raise = (map, name, severity) => {
+            const current = map[name];
+            if (!current || SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(current)) {
+                map[name] = severity;
+            }
+        };
+
+        for (const issue of issues) {
+            const subjects = window.RenderGraphRules.getIssueSubjects(issue);
+            subjects.nodes.forEach(name => raise(result.nodes, name, issue.severity));
+            subjects.renderTargets.forEach(name => raise(result.renderTargets, name, issue.severity));
+        }
+
+        return result;
+    }
+
+    function escapeDot(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Export as a Graphviz DOT digraph, passes drawn as clusters
+     */
+    function toDot(analyzed, options = {}) {
+        const model = buildExportModel(analyzed, options);
+        const lines = [
+            `digraph "${escapeDot(model.name)}" {`,
+            '    rankdir=TB;',
+            '    node [fontname="Helvetica", fontsize=10];',
+            '    edge [fontname="Helvetica", fontsize=9];'
+        ];
+
+        const nodeLine = node => {
+            const color = node.severity ? `, color="${SEVERITY_COLORS[node.severity]}", penwidth=2` : '';
+            return `"${node.id}" [label="${escapeDot(`${node.label}\n${node.type}`)}", shape=box, style=rounded${color}];`;
+        };
+
+        const clustered = new Set();
+        model.passes.forEach(pass => {
+            lines.push(`    subgraph "cluster_${pass.id}" {`);
+            lines.push(`        label="${escapeDot(pass.label)}";`);
+            lines.push(`        color="${PASS_COLOR}";`);
+            pass.nodeIds.forEach(id => {
+                lines.push(`        ${nodeLine(model.nodes.find(n => n.id === id))}`);
+                clustered.add(id);
+            });
+            lines.push('    }');
+        });
+
+        model.nodes.filter(n => !clustered.has(n.id)).forEach(node => lines.push(`    ${nodeLine(node)}`));
+
+        model.resources.forEach(rt => {
+            const color = rt.severity ? `, color="${SEVERITY_COLORS[rt.severity]}", penwidth=2` : '';
+            const label = [rt.label, rt.format, rt.usage].filter(Boolean).join('\n');
+            lines.push(`    "${rt.id}" [label="${escapeDot(label)}", shape=note${color}];`);
+        });
+
+        // Keep nodes in execution order even when not directly connected
+        for (let i = 1; i < model.nodes.length; i++) {
+            lines.push(`    "${model.nodes[i - 1].id}" -> "${model.nodes[i].id}" [style=invis];`);
+        }
+
+        model.edges.forEach(edge => {
+            const attrs = [];
+            if (edge.label) attrs.push(`label="${escapeDot(edge.label)}"`);
+            if (edge.severity) attrs.push(`color="${SEVERITY_COLORS[edge.severity]}"`);
+            lines.push(`    "${edge.from}" -> "${edge.to}"${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    function escapeMermaid(text) {
+        return String(text).replace(/"/g, '#quot;');
+    }
+
+    /**
+     * Export as a Mermaid flowchart, passes drawn as subgraphs
+     */
+    function toMermaid(analyzed, options = {}) {
+        const model = buildExportModel(analyzed, options);
+        const lines = ['flowchart TB'];
+
+        const nodeLine = node => `${node.id}["${escapeMermaid(`${node.label}<br/>${node.type}`)}"]`;
+
+        const clustered = new Set();
+        model.passes.forEach(pass => {
+            lines.push(`    subgraph ${pass.id}["${escapeMermaid(pass.label)}"]`);
+            pass.nodeIds.forEach(id => {
+                lines.push(`        ${nodeLine(model.nodes.find(n => n.id === id))}`);
+                clustered.add(id);
+            });
+            lines.push('    end');
+        });
+
+        model.nodes.filter(n => !clustered.has(n.id)).forEach(node => lines.push(`    ${nodeLine(node)}`));
+
+        model.resources.forEach(rt => {
+            const label = [rt.label, rt.format, rt.usage].filter(Boolean).join('<br/>');
+            lines.push(`    ${rt.id}[/"${escapeMermaid(label)}"/]`);
+        });
+
+        model.edges.forEach(edge => {
+            lines.push(edge.label
+                ? `    ${edge.from} -->|"${escapeMermaid(edge.label)}"| ${edge.to}`
+                : `    ${edge.from} --> ${edge.to}`);
+        });
+
+        // Issue highlighting
+        SEVERITY_ORDER.forEach(severity => {
+            lines.push(`    classDef ${severity.toLowerCase()} stroke:${SEVERITY_COLORS[severity]},stroke-width:2px`);
+        });
+        [...model.nodes, ...model.resources]
+            .filter(item => item.severity)
+            .forEach(item => lines.push(`    class ${item.id} ${item.severity.toLowerCase()}`));
+
+        return lines.join('\n');
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Export as GraphML, passes as nested graphs
+     */
+    function toGraphML(analyzed, options = {}) {
+        const model = buildExportModel(analyzed, options);
+        const keys = [
+            ['label', 'node', 'label'], ['kind', 'node', 'kind'], ['type', 'node', 'type'],
+            ['format', 'node', 'format'], ['usage', 'node', 'usage'], ['severity', 'node', 'severity'],
+            ['color', 'node', 'color'], ['elabel', 'edge', 'label'], ['ecolor', 'edge', 'color']
+        ];
+
+        const data = (key, value) => value === null || value === undefined || value === ''
+            ? '' : `<data key="${key}">${escapeXml(value)}</data>`;
+
+        const nodeXml = (node, indent) => `${indent}<node id="${node.id}">` +
+            data('label', node.label) + data('kind', 'node') + data('type', node.type) +
+            data('severity', node.severity) + data('color', node.severity && SEVERITY_COLORS[node.severity]) +
+            '</node>';
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            ...keys.map(([id, scope, name]) => `  <key id="${id}" for="${scope}" attr.name="${name}" attr.type="string"/>`),
+            `  <graph id="${escapeXml(model.name)}" edgedefault="directed">`
+        ];
+
+        const clustered = new Set();
+        model.passes.forEach(pass => {
+            lines.push(`    <node id="${pass.id}">${data('label', pass.label)}${data('kind', 'render_pass')}`);
+            lines.push(`      <graph id="${pass.id}:" edgedefault="directed">`);
+            pass.nodeIds.forEach(id => {
+                lines.push(nodeXml(model.nodes.find(n => n.id === id), '        '));
+                clustered.add(id);
+            });
+            lines.push('      </graph>');
+            lines.push('    </node>');
+        });
+
+        model.nodes.filter(n => !clustered.has(n.id)).forEach(node => lines.push(nodeXml(node, '    ')));
+
+        model.resources.forEach(rt => {
+            lines.push(`    <node id="${rt.id}">` + data('label', rt.label) + data('kind', 'render_target') +
+                data('format', rt.format) + data('usage', rt.usage) + data('severity', rt.severity) +
+                data('color', rt.severity && SEVERITY_COLORS[rt.severity]) + '</node>');
+        });
+
+        model.edges.forEach((edge, i) => {
+            lines.push(`    <edge id="e${i}" source="${edge.from}" target="${edge.to}">` +
+                data('elabel', edge.label) + data('ecolor', edge.severity && SEVERITY_COLORS[edge.severity]) + '</edge>');
+        });
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n');
+    }
+
+    // Exporters by format id, with the file extension to use
+    const FORMATS = {
+        dot: { extension: 'dot', mimeType: 'text/vnd.graphviz', exporter: toDot },
+        mermaid: { extension: 'mmd', mimeType: 'text/plain', exporter: toMermaid },
+        graphml: { extension: 'graphml', mimeType: 'application/xml', exporter: toGraphML }
+    };
+
+    // Export for use by other modules
+    window.RenderGraphExport = {
+        FORMATS,
+        buildExportModel,
+        toDot,
+        toMermaid,
+        toGraphML
+    };
+
+})();
@@ -0,0 +1,349 @@
+// Fixes module - machine-applicable fixes for debugger issues
+// A fix is a JSON Patch against the raw render graph description. It is built from the issue details
+// and the description it will be applied to, so several fixes can be applied one after another
+
+(function() {
+    const { USAGE_BITS, USAGE_FLAGS } = window.RenderGraphConstants;
+    const { applyPatch, getValue, formatPointer } = window.RenderGraphPatch;
+    const Schemas = window.RenderGraphSchemas;
+
+    const RT_LIST = 'renderTargetDescriptions';
+    const NODE_LIST = 'nodeDataDescriptions';
+    const PASS_LIST = 'renderPassDescriptions';
+
+    // Usage bits a transient attachment may have (VK_IMAGE_USAGE_TRANSIENT_ATTACHMENT_BIT rules)
+    const TRANSIENT_COMPATIBLE = USAGE_BITS.COLOR_ATTACHMENT | USAGE_BITS.DEPTH_STENCIL |
+        USAGE_BITS.INPUT_ATTACHMENT | USAGE_BITS.TRANSIENT;
+
+    // Node and render pass fields holding render target indices
+    const NODE_RT_LISTS = ['inputRenderTargetIndices', 'outputRenderTargetIndices'];
+    const PASS_RT_LISTS = ['colorAttachmentIndices', 'resolveAttachmentIndices'];
+
+    function usageNames(usage) {
+        return Object.entries(USAGE_FLAGS)
+            .filter(([bit]) => usage & parseInt(bit))
+            .map(([, name]) => name);
+    }
+
+    /**
+     * Find the current index of a render target named in an issue
+     * @param {Object} description - Raw description the fix applies to
+     * @param {Object} ref - { index, name } as recorded in the issue
+     * @param {Object} state - { removed: original indices already removed by earlier fixes }
+     * @returns {number} Current index
+     * @throws {Error} When the render target is gone or the description no longer matches the issue
+     */
+    function locateRenderTarget(description, ref, state) {
+        if (state.removed.includes(ref.index)) {
+            throw new Error(`Render target '${ref.name}' was already removed by another fix`);
+        }
+
+        const index = ref.index - state.removed.filter(idx => idx < ref.index).length;
+        const desc = (description[RT_LIST] || [])[index];
+        if (!desc || (desc.name !== undefined && ref.name !== undefined && desc.name !== ref.name)) {
+            throw new Error(`Render target '${ref.name}' is not at RT#${index} anymore; re-run the checks`);
+        }
+        return index;
+    }
+
+    function issueRenderTarget(issue) {
+        return { index: issue.details.render_target_index, name: issue.details.render_target_name };
+    }
+
+    /**
+     * Operations setting and clearing usage bits of a render target
+     */
+    function usageOperations(description, index, set, clear = 0) {
+        const current = description[RT_LIST][index].usage || 0;
+        const usage = (current | set) & ~clear;
+        if (usage === current) return [];
+        return [{ op: 'add', path: formatPointer([RT_LIST, index, 'usage']), value: usage }];
+    }
+
+    /**
+     * Operations removing a render target and renumbering every reference to the ones after it
+     * @param {Object} description - Raw description
+     * @param {number} index - Render target to remove
+     * @param {number|null} replacement - Render target taking over its references, or null to require none
+     */
+    function removeRenderTargetOperations(description, index, replacement = null) {
+        const rtCount = (description[RT_LIST] || []).length;
+        const remapped = idx => (idx > index && idx < rtCount ? idx - 1 : idx);
+        const operations = [];
+        const referencedBy = [];
+
+        const remap = (idx, where) => {
+            if (idx !== index) return remapped(idx);
+            if (replacement === null) {
+                referencedBy.push(where);
+                return idx;
+            }
+            return remapped(replacement);
+        };
+
+        const remapList = (list, where) => list.map(idx => remap(idx, where));
+
+        (description[NODE_LIST] || []).forEach((node, i) => {
+            const where = `node '${node.name || i}'`;
+
+            NODE_RT_LISTS.forEach(key => {
+                if (!Array.isArray(node[key])) return;
+                const next = remapList(node[key], where);
+                if (JSON.stringify(next) !== JSON.stringify(node[key])) {
+                    operations.push({ op: 'replace', path: formatPointer([NODE_LIST, i, key]), value: next });
+                }
+            });
+
+            // Shader bindings encode the render target index inside a read/write/read-write range
+            const bindings = Schemas.collectBindings(node.dataJson, Schemas.getSchema(node.type));
+            for (const binding of bindings) {
+                const rangeStart = binding.address - binding.rtIndex;
+                const next = rangeStart + remap(binding.rtIndex, where);
+                if (next !== binding.address) {
+                    operations.push({
+                        op: 'replace',
+                        path: formatPointer([NODE_LIST, i, 'dataJson', ...binding.path]),
+                        value: Schemas.encodeBindingAddress(next, binding.value)
+                    });
+                }
+            }
+        });
+
+        (description[PASS_LIST] || []).forEach((pass, i) => {
+            const where = `render pass '${pass.name || i}'`;
+
+            PASS_RT_LISTS.forEach(key => {
+                if (!Array.isArray(pass[key])) return;
+                const next = remapList(pass[key], where);
+                if (JSON.stringify(next) !== JSON.stringify(pass[key])) {
+                    operations.push({ op: 'replace', path: formatPointer([PASS_LIST, i, key]), value: next });
+                }
+            });
+
+            if (typeof pass.depthAttachmentIndex === 'number') {
+                const next = remap(pass.depthAttachmentIndex, where);
+                if (next !== pass.depthAttachmentIndex) {
+                    operations.push({ op: 'replace', path: formatPointer([PASS_LIST, i, 'depthAttachmentIndex']), value: next });
+                }
+            }
+        });
+
+        if (referencedBy.length > 0) {
+            throw new Error(`RT#${index} is still referenced by ${[...new Set(referencedBy)].join(', ')}`);
+        }
+
+        operations.push({ op: 'remove', path: formatPointer([RT_LIST, index]) });
+        return operations;
+    }
+
+    function addUsageFix(bit, title) {
+        return {
+            title,
+            safe: true,
+            build: (issue, description, state) => {
+                const index = locateRenderTarget(description, issueRenderTarget(issue), state);
+                // Sampled and storage images cannot be transient
+                return { operations: usageOperations(description, index, bit, USAGE_BITS.TRANSIENT) };
+            }
+        };
+    }
+
+    // Fix builders by issue type
+    // build(issue, description, state) returns { operations, removes } or throws when the fix does not apply
+    // Safe fixes only change flags; the others restructure the graph and deserve a review
+    const FIXES = {
+        MISSING_TRANSIENT_FLAG: {
+            title: 'Add the TRANSIENT usage flag',
+            safe: true,
+            build: (issue, description, state) => {
+                const index = locateRenderTarget(description, issueRenderTarget(issue), state);
+                const usage = description[RT_LIST][index].usage || 0;
+                const conflicting = usage & ~TRANSIENT_COMPATIBLE;
+                if (conflicting) {
+                    throw new Error(`A transient attachment cannot also have ${usageNames(conflicting).join(', ')} usage`);
+                }
+                return { operations: usageOperations(description, index, USAGE_BITS.TRANSIENT) };
+            }
+        },
+
+        MISSING_SAMPLED_FLAG: addUsageFix(USAGE_BITS.SAMPLED, 'Add the SAMPLED usage flag'),
+
+        MISSING_STORAGE_FLAG: addUsageFix(USAGE_BITS.STORAGE, 'Add the STORAGE usage flag'),
+
+        UNUSED_RENDER_TARGET: {
+            title: 'Remove the render target',
+            safe: false,
+            build: (issue, description, state) => {
+                const ref = issueRenderTarget(issue);
+                const index = locateRenderTarget(description, ref, state);
+                return { operations: removeRenderTargetOperations(description, index), removes: [ref.index] };
+            }
+        },
+
+        ALIASING_OPPORTUNITY: {
+            title: 'Merge the second render target into the first',
+            safe: false,
+            build: (issue, description, state) => {
+                const keep = issue.details.render_target_1;
+                const merge = issue.details.render_target_2;
+
+                // A merged target's lifetime grew, other aliasing results for it are stale
+                if (state.merged.includes(keep.index) || state.merged.includes(merge.index)) {
+                    throw new Error(`'${state.merged.includes(keep.index) ? keep.name : merge.name}' was already merged; re-run the checks`);
+                }
+
+                const keepIndex = locateRenderTarget(description, keep, state);
+                const mergeIndex = locateRenderTarget(description, merge, state);
+                const mergeUsage = description[RT_LIST][mergeIndex].usage || 0;
+
+                return {
+                    operations: [
+                        ...usageOperations(description, keepIndex, mergeUsage),
+                        ...removeRenderTargetOperations(description, mergeIndex, keepIndex)
+                    ],
+                    removes: [merge.index],
+                    merges: [keep.index]
+                };
+            }
+        }
+    };
+
+    function createState() {
+        return { removed: [], merged: [] };
+    }
+
+    function isFixable(issue) {
+        return !!issue && issue.type in FIXES;
+    }
+
+    /**
+     * Build the fix of an issue against a description
+     * @param {Object} issue - Debugger issue
+     * @param {Object} description - Raw render graph JSON
+     * @param {Object} state - Fixes applied so far (see applyFixes), omit for a standalone fix
+     * @returns {Object|null} { type, title, safe, operations, removes, merges }, null if the type has no fix
+     * @throws {Error} When the fix does not apply to this description
+     */
+    function buildFix(issue, description, state = createState()) {
+        if (!isFixable(issue)) return null;
+
+        const fixer = FIXES[issue.type];
+        const fix = fixer.build(issue, description, state);
+        return {
+            type: issue.type,
+            title: fixer.title,
+            safe: fixer.safe,
+            operations: fix.operations,
+            removes: fix.removes || [],
+            merges: fix.merges || []
+        };
+    }
+
+    /**
+     * Attach a standalone fix ({ title, safe, operations }) to every fixable issue
+     * Issues whose fix does not apply get fix.error instead of operations
+     * @param {Object} options - { conditional: the issues come from an analysis with nodes or passes removed
+     *                             by condition toggles }
+     */
+    function attachFixes(issues, description, options = {}) {
+        for (const issue of issues) {
+            if (!isFixable(issue)) continue;
+
+            // Lifetimes and references of the other permutations are unknown, a structural change could
+            // break them in the full description
+            if (options.conditional && !FIXES[issue.type].safe) {
+                issue.fix = {
+                    title: FIXES[issue.type].title,
+                    safe: false,
+                    error: 'This fix changes the graph structure; show every node (clear the conditions) to apply it'
+                };
+                continue;
+            }
+
+            try {
+                const { title, safe, operations } = buildFix(issue, description);
+                issue.fix = { title, safe, operations };
+            } catch (error) {
+                issue.fix = { title: FIXES[issue.type].title, safe: FIXES[issue.type].safe, error: error.message };
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Preview a fix as a list of changed values
+     * @returns {Object} { fix, changes: [{ op, path, before, after }], description }
+     */
+    function previewFix(issue, description) {
+        const fix = buildFix(issue, description);
+        if (!fix) throw new Error(`${issue.type} issues have no automatic fix`);
+
+        // Apply one operation at a time so every path is read in the state it applies to
+        let current = description;
+        const changes = fix.operations.map(operation => {
+            const before = getValue(current, operation.path);
+            current = applyPatch(current, [operation]);
+            return {
+                op: operation.op,
+                path: operation.path,
+                before,
+                after: operation.op === 'remove' ? undefined : operation.value
+            };
+        });
+
+        return { fix, changes, description: current };
+    }
+
+    /**
+     * Apply the fixes of several issues in turn
+     * Issues are located by their original indices, so fixes removing render targets do not break later ones
+     * @param {Object} description - Raw render graph JSON (left untouched)
+     * @param {Array} issues - Issues from the same analysis of description
+     * @returns {Object} { description, applied: [{ issue, fix }], skipped: [{ issue, reason }] }
+     */
+    function applyFixes(description, issues) {
+        const state = createState();
+        const applied = [];
+        const skipped = [];
+        let current = description;
+
+        for (const issue of issues) {
+            if (!isFixable(issue)) {
+                skipped.push({ issue, reason: 'No automatic fix' });
+                continue;
+            }
+            if (issue.fix && issue.fix.error) {
+                skipped.push({ issue, reason: issue.fix.error });
+                continue;
+            }
+
+            try {
+                const fix = buildFix(issue, current, state);
+                if (fix.operations.length === 0) {
+                    skipped.push({ issue, reason: 'Already fixed' });
+                    continue;
+                }
+                current = applyPatch(current, fix.operations);
+                state.removed.push(...fix.removes);
+                state.merged.push(...fix.merges);
+                applied.push({ issue, fix });
+            } catch (error) {
+                skipped.push({ issue, reason: error.message });
+            }
+        }
+
+        return { description: current, applied, skipped };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphFixes = {
+        FIXES,
+        isFixable,
+        buildFix,
+        attachFixes,
+        previewFix,
+        applyFixes,
+        removeRenderTargetOperations
+    };
+
+})();
@@ -0,0 +1,332 @@
+// Formats module - VkFormat metadata derived from the format names in constants.js
+// Provides block size, bytes per texel, component layout, aspects, compression/sRGB flags
+// and the usual format feature support, so checks can be driven by metadata instead of index lists
+
+(function() {
+    const { FORMAT_MAP } = window.RenderGraphConstants;
+
+    const NUMERIC_TYPES = ['UNORM', 'SNORM', 'USCALED', 'SSCALED', 'UINT', 'SINT', 'SRGB', 'SFLOAT', 'UFLOAT'];
+
+    // Feature support levels, strongest first
+    //   mandatory - required by the Vulkan spec on every implementation
+    //   typical   - optional but supported by current desktop drivers
+    //   extended  - needs an optional device feature (e.g. shaderStorageImageExtendedFormats)
+    //   optional  - vendor/platform dependent (mobile compression, some depth/stencil formats)
+    const SUPPORT = { MANDATORY: 'mandatory', TYPICAL: 'typical', EXTENDED: 'extended', OPTIONAL: 'optional' };
+
+    // Formats the spec requires for VK_FORMAT_FEATURE_COLOR_ATTACHMENT_BIT
+    const MANDATORY_COLOR_ATTACHMENT = [
+        'R5G6B5_UNORM_PACK16', 'A1R5G5B5_UNORM_PACK16',
+        'R8_UNORM', 'R8_UINT', 'R8_SINT', 'R8G8_UNORM', 'R8G8_UINT', 'R8G8_SINT',
+        'R8G8B8A8_UNORM', 'R8G8B8A8_UINT', 'R8G8B8A8_SINT', 'R8G8B8A8_SRGB',
+        'B8G8R8A8_UNORM', 'B8G8R8A8_SRGB',
+        'A8B8G8R8_UNORM_PACK32', 'A8B8G8R8_UINT_PACK32', 'A8B8G8R8_SINT_PACK32', 'A8B8G8R8_SRGB_PACK32',
+        'A2B10G10R10_UNORM_PACK32', 'A2B10G10R10_UINT_PACK32',
+        'R16_UINT', 'R16_SINT', 'R16_SFLOAT', 'R16G16_UINT', 'R16G16_SINT', 'R16G16_SFLOAT',
+        'R16G16B16A16_UINT', 'R16G16B16A16_SINT', 'R16G16B16A16_SFLOAT',
+        'R32_UINT', 'R32_SINT', 'R32_SFLOAT', 'R32G32_UINT', 'R32G32_SINT', 'R32G32_SFLOAT',
+        'R32G32B32A32_UINT', 'R32G32B32A32_SINT', 'R32G32B32A32_SFLOAT'
+    ];
+
+    // Optional color attachment formats every current desktop driver exposes
+    const TYPICAL_COLOR_ATTACHMENT = [
+        'R16_UNORM', 'R16G16_UNORM', 'R16G16B16A16_UNORM', 'R16_SNORM', 'R16G16_SNORM', 'R16G16B16A16_SNORM',
+        'R8_SNORM', 'R8G8_SNORM', 'R8G8B8A8_SNORM', 'A2R10G10B10_UNORM_PACK32', 'B10G11R11_UFLOAT_PACK32',
+        'B5G6R5_UNORM_PACK16', 'R4G4B4A4_UNORM_PACK16', 'B4G4R4A4_UNORM_PACK16',
+        'A4R4G4B4_UNORM_PACK16', 'A4B4G4R4_UNORM_PACK16'
+    ];
+
+    // Formats the spec requires for VK_FORMAT_FEATURE_STORAGE_IMAGE_BIT
+    const MANDATORY_STORAGE = [
+        'R8G8B8A8_UNORM', 'R8G8B8A8_SNORM', 'R8G8B8A8_UINT', 'R8G8B8A8_SINT',
+        'R16G16B16A16_UINT', 'R16G16B16A16_SINT', 'R16G16B16A16_SFLOAT',
+        'R32_UINT', 'R32_SINT', 'R32_SFLOAT', 'R32G32_UINT', 'R32G32_SINT', 'R32G32_SFLOAT',
+        'R32G32B32A32_UINT', 'R32G32B32A32_SINT', 'R32G32B32A32_SFLOAT'
+    ];
+
+    // Storage formats enabled by the shaderStorageImageExtendedFormats feature
+    const EXTENDED_STORAGE = [
+        'R16G16_SFLOAT', 'B10G11R11_UFLOAT_PACK32', 'R16_SFLOAT', 'R16G16B16A16_UNORM',
+        'A2B10G10R10_UNORM_PACK32', 'R16G16_UNORM', 'R8G8_UNORM', 'R16_UNORM', 'R8_UNORM',
+        'R16G16B16A16_SNORM', 'R16G16_SNORM', 'R8G8_SNORM', 'R16_SNORM', 'R8_SNORM',
+        'R16G16_SINT', 'R8G8_SINT', 'R16_SINT', 'R8_SINT',
+        'A2B10G10R10_UINT_PACK32', 'R16G16_UINT', 'R8G8_UINT', 'R16_UINT', 'R8_UINT'
+    ];
+
+    // Depth/stencil attachment support: D16 is required, one of each other pair must exist
+    const DEPTH_STENCIL_SUPPORT = {
+        D16_UNORM: SUPPORT.MANDATORY,
+        X8_D24_UNORM_PACK32: SUPPORT.OPTIONAL,
+        D32_SFLOAT: SUPPORT.TYPICAL,
+        S8_UINT: SUPPORT.OPTIONAL,
+        D16_UNORM_S8_UINT: SUPPORT.OPTIONAL,
+        D24_UNORM_S8_UINT: SUPPORT.OPTIONAL,
+        D32_SFLOAT_S8_UINT: SUPPORT.TYPICAL
+    };
+
+    // Memory actually used per texel when the spec size is not a whole number of aligned bytes
+    const PADDED_TEXEL_SIZES = {
+        D16_UNORM_S8_UINT: 4,   // 3 bytes, stored as 32 bits
+        D32_SFLOAT_S8_UINT: 8   // 5 bytes, stencil padded to 32 bits
+    };
+
+    /**
+     * Describe a block-compressed format, or return null for uncompressed names
+     */
+    function describeCompressed(name) {
+        let match = name.match(/^BC(\d)(H?)_(?:(RGBA?)_)?(UNORM|SNORM|SRGB|UFLOAT|SFLOAT)_BLOCK$/);
+        if (match) {
+            const family = Number(match[1]);
+            const components = { 1: match[3] || 'RGB', 2: 'RGBA', 3: 'RGBA', 4: 'R', 5: 'RG', 6: 'RGB', 7: 'RGBA' }[family];
+            return {
+                family: 'BC',
+                numericType: match[4],
+                components,
+                blockExtent: [4, 4],
+                blockSize: family === 1 || family === 4 ? 8 : 16,
+                sampled: SUPPORT.TYPICAL
+            };
+        }
+
+        match = name.match(/^(ETC2|EAC)_([RGBA0-9]+)_(UNORM|SNORM|SRGB)_BLOCK$/);
+        if (match) {
+            const components = match[2].replace(/\d+/g, '');
+            const large = match[2] === 'R8G8B8A8' || match[2] === 'R11G11';
+            return {
+                family: match[1],
+                numericType: match[3],
+                components,
+                blockExtent: [4, 4],
+                blockSize: large ? 16 : 8,
+                sampled: SUPPORT.OPTIONAL
+            };
+        }
+
+        match = name.match(/^ASTC_(\d+)x(\d+)_(UNORM|SRGB|SFLOAT)_BLOCK$/);
+        if (match) {
+            return {
+                family: 'ASTC',
+                numericType: match[3],
+                components: 'RGBA',
+                blockExtent: [Number(match[1]), Number(match[2])],
+                blockSize: 16,
+                sampled: SUPPORT.OPTIONAL
+            };
+        }
+
+        match = name.match(/^PVRTC(\d)_(\d)BPP_(UNORM|SRGB)_BLOCK_IMG$/);
+        if (match) {
+            return {
+                family: 'PVRTC',
+                numericType: match[3],
+                components: 'RGBA',
+                blockExtent: match[2] === '2' ? [8, 4] : [4, 4],
+                blockSize: 8,
+                sampled: SUPPORT.OPTIONAL
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split an uncompressed name into components with bit widths and numeric types
+     * e.g. D24_UNORM_S8_UINT -> components D24 (UNORM), S8 (UINT)
+     */
+    function describeUncompressed(name) {
+        const tokens = name.replace(/_KHR$/, '').split('_');
+        const components = [];
+        let packBits = null;
+        let pending = [];
+
+        for (const token of tokens) {
+            const pack = token.match(/^PACK(\d+)$/);
+            if (pack) {
+                packBits = Number(pack[1]);
+            } else if (NUMERIC_TYPES.includes(token)) {
+                pending.forEach(component => { component.numericType = token; });
+                pending = [];
+            } else {
+                for (const [, channel, bits] of token.matchAll(/([RGBADSXE])(\d+)/g)) {
+                    const component = { channel, bits: Number(bits), numericType: null };
+                    components.push(component);
+                    pending.push(component);
+                }
+            }
+        }
+
+        // The exponent of E5B9G9R9 shares the type of the mantissas
+        const defaultType = components.find(c => c.numericType)?.numericType || null;
+        components.forEach(c => { if (!c.numericType) c.numericType = defaultType; });
+
+        const totalBits = components.reduce((sum, c) => sum + c.bits, 0);
+        return { components, packBits, totalBits };
+    }
+
+    function supportLevel(name, mandatory, typical = []) {
+        if (mandatory.includes(name)) return SUPPORT.MANDATORY;
+        if (typical.includes(name)) return SUPPORT.TYPICAL;
+        return null;
+    }
+
+    /**
+     * Build the metadata record for a format
+     * @param {number} value - VkFormat value
+     * @param {string} name - Name without the VK_FORMAT_ prefix
+     */
+    function describeFormat(value, name) {
+        const info = {
+            value,
+            name,
+            vkName: `VK_FORMAT_${name}`,
+            components: '',
+            componentBits: [],
+            numericType: null,
+            aspects: [],
+            compressed: false,
+            compressionFamily: null,
+            srgb: false,
+            packed: false,
+            blockExtent: [1, 1],
+            blockSize: 0,
+            bytesPerTexel: null,
+            support: { sampled: null, colorAttachment: null, blend: null, storage: null, depthStencilAttachment: null }
+        };
+
+        if (name === 'UNDEFINED') return info;
+
+        const compressed = describeCompressed(name);
+        if (compressed) {
+            Object.assign(info, {
+                components: compressed.components,
+                numericType: compressed.numericType,
+                aspects: ['COLOR'],
+                compressed: true,
+                compressionFamily: compressed.family,
+                srgb: compressed.numericType === 'SRGB',
+                blockExtent: compressed.blockExtent,
+                blockSize: compressed.blockSize,
+                bytesPerTexel: compressed.blockSize / (compressed.blockExtent[0] * compressed.blockExtent[1])
+            });
+            info.support.sampled = compressed.sampled;
+            return info;
+        }
+
+        const { components, packBits, totalBits } = describeUncompressed(name);
+        const channels = components.map(c => c.channel);
+        const hasDepth = channels.includes('D');
+        const hasStencil = channels.includes('S');
+
+        info.components = channels.filter(ch => ch !== 'X').join('');
+        info.componentBits = components.filter(c => c.channel !== 'X').map(c => c.bits);
+        info.numericType = components.find(c => c.channel !== 'X' && c.channel !== 'S')?.numericType
+            || components[0]?.numericType || null;
+        info.packed = packBits !== null;
+        info.srgb = info.numericType === 'SRGB';
+        info.blockSize = packBits !== null ? packBits / 8 : Math.ceil(totalBits / 8);
+        info.bytesPerTexel = PADDED_TEXEL_SIZES[name] ?? info.blockSize;
+
+        if (hasDepth || hasStencil) {
+            if (hasDepth) info.aspects.push('DEPTH');
+            if (hasStencil) info.aspects.push('STENCIL');
+            info.support.depthStencilAttachment = DEPTH_STENCIL_SUPPORT[name] ?? null;
+            info.support.sampled = hasDepth ? SUPPORT.MANDATORY : SUPPORT.OPTIONAL;
+            return info;
+        }
+
+        info.aspects.push('COLOR');
+
+        const scaled = info.numericType === 'USCALED' || info.numericType === 'SSCALED';
+        const integer = info.numericType === 'UINT' || info.numericType === 'SINT';
+        const threeComponent = !info.packed && info.components.length === 3;
+        const wide = info.componentBits.some(bits => bits === 64);
+
+        info.support.sampled = scaled || threeComponent || wide ? null : SUPPORT.MANDATORY;
+        info.support.colorAttachment = supportLevel(name, MANDATORY_COLOR_ATTACHMENT, TYPICAL_COLOR_ATTACHMENT);
+
+        // 32-bit float attachments are not required to blend
+        if (info.support.colorAttachment && !integer && !info.componentBits.includes(32)) {
+            info.support.blend = info.support.colorAttachment;
+        }
+
+        info.support.storage = MANDATORY_STORAGE.includes(name)
+            ? SUPPORT.MANDATORY
+            : (EXTENDED_STORAGE.includes(name) ? SUPPORT.EXTENDED : null);
+
+        return info;
+    }
+
+    // Metadata for every known format, keyed by VkFormat value
+    const FORMATS = {};
+    for (const [value, name] of Object.entries(FORMAT_MAP)) {
+        FORMATS[value] = describeFormat(Number(value), name);
+    }
+
+    /**
+     * Get the metadata of a format
+     * @param {number} format - VkFormat value
+     * @returns {Object|null} Format record, or null for unknown values
+     */
+    function getFormatInfo(format) {
+        return FORMATS[format] ?? null;
+    }
+
+    function getFormatName(format) {
+        return FORMAT_MAP[format] ?? `Unknown (${format})`;
+    }
+
+    /**
+     * Bytes per texel; fractional for block-compressed formats
+     * @returns {number|null} null for unknown formats
+     */
+    function getBytesPerTexel(format) {
+        return getFormatInfo(format)?.bytesPerTexel ?? null;
+    }
+
+    /**
+     * Size in bytes of one image level, rounding up to whole blocks
+     * @returns {number|null} null for unknown formats
+     */
+    function getLevelSize(format, width, height, depth = 1) {
+        const info = getFormatInfo(format);
+        if (!info || info.bytesPerTexel === null) return null;
+        if (!info.compressed) return width * height * depth * info.bytesPerTexel;
+
+        const [blockWidth, blockHeight] = info.blockExtent;
+        return Math.ceil(width / blockWidth) * Math.ceil(height / blockHeight) * depth * info.blockSize;
+    }
+
+    function hasAspect(format, aspect) {
+        return !!getFormatInfo(format)?.aspects.includes(aspect);
+    }
+
+    const isColorFormat = format => hasAspect(format, 'COLOR');
+    const isDepthStencilFormat = format => hasAspect(format, 'DEPTH') || hasAspect(format, 'STENCIL');
+    const isIntegerFormat = format => ['UINT', 'SINT'].includes(getFormatInfo(format)?.numericType);
+
+    /**
+     * Get how well a format supports a feature
+     * @param {number} format - VkFormat value
+     * @param {string} feature - sampled, colorAttachment, blend, storage or depthStencilAttachment
+     * @returns {string|null} A SUPPORT level, or null when the format cannot be used that way
+     */
+    function getSupport(format, feature) {
+        return getFormatInfo(format)?.support[feature] ?? null;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphFormats = {
+        SUPPORT,
+        FORMATS,
+        describeFormat,
+        getFormatInfo,
+        getFormatName,
+        getBytesPerTexel,
+        getLevelSize,
+        isColorFormat,
+        isDepthStencilFormat,
+        isIntegerFormat,
+        getSupport
+    };
+
+})();
@@ -0,0 +1,350 @@
+// Gantt module - render target lifetimes as an SVG Gantt chart over execution order
+// Rows come from the view format (render_targets_by_first_usage, nodes_by_execution_order), so pre-processed
+// graphs chart too. Render passes are drawn as background bands; each row is a bar from the first to the
+// last use of its render target, with a tick per write (red) and read (green).
+// The chart is rendered to a self-contained SVG string: the timeline view shows it and exports it as is
+
+(function() {
+    const GROUP_BY = ['none', 'format', 'pass', 'size'];
+    const SORT_BY = ['first', 'name', 'size', 'lifetime'];
+
+    const LAYOUT = {
+        labelWidth: 220,
+        axisHeight: 36,
+        rowHeight: 18,
+        groupHeight: 22,
+        padding: 8
+    };
+
+    const COLORS = {
+        background: '#0d1117',
+        text: '#d4d4d4',
+        muted: '#6b7280',
+        grid: '#1c2028',
+        bands: ['rgba(86, 156, 214, 0.07)', 'rgba(86, 156, 214, 0.14)'],
+        bar: '#569cd6',
+        write: '#f48771',
+        read: '#2ea043',
+        selection: 'rgba(229, 168, 32, 0.18)',
+        selectionEdge: '#E5A820'
+    };
+
+    // Size groups, by upper bound in bytes
+    const SIZE_BUCKETS = [
+        { label: '< 1 MB', max: 1 << 20 },
+        { label: '1 - 8 MB', max: 8 << 20 },
+        { label: '8 - 32 MB', max: 32 << 20 },
+        { label: '≥ 32 MB', max: Infinity }
+    ];
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function executedUses(entries, write) {
+        return (entries || [])
+            .filter(entry => entry.execution_order >= 0)
+            .map(entry => ({ order: entry.execution_order, write, node: entry.name }));
+    }
+
+    /**
+     * Chart rows of the render targets that are used
+     * @param {Array} renderTargets - View format render targets
+     * @param {Object} sizes - Optional bytes per render target index
+     * @returns {Array} [{ index, name, format, pass, start, end, uses: [{ order, write, node }], bytes }]
+     */
+    function getRows(renderTargets, sizes = {}) {
+        return renderTargets
+            .map(rt => {
+                const uses = [...executedUses(rt.ownership, true), ...executedUses(rt.readers, false)]
+                    .sort((a, b) => a.order - b.order);
+                if (uses.length === 0) return null;
+
+                const first = rt.lifetime && rt.lifetime.first_used;
+                return {
+                    index: rt.index,
+                    name: rt.name,
+                    format: rt.format ? rt.format.name : 'Unknown',
+                    pass: first && first.render_pass ? first.render_pass : null,
+                    start: uses[0].order,
+                    end: uses[uses.length - 1].order,
+                    uses,
+                    bytes: rt.index in sizes ? sizes[rt.index] : null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Background bands of the render passes, over the execution range of their nodes
+     * @returns {Array} [{ index, name, start, end }] in execution order
+     */
+    function getPassBands(nodes) {
+        const bands = new Map();
+        for (const node of nodes) {
+            if (node.execution_order < 0 || node.render_pass_index === null || node.render_pass_index === undefined) continue;
+
+            const band = bands.get(node.render_pass_index);
+            if (band) {
+                band.start = Math.min(band.start, node.execution_order);
+                band.end = Math.max(band.end, node.execution_order);
+            } else {
+                bands.set(node.render_pass_index, {
+                    index: node.render_pass_index,
+                    name: node.render_pass,
+                    start: node.execution_order,
+                    end: node.execution_order
+                });
+            }
+        }
+        return [...bands.values()].sort((a, b) => a.start - b.start);
+    }
+
+    function groupKey(row, groupBy) {
+        switch (groupBy) {
+            case 'format': return row.format;
+            case 'pass': return row.pass || '(no render pass)';
+            case 'size':
+                if (row.bytes === null) return 'Unknown size';
+                return SIZE_BUCKETS.find(bucket => row.bytes < bucket.max).label;
+            default: return '';
+        }
+    }
+
+    const COMPARE = {
+        first: (a, b) => a.start - b.start || a.end - b.end,
+        name: (a, b) => a.name.localeCompare(b.name),
+        size: (a, b) => (b.bytes ?? -1) - (a.bytes ?? -1) || a.start - b.start,
+        lifetime: (a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start
+    };
+
+    /**
+     * Group and sort rows
+     * @returns {Array} [{ label, rows }] - one unlabeled group when not grouping
+     */
+    function groupRows(rows, groupBy = 'none', sortBy = 'first') {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = groupKey(row, groupBy);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+
+        const compare = COMPARE[sortBy] || COMPARE.first;
+        const result = [...groups].map(([label, members]) => ({ label, rows: members.sort(compare) }));
+
+        // Size groups follow the buckets, largest first; other groups start where their first row starts
+        if (groupBy === 'size') {
+            const order = [...SIZE_BUCKETS.map(bucket => bucket.label).reverse(), 'Unknown size'];
+            result.sort((a, b) => order.indexOf(a.label) - order.indexOf(b.label));
+        } else {
+            result.sort((a, b) => Math.min(...a.rows.map(r => r.start)) - Math.min(...b.rows.map(r => r.start)) ||
+                a.label.localeCompare(b.label));
+        }
+        return result;
+    }
+
+    /**
+     * Build the chart model of a view graph
+     * @param {Object} graphData - View format graph
+     * @param {Object} options - { groupBy, sortBy, sizes, filter(rt) keeping render targets to chart }
+     * @returns {Object} { groups, bands, maxOrder, rowCount }
+     */
+    function createChart(graphData, options = {}) {
+        const renderTargets = (graphData.render_targets_by_first_usage || []).filter(options.filter || (() => true));
+        const nodes = graphData.nodes_by_execution_order || [];
+        const groups = groupRows(getRows(renderTargets, options.sizes), options.groupBy, options.sortBy);
+
+        return {
+            groups,
+            bands: getPassBands(nodes),
+            maxOrder: nodes.reduce((max, node) => Math.max(max, node.execution_order), 0),
+            rowCount: groups.reduce((sum, group) => sum + group.rows.length, 0)
+        };
+    }
+
+    /**
+     * Chart height for a width-independent layout
+     */
+    function getHeight(chart) {
+        const labeled = chart.groups.filter(group => group.label).length;
+        return LAYOUT.axisHeight + labeled * LAYOUT.groupHeight + chart.rowCount * LAYOUT.rowHeight + LAYOUT.padding;
+    }
+
+    // Horizontal scale of a view: execution order o spans [o, o + 1)
+    function createScale(view, width) {
+        const plotWidth = Math.max(1, width - LAYOUT.labelWidth - LAYOUT.padding);
+        const span = view.end - view.start;
+        return {
+            plotWidth,
+            x: order => LAYOUT.labelWidth + (order - view.start) / span * plotWidth,
+            order: x => view.start + (x - LAYOUT.labelWidth) / plotWidth * span
+        };
+    }
+
+    /**
+     * Execution order under a horizontal position of the chart
+     */
+    function orderAt(x, view, width) {
+        return createScale(view, width).order(x);
+    }
+
+    /**
+     * Clamp a view to the chart, keeping at least one execution order visible
+     * @param {Object} view - { start, end } in execution order units
+     */
+    function clampView(view, maxOrder) {
+        const total = maxOrder + 1;
+        const span = Math.min(total, Math.max(1, view.end - view.start));
+        const start = Math.min(Math.max(0, view.start), total - span);
+        return { start, end: start + span };
+    }
+
+    /**
+     * Zoom a view by a factor around an execution order
+     */
+    function zoomView(view, factor, center, maxOrder) {
+        return clampView({
+            start: center - (center - view.start) * factor,
+            end: center + (view.end - center) * factor
+        }, maxOrder);
+    }
+
+    // Tick spacing giving at least 50 pixels between labels
+    function tickStep(span, plotWidth) {
+        const steps = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+        return steps.find(step => plotWidth / span * step >= 50) || steps[steps.length - 1];
+    }
+
+    // Fit a label to a pixel width at roughly 7 pixels per monospace character
+    function fitText(text, width) {
+        const chars = Math.floor(width / 7);
+        if (chars < 2) return '';
+        return text.length > chars ? text.slice(0, chars - 1) + '…' : text;
+    }
+
+    /**
+     * Render the chart to an SVG document
+     * @param {Object} chart - From createChart
+     * @param {Object} options - { width, view: { start, end }, selection: { start, end } | null,
+     *                           colors: bar colour per render target index,
+     *                           heat: [{ order, color, title }] strip under the axis, e.g. node costs }
+     * @returns {string} SVG markup; rows carry data-rt-index and ticks data-order for interaction
+     */
+    function renderSvg(chart, options = {}) {
+        const width = options.width || 1000;
+        const height = getHeight(chart);
+        const view = clampView(options.view || { start: 0, end: chart.maxOrder + 1 }, chart.maxOrder);
+        const scale = createScale(view, width);
+        const colors = options.colors || {};
+        const plotTop = LAYOUT.axisHeight;
+        const plotRight = LAYOUT.labelWidth + scale.plotWidth;
+        const visible = (start, end) => end + 1 > view.start && start < view.end;
+        const parts = [];
+
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+            `font-family="Consolas, Monaco, monospace" font-size="11">`);
+        parts.push(`<defs><clipPath id="gantt-plot"><rect x="${LAYOUT.labelWidth}" y="0" width="${scale.plotWidth}" height="${height}"/></clipPath></defs>`);
+        parts.push(`<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`);
+
+        // Render pass bands, named in the upper half of the axis when they are wide enough
+        parts.push('<g clip-path="url(#gantt-plot)">');
+        chart.bands.forEach((band, i) => {
+            if (!visible(band.start, band.end)) return;
+            const x = scale.x(band.start);
+            const w = scale.x(band.end + 1) - x;
+            parts.push(`<rect class="gantt-band" x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${height}" ` +
+                `fill="${COLORS.bands[i % 2]}"><title>${escapeXml(band.name)} (${band.start}-${band.end})</title></rect>`);
+            const label = fitText(band.name, w - 4);
+            if (label) {
+                parts.push(`<text x="${(x + 2).toFixed(1)}" y="13" fill="${COLORS.muted}">${escapeXml(label)}</text>`);
+            }
+        });
+
+        // Execution order ticks in the lower half of the axis
+        const step = tickStep(view.end - view.start, scale.plotWidth);
+        for (let order = Math.ceil(view.start / step) * step; order <= view.end; order += step) {
+            const x = scale.x(order);
+            parts.push(`<line x1="${x.toFixed(1)}" y1="${plotTop - 14}" x2="${x.toFixed(1)}" y2="${height}" stroke="${COLORS.grid}"/>`);
+            parts.push(`<text x="${(x + 2).toFixed(1)}" y="${plotTop - 4}" fill="${COLORS.muted}">${order}</text>`);
+        }
+        for (const cell of options.heat || []) {
+            if (!visible(cell.order, cell.order)) continue;
+            const x = scale.x(cell.order);
+            parts.push(`<rect x="${x.toFixed(1)}" y="${plotTop - 4}" width="${(scale.x(cell.order + 1) - x).toFixed(1)}" height="4" ` +
+                `fill="${cell.color}"><title>${escapeXml(cell.title)}</title></rect>`);
+        }
+        parts.push('</g>');
+        parts.push(`<line x1="${LAYOUT.labelWidth}" y1="${plotTop}" x2="${plotRight}" y2="${plotTop}" stroke="${COLORS.muted}"/>`);
+
+        // Rows, under their group headers
+        let y = plotTop;
+        for (const group of chart.groups) {
+            if (group.label) {
+                parts.push(`<text x="4" y="${y + LAYOUT.groupHeight - 6}" fill="${COLORS.text}" font-weight="bold">` +
+                    `${escapeXml(group.label)} (${group.rows.length})</text>`);
+                parts.push(`<line x1="0" y1="${y + LAYOUT.groupHeight - 1}" x2="${plotRight}" y2="${y + LAYOUT.groupHeight - 1}" stroke="${COLORS.grid}"/>`);
+                y += LAYOUT.groupHeight;
+            }
+
+            for (const row of group.rows) {
+                const barY = y + 3;
+                const barHeight = LAYOUT.rowHeight - 6;
+                parts.push(`<g class="gantt-row" data-rt-index="${row.index}">`);
+                parts.push(`<rect class="gantt-row-bg" x="0" y="${y}" width="${plotRight}" height="${LAYOUT.rowHeight}" fill="transparent"/>`);
+                parts.push(`<text x="4" y="${y + LAYOUT.rowHeight - 5}" fill="${COLORS.text}">${escapeXml(fitText(row.name, LAYOUT.labelWidth - 8))}</text>`);
+
+                if (visible(row.start, row.end)) {
+                    parts.push('<g clip-path="url(#gantt-plot)">');
+                    const x = scale.x(row.start);
+                    parts.push(`<rect x="${x.toFixed(1)}" y="${barY}" width="${Math.max(2, scale.x(row.end + 1) - x).toFixed(1)}" ` +
+                        `height="${barHeight}" rx="2" fill="${colors[row.index] || COLORS.bar}" fill-opacity="0.55"/>`);
+
+                    const tickWidth = Math.max(2, Math.min(6, scale.x(1) - scale.x(0) - 1));
+                    for (const use of row.uses) {
+                        if (!visible(use.order, use.order)) continue;
+                        const tickX = scale.x(use.order + 0.5) - tickWidth / 2;
+                        parts.push(`<rect class="gantt-use" data-order="${use.order}" x="${tickX.toFixed(1)}" y="${barY}" ` +
+                            `width="${tickWidth.toFixed(1)}" height="${barHeight}" fill="${use.write ? COLORS.write : COLORS.read}"/>`);
+                    }
+                    parts.push('</g>');
+                }
+                parts.push('</g>');
+                y += LAYOUT.rowHeight;
+            }
+        }
+
+        // Brushed execution range
+        const selection = options.selection;
+        if (selection && visible(selection.start, selection.end)) {
+            const x = Math.max(LAYOUT.labelWidth, scale.x(selection.start));
+            const w = Math.min(plotRight, scale.x(selection.end + 1)) - x;
+            parts.push(`<rect class="gantt-selection" x="${x.toFixed(1)}" y="${plotTop}" width="${Math.max(0, w).toFixed(1)}" ` +
+                `height="${height - plotTop}" fill="${COLORS.selection}" stroke="${COLORS.selectionEdge}" pointer-events="none"/>`);
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    // Export for use by other modules
+    window.RenderGraphGantt = {
+        GROUP_BY,
+        SORT_BY,
+        LAYOUT,
+        getRows,
+        getPassBands,
+        groupRows,
+        createChart,
+        getHeight,
+        orderAt,
+        clampView,
+        zoomView,
+        renderSvg
+    };
+
+})();
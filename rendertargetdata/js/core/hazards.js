@@ -0,0 +1,270 @@
+// Hazards module - read/write hazards on render targets, within a node and between nodes
+// Every relationship of a node with a render target becomes an access: its kind (attachment, sampled,
+// storage or transfer), whether it reads and/or writes, and the binding or attachment behind it.
+// Accesses are then paired into RAW, WAR and WAW hazards:
+//   - within a node reads and writes happen at the same time, so a render target read while the node
+//     writes it is a RAW hazard. Sampling an attachment of the node's pass is a feedback loop, unless the
+//     render target is an input attachment (or only the depth attachment, which a read-only depth layout
+//     allows). Distinct bindings reading and writing it race; a read-write binding and mip generation do not
+//   - between nodes of one render pass nothing orders storage accesses, so a storage write paired with
+//     any other access races. Attachment writes are ordered by rasterization order
+//   - between other nodes the hazard is ordered by a barrier (see barriers.js) and only classified
+
+(function() {
+    const { USAGE_BITS } = window.RenderGraphConstants;
+
+    // Node types (see NODE_TYPES in constants.js)
+    const COMPUTE_NODES = [3, 17];
+    const BLIT_NODES = [4, 5];
+    const GENERATE_MIPS_NODE = 9;
+    const CLEAR_NODE = 13;
+
+    const ACCESS_KINDS = ['attachment', 'sampled', 'storage', 'transfer'];
+
+    // Findings by severity; hazards without a finding are ordered by the graph
+    const FINDINGS = {
+        FEEDBACK_LOOP: 'ERROR',
+        DEPTH_FEEDBACK_LOOP: 'WARNING',
+        INTRA_NODE_HAZARD: 'WARNING',
+        UNORDERED_STORAGE_WRITES: 'WARNING',
+        UNORDERED_STORAGE_ACCESS: 'WARNING'
+    };
+
+    function access(kind, read, write, rel, extra = {}) {
+        return {
+            kind,
+            read,
+            write,
+            source: rel.type,
+            key: rel.key || null,
+            passName: rel.pass_name || null,
+            ...extra
+        };
+    }
+
+    /**
+     * Turn one relationship of a node with a render target into an access
+     * @returns {Object|null} { kind, read, write, source, key, passName, depth }
+     */
+    function accessForRelationship(rel, node) {
+        const transfer = BLIT_NODES.includes(node.type) || node.type === GENERATE_MIPS_NODE || node.type === CLEAR_NODE;
+
+        switch (rel.type) {
+            case 'color_attachment':
+            case 'resolve_attachment':
+            case 'msaa_resolve_target':
+                return access('attachment', false, true, rel);
+            case 'depth_attachment':
+                return access('attachment', false, true, rel, { depth: true });
+            case 'shader_binding':
+                if (rel.bindingType === 'input') return access('sampled', true, false, rel);
+                return access('storage', rel.bindingType === 'input_output', true, rel);
+            case 'node_input':
+                // Mip generation reads and writes its own image, level by level
+                if (node.type === GENERATE_MIPS_NODE) return access('transfer', true, true, rel);
+                return access(transfer ? 'transfer' : 'sampled', true, false, rel);
+            case 'node_output':
+                if (transfer) return access('transfer', false, true, rel);
+                return access(COMPUTE_NODES.includes(node.type) ? 'storage' : 'attachment', false, true, rel);
+            default:
+                // The resolve source is the color attachment itself
+                return null;
+        }
+    }
+
+    /**
+     * Accesses of a node to a render target, from its relationships (rt.nodeUsageTypes)
+     * Shader bindings describe the node's inputs and outputs precisely, so they replace them
+     */
+    function getAccesses(rt, node) {
+        const relationships = rt.nodeUsageTypes[node.index] || [];
+        const bound = relationships.some(rel => rel.type === 'shader_binding');
+        return relationships
+            .filter(rel => !bound || (rel.type !== 'node_input' && rel.type !== 'node_output'))
+            .map(rel => accessForRelationship(rel, node))
+            .filter(Boolean);
+    }
+
+    function describeAccess(a) {
+        if (a.key) return `${a.kind} binding '${a.key}'`;
+        if (a.kind === 'attachment') return `${a.depth ? 'depth' : 'color'} attachment${a.passName ? ` of '${a.passName}'` : ''}`;
+        return `${a.kind} ${a.write ? 'write' : 'read'}`;
+    }
+
+    function reference(node, accesses) {
+        return {
+            nodeIndex: node.index,
+            nodeName: node.name,
+            accesses,
+            bindingKeys: [...new Set(accesses.map(a => a.key).filter(Boolean))]
+        };
+    }
+
+    // Blits between two mip levels of one image do not overlap
+    function isMipToMipBlit(node) {
+        const data = node.dataJson || {};
+        return BLIT_NODES.includes(node.type) && Number.isInteger(data.srcMip) &&
+            Number.isInteger(data.dstMip) && data.srcMip !== data.dstMip;
+    }
+
+    /**
+     * Hazards between the accesses of one node to one render target
+     */
+    function findNodeHazards(rt, node, accesses) {
+        const reads = accesses.filter(a => a.read);
+        const writes = accesses.filter(a => a.write);
+        const hazards = [];
+        const add = (type, finding, from, to, message) => hazards.push({
+            type,
+            scope: 'node',
+            rtIndex: rt.index,
+            rtName: rt.name,
+            from: reference(node, from),
+            to: reference(node, to),
+            finding,
+            severity: finding ? FINDINGS[finding] : null,
+            message
+        });
+
+        const attachments = writes.filter(a => a.kind === 'attachment');
+        const inputAttachment = (rt.usage & USAGE_BITS.INPUT_ATTACHMENT) !== 0;
+        const shaderReads = reads.filter(a => a.kind === 'sampled' || a.kind === 'storage');
+
+        const feedback = attachments.length > 0 && shaderReads.length > 0 && !inputAttachment;
+        if (feedback) {
+            const color = attachments.filter(a => !a.depth);
+            const written = color.length > 0 ? color : attachments;
+            add('RAW', color.length > 0 ? 'FEEDBACK_LOOP' : 'DEPTH_FEEDBACK_LOOP', written, shaderReads,
+                `Node '${node.name}' reads RT '${rt.name}' through ${shaderReads.map(describeAccess).join(', ')} ` +
+                `while rendering to it as ${describeAccess(written[0])}` +
+                (color.length > 0 ? '' : '; only valid with a read-only depth layout'));
+        }
+
+        // Shader and transfer writes of other bindings than the reads
+        const otherWrites = writes.filter(a => a.kind !== 'attachment');
+        if (otherWrites.length > 0 && !isMipToMipBlit(node)) {
+            // A read-write binding orders its own accesses; sampled reads of an attachment are the feedback loop
+            const otherReads = reads.filter(a => !a.write && !(feedback && a.kind === 'sampled'));
+            if (otherReads.length > 0) {
+                add('RAW', 'INTRA_NODE_HAZARD', otherWrites, otherReads,
+                    `Node '${node.name}' reads RT '${rt.name}' through ${otherReads.map(describeAccess).join(', ')} ` +
+                    `while writing it through ${otherWrites.map(describeAccess).join(', ')}`);
+            }
+
+            const storageWrites = otherWrites.filter(a => a.kind === 'storage');
+            if (storageWrites.length > 1) {
+                add('WAW', 'INTRA_NODE_HAZARD', storageWrites.slice(0, 1), storageWrites.slice(1),
+                    `Node '${node.name}' writes RT '${rt.name}' through ${storageWrites.length} bindings: ` +
+                    storageWrites.map(a => `'${a.key}'`).join(', '));
+            }
+        }
+
+        return hazards;
+    }
+
+    /**
+     * Hazard between two nodes using a render target one after the other
+     */
+    function createNodePairHazard(rt, type, prev, curr) {
+        const samePass = prev.node.renderPassIndex !== null && prev.node.renderPassIndex === curr.node.renderPassIndex;
+        const from = prev.accesses.filter(a => type === 'WAR' ? a.read : a.write);
+        const to = curr.accesses.filter(a => type === 'RAW' ? a.read : a.write);
+
+        let finding = null;
+        let message = `${type} on RT '${rt.name}' from '${prev.node.name}' to '${curr.node.name}'`;
+        if (samePass && [...from, ...to].some(a => a.kind === 'storage')) {
+            finding = type === 'WAW' && [...from, ...to].every(a => a.kind === 'storage')
+                ? 'UNORDERED_STORAGE_WRITES'
+                : 'UNORDERED_STORAGE_ACCESS';
+            message = `Nodes '${prev.node.name}' and '${curr.node.name}' of render pass '${curr.node.renderPass}' ` +
+                `access RT '${rt.name}' without ordering (${type}): ${from.map(describeAccess).join(', ')}, then ` +
+                `${to.map(describeAccess).join(', ')}`;
+        }
+
+        return {
+            type,
+            scope: samePass ? 'pass' : 'graph',
+            rtIndex: rt.index,
+            rtName: rt.name,
+            from: reference(prev.node, from),
+            to: reference(curr.node, to),
+            finding,
+            severity: finding ? FINDINGS[finding] : null,
+            message
+        };
+    }
+
+    /**
+     * Classify the hazards of every render target
+     * @param {Object} renderTargets - Analyzed render targets
+     * @param {Object} nodes - Analyzed nodes
+     * @returns {Object} { hazards, findings (hazards that need fixing), counts: { RAW, WAR, WAW } }
+     */
+    function analyze(renderTargets, nodes) {
+        const hazards = [];
+        const orderedNodes = Object.values(nodes)
+            .filter(node => node.executionOrder >= 0)
+            .sort((a, b) => a.executionOrder - b.executionOrder);
+
+        for (const rt of Object.values(renderTargets)) {
+            // A node's own hazards matter even when it does not execute
+            for (const node of Object.values(nodes)) {
+                const accesses = getAccesses(rt, node);
+                if (accesses.length > 1) hazards.push(...findNodeHazards(rt, node, accesses));
+            }
+
+            // Writes pair with the last write (RAW, WAW) and reads since then (WAR)
+            let lastWrite = null;
+            let readsSinceWrite = [];
+            for (const node of orderedNodes) {
+                const accesses = getAccesses(rt, node);
+                if (accesses.length === 0) continue;
+
+                const use = { node, accesses };
+                const reads = accesses.some(a => a.read);
+                const writes = accesses.some(a => a.write);
+
+                if (reads && lastWrite) hazards.push(createNodePairHazard(rt, 'RAW', lastWrite, use));
+                if (writes) {
+                    if (readsSinceWrite.length > 0) {
+                        readsSinceWrite.forEach(reader => hazards.push(createNodePairHazard(rt, 'WAR', reader, use)));
+                    } else if (lastWrite) {
+                        hazards.push(createNodePairHazard(rt, 'WAW', lastWrite, use));
+                    }
+                    lastWrite = use;
+                    readsSinceWrite = [];
+                } else if (reads) {
+                    readsSinceWrite.push(use);
+                }
+            }
+        }
+
+        return {
+            hazards,
+            findings: hazards.filter(hazard => hazard.finding),
+            counts: {
+                RAW: hazards.filter(hazard => hazard.type === 'RAW').length,
+                WAR: hazards.filter(hazard => hazard.type === 'WAR').length,
+                WAW: hazards.filter(hazard => hazard.type === 'WAW').length
+            }
+        };
+    }
+
+    /**
+     * Hazards a node takes part in, as source or destination
+     */
+    function getNodeHazards(hazards, nodeIndex) {
+        return hazards.filter(hazard => hazard.from.nodeIndex === nodeIndex || hazard.to.nodeIndex === nodeIndex);
+    }
+
+    // Export for use by other modules
+    window.RenderGraphHazards = {
+        ACCESS_KINDS,
+        FINDINGS,
+        getAccesses,
+        describeAccess,
+        analyze,
+        getNodeHazards
+    };
+
+})();
@@ -0,0 +1,159 @@
+// History module - snapshots of loaded render graphs and the archive format used to move them
+// A snapshot is a raw description plus metadata: { id, name, source, origin, tags, createdAt, key, summary,
+// description }. The key identifies the content, so reloading the same graph does not add a snapshot
+// An archive is a single JSON document holding any number of snapshots
+
+(function() {
+    const ARCHIVE_FORMAT = 'rendergraph-history';
+    const ARCHIVE_VERSION = 1;
+
+    // How a graph was loaded
+    const SOURCES = {
+        file: 'File',
+        paste: 'Paste',
+        clipboard: 'Clipboard',
+        asset: 'Labs asset',
+        live: 'Live session',
+        import: 'Import'
+    };
+
+    function summarize(description) {
+        return {
+            renderTargets: (description.renderTargetDescriptions || []).length,
+            nodes: (description.nodeDataDescriptions || []).length,
+            renderPasses: (description.renderPassDescriptions || []).length
+        };
+    }
+
+    function createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function defaultName(description, source, origin, createdAt) {
+        if (description.name) return String(description.name);
+        if (origin) return origin;
+        return `${SOURCES[source] || 'Graph'} ${new Date(createdAt).toLocaleString()}`;
+    }
+
+    /**
+     * Create a snapshot of a raw description
+     * @param {Object} description - Raw render graph description
+     * @param {Object} options - { source, origin (file name or asset UUID), name, tags, createdAt }
+     */
+    function createSnapshot(description, options = {}) {
+        const createdAt = options.createdAt || Date.now();
+        const source = options.source || 'file';
+        return {
+            id: createId(),
+            name: options.name || defaultName(description, source, options.origin, createdAt),
+            source,
+            origin: options.origin || null,
+            tags: normalizeTags(options.tags || []),
+            createdAt,
+            key: window.RenderGraphPermalink.getGraphKey(description),
+            summary: summarize(description),
+            description
+        };
+    }
+
+    // Tags from a comma separated string or a list, trimmed and without duplicates
+    function normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    function matchesFilter(snapshot, filter) {
+        const text = filter.trim().toLowerCase();
+        if (!text) return true;
+        return [snapshot.name, snapshot.origin || '', ...snapshot.tags]
+            .some(value => String(value).toLowerCase().includes(text));
+    }
+
+    /**
+     * Pick the snapshots to drop so at most max remain; tagged snapshots are kept
+     * @returns {Array} Ids of the oldest untagged snapshots over the limit
+     */
+    function selectPruned(snapshots, max) {
+        const excess = snapshots.length - max;
+        if (excess <= 0) return [];
+
+        return snapshots
+            .filter(snapshot => snapshot.tags.length === 0)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .slice(0, excess)
+            .map(snapshot => snapshot.id);
+    }
+
+    function isArchive(data) {
+        return !!data && data.format === ARCHIVE_FORMAT && Array.isArray(data.snapshots);
+    }
+
+    function buildArchive(snapshots) {
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            snapshots: snapshots.map(({ id, name, source, origin, tags, createdAt, description }) =>
+                ({ id, name, source, origin, tags, createdAt, description }))
+        };
+    }
+
+    /**
+     * Read the snapshots of an archive, skipping invalid entries
+     * @param {Array} takenIds - Ids already in the history; imported snapshots reusing one get a new id
+     * @returns {Object} { snapshots, errors: [string] }
+     * @throws {Error} When the data is not a history archive
+     */
+    function parseArchive(data, takenIds = []) {
+        if (!isArchive(data)) {
+            throw new Error('Not a render graph history archive');
+        }
+        if (data.version > ARCHIVE_VERSION) {
+            throw new Error(`Archive version ${data.version} is newer than this viewer supports (${ARCHIVE_VERSION})`);
+        }
+
+        const snapshots = [];
+        const errors = [];
+        const ids = new Set(takenIds);
+        const text = value => (value === null || value === undefined ? null : String(value));
+        data.snapshots.forEach((entry, i) => {
+            const label = entry && entry.name ? `'${entry.name}'` : `#${i + 1}`;
+            const validation = entry && entry.description
+                ? window.RenderGraphParser.isValidRawRenderGraph(entry.description)
+                : { valid: false, error: 'no description' };
+            if (!validation.valid) {
+                errors.push(`Snapshot ${label}: ${validation.error}`);
+                return;
+            }
+
+            const snapshot = createSnapshot(entry.description, {
+                source: SOURCES[entry.source] ? entry.source : 'import',
+                origin: text(entry.origin),
+                name: text(entry.name),
+                tags: entry.tags,
+                createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : Date.now()
+            });
+            if (typeof entry.id === 'string' && entry.id && !ids.has(entry.id)) snapshot.id = entry.id;
+            ids.add(snapshot.id);
+            snapshots.push(snapshot);
+        });
+
+        return { snapshots, errors };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphHistory = {
+        ARCHIVE_FORMAT,
+        ARCHIVE_VERSION,
+        SOURCES,
+        summarize,
+        createSnapshot,
+        normalizeTags,
+        matchesFilter,
+        selectPruned,
+        isArchive,
+        buildArchive,
+        parseArchive
+    };
+
+})();
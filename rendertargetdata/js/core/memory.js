@@ -0,0 +1,120 @@
+// Memory module - estimates the GPU memory footprint of render targets
+// Sizes are computed for a given output resolution since most RTs are screen-relative
+
+(function() {
+    const Formats = window.RenderGraphFormats;
+
+    const DEFAULT_RESOLUTION = { width: 1920, height: 1080 };
+
+    /**
+     * Get the size in bytes of a single texel for a format
+     * @param {number} format - VkFormat value
+     * @returns {number|null} Bytes per texel (fractional for compressed formats), or null if unknown
+     */
+    function getBytesPerTexel(format) {
+        return Formats.getBytesPerTexel(format);
+    }
+
+    /**
+     * Resolve the concrete pixel extent of a render target for an output resolution
+     * Uses the full-screen/scaled interpretation of getResolutionDescription unless a scale { x, y, z } is given
+     */
+    function getScaledExtent(rt, resolution, scale = rt.getResolutionDescription()) {
+        return {
+            width: Math.max(1, Math.floor(resolution.width * scale.x)),
+            height: Math.max(1, Math.floor(resolution.height * scale.y)),
+            depth: Math.max(1, Math.round(scale.z))
+        };
+    }
+
+    /**
+     * Estimate the memory used by a single render target
+     * @param {RenderTarget} rt - Parsed render target
+     * @param {Object} resolution - Output resolution { width, height }
+     * @param {Object} scale - Scale factors { x, y, z } overriding the render target's own
+     * @returns {Object} Size breakdown for the render target, mips lists every level with its samples
+     */
+    function estimateRenderTargetMemory(rt, resolution = DEFAULT_RESOLUTION, scale = undefined) {
+        const bytesPerTexel = getBytesPerTexel(rt.format);
+        const extent = getScaledExtent(rt, resolution, scale);
+        const mipLevels = Math.max(1, rt.mipLevels);
+        const sampleCount = Math.max(1, rt.sampleCount);
+
+        // Sum the whole mip chain, compressed levels are rounded up to whole blocks
+        let levelBytes = 0;
+        const mips = [];
+        for (let level = 0; level < mipLevels; level++) {
+            const width = Math.max(1, extent.width >> level);
+            const height = Math.max(1, extent.height >> level);
+            const depth = Math.max(1, extent.depth >> level);
+            const bytes = bytesPerTexel !== null ? Formats.getLevelSize(rt.format, width, height, depth) : 0;
+            levelBytes += bytes;
+            mips.push({ level, width, height, depth, bytes: bytes * sampleCount });
+        }
+
+        return {
+            index: rt.index,
+            name: rt.name,
+            format: rt.getFormatName(),
+            width: extent.width,
+            height: extent.height,
+            depth: extent.depth,
+            mipLevels: mipLevels,
+            sampleCount: sampleCount,
+            bytesPerTexel: bytesPerTexel,
+            bytes: levelBytes * sampleCount,
+            mips: mips,
+            known: bytesPerTexel !== null,
+            used: rt.firstUsedAtNode !== null
+        };
+    }
+
+    /**
+     * Estimate the memory footprint of all render targets in a graph
+     * @param {Object} renderTargets - Analyzed render targets
+     * @param {Object} resolution - Output resolution { width, height }
+     * @returns {Object} { resolution, entries (largest first), totalBytes, usedBytes, unknownFormats }
+     */
+    function estimateGraphMemory(renderTargets, resolution = DEFAULT_RESOLUTION) {
+        const entries = Object.values(renderTargets)
+            .map(rt => estimateRenderTargetMemory(rt, resolution))
+            .sort((a, b) => b.bytes - a.bytes);
+
+        const totalBytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+        const usedBytes = entries.filter(e => e.used).reduce((sum, e) => sum + e.bytes, 0);
+        const unknownFormats = [...new Set(entries.filter(e => !e.known).map(e => e.format))];
+
+        return {
+            resolution: { width: resolution.width, height: resolution.height },
+            entries,
+            totalBytes,
+            usedBytes,
+            unknownFormats
+        };
+    }
+
+    /**
+     * Format a byte count as a human readable string (binary units)
+     */
+    function formatBytes(bytes) {
+        const units = ['B', 'KiB', 'MiB', 'GiB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(2)} ${units[unit]}`;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphMemory = {
+        DEFAULT_RESOLUTION,
+        getBytesPerTexel,
+        getScaledExtent,
+        estimateRenderTargetMemory,
+        estimateGraphMemory,
+        formatBytes
+    };
+
+})();
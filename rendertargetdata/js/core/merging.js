@@ -0,0 +1,247 @@
+// Merging module - finds consecutive render passes that could become one pass, or subpasses of one
+// pass, so the attachments they exchange stay in tile memory instead of going through VRAM
+//
+// Two passes executed one after the other qualify when:
+//   - all their attachments share one extent, and their color/depth attachments one sample count
+//   - the second pass only reads attachments of the first at the pixel it shades: a rasterizing node
+//     reading a single-mip render target of the pass extent and sample count. Compute reads, mip chains
+//     or reads at another extent need the data in memory
+//   - no node executed between them uses an attachment of the first pass
+// An attachment of both passes makes a merge; a pixel-local read makes a subpass with an input attachment.
+// Such a read is certain when the render target has INPUT_ATTACHMENT usage, otherwise the shader has to
+// be checked and the opportunity has medium confidence
+//
+// Bandwidth saved per frame, following the load/store model of resolution.js, for an attachment of size S:
+//   - an attachment of both passes is no longer stored by the first and loaded by the second: 2 S
+//   - an attachment read as input attachment is no longer read from memory: S, plus its store when
+//     nothing uses it after the second pass and it does not persist across frames: 2 S
+
+(function() {
+    const { USAGE_BITS } = window.RenderGraphConstants;
+    const Memory = window.RenderGraphMemory;
+
+    // Draw, Dynamic Draw, Fullscreen Pass and Debug Draw nodes shade pixels of the pass
+    const RASTER_NODE_TYPES = [1, 2, 8, 16];
+
+    function getAttachments(rp, renderTargets) {
+        return [
+            ...rp.colorAttachmentIndices.map(idx => ({ index: idx, role: 'color' })),
+            ...(rp.depthAttachmentIndex !== null ? [{ index: rp.depthAttachmentIndex, role: 'depth' }] : []),
+            ...rp.resolveAttachmentIndices.map(idx => ({ index: idx, role: 'resolve' }))
+        ].filter(attachment => attachment.index in renderTargets);
+    }
+
+    /**
+     * Executed render passes in execution order, with their execution range and attachments
+     */
+    function getExecutedPasses(analyzed) {
+        const { renderTargets, nodes, renderPasses } = analyzed;
+
+        return Object.values(renderPasses)
+            .map(rp => {
+                const orders = rp.nodeIndices
+                    .map(idx => nodes[idx] ? nodes[idx].executionOrder : -1)
+                    .filter(order => order >= 0);
+                return orders.length === 0 ? null : {
+                    index: rp.index,
+                    name: rp.name,
+                    nodeIndices: rp.nodeIndices.filter(idx => idx in nodes),
+                    attachments: getAttachments(rp, renderTargets),
+                    first: Math.min(...orders),
+                    last: Math.max(...orders)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.first - b.first);
+    }
+
+    /**
+     * Extent and sample count shared by the attachments of a pass
+     * @returns {Object} { width, height, sampleCount, problem } - problem describes a mismatch, if any
+     */
+    function getPassShape(pass, renderTargets, resolution) {
+        const shape = { width: null, height: null, sampleCount: null, problem: null };
+
+        for (const { index, role } of pass.attachments) {
+            const rt = renderTargets[index];
+            const extent = Memory.getScaledExtent(rt, resolution);
+            if (shape.width === null) {
+                shape.width = extent.width;
+                shape.height = extent.height;
+            } else if (extent.width !== shape.width || extent.height !== shape.height) {
+                shape.problem = `'${pass.name}' has attachments of different extents`;
+            }
+
+            // Resolve attachments are single-sampled by definition
+            if (role === 'resolve') continue;
+            const samples = Math.max(1, rt.sampleCount);
+            if (shape.sampleCount === null) {
+                shape.sampleCount = samples;
+            } else if (samples !== shape.sampleCount) {
+                shape.problem = `'${pass.name}' has attachments of different sample counts`;
+            }
+        }
+
+        shape.sampleCount = shape.sampleCount || 1;
+        return shape;
+    }
+
+    function isPersistent(rt) {
+        return rt.firstUsedAtNode !== null && !rt.outputFromNodes.includes(rt.firstUsedAtNode);
+    }
+
+    function isUsedAfter(rt, nodes, order) {
+        return Object.keys(rt.nodeUsageTypes).some(idx => nodes[idx] && nodes[idx].executionOrder > order);
+    }
+
+    /**
+     * Why a node of the second pass cannot read a render target at the pixel it shades
+     * @returns {string|null} The reason, or null for a pixel-local read
+     */
+    function getReadBlocker(node, rt, shape, resolution) {
+        if (!RASTER_NODE_TYPES.includes(node.type)) {
+            return `'${node.name}' (${node.getTypeName()}) reads '${rt.name}'`;
+        }
+        if (rt.mipLevels > 1) {
+            return `'${node.name}' reads '${rt.name}', which has ${rt.mipLevels} mip levels`;
+        }
+        const extent = Memory.getScaledExtent(rt, resolution);
+        if (extent.width !== shape.width || extent.height !== shape.height) {
+            return `'${node.name}' reads '${rt.name}' at ${extent.width}×${extent.height}, not ${shape.width}×${shape.height}`;
+        }
+        if (Math.max(1, rt.sampleCount) !== shape.sampleCount) {
+            return `'${node.name}' reads '${rt.name}' with ${Math.max(1, rt.sampleCount)} sample(s), not ${shape.sampleCount}`;
+        }
+        return null;
+    }
+
+    /**
+     * Evaluate two passes executed one after the other
+     * @returns {Object|null} { opportunity } or { nearMiss }, null when the second pass does not use
+     *                        the first pass's attachments
+     */
+    function evaluatePair(a, b, analyzed, resolution) {
+        const { renderTargets, nodes } = analyzed;
+        const secondAttachments = new Set(b.attachments.map(attachment => attachment.index));
+
+        // Attachments of the first pass the second pass continues or reads
+        const exchanged = a.attachments
+            .map(({ index, role }) => ({
+                index,
+                role,
+                shared: secondAttachments.has(index),
+                readers: b.nodeIndices.filter(idx => renderTargets[index].inputToNodes.includes(idx))
+            }))
+            .filter(attachment => attachment.shared || attachment.readers.length > 0);
+        if (exchanged.length === 0) return null;
+
+        const shapeA = getPassShape(a, renderTargets, resolution);
+        const shapeB = getPassShape(b, renderTargets, resolution);
+        const reasons = [shapeA.problem, shapeB.problem].filter(Boolean);
+        if (!shapeA.problem && !shapeB.problem) {
+            if (shapeA.width !== shapeB.width || shapeA.height !== shapeB.height) {
+                reasons.push(`Extent ${shapeA.width}×${shapeA.height} differs from ${shapeB.width}×${shapeB.height}`);
+            }
+            if (shapeA.sampleCount !== shapeB.sampleCount) {
+                reasons.push(`Sample count ${shapeA.sampleCount} differs from ${shapeB.sampleCount}`);
+            }
+        }
+
+        const between = Object.values(nodes)
+            .filter(node => node.executionOrder > a.last && node.executionOrder < b.first)
+            .sort((x, y) => x.executionOrder - y.executionOrder);
+        for (const { index } of a.attachments) {
+            const user = between.find(node => renderTargets[index].nodeUsageTypes[node.index]);
+            if (user) reasons.push(`'${user.name}' uses '${renderTargets[index].name}' between the passes`);
+        }
+
+        for (const attachment of exchanged) {
+            const rt = renderTargets[attachment.index];
+            for (const idx of attachment.readers) {
+                const blocker = getReadBlocker(nodes[idx], rt, shapeB, resolution);
+                if (blocker) reasons.push(blocker);
+            }
+        }
+
+        const pair = {
+            first: { index: a.index, name: a.name },
+            second: { index: b.index, name: b.name }
+        };
+        if (reasons.length > 0) {
+            return { nearMiss: { ...pair, reasons: [...new Set(reasons)] } };
+        }
+
+        const attachments = exchanged.map(attachment => {
+            const rt = renderTargets[attachment.index];
+            const size = Memory.estimateRenderTargetMemory(rt, resolution).mips[0].bytes;
+            const confined = !isUsedAfter(rt, nodes, b.last) && !isPersistent(rt);
+            return {
+                index: rt.index,
+                name: rt.name,
+                role: attachment.role,
+                relation: attachment.shared ? 'shared' : 'input',
+                readers: attachment.readers.map(idx => nodes[idx].name),
+                inputAttachmentUsage: (rt.usage & USAGE_BITS.INPUT_ATTACHMENT) !== 0,
+                confined,
+                bytes: size,
+                savedBytes: attachment.shared || confined ? 2 * size : size
+            };
+        });
+
+        const inputs = attachments.filter(attachment => attachment.relation === 'input');
+        return {
+            opportunity: {
+                ...pair,
+                kind: inputs.length > 0 ? 'subpass' : 'merge',
+                confidence: inputs.every(attachment => attachment.inputAttachmentUsage) ? 'high' : 'medium',
+                width: shapeA.width,
+                height: shapeA.height,
+                sampleCount: shapeA.sampleCount,
+                attachments,
+                // Nodes that have to move before or after the merged pass
+                intervening: between.map(node => node.name),
+                savedBytes: attachments.reduce((sum, attachment) => sum + attachment.savedBytes, 0)
+            }
+        };
+    }
+
+    /**
+     * Find the merge and subpass opportunities of a graph
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses } from the analyzer
+     * @param {Object} resolution - Output resolution { width, height } extents and sizes are computed for
+     * @returns {Object} { resolution, passCount, opportunities (largest saving first), nearMisses, savedBytes }
+     */
+    function analyze(analyzed, resolution = Memory.DEFAULT_RESOLUTION) {
+        const passes = getExecutedPasses(analyzed);
+        const opportunities = [];
+        const nearMisses = [];
+
+        for (let i = 0; i + 1 < passes.length; i++) {
+            // Passes whose nodes interleave are not consecutive
+            if (passes[i].last >= passes[i + 1].first) continue;
+
+            const result = evaluatePair(passes[i], passes[i + 1], analyzed, resolution);
+            if (result && result.opportunity) opportunities.push(result.opportunity);
+            if (result && result.nearMiss) nearMisses.push(result.nearMiss);
+        }
+
+        opportunities.sort((a, b) => b.savedBytes - a.savedBytes);
+        return {
+            resolution,
+            passCount: passes.length,
+            opportunities,
+            nearMisses,
+            savedBytes: opportunities.reduce((sum, o) => sum + o.savedBytes, 0)
+        };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphMerging = {
+        RASTER_NODE_TYPES,
+        getExecutedPasses,
+        getPassShape,
+        evaluatePair,
+        analyze
+    };
+
+})();
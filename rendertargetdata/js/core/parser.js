@@ -10,6 +10,7 @@
     class RenderTarget {
         constructor(index, desc) {
             this.index = index;
+            this.description = desc;
             this.name = desc.name || `RT_${index}`;
             this.format = desc.format || 0;
             this.extent = desc.extent || [0, 0, 0];
@@ -38,6 +39,13 @@
             return FORMAT_MAP[this.format] ?? `Unknown (${this.format})`;
         }
 
+        /**
+         * Format metadata (see formats.js), or null for unknown formats
+         */
+        getFormatInfo() {
+            return window.RenderGraphFormats.getFormatInfo(this.format);
+        }
+
         getUsageFlags() {
             return Object.entries(USAGE_FLAGS)
                 .filter(([bit]) => this.usage & parseInt(bit))
@@ -63,14 +71,34 @@
             }
         }
 
+        toDescription() {
+            return writeDescription(this, new RenderTarget(this.index, this.description), RenderTarget.FIELDS);
+        }
+
     }
 
+    // Property -> raw description key, for serialization
+    RenderTarget.FIELDS = {
+        name: 'name',
+        format: 'format',
+        extent: 'extent',
+        mipLevels: 'mipLevels',
+        sampleCount: 'sampleCount',
+        usage: 'usage',
+        memoryType: 'memoryType',
+        aspect: 'aspect',
+        samplerType: 'samplerType',
+        memoryUsage: 'memoryUsage',
+        tiling: 'tiling'
+    };
+
     /**
      * Node class - represents a node in the render graph
      */
     class Node {
         constructor(index, desc) {
             this.index = index;
+            this.description = desc;
             this.name = desc.name || `Node_${index}`;
             this.type = desc.type || 0;
             this.inputs = desc.inputRenderTargetIndices || [];
@@ -86,14 +114,30 @@
             return NODE_TYPES[this.type] ?? `Unknown (${this.type})`;
         }
 
+        toDescription() {
+            const desc = writeDescription(this, new Node(this.index, this.description), Node.FIELDS);
+            desc.nodeIndex = this.index;
+            return desc;
+        }
+
     }
 
+    Node.FIELDS = {
+        name: 'name',
+        type: 'type',
+        inputs: 'inputRenderTargetIndices',
+        outputs: 'outputRenderTargetIndices',
+        conditions: 'conditions',
+        dataJson: 'dataJson'
+    };
+
     /**
      * RenderPass class - represents a render pass in the render graph
      */
     class RenderPass {
         constructor(index, desc) {
             this.index = index;
+            this.description = desc;
             this.name = desc.name || `RenderPass_${index}`;
             this.nodeIndices = desc.nodeIndices || [];
             this.colorAttachmentIndices = desc.colorAttachmentIndices || [];
@@ -102,6 +146,37 @@
             this.conditions = desc.conditions || [];
         }
 
+        toDescription() {
+            return writeDescription(this, new RenderPass(this.index, this.description), RenderPass.FIELDS);
+        }
+
+    }
+
+    RenderPass.FIELDS = {
+        name: 'name',
+        nodeIndices: 'nodeIndices',
+        colorAttachmentIndices: 'colorAttachmentIndices',
+        depthAttachmentIndex: 'depthAttachmentIndex',
+        resolveAttachmentIndices: 'resolveAttachmentIndices',
+        conditions: 'conditions'
+    };
+
+    /**
+     * Write edited properties back onto a copy of the raw description
+     * Fields still equal to what the original parses to keep their raw value (or stay absent),
+     * and keys the parser does not know about are copied unchanged
+     * @param {Object} object - Parsed object, possibly edited
+     * @param {Object} pristine - The same object freshly parsed from its original description
+     * @param {Object} fields - Property -> description key
+     */
+    function writeDescription(object, pristine, fields) {
+        const desc = { ...object.description };
+        for (const [property, key] of Object.entries(fields)) {
+            if (JSON.stringify(object[property]) !== JSON.stringify(pristine[property])) {
+                desc[key] = object[property];
+            }
+        }
+        return desc;
     }
 
     /**
@@ -149,6 +224,47 @@
         };
     }
 
+    /**
+     * Serialize parsed objects back to the raw render graph schema
+     * @param {Object} parsed - { renderTargets, nodes, renderPasses, graphOrder }
+     * @param {Object} base - Original raw JSON; its other top-level keys and node order are kept
+     * @returns {Object} Raw render graph JSON
+     */
+    function serializeRawRenderGraph(parsed, base = {}) {
+        const byIndex = objects => Object.values(objects).sort((a, b) => a.index - b.index);
+
+        // Keep the original node order, then append new nodes; entries the parser skipped stay in place
+        const nodeDescriptions = [];
+        const written = new Set();
+        for (const desc of base.nodeDataDescriptions || []) {
+            const idx = desc.nodeIndex ?? -1;
+            if (idx < 0) {
+                nodeDescriptions.push(desc);
+            } else if (idx in parsed.nodes && !written.has(idx)) {
+                nodeDescriptions.push(parsed.nodes[idx].toDescription());
+                written.add(idx);
+            }
+        }
+        byIndex(parsed.nodes)
+            .filter(node => !written.has(node.index))
+            .forEach(node => nodeDescriptions.push(node.toDescription()));
+
+        const result = {
+            ...base,
+            renderTargetDescriptions: byIndex(parsed.renderTargets).map(rt => rt.toDescription()),
+            nodeDataDescriptions: nodeDescriptions,
+            renderPassDescriptions: byIndex(parsed.renderPasses).map(rp => rp.toDescription()),
+            graphOrder: parsed.graphOrder
+        };
+
+        // Optional sections absent from the original stay absent while empty
+        ['renderPassDescriptions', 'graphOrder'].forEach(key => {
+            if (!(key in base) && result[key].length === 0) delete result[key];
+        });
+
+        return result;
+    }
+
     /**
      * Check if JSON data is a valid raw render graph
      * @param {Object} data - JSON data to validate
@@ -184,6 +300,7 @@
         Node,
         RenderPass,
         parseRawRenderGraph,
+        serializeRawRenderGraph,
         isValidRawRenderGraph
     };
 
@@ -0,0 +1,167 @@
+// Patch module - JSON Pointer (RFC 6901) and JSON Patch (RFC 6902) helpers for render graph descriptions
+// Used to apply live edits and generated fixes without touching fields the viewer does not know about
+
+(function() {
+    /**
+     * Split a JSON Pointer into unescaped reference tokens
+     * @param {string} pointer - e.g. "/renderTargetDescriptions/3/format"
+     * @returns {Array} Tokens
+     */
+    function parsePointer(pointer) {
+        if (pointer === '') return [];
+        if (typeof pointer !== 'string' || pointer[0] !== '/') {
+            throw new Error(`Invalid JSON pointer '${pointer}'`);
+        }
+        return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    /**
+     * Build a JSON Pointer from reference tokens
+     */
+    function formatPointer(tokens) {
+        return tokens.map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+    }
+
+    function resolveParent(document, tokens, pointer) {
+        let parent = document;
+        for (const token of tokens.slice(0, -1)) {
+            if (parent === null || typeof parent !== 'object' || !(token in parent)) {
+                throw new Error(`Path not found: ${pointer}`);
+            }
+            parent = parent[token];
+        }
+        if (parent === null || typeof parent !== 'object') {
+            throw new Error(`Path not found: ${pointer}`);
+        }
+        return { parent, key: tokens[tokens.length - 1] };
+    }
+
+    function arrayIndex(array, key, pointer, allowEnd) {
+        if (allowEnd && key === '-') return array.length;
+        const index = Number(key);
+        if (!/^(0|[1-9]\d*)$/.test(key) || index > array.length || (!allowEnd && index === array.length)) {
+            throw new Error(`Invalid array index in ${pointer}`);
+        }
+        return index;
+    }
+
+    /**
+     * Read the value at a JSON Pointer
+     * @returns {*} Value, or undefined when the path does not exist
+     */
+    function getValue(document, pointer) {
+        let value = document;
+        for (const token of parsePointer(pointer)) {
+            if (value === null || typeof value !== 'object' || !(token in value)) return undefined;
+            value = value[token];
+        }
+        return value;
+    }
+
+    function addValue(document, pointer, value) {
+        const tokens = parsePointer(pointer);
+        if (tokens.length === 0) return value;
+
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        if (Array.isArray(parent)) {
+            parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+        } else {
+            parent[key] = value;
+        }
+        return document;
+    }
+
+    function removeValue(document, pointer) {
+        const tokens = parsePointer(pointer);
+        if (tokens.length === 0) throw new Error('Cannot remove the document root');
+
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        if (Array.isArray(parent)) {
+            return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+        }
+        if (!(key in parent)) throw new Error(`Path not found: ${pointer}`);
+        const removed = parent[key];
+        delete parent[key];
+        return removed;
+    }
+
+    // Overwrite an existing value where it is, so object keys keep their order
+    function replaceValue(document, pointer, value) {
+        const tokens = parsePointer(pointer);
+        if (tokens.length === 0) return value;
+
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        if (Array.isArray(parent)) {
+            parent[arrayIndex(parent, key, pointer, false)] = value;
+        } else {
+            if (!(key in parent)) throw new Error(`Path not found: ${pointer}`);
+            parent[key] = value;
+        }
+        return document;
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Apply JSON Patch operations to a copy of a document
+     * Supports add, remove, replace, move, copy and test
+     * @param {Object} document - Document to patch (left untouched)
+     * @param {Array} operations - JSON Patch operations
+     * @returns {Object} Patched copy
+     * @throws {Error} When an operation is invalid or a test fails
+     */
+    function applyPatch(document, operations) {
+        if (!Array.isArray(operations)) {
+            throw new Error('A JSON patch must be an array of operations');
+        }
+
+        let result = clone(document);
+
+        operations.forEach((operation, i) => {
+            const { op, path } = operation || {};
+            if (typeof path !== 'string') {
+                throw new Error(`Patch operation #${i} has no path`);
+            }
+
+            switch (op) {
+                case 'add':
+                    result = addValue(result, path, clone(operation.value));
+                    break;
+                case 'remove':
+                    removeValue(result, path);
+                    break;
+                case 'replace':
+                    result = replaceValue(result, path, clone(operation.value));
+                    break;
+                case 'move': {
+                    const value = removeValue(result, operation.from);
+                    result = addValue(result, path, value);
+                    break;
+                }
+                case 'copy':
+                    result = addValue(result, path, clone(getValue(result, operation.from)));
+                    break;
+                case 'test':
+                    if (JSON.stringify(getValue(result, path)) !== JSON.stringify(operation.value)) {
+                        throw new Error(`Patch test failed at ${path}`);
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported patch operation '${op}'`);
+            }
+        });
+
+        return result;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphPatch = {
+        parsePointer,
+        formatPointer,
+        getValue,
+        applyPatch
+    };
+
+})();
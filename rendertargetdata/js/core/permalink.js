@@ -0,0 +1,178 @@
+// Permalink module - encodes the viewer state into a URL hash and back
+// A link names its graph in one of three ways:
+//   asset=<uuid>  - the 3dverse asset, fetched again when the link is opened
+//   g=<data>      - the raw description, deflated and base64url encoded
+//   local=<key>   - a copy stored in the browser's IndexedDB, for graphs too large for a URL
+// The other parameters restore the view: tab, rt, node, q (search), view, cond, res
+
+(function() {
+    // Browsers and servers start to truncate URLs somewhere above this
+    const MAX_HASH_LENGTH = 8000;
+
+    // State fields and their hash parameters
+    const PARAMS = {
+        asset: 'asset',
+        graph: 'g',
+        local: 'local',
+        tab: 'tab',
+        renderTarget: 'rt',
+        node: 'node',
+        search: 'q',
+        viewMode: 'view',
+        conditions: 'cond',
+        resolution: 'res'
+    };
+
+    // Encoded payloads start with their encoding: 'z' deflated JSON, 'j' plain JSON
+    const DEFLATED = 'z';
+    const PLAIN = 'j';
+
+    function hasCompression() {
+        return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+    }
+
+    async function transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode a JSON value for a URL, deflated when the browser supports it
+     * @returns {Promise<string>} URL-safe payload
+     */
+    async function encodeJson(value) {
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        if (!hasCompression()) return PLAIN + toBase64Url(bytes);
+        return DEFLATED + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+    }
+
+    /**
+     * Decode a payload produced by encodeJson
+     * @throws {Error} When the payload is damaged
+     */
+    async function decodeJson(text) {
+        const encoding = text.charAt(0);
+        let bytes;
+        try {
+            bytes = fromBase64Url(text.slice(1));
+            if (encoding === DEFLATED) {
+                if (!hasCompression()) throw new Error('this browser cannot decompress it');
+                bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+            } else if (encoding !== PLAIN) {
+                throw new Error(`unknown encoding '${encoding}'`);
+            }
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`The embedded graph could not be decoded: ${error.message}`);
+        }
+    }
+
+    /**
+     * Short key identifying a description, used to store graphs too large for a link
+     * Two 32-bit FNV-1a hashes with different offsets, 16 hex digits
+     */
+    function getGraphKey(description) {
+        const text = JSON.stringify(description);
+        let a = 0x811c9dc5;
+        let b = 0x050c5d1f;
+        for (let i = 0; i < text.length; i++) {
+            const c = text.charCodeAt(i);
+            a = Math.imul(a ^ c, 0x01000193) >>> 0;
+            b = Math.imul(b ^ c, 0x01000193) >>> 0;
+        }
+        return a.toString(16).padStart(8, '0') + b.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Build a URL hash from a viewer state
+     * @param {Object} state - { asset, graph (encoded), local, tab, renderTarget, node, search, viewMode,
+     *                           conditions: { key: bool }, resolution: { width, height } }
+     * @returns {string} Hash including the leading '#'
+     */
+    function buildHash(state) {
+        const params = new URLSearchParams();
+        for (const [field, param] of Object.entries(PARAMS)) {
+            const value = state[field];
+            if (value === undefined || value === null || value === '') continue;
+
+            if (field === 'conditions') {
+                params.set(param, JSON.stringify(value));
+            } else if (field === 'resolution') {
+                params.set(param, `${value.width}x${value.height}`);
+            } else {
+                params.set(param, String(value));
+            }
+        }
+        return '#' + params.toString();
+    }
+
+    /**
+     * Parse a URL hash built by buildHash
+     * Unknown parameters and malformed values are ignored
+     * @returns {Object|null} State, null if the hash holds no permalink
+     */
+    function parseHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const state = {};
+
+        for (const [field, param] of Object.entries(PARAMS)) {
+            const value = params.get(param);
+            if (value === null || value === '') continue;
+
+            if (field === 'conditions') {
+                try {
+                    const conditions = JSON.parse(value);
+                    if (conditions && typeof conditions === 'object' && !Array.isArray(conditions)) {
+                        state.conditions = conditions;
+                    }
+                } catch (e) { /* ignore malformed toggles */ }
+            } else if (field === 'resolution') {
+                const match = /^(\d+)x(\d+)$/.exec(value);
+                const { MAX_OUTPUT_DIMENSION } = window.RenderGraphConstants;
+                const [width, height] = match ? [parseInt(match[1]), parseInt(match[2])] : [0, 0];
+                if (width >= 1 && height >= 1 && width <= MAX_OUTPUT_DIMENSION && height <= MAX_OUTPUT_DIMENSION) {
+                    state.resolution = { width, height };
+                }
+            } else {
+                state[field] = value;
+            }
+        }
+
+        return Object.keys(state).length > 0 ? state : null;
+    }
+
+    function fitsInUrl(hash, baseUrl = '') {
+        return baseUrl.length + hash.length <= MAX_HASH_LENGTH;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphPermalink = {
+        MAX_HASH_LENGTH,
+        PARAMS,
+        encodeJson,
+        decodeJson,
+        getGraphKey,
+        buildHash,
+        parseHash,
+        fitsInUrl
+    };
+
+})();
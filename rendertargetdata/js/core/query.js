@@ -0,0 +1,485 @@
+// Query module - a small query language for searching render targets, nodes and debugger issues
+//
+//   gbuffer                       bare words match render target names
+//   format:RGBA16F                field:value matches part of a value, field=value the whole value
+//   usage:STORAGE,SAMPLED         commas list alternatives
+//   lifetime>10 samples>=4        numeric fields compare with > >= < <= = !=
+//   during:10-20                  range fields overlap an execution order or range
+//   written-by:"SSAO Blur"        quotes keep spaces
+//   -is:unused                    a leading minus negates a term
+//
+// Every field belongs to render targets, nodes or issues. A term about another kind of entity matches through
+// the entities it relates to: a node matches format:R32F when it uses such a render target, a render target
+// matches type:Compute when a compute node uses it, an issue matches when one of its subjects does
+
+(function() {
+    const { getIssueSubjects } = window.RenderGraphRules;
+
+    const OPERATORS = ['>=', '<=', '!=', ':', '=', '>', '<'];
+    const NUMERIC_OPERATORS = ['>=', '<=', '>', '<'];
+
+    // Short format names, e.g. RGBA16F for R16G16B16A16_SFLOAT
+    const NUMERIC_SUFFIXES = { SFLOAT: 'F', UFLOAT: 'UF', UNORM: '', SNORM: '_SNORM', UINT: 'UI', SINT: 'I', SRGB: '_SRGB' };
+
+    function getFormatAlias(info) {
+        if (!info || info.compressed || info.packed || info.componentBits.length === 0) return null;
+        if (new Set(info.componentBits).size !== 1 || !(info.numericType in NUMERIC_SUFFIXES)) return null;
+        return `${info.components}${info.componentBits[0]}${NUMERIC_SUFFIXES[info.numericType]}`;
+    }
+
+    function getFormatNames(rt) {
+        const alias = getFormatAlias(rt.format.info);
+        return alias ? [rt.format.name, alias] : [rt.format.name];
+    }
+
+    function executionOrders(entries) {
+        return entries.map(entry => entry.execution_order).filter(order => order >= 0);
+    }
+
+    // Read before anything in the frame writes it, so its contents come from the previous frame
+    function isPersistent(rt) {
+        const reads = executionOrders(rt.readers || []);
+        if (reads.length === 0) return false;
+        const writes = executionOrders(rt.ownership || []);
+        return writes.length === 0 || Math.min(...reads) < Math.min(...writes);
+    }
+
+    function getLifetime(rt) {
+        const { first_used: first, last_used: last } = rt.lifetime || {};
+        return first && last ? last.execution_order - first.execution_order : null;
+    }
+
+    // Execution range a render target is alive in, from its first to its last use
+    function getLiveRange(rt) {
+        const { first_used: first, last_used: last } = rt.lifetime || {};
+        return first && last ? [first.execution_order, last.execution_order] : null;
+    }
+
+    function getPasses(rt) {
+        return [...rt.ownership || [], ...rt.readers || []].map(entry => entry.render_pass).filter(Boolean);
+    }
+
+    // is:<keyword> tests
+    const KEYWORDS = {
+        rt: {
+            unused: rt => !rt.lifetime || !rt.lifetime.first_used,
+            persistent: isPersistent,
+            transient: rt => rt.usage.flags.includes('TRANSIENT_ATTACHMENT'),
+            msaa: rt => rt.sample_count > 1,
+            mipmapped: rt => rt.mip_levels > 1,
+            scaled: rt => rt.resolution.type === 'scaled',
+            full: rt => rt.resolution.type === 'full',
+            depth: rt => rt.aspect.flags.includes('DEPTH'),
+            color: rt => rt.aspect.flags.includes('COLOR'),
+            compressed: rt => !!rt.format.info && rt.format.info.compressed,
+            srgb: rt => !!rt.format.info && rt.format.info.srgb
+        },
+        node: {
+            viewport: node => node.type.value === 0,
+            conditional: node => node.conditions && node.conditions.length > 0
+        },
+        issue: {
+            fixable: issue => !!issue.fix && !issue.fix.error,
+            error: issue => issue.severity === 'ERROR',
+            warning: issue => issue.severity === 'WARNING',
+            info: issue => issue.severity === 'INFO'
+        }
+    };
+
+    // Fields and how each kind of entity provides their values
+    // text fields return a list of strings, number fields a number and range fields a [first, last]
+    // execution range (or null when not applicable)
+    const FIELDS = {
+        name: { type: 'text', description: 'Render target name', rt: rt => [rt.name] },
+        format: { type: 'text', description: 'Format name or short form like RGBA16F', rt: getFormatNames },
+        usage: { type: 'text', description: 'Usage flag', rt: rt => rt.usage.flags },
+        aspect: { type: 'text', description: 'Aspect flag', rt: rt => rt.aspect.flags },
+        samples: { type: 'number', description: 'Sample count', rt: rt => rt.sample_count },
+        mips: { type: 'number', description: 'Mip levels', rt: rt => rt.mip_levels },
+        scale: { type: 'number', description: 'Smallest scale factor (1 = full resolution)',
+            rt: rt => Math.min(rt.resolution.x, rt.resolution.y) },
+        lifetime: { type: 'number', description: 'Execution steps between first and last use', rt: getLifetime },
+        first: { type: 'number', description: 'Execution order of the first use',
+            rt: rt => rt.lifetime && rt.lifetime.first_used ? rt.lifetime.first_used.execution_order : null },
+        last: { type: 'number', description: 'Execution order of the last use',
+            rt: rt => rt.lifetime && rt.lifetime.last_used ? rt.lifetime.last_used.execution_order : null },
+        index: { type: 'number', description: 'Render target index', rt: rt => rt.index },
+        'written-by': { type: 'text', description: 'Name of a node writing the render target',
+            rt: rt => (rt.ownership || []).map(entry => entry.name) },
+        'read-by': { type: 'text', description: 'Name of a node reading the render target',
+            rt: rt => (rt.readers || []).map(entry => entry.name) },
+        'used-by': { type: 'text', description: 'Name of a node using the render target',
+            rt: rt => [...rt.ownership || [], ...rt.readers || []].map(entry => entry.name) },
+        node: { type: 'text', description: 'Node name', node: node => [node.name] },
+        type: { type: 'text', description: 'Node type', node: node => [node.type.name] },
+        order: { type: 'number', description: 'Node execution order', node: node => node.execution_order },
+        during: { type: 'range', description: 'Alive or executed in an execution order range, e.g. 10-20',
+            rt: getLiveRange, node: node => node.execution_order >= 0 ? [node.execution_order, node.execution_order] : null },
+        pass: { type: 'text', description: 'Render pass name',
+            rt: getPasses, node: node => node.render_pass ? [node.render_pass] : [] },
+        condition: { type: 'text', description: 'Condition key',
+            rt: rt => rt.conditions || [], node: node => node.conditions || [] },
+        severity: { type: 'text', description: 'Issue severity', issue: issue => [issue.severity] },
+        issue: { type: 'text', description: 'Issue type', issue: issue => [issue.type] },
+        is: { type: 'keyword', description: 'Property test, e.g. is:unused' }
+    };
+
+    const ALIASES = { rt: 'name', writer: 'written-by', reader: 'read-by' };
+
+    function keywordScope(keyword) {
+        return Object.keys(KEYWORDS).find(scope => keyword in KEYWORDS[scope]) || null;
+    }
+
+    /**
+     * Split a query into tokens, keeping quoted runs together
+     * @returns {Array} [{ text, start, end }]
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let current = null;
+        let quoted = false;
+
+        for (let i = 0; i <= text.length; i++) {
+            const ch = text[i];
+            if (ch === undefined || (/\s/.test(ch) && !quoted)) {
+                if (current) {
+                    current.end = i;
+                    tokens.push(current);
+                    current = null;
+                }
+                continue;
+            }
+            if (!current) current = { text: '', start: i, end: i };
+            if (ch === '"') quoted = !quoted;
+            current.text += ch;
+        }
+
+        return tokens;
+    }
+
+    function unquote(value) {
+        return value.replace(/"/g, '');
+    }
+
+    // "12" or "10-20" to [first, last]
+    function parseRange(value) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(value);
+        if (!match) return null;
+        const first = Number(match[1]);
+        const last = match[2] !== undefined ? Number(match[2]) : first;
+        return [Math.min(first, last), Math.max(first, last)];
+    }
+
+    /**
+     * Parse one token into a term
+     * @returns {Object} { negate, field, op, values, implicit, raw, start, end, error }
+     */
+    function parseTerm(token) {
+        let text = token.text;
+        const term = { negate: false, field: 'name', op: ':', values: [], implicit: true, raw: token.text,
+            start: token.start, end: token.end, error: null };
+
+        if (text.startsWith('-') && text.length > 1) {
+            term.negate = true;
+            text = text.slice(1);
+        }
+
+        const match = /^([a-z][a-z-]*)(>=|<=|!=|:|=|>|<)(.*)$/i.exec(text);
+        if (!match) {
+            term.values = [unquote(text)];
+            return term;
+        }
+
+        const field = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+        term.implicit = false;
+        term.field = field;
+        term.op = match[2];
+        term.values = unquote(match[3]).split(',').map(v => v.trim()).filter(Boolean);
+
+        const definition = FIELDS[field];
+        if (!definition) {
+            term.error = `Unknown field '${match[1]}'`;
+        } else if (term.values.length === 0) {
+            term.error = `'${match[1]}${term.op}' needs a value`;
+        } else if (definition.type === 'number') {
+            if (term.values.some(v => isNaN(Number(v)))) term.error = `'${field}' compares numbers`;
+        } else if (NUMERIC_OPERATORS.includes(term.op)) {
+            term.error = `'${field}' cannot be compared with ${term.op}`;
+        } else if (definition.type === 'keyword') {
+            const unknown = term.values.find(v => !keywordScope(v.toLowerCase()));
+            if (unknown) term.error = `Unknown property 'is:${unknown}'`;
+        } else if (definition.type === 'range') {
+            if (term.values.some(v => !parseRange(v))) term.error = `'${field}' takes an execution order or a range like 10-20`;
+        }
+
+        return term;
+    }
+
+    /**
+     * Parse a query
+     * Terms with errors are reported and left out, so a half-typed query still filters by the rest
+     * @returns {Object} { text, terms, errors: [{ term, message }], freeText, isEmpty }
+     */
+    function parseQuery(text) {
+        const source = String(text || '');
+        const parsed = tokenize(source).map(parseTerm);
+        const terms = parsed.filter(term => !term.error);
+
+        return {
+            text: source,
+            terms,
+            errors: parsed.filter(term => term.error).map(term => ({ term, message: term.error })),
+            // Bare words only, for views that search names as plain text
+            freeText: terms.filter(term => term.implicit && !term.negate).map(term => term.values[0]).join(' ').toLowerCase(),
+            isEmpty: terms.length === 0
+        };
+    }
+
+    function compareNumber(actual, op, expected) {
+        if (actual === null || actual === undefined) return false;
+        switch (op) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            case '!=': return actual !== expected;
+            default: return actual === expected;
+        }
+    }
+
+    function matchValue(term, actual) {
+        const definition = FIELDS[term.field];
+        if (definition.type === 'number') {
+            return term.values.some(v => compareNumber(actual, term.op, Number(v)));
+        }
+        if (definition.type === 'range') {
+            if (!actual) return false;
+            const found = term.values.map(parseRange).some(([first, last]) => actual[0] <= last && actual[1] >= first);
+            return term.op === '!=' ? !found : found;
+        }
+
+        const candidates = actual.map(v => String(v).toLowerCase());
+        const wanted = term.values.map(v => v.toLowerCase());
+        if (term.op === '=' || term.op === '!=') {
+            const found = wanted.some(v => candidates.includes(v));
+            return term.op === '=' ? found : !found;
+        }
+        return wanted.some(v => candidates.some(c => c.includes(v)));
+    }
+
+    /**
+     * Build the lookups matching needs from a view graph (render_targets_by_first_usage, nodes_by_execution_order)
+     * Contexts are cached per graph
+     */
+    const contextCache = new WeakMap();
+
+    function createContext(graphData) {
+        if (graphData && contextCache.has(graphData)) return contextCache.get(graphData);
+
+        const renderTargets = (graphData && graphData.render_targets_by_first_usage) || [];
+        const nodes = (graphData && graphData.nodes_by_execution_order) || [];
+        const context = {
+            renderTargets,
+            nodes,
+            rtsByIndex: new Map(renderTargets.map(rt => [rt.index, rt])),
+            rtsByName: new Map(renderTargets.map(rt => [rt.name, rt])),
+            nodesByIndex: new Map(nodes.map(node => [node.index, node])),
+            nodesByName: new Map(nodes.map(node => [node.name, node])),
+            // node index -> render targets it reads or writes, through passes included
+            rtsByNode: new Map()
+        };
+
+        // Attachments of a render pass count as used by every node in the pass
+        const nodesByPass = new Map();
+        for (const node of nodes) {
+            if (node.render_pass_index === null || node.render_pass_index === undefined) continue;
+            if (!nodesByPass.has(node.render_pass_index)) nodesByPass.set(node.render_pass_index, []);
+            nodesByPass.get(node.render_pass_index).push(node.index);
+        }
+
+        const addUse = (nodeIndex, rt) => {
+            if (!context.rtsByNode.has(nodeIndex)) context.rtsByNode.set(nodeIndex, new Set());
+            context.rtsByNode.get(nodeIndex).add(rt);
+        };
+
+        for (const rt of renderTargets) {
+            for (const entry of [...rt.ownership || [], ...rt.readers || []]) {
+                addUse(entry.node_index, rt);
+                const passNodes = entry.render_pass_index !== null && entry.render_pass_index !== undefined
+                    ? nodesByPass.get(entry.render_pass_index) || []
+                    : [];
+                passNodes.forEach(nodeIndex => addUse(nodeIndex, rt));
+            }
+        }
+
+        if (graphData) contextCache.set(graphData, context);
+        return context;
+    }
+
+    // Does an entity of a kind (rt, node, issue) satisfy a term, before negation
+    function testTerm(term, kind, entity, context) {
+        // Debug files loaded without their graph only name their render targets
+        if (entity.stub) {
+            return term.field === 'name' && matchValue(term, [entity.name]);
+        }
+
+        if (term.field === 'is') {
+            return term.values.some(value => {
+                const keyword = value.toLowerCase();
+                const scope = keywordScope(keyword);
+                if (scope === kind) return KEYWORDS[scope][keyword](entity);
+                return related(kind, scope, entity, context).some(other => !other.stub && KEYWORDS[scope][keyword](other));
+            });
+        }
+
+        const definition = FIELDS[term.field];
+        if (definition[kind]) {
+            return matchValue(term, definition[kind](entity));
+        }
+
+        // Bare words also find issues by their message
+        if (kind === 'issue' && term.implicit && matchValue(term, [entity.message || ''])) {
+            return true;
+        }
+
+        const scope = ['rt', 'node', 'issue'].find(s => definition[s]);
+        return related(kind, scope, entity, context).some(other => testTerm(term, scope, other, context));
+    }
+
+    // Entities of another kind related to an entity
+    function related(kind, scope, entity, context) {
+        if (kind === scope) return [entity];
+
+        if (kind === 'rt' && scope === 'node') {
+            return [...entity.ownership || [], ...entity.readers || []]
+                .map(entry => context.nodesByIndex.get(entry.node_index))
+                .filter(Boolean);
+        }
+        if (kind === 'node' && scope === 'rt') {
+            return [...(context.rtsByNode.get(entity.index) || [])];
+        }
+        if (kind === 'issue') {
+            const subjects = getIssueSubjects(entity);
+            if (scope === 'rt') {
+                // Debug files loaded without their graph only know render target names
+                return subjects.renderTargets.map(name => context.rtsByName.get(name) || { name, stub: true });
+            }
+            if (scope === 'node') return subjects.nodes.map(name => context.nodesByName.get(name)).filter(Boolean);
+        }
+        // Issues are not related to render targets or nodes the other way round
+        return [];
+    }
+
+    // Terms about issues only, which do not filter render targets or nodes
+    function isIssueTerm(term) {
+        if (term.field === 'is') {
+            return term.values.every(value => keywordScope(value.toLowerCase()) === 'issue');
+        }
+        const definition = FIELDS[term.field];
+        return !!definition.issue && !definition.rt && !definition.node;
+    }
+
+    function matches(query, kind, entity, context) {
+        return query.terms.every(term => {
+            if (kind !== 'issue' && isIssueTerm(term)) return true;
+            const result = testTerm(term, kind, entity, context);
+            return term.negate ? !result : result;
+        });
+    }
+
+    function matchRenderTarget(query, rt, context) {
+        return matches(query, 'rt', rt, context);
+    }
+
+    function matchNode(query, node, context) {
+        return matches(query, 'node', node, context);
+    }
+
+    function matchIssue(query, issue, context) {
+        return matches(query, 'issue', issue, context);
+    }
+
+    /**
+     * Values a field takes in the graph, for autocompletion
+     */
+    function getFieldValues(field, context, issues = []) {
+        const definition = FIELDS[field];
+        if (!definition) return [];
+        if (definition.type === 'keyword') {
+            return Object.values(KEYWORDS).flatMap(keywords => Object.keys(keywords));
+        }
+        if (definition.type === 'number' || definition.type === 'range') return [];
+
+        const values = new Set();
+        const add = list => list.forEach(value => { if (value !== null && value !== undefined && value !== '') values.add(String(value)); });
+        if (definition.rt) context.renderTargets.forEach(rt => add(definition.rt(rt)));
+        if (definition.node) context.nodes.forEach(node => add(definition.node(node)));
+        if (definition.issue) issues.forEach(issue => add(definition.issue(issue)));
+        return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    function quoteValue(value) {
+        return /[\s,"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+
+    /**
+     * Suggest completions for the token being typed
+     * @param {string} token - Text of the token at the caret
+     * @param {Object} context - From createContext
+     * @param {Array} issues - Debugger issues, for issue field values
+     * @returns {Array} [{ text (replacement token), label, detail }]
+     */
+    function getSuggestions(token, context, issues = [], limit = 12) {
+        const negate = token.startsWith('-') ? '-' : '';
+        const body = negate ? token.slice(1) : token;
+        const match = /^([a-z][a-z-]*)(>=|<=|!=|:|=|>|<)(.*)$/i.exec(body);
+
+        if (!match) {
+            const prefix = body.toLowerCase();
+            return Object.entries(FIELDS)
+                .filter(([name]) => name.startsWith(prefix))
+                .slice(0, limit)
+                .map(([name, definition]) => ({
+                    text: `${negate}${name}${definition.type === 'number' ? '>' : ':'}`,
+                    label: name,
+                    detail: definition.description,
+                    partial: true
+                }));
+        }
+
+        const field = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+        const op = match[2];
+        // Complete the last of a comma separated list
+        const typed = unquote(match[3]);
+        const done = typed.includes(',') ? typed.slice(0, typed.lastIndexOf(',') + 1) : '';
+        const prefix = typed.slice(done.length).toLowerCase();
+
+        return getFieldValues(field, context, issues)
+            .filter(value => value.toLowerCase().includes(prefix))
+            .sort((a, b) => Number(!a.toLowerCase().startsWith(prefix)) - Number(!b.toLowerCase().startsWith(prefix)))
+            .slice(0, limit)
+            .map(value => ({
+                text: `${negate}${match[1]}${op}${done.split(',').filter(Boolean).map(quoteValue).map(v => v + ',').join('')}${quoteValue(value)}`,
+                label: value,
+                detail: FIELDS[field] ? FIELDS[field].description : ''
+            }));
+    }
+
+    // Export for use by other modules
+    window.RenderGraphQuery = {
+        FIELDS,
+        KEYWORDS,
+        OPERATORS,
+        getFormatAlias,
+        tokenize,
+        parseRange,
+        parseQuery,
+        createContext,
+        matchRenderTarget,
+        matchNode,
+        matchIssue,
+        getFieldValues,
+        getSuggestions
+    };
+
+})();
@@ -0,0 +1,278 @@
+// Reporting module - exports debugger issues as SARIF 2.1.0 and JUnit XML for CI systems
+// Both take a list of graph results { file, name, issues, suppressed, disabledChecks, error }:
+//   issues          - issues left after the rules were applied
+//   suppressed      - suppressed issues, or { issue, suppression } entries as returned by applyRules
+//   disabledChecks  - check names the rules turned off
+//   error           - load/parse error, the graph has no issues then
+
+(function() {
+    const { CHECK_NAMES, CHECK_INFO } = window.RenderGraphDebugger;
+    const { getIssueSubjects } = window.RenderGraphRules;
+
+    const TOOL_NAME = 'rendergraph-lint';
+    const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+    const SARIF_LEVELS = { ERROR: 'error', WARNING: 'warning', INFO: 'note' };
+    const SEVERITY_ORDER = ['ERROR', 'WARNING', 'INFO'];
+
+    // Keys that only carry indices and must not change an issue's fingerprint
+    const INDEX_KEY_PATTERN = /(^index$|_index$|_indices$|^execution_order$)/;
+
+    /**
+     * Find the check that reported an issue
+     * Issues from older debug files have no check recorded and are matched by type
+     * @returns {string|null} Check name
+     */
+    function getCheckForIssue(issue) {
+        if (issue.check && issue.check in CHECK_INFO) return issue.check;
+        return CHECK_NAMES.find(name => issue.type in CHECK_INFO[name].issueTypes) || null;
+    }
+
+    function splitSuppressed(entry) {
+        return entry && entry.issue ? entry : { issue: entry, suppression: null };
+    }
+
+    function stripIndices(value) {
+        if (Array.isArray(value)) return value.map(stripIndices);
+        if (value && typeof value === 'object') {
+            const stripped = {};
+            for (const [key, child] of Object.entries(value)) {
+                if (!INDEX_KEY_PATTERN.test(key)) stripped[key] = stripIndices(child);
+            }
+            return stripped;
+        }
+        return value;
+    }
+
+    // 32-bit FNV-1a, enough to tell issues apart between runs
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Fingerprint that survives reindexing, so CI can track an issue across graph revisions
+     */
+    function getIssueFingerprint(issue, graphName) {
+        return hashString(`${graphName || ''}|${issue.type}|${JSON.stringify(stripIndices(issue.details || {}))}`);
+    }
+
+    function mostSevere(severities) {
+        return SEVERITY_ORDER.find(severity => severities.includes(severity)) || 'INFO';
+    }
+
+    function toRuleName(check) {
+        return check.replace(/^check/, '');
+    }
+
+    function createSarifRule(check) {
+        const info = CHECK_INFO[check];
+        const issueTypes = Object.keys(info.issueTypes);
+        return {
+            id: check,
+            name: toRuleName(check),
+            shortDescription: { text: info.title },
+            fullDescription: { text: info.description },
+            help: { text: `${info.description} Reports ${issueTypes.join(', ')}.` },
+            defaultConfiguration: { level: SARIF_LEVELS[mostSevere(Object.values(info.issueTypes))] },
+            properties: { issueTypes: info.issueTypes }
+        };
+    }
+
+    function createSarifResult(issue, graph, suppression, ruleIndices) {
+        const check = getCheckForIssue(issue);
+        const subjects = getIssueSubjects(issue);
+        const logicalLocations = [
+            ...subjects.renderTargets.map(name => ({ name, kind: 'renderTarget' })),
+            ...subjects.nodes.map(name => ({ name, kind: 'node' }))
+        ];
+
+        const location = {};
+        if (graph.file) {
+            location.physicalLocation = { artifactLocation: { uri: graph.file } };
+        }
+        if (logicalLocations.length > 0) {
+            location.logicalLocations = logicalLocations.map(loc => ({
+                ...loc,
+                fullyQualifiedName: `${graph.name || graph.file || 'rendergraph'}/${loc.kind}/${loc.name}`
+            }));
+        }
+
+        const result = {
+            ruleId: check || issue.type,
+            level: SARIF_LEVELS[issue.severity] || 'note',
+            message: { text: issue.message },
+            locations: Object.keys(location).length > 0 ? [location] : [],
+            partialFingerprints: { renderGraphIssue: getIssueFingerprint(issue, graph.name) },
+            properties: {
+                issueType: issue.type,
+                severity: issue.severity,
+                graph: graph.name,
+                details: issue.details || {}
+            }
+        };
+        if (check) result.ruleIndex = ruleIndices[check];
+        if (issue.originalSeverity) result.properties.originalSeverity = issue.originalSeverity;
+
+        if (suppression !== undefined) {
+            result.suppressions = [{
+                kind: 'external',
+                justification: (suppression && suppression.reason) || 'Suppressed by render graph rules'
+            }];
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a SARIF 2.1.0 log with one rule per debugger check
+     * @param {Array} graphs - Graph results (see header)
+     * @param {Object} options - { toolVersion, informationUri }
+     * @returns {Object} SARIF log
+     */
+    function toSarif(graphs, options = {}) {
+        const ruleIndices = {};
+        CHECK_NAMES.forEach((check, i) => { ruleIndices[check] = i; });
+
+        const results = [];
+        const notifications = [];
+
+        for (const graph of graphs) {
+            if (graph.error) {
+                notifications.push({
+                    level: 'error',
+                    message: { text: `${graph.file || graph.name}: ${graph.error}` },
+                    ...(graph.file ? { locations: [{ physicalLocation: { artifactLocation: { uri: graph.file } } }] } : {})
+                });
+                continue;
+            }
+
+            (graph.issues || []).forEach(issue => {
+                results.push(createSarifResult(issue, graph, undefined, ruleIndices));
+            });
+            (graph.suppressed || []).map(splitSuppressed).forEach(({ issue, suppression }) => {
+                results.push(createSarifResult(issue, graph, suppression, ruleIndices));
+            });
+        }
+
+        const driver = {
+            name: TOOL_NAME,
+            rules: CHECK_NAMES.map(createSarifRule)
+        };
+        if (options.toolVersion) driver.version = options.toolVersion;
+        if (options.informationUri) driver.informationUri = options.informationUri;
+
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: { driver },
+                artifacts: graphs.filter(graph => graph.file).map(graph => ({ location: { uri: graph.file } })),
+                invocations: [{
+                    executionSuccessful: graphs.every(graph => !graph.error),
+                    toolExecutionNotifications: notifications
+                }],
+                results
+            }]
+        };
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    function describeIssues(issues) {
+        return issues.map(issue => `[${issue.severity}] ${issue.type}: ${issue.message}`).join('\n');
+    }
+
+    /**
+     * Build JUnit XML with one test suite per graph and one test case per check
+     * A check fails when it reported an issue at a failing severity; disabled checks are skipped
+     * @param {Array} graphs - Graph results (see header)
+     * @param {Object} options - { failOn: severities that fail a check (default ['ERROR']) }
+     * @returns {string} JUnit XML
+     */
+    function toJUnit(graphs, options = {}) {
+        const failing = options.failOn || ['ERROR'];
+        const suites = [];
+        const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+        for (const graph of graphs) {
+            const suiteName = escapeXml(graph.file || graph.name || 'rendergraph');
+            const cases = [];
+            const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+            if (graph.error) {
+                counts.tests = 1;
+                counts.errors = 1;
+                cases.push(`    <testcase classname="${suiteName}" name="load">\n` +
+                    `      <error message="${escapeXml(graph.error)}"/>\n    </testcase>`);
+            } else {
+                const disabled = graph.disabledChecks || [];
+                const suppressed = (graph.suppressed || []).map(entry => splitSuppressed(entry).issue);
+
+                for (const check of CHECK_NAMES) {
+                    const name = escapeXml(`${check}: ${CHECK_INFO[check].title}`);
+                    const open = `    <testcase classname="${suiteName}" name="${name}">`;
+                    counts.tests++;
+
+                    if (disabled.includes(check)) {
+                        counts.skipped++;
+                        cases.push(`${open}\n      <skipped message="disabled by rules"/>\n    </testcase>`);
+                        continue;
+                    }
+
+                    const issues = (graph.issues || []).filter(issue => getCheckForIssue(issue) === check);
+                    const failures = issues.filter(issue => failing.includes(issue.severity));
+                    const quiet = suppressed.filter(issue => getCheckForIssue(issue) === check);
+                    const body = [];
+
+                    if (failures.length > 0) {
+                        counts.failures++;
+                        body.push(`      <failure type="${escapeXml([...new Set(failures.map(i => i.type))].join(','))}" ` +
+                            `message="${escapeXml(`${failures.length} ${failures.length === 1 ? 'issue' : 'issues'}`)}">` +
+                            `${escapeXml(describeIssues(failures))}</failure>`);
+                    }
+
+                    // Issues below the failing level and suppressed ones are kept as output
+                    const passed = issues.filter(issue => !failing.includes(issue.severity));
+                    const output = [
+                        describeIssues(passed),
+                        quiet.length > 0 ? `Suppressed:\n${describeIssues(quiet)}` : ''
+                    ].filter(Boolean).join('\n');
+                    if (output) {
+                        body.push(`      <system-out>${escapeXml(output)}</system-out>`);
+                    }
+
+                    cases.push(body.length > 0 ? `${open}\n${body.join('\n')}\n    </testcase>` : `${open.slice(0, -1)}/>`);
+                }
+            }
+
+            Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+            suites.push(`  <testsuite name="${suiteName}" tests="${counts.tests}" failures="${counts.failures}" ` +
+                `errors="${counts.errors}" skipped="${counts.skipped}">\n${cases.join('\n')}\n  </testsuite>`);
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<testsuites name="${TOOL_NAME}" tests="${totals.tests}" failures="${totals.failures}" ` +
+            `errors="${totals.errors}" skipped="${totals.skipped}">\n${suites.join('\n')}\n</testsuites>`;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphReporting = {
+        SARIF_LEVELS,
+        getCheckForIssue,
+        getIssueFingerprint,
+        toSarif,
+        toJUnit
+    };
+
+})();
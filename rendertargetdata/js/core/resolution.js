@@ -0,0 +1,191 @@
+// Resolution module - what-if simulation of a render graph at other output resolutions
+// Each viewport instantiates the graph at its own size. Per viewport the simulation resolves the pixel
+// extent and mip chain of every render target, the memory total and the attachment traffic per frame
+//
+// Attachment traffic is estimated from usage, since the raw description has no load/store ops:
+//   - an attachment is loaded when the frame used it before the pass, or it persists across frames
+//   - it is stored when the frame uses it after the pass, or it persists across frames
+//   - resolve attachments are only stored
+// A persistent render target is read before anything in the frame writes it
+
+(function() {
+    const Memory = window.RenderGraphMemory;
+
+    const PRESETS = [
+        { id: '720p', label: '720p', width: 1280, height: 720 },
+        { id: '900p', label: '900p', width: 1600, height: 900 },
+        { id: '1080p', label: '1080p', width: 1920, height: 1080 },
+        { id: '1440p', label: '1440p', width: 2560, height: 1440 },
+        { id: '1800p', label: '1800p', width: 3200, height: 1800 },
+        { id: '4k', label: '4K UHD', width: 3840, height: 2160 },
+        { id: 'uwqhd', label: 'Ultrawide 3440×1440', width: 3440, height: 1440 }
+    ];
+
+    const DEFAULT_FRAME_RATE = 60;
+
+    function findPreset(width, height) {
+        return PRESETS.find(preset => preset.width === width && preset.height === height) || null;
+    }
+
+    /**
+     * Scale factors of a render target, with an optional override { x, y }
+     */
+    function getScale(rt, override) {
+        const scale = rt.getResolutionDescription();
+        if (!override) return scale;
+        return {
+            type: 'scaled',
+            x: override.x ?? scale.x,
+            y: override.y ?? scale.y,
+            z: scale.z
+        };
+    }
+
+    function describeScale(scale) {
+        if (scale.type === 'full') return 'Full';
+        const factors = [scale.x, scale.y].map(v => +v.toFixed(4));
+        return scale.z !== 1 ? `${factors.join(' × ')} × ${+scale.z.toFixed(4)}` : factors.join(' × ');
+    }
+
+    function isPersistent(rt) {
+        return rt.firstUsedAtNode !== null && !rt.outputFromNodes.includes(rt.firstUsedAtNode);
+    }
+
+    function usedOutside(rt, nodes, first, last) {
+        return Object.keys(rt.nodeUsageTypes).map(Number).reduce((found, idx) => {
+            const order = nodes[idx] ? nodes[idx].executionOrder : -1;
+            if (order < 0) return found;
+            if (order < first) found.before = true;
+            if (order > last) found.after = true;
+            return found;
+        }, { before: false, after: false });
+    }
+
+    /**
+     * Estimate the attachment loads and stores of every executed render pass
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses } from the analyzer
+     * @param {Object} targets - Memory estimates by render target index (mips[0] is one full attachment access)
+     * @returns {Object} { passes: [{ index, name, attachments, loadBytes, storeBytes }], loadBytes, storeBytes }
+     */
+    function estimateAttachmentTraffic(analyzed, targets) {
+        const { renderTargets, nodes, renderPasses } = analyzed;
+        const passes = [];
+
+        for (const rp of Object.values(renderPasses)) {
+            const orders = rp.nodeIndices
+                .map(idx => nodes[idx] ? nodes[idx].executionOrder : -1)
+                .filter(order => order >= 0);
+            if (orders.length === 0) continue;
+
+            const first = Math.min(...orders);
+            const last = Math.max(...orders);
+            const roles = [
+                ...rp.colorAttachmentIndices.map(idx => [idx, 'color']),
+                ...(rp.depthAttachmentIndex !== null ? [[rp.depthAttachmentIndex, 'depth']] : []),
+                ...rp.resolveAttachmentIndices.map(idx => [idx, 'resolve'])
+            ];
+
+            const attachments = roles
+                .filter(([idx]) => idx in renderTargets && idx in targets)
+                .map(([idx, role]) => {
+                    const rt = renderTargets[idx];
+                    const size = targets[idx].mips[0].bytes;
+                    const persistent = isPersistent(rt);
+                    const outside = usedOutside(rt, nodes, first, last);
+                    const load = role !== 'resolve' && (outside.before || persistent);
+                    const store = outside.after || persistent;
+
+                    return {
+                        index: idx,
+                        name: rt.name,
+                        role,
+                        load,
+                        store,
+                        loadBytes: load ? size : 0,
+                        storeBytes: store ? size : 0
+                    };
+                });
+
+            passes.push({
+                index: rp.index,
+                name: rp.name,
+                executionOrder: first,
+                attachments,
+                loadBytes: attachments.reduce((sum, a) => sum + a.loadBytes, 0),
+                storeBytes: attachments.reduce((sum, a) => sum + a.storeBytes, 0)
+            });
+        }
+
+        passes.sort((a, b) => a.executionOrder - b.executionOrder);
+        return {
+            passes,
+            loadBytes: passes.reduce((sum, p) => sum + p.loadBytes, 0),
+            storeBytes: passes.reduce((sum, p) => sum + p.storeBytes, 0)
+        };
+    }
+
+    /**
+     * Simulate a graph at a set of viewport resolutions
+     * @param {Object} analyzed - { renderTargets, nodes, renderPasses } from the analyzer
+     * @param {Array} viewports - [{ name, width, height }]
+     * @param {Object} options - { scales: { rtIndex: { x, y } } scale overrides, frameRate }
+     * @returns {Object} { viewports: [{ name, width, height, targets, passes, memoryBytes, usedBytes,
+     *                     loadBytes, storeBytes, bandwidthBytes }], memoryBytes, bandwidthBytes,
+     *                     bandwidthPerSecond, frameRate }
+     */
+    function simulate(analyzed, viewports, options = {}) {
+        const scales = options.scales || {};
+        const frameRate = options.frameRate || DEFAULT_FRAME_RATE;
+
+        const results = viewports.map(viewport => {
+            const resolution = { width: viewport.width, height: viewport.height };
+            const targets = {};
+
+            for (const rt of Object.values(analyzed.renderTargets)) {
+                const scale = getScale(rt, scales[rt.index]);
+                targets[rt.index] = {
+                    ...Memory.estimateRenderTargetMemory(rt, resolution, scale),
+                    scale,
+                    overridden: rt.index in scales
+                };
+            }
+
+            const traffic = estimateAttachmentTraffic(analyzed, targets);
+            const entries = Object.values(targets);
+
+            return {
+                name: viewport.name,
+                width: viewport.width,
+                height: viewport.height,
+                targets: entries,
+                passes: traffic.passes,
+                memoryBytes: entries.reduce((sum, t) => sum + t.bytes, 0),
+                usedBytes: entries.filter(t => t.used).reduce((sum, t) => sum + t.bytes, 0),
+                loadBytes: traffic.loadBytes,
+                storeBytes: traffic.storeBytes,
+                bandwidthBytes: traffic.loadBytes + traffic.storeBytes
+            };
+        });
+
+        const bandwidthBytes = results.reduce((sum, v) => sum + v.bandwidthBytes, 0);
+        return {
+            viewports: results,
+            memoryBytes: results.reduce((sum, v) => sum + v.memoryBytes, 0),
+            bandwidthBytes,
+            bandwidthPerSecond: bandwidthBytes * frameRate,
+            frameRate
+        };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphResolution = {
+        PRESETS,
+        DEFAULT_FRAME_RATE,
+        findPreset,
+        getScale,
+        describeScale,
+        estimateAttachmentTraffic,
+        simulate
+    };
+
+})();
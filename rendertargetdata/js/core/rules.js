@@ -0,0 +1,212 @@
+// Rules module - configures which debugger checks run and which issues are reported
+//
+// Rules configuration (JSON):
+// {
+//     "format": "rendergraph-rules",
+//     "checks": { "checkResourceAliasingOpportunities": false },   // skip whole checks
+//     "severity": { "MISSING_RESOURCE_BARRIER": "INFO", "ALIASING_OPPORTUNITY": "off" },
+//     "suppressions": [
+//         { "type": "WRITE_ONLY_RENDER_TARGET", "renderTarget": "SYSTEM_*", "reason": "Engine owned" },
+//         { "type": "ISOLATED_NODE", "node": "DebugOverlay", "graph": "Forward*" }
+//     ]
+// }
+// Name patterns are case-insensitive and support '*' and '?' wildcards
+
+(function() {
+    const RULES_FORMAT = 'rendergraph-rules';
+    const SEVERITIES = ['ERROR', 'WARNING', 'INFO'];
+
+    // Issue detail keys that reference render targets or nodes by name
+    const RENDER_TARGET_KEY = /^render_target(_name|_\d+)?$|_rt$/;
+    const NODE_KEY = /(^|_)nodes?(_name)?$|writers$|generator$/;
+
+    /**
+     * Create an empty rules configuration
+     */
+    function createRules() {
+        return { format: RULES_FORMAT, checks: {}, severity: {}, suppressions: [] };
+    }
+
+    /**
+     * Check whether JSON data looks like a rules configuration
+     */
+    function isRulesConfig(data) {
+        return !!data && typeof data === 'object' && !Array.isArray(data) &&
+            (data.format === RULES_FORMAT ||
+             (!data.renderTargetDescriptions && ('suppressions' in data || 'severity' in data || 'checks' in data)));
+    }
+
+    /**
+     * Validate a rules configuration and fill in missing sections
+     * @param {Object} data - Rules JSON
+     * @returns {Object} Normalized rules
+     * @throws {Error} When a section has the wrong shape
+     */
+    function normalizeRules(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Rules must be a JSON object');
+        }
+
+        const rules = createRules();
+
+        for (const [check, enabled] of Object.entries(data.checks || {})) {
+            rules.checks[check] = enabled !== false;
+        }
+
+        for (const [type, severity] of Object.entries(data.severity || {})) {
+            const value = String(severity).toUpperCase();
+            if (value !== 'OFF' && !SEVERITIES.includes(value)) {
+                throw new Error(`Invalid severity '${severity}' for ${type} (expected ERROR, WARNING, INFO or off)`);
+            }
+            rules.severity[type] = value === 'OFF' ? 'off' : value;
+        }
+
+        if (data.suppressions !== undefined && !Array.isArray(data.suppressions)) {
+            throw new Error('suppressions must be an array');
+        }
+        (data.suppressions || []).forEach((suppression, i) => {
+            if (!suppression || !suppression.type) {
+                throw new Error(`Suppression #${i} is missing its issue type`);
+            }
+            rules.suppressions.push({ ...suppression });
+        });
+
+        return rules;
+    }
+
+    /**
+     * Get the debugger check names disabled by a rules configuration
+     */
+    function getDisabledChecks(rules) {
+        if (!rules) return [];
+        return Object.entries(rules.checks)
+            .filter(([, enabled]) => !enabled)
+            .map(([check]) => check);
+    }
+
+    function patternToRegExp(pattern) {
+        const escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+    }
+
+    function collectNames(value, names) {
+        if (typeof value === 'string') {
+            names.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => collectNames(item, names));
+        } else if (value && typeof value === 'object' && typeof value.name === 'string') {
+            names.push(value.name);
+        }
+    }
+
+    /**
+     * Extract the render target and node names an issue refers to
+     * @returns {Object} { renderTargets, nodes } name arrays
+     */
+    function getIssueSubjects(issue) {
+        const subjects = { renderTargets: [], nodes: [] };
+
+        for (const [key, value] of Object.entries(issue.details || {})) {
+            if (RENDER_TARGET_KEY.test(key)) {
+                collectNames(value, subjects.renderTargets);
+            } else if (NODE_KEY.test(key)) {
+                collectNames(value, subjects.nodes);
+            }
+        }
+
+        subjects.renderTargets = [...new Set(subjects.renderTargets)];
+        subjects.nodes = [...new Set(subjects.nodes)];
+        return subjects;
+    }
+
+    // Every listed pattern must match at least one of the names
+    function patternsMatch(patterns, names) {
+        if (patterns === undefined || patterns === null) return true;
+        const list = Array.isArray(patterns) ? patterns : [patterns];
+        return list.every(pattern => {
+            const regex = patternToRegExp(pattern);
+            return names.some(name => regex.test(name));
+        });
+    }
+
+    /**
+     * Check whether a suppression applies to an issue
+     * @param {Object} issue - Debugger issue
+     * @param {Object} suppression - { type, renderTarget?, node?, graph? }
+     * @param {string|null} graphName - Name of the graph the issue belongs to
+     */
+    function matchesSuppression(issue, suppression, graphName) {
+        if (!patternToRegExp(suppression.type).test(issue.type)) return false;
+        if (suppression.graph && !(graphName && patternToRegExp(suppression.graph).test(graphName))) return false;
+
+        const subjects = getIssueSubjects(issue);
+        return patternsMatch(suppression.renderTarget, subjects.renderTargets) &&
+            patternsMatch(suppression.node, subjects.nodes);
+    }
+
+    /**
+     * Apply severity overrides and suppressions to debugger issues
+     * @param {Array} issues - Issues from runAllChecks
+     * @param {Object|null} rules - Normalized rules
+     * @param {Object} context - { graphName }
+     * @returns {Object} { issues, suppressed: [{ issue, suppression }], disabled }
+     */
+    function applyRules(issues, rules, context = {}) {
+        if (!rules) return { issues, suppressed: [], disabled: [] };
+
+        const graphName = context.graphName || null;
+        const result = { issues: [], suppressed: [], disabled: [] };
+
+        for (const original of issues) {
+            const override = rules.severity[original.type];
+            if (override === 'off') {
+                result.disabled.push(original);
+                continue;
+            }
+
+            const issue = override && override !== original.severity
+                ? { ...original, severity: override, originalSeverity: original.severity }
+                : original;
+
+            const suppression = rules.suppressions.find(s => matchesSuppression(issue, s, graphName));
+            if (suppression) {
+                result.suppressed.push({ issue, suppression });
+            } else {
+                result.issues.push(issue);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Build the narrowest suppression that matches a given issue
+     * @param {Object} issue - Debugger issue
+     * @param {string|null} graphName - Scope the suppression to this graph when given
+     */
+    function createSuppression(issue, graphName = null) {
+        const subjects = getIssueSubjects(issue);
+        const suppression = { type: issue.type };
+        const pick = names => names.length === 1 ? names[0] : names;
+
+        if (subjects.renderTargets.length > 0) suppression.renderTarget = pick(subjects.renderTargets);
+        if (subjects.nodes.length > 0) suppression.node = pick(subjects.nodes);
+        if (graphName) suppression.graph = graphName;
+
+        return suppression;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphRules = {
+        RULES_FORMAT,
+        createRules,
+        isRulesConfig,
+        normalizeRules,
+        getDisabledChecks,
+        getIssueSubjects,
+        matchesSuppression,
+        applyRules,
+        createSuppression
+    };
+
+})();
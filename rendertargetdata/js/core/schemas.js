@@ -0,0 +1,347 @@
+// Schemas module - the dataJson keys each node type understands
+// dataJson carries the per-node parameters of the runtime: shaders, shader bindings, push constants,
+// dispatch sizes, clear values... A schema lists the keys of one node type with their kind
+//
+// Shader bindings are render target addresses (see BINDING_RANGES), given as numbers or "0x" strings.
+// They may sit at the top level, where keys the schema does not list are taken as bindings, or be
+// nested in objects and arrays under a 'bindings' key
+
+(function() {
+    const { NODE_TYPES, BINDING_RANGES } = window.RenderGraphConstants;
+
+    // Vulkan guarantees at least this many bytes of push constants and workgroups per dimension
+    const MAX_PUSH_CONSTANT_BYTES = 128;
+    const MAX_WORKGROUP_COUNT = 65535;
+
+    const BLIT_FILTERS = ['nearest', 'linear'];
+
+    // Key definitions shared by the node types running a shader
+    const SHADER_FIELDS = {
+        shader: { kind: 'string', description: 'Shader or pipeline name' },
+        bindings: { kind: 'bindings', description: 'Shader bindings by name, may be nested' },
+        pushConstants: { kind: 'pushConstants', description: 'Push constant values by name' }
+    };
+
+    /**
+     * Schemas by node type value
+     * fields: { key: { kind, description, required, values, min, max } }
+     * shader: the node runs a shader, so top-level binding addresses are expected
+     */
+    const SCHEMAS = {
+        0: { fields: {}, shader: false },
+        1: {
+            fields: {
+                ...SHADER_FIELDS,
+                vertexCount: { kind: 'integer', min: 0, description: 'Vertices per instance' },
+                instanceCount: { kind: 'integer', min: 0, description: 'Instances drawn' }
+            },
+            shader: true
+        },
+        2: { fields: { ...SHADER_FIELDS }, shader: true },
+        3: {
+            fields: {
+                ...SHADER_FIELDS,
+                dispatchSize: { kind: 'dispatch', description: 'Workgroup counts (x, y, z)' },
+                groupSize: { kind: 'dispatch', description: 'Threads per workgroup (x, y, z)' }
+            },
+            shader: true
+        },
+        4: {
+            fields: {
+                filter: { kind: 'enum', values: BLIT_FILTERS, description: 'Filter used when scaling' },
+                srcMip: { kind: 'integer', min: 0, description: 'Source mip level' },
+                dstMip: { kind: 'integer', min: 0, description: 'Destination mip level' }
+            },
+            shader: false
+        },
+        5: {
+            fields: {
+                srcMip: { kind: 'integer', min: 0, description: 'Source mip level' },
+                dstMip: { kind: 'integer', min: 0, description: 'Destination mip level' }
+            },
+            shader: false
+        },
+        8: { fields: { ...SHADER_FIELDS }, shader: true },
+        9: {
+            fields: {
+                filter: { kind: 'enum', values: BLIT_FILTERS, description: 'Filter used to downsample' },
+                baseMip: { kind: 'integer', min: 0, description: 'First mip level read' },
+                mipCount: { kind: 'integer', min: 1, description: 'Mip levels generated' }
+            },
+            shader: false
+        },
+        13: {
+            fields: {
+                clearColor: { kind: 'color', description: 'RGBA clear value of color targets' },
+                clearDepth: { kind: 'number', min: 0, max: 1, description: 'Depth clear value' },
+                clearStencil: { kind: 'integer', min: 0, max: 255, description: 'Stencil clear value' }
+            },
+            shader: false
+        },
+        15: { fields: {}, shader: false },
+        16: { fields: { ...SHADER_FIELDS }, shader: true },
+        17: {
+            fields: {
+                ...SHADER_FIELDS,
+                dispatchSize: { kind: 'dispatch', required: true, description: 'Workgroup counts (x, y, z)' },
+                groupSize: { kind: 'dispatch', description: 'Threads per workgroup (x, y, z)' }
+            },
+            shader: true
+        }
+    };
+
+    // Unknown node types accept anything
+    const FALLBACK_SCHEMA = { fields: {}, shader: true, unknown: true };
+
+    function getSchema(nodeType) {
+        return SCHEMAS[nodeType] || FALLBACK_SCHEMA;
+    }
+
+    function getSchemaName(nodeType) {
+        return NODE_TYPES[nodeType] ?? `Unknown (${nodeType})`;
+    }
+
+    /**
+     * Decode a render target address
+     * @returns {Object|null} { type: 'input' | 'output' | 'input_output', rtIndex, address } or null
+     */
+    function decodeBindingAddress(value) {
+        let address = value;
+        if (typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value.trim())) {
+            address = parseInt(value.trim(), 16);
+        }
+        if (typeof address !== 'number' || !Number.isInteger(address)) return null;
+
+        const ranges = [['input', BINDING_RANGES.READ], ['output', BINDING_RANGES.WRITE], ['input_output', BINDING_RANGES.READWRITE]];
+        for (const [type, range] of ranges) {
+            if (address >= range.start && address < range.end) {
+                return { type, rtIndex: address - range.start, address };
+            }
+        }
+        return null;
+    }
+
+    // Encode an address the way the original value was written
+    function encodeBindingAddress(address, original) {
+        return typeof original === 'string' ? '0x' + address.toString(16) : address;
+    }
+
+    function formatPath(path) {
+        return path.reduce((text, part) => typeof part === 'number'
+            ? `${text}[${part}]`
+            : (text ? `${text}.${part}` : part), '');
+    }
+
+    /**
+     * Collect the shader bindings of a dataJson
+     * Keys of another kind in the schema are skipped, so push constants never read as bindings
+     * @returns {Array} [{ key (dotted path), path, type, rtIndex, address, value }]
+     */
+    function collectBindings(dataJson, schema = FALLBACK_SCHEMA) {
+        const bindings = [];
+
+        const visit = (value, path) => {
+            const decoded = decodeBindingAddress(value);
+            if (decoded) {
+                bindings.push({ key: formatPath(path), path, ...decoded, value });
+            } else if (Array.isArray(value)) {
+                value.forEach((item, i) => visit(item, [...path, i]));
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, item]) => visit(item, [...path, key]));
+            }
+        };
+
+        for (const [key, value] of Object.entries(dataJson || {})) {
+            const field = schema.fields[key];
+            if (field && field.kind !== 'bindings') continue;
+            // Top-level keys nest bindings only under 'bindings'
+            if (!field && !decodeBindingAddress(value)) continue;
+            visit(value, [key]);
+        }
+
+        return bindings;
+    }
+
+    function scalarType(value) {
+        if (typeof value === 'boolean') return 'bool';
+        return Number.isInteger(value) ? 'int' : 'float';
+    }
+
+    /**
+     * Decode push constants into typed values, packed as 4-byte scalars
+     * @returns {Object} { values: [{ name, type, value, offset, size }], size, valid }
+     */
+    function decodePushConstants(value) {
+        const result = { values: [], size: 0, valid: true };
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            result.valid = false;
+            return result;
+        }
+
+        for (const [name, item] of Object.entries(value)) {
+            const components = Array.isArray(item) ? item : [item];
+            const valid = components.length > 0 && components.length <= 16 &&
+                components.every(c => typeof c === 'number' || typeof c === 'boolean');
+            if (!valid) {
+                result.valid = false;
+                result.values.push({ name, type: 'invalid', value: item, offset: result.size, size: 0 });
+                continue;
+            }
+
+            const base = components.some(c => scalarType(c) === 'float') ? 'float' : scalarType(components[0]);
+            const type = components.length === 1 ? base
+                : components.length === 16 ? 'mat4'
+                : `${base === 'float' ? 'vec' : base === 'int' ? 'ivec' : 'bvec'}${components.length}`;
+            const size = components.length * 4;
+            result.values.push({ name, type, value: item, offset: result.size, size });
+            result.size += size;
+        }
+
+        return result;
+    }
+
+    /**
+     * Decode a dispatch or workgroup size given as [x, y, z], { x, y, z } or a single count
+     * @returns {Object|null} { x, y, z, total } or null when malformed
+     */
+    function decodeDispatch(value) {
+        let counts = null;
+        if (typeof value === 'number') counts = [value];
+        else if (Array.isArray(value)) counts = value;
+        else if (value && typeof value === 'object') counts = [value.x, value.y, value.z].filter(v => v !== undefined);
+
+        if (!counts || counts.length === 0 || counts.length > 3) return null;
+        if (!counts.every(c => Number.isInteger(c) && c > 0)) return null;
+
+        const [x, y = 1, z = 1] = counts;
+        return { x, y, z, total: x * y * z };
+    }
+
+    // Check a value against a field definition; returns an error message or null
+    function checkField(field, value) {
+        switch (field.kind) {
+            case 'string':
+                return typeof value === 'string' && value.length > 0 ? null : 'expected a non-empty string';
+            case 'integer':
+            case 'number': {
+                if (typeof value !== 'number' || (field.kind === 'integer' && !Number.isInteger(value))) {
+                    return `expected ${field.kind === 'integer' ? 'an integer' : 'a number'}`;
+                }
+                if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+                if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+                return null;
+            }
+            case 'enum':
+                return field.values.includes(value) ? null : `expected one of ${field.values.join(', ')}`;
+            case 'color':
+                return Array.isArray(value) && value.length === 4 && value.every(c => typeof c === 'number')
+                    ? null : 'expected [r, g, b, a]';
+            case 'dispatch':
+                return decodeDispatch(value) ? null : 'expected 1 to 3 positive integers';
+            case 'pushConstants':
+                return decodePushConstants(value).valid ? null : 'expected names mapped to numbers or number arrays';
+            case 'bindings':
+                return value && typeof value === 'object' ? null : 'expected an object or array of bindings';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Inspect the dataJson of a node against the schema of its type
+     * @param {Object} dataJson - Node parameters
+     * @param {number} nodeType - NODE_TYPES value
+     * @param {Object} renderTargets - Render targets by index, each with a name
+     * @returns {Object} { typeName, schema, fields, bindings, pushConstants, dispatch, groupSize, problems }
+     *   problems: [{ severity, type, key, message }]
+     */
+    function inspectNodeData(dataJson, nodeType, renderTargets = {}) {
+        const schema = getSchema(nodeType);
+        const data = dataJson && typeof dataJson === 'object' ? dataJson : {};
+        const problems = [];
+        const fields = [];
+
+        const addProblem = (severity, type, key, message) => problems.push({ severity, type, key, message });
+
+        for (const [key, field] of Object.entries(schema.fields)) {
+            if (field.required && !(key in data)) {
+                addProblem('WARNING', 'MISSING_NODE_DATA', key, `'${key}' is required: ${field.description}`);
+            }
+        }
+
+        const bindings = collectBindings(data, schema).map(binding => {
+            const rt = renderTargets[binding.rtIndex];
+            if (!rt) {
+                addProblem('ERROR', 'INVALID_BINDING_ADDRESS', binding.key,
+                    `Binding '${binding.key}' points at RT#${binding.rtIndex}, which does not exist`);
+            }
+            return { ...binding, rtName: rt ? rt.name : null };
+        });
+
+        if (bindings.length > 0 && !schema.shader) {
+            addProblem('WARNING', 'UNEXPECTED_SHADER_BINDING', bindings[0].key,
+                `${getSchemaName(nodeType)} nodes run no shader, yet ${bindings.length} shader binding(s) are set`);
+        }
+
+        for (const [key, value] of Object.entries(data)) {
+            const field = schema.fields[key];
+            if (!field) {
+                const binding = decodeBindingAddress(value);
+                fields.push({ key, kind: binding ? 'binding' : 'unknown', value, known: false });
+                if (!binding && !schema.unknown) {
+                    addProblem('INFO', 'UNKNOWN_NODE_DATA_KEY', key,
+                        `'${key}' is not a ${getSchemaName(nodeType)} parameter nor a shader binding`);
+                }
+                continue;
+            }
+
+            const error = checkField(field, value);
+            fields.push({ key, kind: field.kind, value, known: true, description: field.description, error });
+            if (error) {
+                addProblem('WARNING', 'INVALID_NODE_DATA', key, `'${key}' ${error}`);
+            }
+        }
+
+        const pushConstants = 'pushConstants' in data && schema.fields.pushConstants
+            ? decodePushConstants(data.pushConstants)
+            : null;
+        if (pushConstants && pushConstants.size > MAX_PUSH_CONSTANT_BYTES) {
+            addProblem('WARNING', 'PUSH_CONSTANTS_TOO_LARGE', 'pushConstants',
+                `Push constants take ${pushConstants.size} bytes; only ${MAX_PUSH_CONSTANT_BYTES} are guaranteed`);
+        }
+
+        const dispatch = schema.fields.dispatchSize ? decodeDispatch(data.dispatchSize) : null;
+        if (dispatch && [dispatch.x, dispatch.y, dispatch.z].some(c => c > MAX_WORKGROUP_COUNT)) {
+            addProblem('WARNING', 'DISPATCH_SIZE_EXCEEDED', 'dispatchSize',
+                `Dispatch of ${dispatch.x}×${dispatch.y}×${dispatch.z} workgroups exceeds the guaranteed ${MAX_WORKGROUP_COUNT} per dimension`);
+        }
+        const groupSize = schema.fields.groupSize ? decodeDispatch(data.groupSize) : null;
+
+        return {
+            typeName: getSchemaName(nodeType),
+            schema,
+            fields,
+            bindings,
+            pushConstants,
+            dispatch,
+            groupSize,
+            problems
+        };
+    }
+
+    // Export for use by other modules
+    window.RenderGraphSchemas = {
+        SCHEMAS,
+        MAX_PUSH_CONSTANT_BYTES,
+        MAX_WORKGROUP_COUNT,
+        getSchema,
+        decodeBindingAddress,
+        encodeBindingAddress,
+        formatPath,
+        collectBindings,
+        decodePushConstants,
+        decodeDispatch,
+        inspectNodeData
+    };
+
+})();
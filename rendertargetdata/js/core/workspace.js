@@ -0,0 +1,96 @@
+// Workspace module - compares the graphs open side by side in the viewer
+// Render targets and nodes are matched by name across graphs (see differ.js); an entity present in
+// several graphs is listed with the configuration fields whose values differ between them
+
+(function() {
+    const Diff = window.RenderGraphDiff;
+
+    // Configuration fields compared for each entity kind, from the differ's descriptions
+    const FIELDS = {
+        renderTargets: ['format', 'extent', 'mipLevels', 'sampleCount', 'usage', 'aspect'],
+        nodes: ['type', 'renderPass', 'conditions', 'reads', 'writes']
+    };
+
+    const DESCRIBE = {
+        renderTargets: Diff.describeRenderTarget,
+        nodes: Diff.describeNode
+    };
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Match one entity kind across graphs
+     * @returns {Array} Entities present in at least two graphs, differing ones first
+     */
+    function compareEntities(graphs, kind) {
+        const byKey = new Map();
+
+        for (const graph of graphs) {
+            for (const [key, entity] of Diff.keyByName(graph.analyzed[kind])) {
+                if (!byKey.has(key)) byKey.set(key, { key, name: entity.name, graphs: {} });
+                byKey.get(key).graphs[graph.id] = {
+                    index: entity.index,
+                    description: DESCRIBE[kind](entity, graph.analyzed)
+                };
+            }
+        }
+
+        return [...byKey.values()]
+            .filter(entry => Object.keys(entry.graphs).length > 1)
+            .map(entry => {
+                const present = Object.values(entry.graphs);
+                const differences = FIELDS[kind]
+                    .filter(field => present.some(g => !sameValue(g.description[field], present[0].description[field])))
+                    .map(field => {
+                        const values = {};
+                        for (const [id, g] of Object.entries(entry.graphs)) values[id] = g.description[field];
+                        return { field, values };
+                    });
+                return { ...entry, graphIds: Object.keys(entry.graphs), differences };
+            })
+            .sort((a, b) => (b.differences.length > 0) - (a.differences.length > 0) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Compare analyzed graphs
+     * @param {Array} graphs - [{ id, name, analyzed }], analyzed as returned by the analyzer
+     * @returns {Object} { graphs, renderTargets, nodes, summary } - renderTargets and nodes list the
+     *                   entities shared by several graphs as { key, name, graphIds, graphs, differences }
+     */
+    function compareGraphs(graphs) {
+        const renderTargets = compareEntities(graphs, 'renderTargets');
+        const nodes = compareEntities(graphs, 'nodes');
+
+        return {
+            graphs: graphs.map(({ id, name }) => ({ id, name })),
+            renderTargets,
+            nodes,
+            summary: {
+                sharedRenderTargets: renderTargets.length,
+                differingRenderTargets: renderTargets.filter(entry => entry.differences.length > 0).length,
+                sharedNodes: nodes.length,
+                differingNodes: nodes.filter(entry => entry.differences.length > 0).length
+            }
+        };
+    }
+
+    /**
+     * Name for a new graph, numbered when another open graph already uses it
+     */
+    function uniqueName(name, usedNames) {
+        if (!usedNames.includes(name)) return name;
+        let n = 2;
+        while (usedNames.includes(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    // Export for use by other modules
+    window.RenderGraphWorkspace = {
+        FIELDS,
+        compareGraphs,
+        uniqueName
+    };
+
+})();
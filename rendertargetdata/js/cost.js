@@ -0,0 +1,69 @@
+// Cost model store - keeps the active cost model (see core/cost.js) in localStorage
+(function(app) {
+    const Cost = window.RenderGraphCost;
+
+    app.CostModel = {
+        STORAGE_KEY: 'rendergraph_viewer_cost_model',
+        current: null,
+        // Last estimate, reused while the graph, model and resolution are unchanged
+        cache: null,
+
+        // Get the active model, loading it from localStorage on first use
+        get: function() {
+            if (!this.current) {
+                try {
+                    const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+                    this.current = stored ? Cost.normalizeModel(stored) : Cost.createModel();
+                } catch (e) {
+                    console.warn('Ignoring invalid stored cost model:', e.message);
+                    this.current = Cost.createModel();
+                }
+            }
+            return this.current;
+        },
+
+        // Replace the active model and update the views showing costs
+        set: function(data) {
+            this.current = Cost.normalizeModel(data);
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.current));
+            } catch (e) { /* localStorage full or disabled */ }
+            this.refresh();
+        },
+
+        reset: function() {
+            this.set(Cost.createModel());
+        },
+
+        export: function() {
+            app.ViewHelper.downloadFile('rendergraph_cost_model.json', JSON.stringify(this.get(), null, 2));
+        },
+
+        // Costs of the loaded graph at the output resolution, null without a raw render graph
+        estimate: function() {
+            if (!app.analyzedData) return null;
+
+            const model = this.get();
+            const resolution = app.outputResolution();
+            const cache = this.cache;
+            if (!cache || cache.analyzed !== app.analyzedData || cache.model !== model || cache.resolution !== resolution) {
+                this.cache = {
+                    analyzed: app.analyzedData,
+                    model,
+                    resolution,
+                    costs: Cost.estimateCosts(app.analyzedData, { model, resolution })
+                };
+            }
+            return this.cache.costs;
+        },
+
+        refresh: function() {
+            Object.values(app.tabModules).forEach(module => {
+                if (typeof module.onCostModelChanged === 'function') {
+                    module.onCostModelChanged(this.get());
+                }
+            });
+        }
+    };
+
+})(RenderGraphViewer);
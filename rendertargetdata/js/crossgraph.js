@@ -0,0 +1,178 @@
+// Cross-graph view - the graphs open in the workspace, and the render targets and nodes they share
+// with the configurations that differ between them (see core/workspace.js)
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    const Workspace = window.RenderGraphWorkspace;
+
+    // Module API
+    const crossGraphModule = vh.createViewModule('crossgraph', {
+        init: function() {
+            this.container = document.getElementById('crossgraph-panel');
+            this.searchTerm = '';
+            this.onlyDiffering = false;
+            this.comparison = null;
+        },
+
+        activate: function() {
+            this.searchTerm = app.searchQuery().freeText;
+            this.render();
+        },
+
+        onSearch: function(searchTerm) {
+            this.searchTerm = searchTerm;
+            this.render();
+        },
+
+        onWorkspaceChanged: function() {
+            // Compared again on the next render
+            this.comparison = null;
+            const panel = document.getElementById('crossgraph-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        // Only raw render graphs carry the analysis the comparison needs
+        getComparedGraphs: function() {
+            return app.Workspace.graphs
+                .filter(graph => graph.analyzedData)
+                .map(graph => ({ id: graph.id, name: graph.name, analyzed: graph.analyzedData }));
+        },
+
+        render: function() {
+            if (!this.container) return;
+            this.container.innerHTML = '';
+
+            const graphs = this.getComparedGraphs();
+            if (graphs.length < 2) {
+                this.container.innerHTML = vh.createInfoMessage(
+                    'Load two or more raw render graphs, e.g. the forward, deferred and VR graphs, to compare them. ' +
+                    'Each loaded graph opens in its own graph tab.'
+                );
+                return;
+            }
+
+            if (!this.comparison) {
+                this.comparison = Workspace.compareGraphs(graphs);
+            }
+
+            this.container.appendChild(this.createGraphsSection());
+            this.container.appendChild(this.createEntitySection('Shared Render Targets', this.comparison.renderTargets, 'details'));
+            this.container.appendChild(this.createEntitySection('Shared Nodes', this.comparison.nodes, 'nodegraph'));
+        },
+
+        createGraphsSection: function() {
+            const section = vh.createSection('Open Graphs');
+            const summary = this.comparison.summary;
+
+            section.appendChild(vh.createPropertyBox({
+                'Compared graphs': this.comparison.graphs.length,
+                'Shared render targets': `${summary.sharedRenderTargets} (${summary.differingRenderTargets} differing)`,
+                'Shared nodes': `${summary.sharedNodes} (${summary.differingNodes} differing)`
+            }));
+
+            section.insertAdjacentHTML('beforeend', vh.createTable(app.Workspace.graphs, [
+                { header: 'Graph', accessor: g => this.graphLink(g.id, g.name) },
+                { header: 'Render Targets', accessor: g => g.analyzedData ? Object.keys(g.analyzedData.renderTargets).length : '-' },
+                { header: 'Nodes', accessor: g => g.analyzedData ? Object.keys(g.analyzedData.nodes).length : '-' },
+                { header: 'Render Passes', accessor: g => g.analyzedData ? Object.keys(g.analyzedData.renderPasses).length : '-' },
+                { header: 'Conditions', accessor: g => g.activeConditions ? vh.escapeHtml(app.ConditionsPanel.describe(g.activeConditions)) : 'All nodes' },
+                { header: 'Issues', accessor: g => this.describeIssues(g) }
+            ]));
+
+            const options = vh.createElement('div', 'resolution-actions');
+            const label = vh.createElement('label', '');
+            const checkbox = vh.createElement('input', '', { type: 'checkbox', checked: this.onlyDiffering });
+            checkbox.addEventListener('change', () => {
+                this.onlyDiffering = checkbox.checked;
+                this.render();
+            });
+            label.append(checkbox, 'Only show differing configurations');
+            options.appendChild(label);
+            section.appendChild(options);
+
+            this.bindGraphLinks(section);
+            return section;
+        },
+
+        describeIssues: function(graph) {
+            if (!graph.analyzedData) return 'Pre-processed graph, not compared';
+            if (!graph.debugData) return '-';
+
+            const { errors, warnings, infos } = graph.debugData;
+            return [
+                errors > 0 ? vh.createBadge(`${errors} errors`, 'severity-error') : '',
+                warnings > 0 ? vh.createBadge(`${warnings} warnings`, 'severity-warning') : '',
+                infos > 0 ? vh.createBadge(`${infos} infos`) : ''
+            ].join(' ') || 'No issues';
+        },
+
+        graphLink: function(id, name, entityName = null) {
+            const active = id === app.Workspace.activeId ? ' active' : '';
+            return `<span class="badge crossgraph-graph${active}" data-graph-id="${id}"` +
+                (entityName !== null ? ` data-name="${vh.escapeHtml(entityName)}"` : '') +
+                `>${vh.escapeHtml(name)}</span>`;
+        },
+
+        // Graph badges switch to their graph, and to the entity of their row when they have one
+        bindGraphLinks: function(section, tabId = null) {
+            section.addEventListener('click', (e) => {
+                const link = e.target.closest('.crossgraph-graph');
+                if (!link) return;
+
+                app.Workspace.activate(link.dataset.graphId);
+                if (tabId && link.dataset.name !== undefined) {
+                    app.setSearchAndSwitchTab(link.dataset.name, tabId);
+                }
+            });
+        },
+
+        formatValue: function(value) {
+            if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '∅';
+            return value === null || value === undefined ? '-' : String(value);
+        },
+
+        createEntitySection: function(title, entries, tabId) {
+            const graphNames = Object.fromEntries(this.comparison.graphs.map(g => [g.id, g.name]));
+            const rows = entries
+                .filter(entry => !this.onlyDiffering || entry.differences.length > 0)
+                .filter(entry => !this.searchTerm || entry.name.toLowerCase().includes(this.searchTerm.toLowerCase()));
+
+            const section = vh.createSection(`${title} (${rows.length})`);
+            if (rows.length === 0) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage(
+                    entries.length === 0 ? 'The graphs have none in common.' : 'None match the current filters.'
+                ));
+                return section;
+            }
+
+            // One line per distinct value, naming the graphs that use it
+            const describeDifference = difference => {
+                const groups = new Map();
+                for (const [id, value] of Object.entries(difference.values)) {
+                    const text = this.formatValue(value);
+                    if (!groups.has(text)) groups.set(text, []);
+                    groups.get(text).push(graphNames[id]);
+                }
+                return `<div><strong>${difference.field}:</strong> ` +
+                    [...groups].map(([text, names]) => `${vh.escapeHtml(text)} <small>(${names.map(n => vh.escapeHtml(n)).join(', ')})</small>`)
+                        .join(' | ') +
+                    '</div>';
+            };
+
+            section.insertAdjacentHTML('beforeend', vh.createTable(rows, [
+                { header: 'Name', accessor: entry => vh.escapeHtml(entry.key) },
+                { header: 'Graphs', accessor: entry => entry.graphIds.map(id => this.graphLink(id, graphNames[id], entry.name)).join(' ') },
+                { header: 'Differences', accessor: entry => entry.differences.length > 0
+                    ? entry.differences.map(describeDifference).join('')
+                    : vh.createBadge('Identical', 'crossgraph-identical') }
+            ]));
+
+            this.bindGraphLinks(section, tabId);
+            return section;
+        }
+    });
+
+})(RenderGraphViewer);
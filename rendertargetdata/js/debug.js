@@ -12,7 +12,12 @@
 
         activate: function() {
             // Debug viewer has its own data independent of main app
-            // No need to check app.graphData() here
+            // No need to check app.graphData() here, only pick up the current search query
+            this.renderIssuesList();
+        },
+
+        onSearch: function() {
+            this.renderIssuesList();
         },
 
         renderInitialState: function() {
@@ -40,6 +45,21 @@
                                 <h4>Info</h4>
                                 <div class="info-count" id="debug-info-count">0</div>
                             </div>
+                            <div class="stat-box">
+                                <h4>Suppressed</h4>
+                                <div class="suppressed-count" id="debug-suppressed-count">0</div>
+                            </div>
+                        </div>
+
+                        <h3>Export</h3>
+                        <div class="rules-actions">
+                            <button id="debug-export-sarif" title="SARIF 2.1.0 log for code scanning and code quality widgets">SARIF</button>
+                            <button id="debug-export-junit" title="JUnit XML report with one test case per check">JUnit</button>
+                        </div>
+
+                        <h3>Rules</h3>
+                        <div id="debug-rules-panel">
+                            <!-- Active rules and suppressions will be populated here -->
                         </div>
 
                         <h3>Issue Types</h3>
@@ -59,6 +79,10 @@
                             <input type="text" id="debug-search-input" placeholder="Search issues...">
                         </div>
 
+                        <div class="fix-actions" id="debug-fix-actions">
+                            <!-- Bulk fix buttons will be populated here -->
+                        </div>
+
                         <h3 id="debug-issue-list-title">All Issues</h3>
                         <div id="debug-issues-list">
                             <!-- Issues will be populated here -->
@@ -86,6 +110,8 @@
             this.selectedType = 'all';
             this.severityFilterValue = 'all';
             this.searchTerm = '';
+            this.fixedGraph = null;
+            this.fixesApplied = 0;
 
             // Store module instance in a variable to use in event handlers
             const self = this;
@@ -103,6 +129,9 @@
                     self.renderIssuesList();
                 });
             }
+
+            document.getElementById('debug-export-sarif')?.addEventListener('click', () => this.exportReport('sarif'));
+            document.getElementById('debug-export-junit')?.addEventListener('click', () => this.exportReport('junit'));
         },
 
         // This function is now called by the file handler
@@ -151,6 +180,11 @@
             if (warningCount) warningCount.textContent = this.debugData.warnings || issues.filter(i => i.severity === 'WARNING').length;
             if (infoCount) infoCount.textContent = this.debugData.infos || issues.filter(i => i.severity === 'INFO').length;
 
+            const suppressedCount = document.getElementById('debug-suppressed-count');
+            if (suppressedCount) suppressedCount.textContent = (this.debugData.suppressed || []).length;
+
+            this.renderRulesPanel();
+
             // Group issues by type
             this.issuesByType = {};
             issues.forEach(issue => {
@@ -168,6 +202,81 @@
             this.renderIssuesList();
         },
 
+        // Download the current issues as a CI report
+        exportReport: function(format) {
+            if (!this.debugData || !window.RenderGraphReporting) return;
+
+            const fromGraph = !!app.rawData && this.debugData.description === app.rawData;
+            const name = (fromGraph && app.rawData.name) || 'rendergraph';
+            const graph = {
+                file: `${name}.json`,
+                name,
+                issues: this.debugData.issues,
+                suppressed: this.debugData.suppressed || [],
+                disabledChecks: fromGraph && app.Rules ? window.RenderGraphRules.getDisabledChecks(app.Rules.get()) : []
+            };
+
+            if (format === 'sarif') {
+                const log = window.RenderGraphReporting.toSarif([graph]);
+                vh.downloadFile(`${name}.sarif`, JSON.stringify(log, null, 2), 'application/sarif+json');
+            } else {
+                vh.downloadFile(`${name}.junit.xml`, window.RenderGraphReporting.toJUnit([graph]), 'application/xml');
+            }
+        },
+
+        // Summarize the active rules and list suppressions with their match counts
+        renderRulesPanel: function() {
+            const panel = document.getElementById('debug-rules-panel');
+            if (!panel || !app.Rules) return;
+
+            const rules = app.Rules.get();
+            const suppressed = this.debugData.suppressed || [];
+            panel.innerHTML = '';
+
+            const disabledChecks = window.RenderGraphRules.getDisabledChecks(rules).length;
+            const overrides = Object.keys(rules.severity).length;
+            panel.appendChild(vh.createElement('div', 'rules-summary', {
+                textContent: `${rules.suppressions.length} suppressions, ${overrides} severity overrides, ${disabledChecks} disabled checks`
+            }));
+            if (this.debugData.disabled) {
+                panel.appendChild(vh.createElement('div', 'rules-summary', {
+                    textContent: `${this.debugData.disabled} issues hidden by severity "off"`
+                }));
+            }
+
+            rules.suppressions.forEach(suppression => {
+                const matched = suppressed.filter(s => s.suppression === suppression).length;
+                const item = vh.createElement('div', 'suppression-item');
+
+                const scope = [suppression.renderTarget, suppression.node, suppression.graph && `graph ${suppression.graph}`]
+                    .filter(Boolean)
+                    .map(part => Array.isArray(part) ? part.join(' + ') : part)
+                    .join(', ');
+                item.appendChild(vh.createElement('span', 'suppression-label', {
+                    textContent: `${suppression.type}${scope ? ` (${scope})` : ''}`,
+                    title: suppression.reason || ''
+                }));
+                item.appendChild(vh.createElement('span', 'suppression-count', { textContent: matched }));
+
+                const removeBtn = vh.createElement('button', 'suppression-remove', { textContent: '×', title: 'Remove suppression' });
+                removeBtn.addEventListener('click', () => app.Rules.removeSuppression(suppression));
+                item.appendChild(removeBtn);
+
+                panel.appendChild(item);
+            });
+
+            const actions = vh.createElement('div', 'rules-actions');
+            const exportBtn = vh.createElement('button', '', { textContent: 'Export Rules' });
+            exportBtn.addEventListener('click', () => app.Rules.export());
+            const resetBtn = vh.createElement('button', '', { textContent: 'Reset' });
+            resetBtn.addEventListener('click', () => {
+                if (confirm('Remove all rules and suppressions?')) app.Rules.reset();
+            });
+            actions.appendChild(exportBtn);
+            actions.appendChild(resetBtn);
+            panel.appendChild(actions);
+        },
+
         renderIssueTypes: function() {
             const issueTypesList = document.getElementById('debug-issue-types-list');
             if (!issueTypesList) return;
@@ -281,6 +390,13 @@
                 filteredIssues = filteredIssues.filter(issue => issue.severity === this.severityFilterValue);
             }
 
+            // Structured terms of the main search query (severity:, issue:, name: ...)
+            const query = app.searchQuery();
+            if (!query.isEmpty) {
+                const context = window.RenderGraphQuery.createContext(app.graphData());
+                filteredIssues = filteredIssues.filter(issue => window.RenderGraphQuery.matchIssue(query, issue, context));
+            }
+
             const searchTerm = this.searchTerm;
             if (searchTerm && searchTerm.length > 0) {
                 filteredIssues = filteredIssues.filter(issue => {
@@ -322,10 +438,12 @@
                 return severityOrder[a.severity] - severityOrder[b.severity];
             });
 
+            this.renderFixActions();
+
             // Render issues
             if (filteredIssues.length === 0) {
                 issuesList.innerHTML = `<p class="placeholder">No issues match the current filters.</p>
-                <p class="placeholder">Current search: "${this.searchTerm || 'None'}", Severity: ${this.severityFilterValue}, Type: ${this.selectedType}</p>`;
+                <p class="placeholder">Current search: "${this.searchTerm || 'None'}", Query: "${query.text || 'None'}", Severity: ${this.severityFilterValue}, Type: ${this.selectedType}</p>`;
                 return;
             }
 
@@ -349,6 +467,58 @@
 
                 header.textContent = `${issue.type}: `;
                 header.appendChild(severityBadge);
+
+                if (issue.originalSeverity) {
+                    header.appendChild(vh.createElement('span', 'severity-override', {
+                        textContent: `was ${issue.originalSeverity}`
+                    }));
+                }
+
+                // One-click suppression, only for issues of the loaded graph
+                if (app.rawData && app.Rules) {
+                    const suppressBtn = vh.createElement('button', 'suppress-btn', {
+                        textContent: 'Suppress',
+                        title: 'Hide this issue (Shift+click to limit to this graph)'
+                    });
+                    suppressBtn.addEventListener('click', (e) => {
+                        app.Rules.suppressIssue(issue, e.shiftKey);
+                    });
+                    header.appendChild(suppressBtn);
+                }
+
+                // Open the node in the inspector, with the bindings the issue is about highlighted
+                const issueDetails = issue.details || {};
+                if (Number.isInteger(issueDetails.node_index) && this.debugData.description === app.rawData &&
+                    app.tabModules.details) {
+                    const inspectBtn = vh.createElement('button', 'suppress-btn', {
+                        textContent: 'Inspect node',
+                        title: `Show '${issueDetails.node_name || issueDetails.node_index}' in the node inspector`
+                    });
+                    inspectBtn.addEventListener('click', () => {
+                        app.tabModules.details.inspectNode(issueDetails.node_index, issueDetails.binding_keys || []);
+                    });
+                    header.appendChild(inspectBtn);
+                }
+
+                let fixPreview = null;
+                if (issue.fix && this.canApplyFixes()) {
+                    const previewBtn = vh.createElement('button', 'fix-btn', {
+                        textContent: 'Preview fix',
+                        title: issue.fix.error || issue.fix.title
+                    });
+                    previewBtn.disabled = !!issue.fix.error;
+                    previewBtn.addEventListener('click', () => {
+                        if (fixPreview) {
+                            fixPreview.remove();
+                            fixPreview = null;
+                        } else {
+                            fixPreview = this.createFixPreview(issue);
+                            header.after(fixPreview);
+                        }
+                    });
+                    header.appendChild(previewBtn);
+                }
+
                 issueElement.appendChild(header);
 
                 // Message - with clickable render target names
@@ -429,6 +599,104 @@
 
                 issuesList.appendChild(issueElement);
             });
+        },
+
+        // Fixes only apply to the graph the issues were computed from
+        canApplyFixes: function() {
+            return !!(window.RenderGraphFixes && app.rawData && this.debugData &&
+                this.debugData.description === app.rawData);
+        },
+
+        getFixableIssues: function(type) {
+            return this.debugData.issues.filter(issue =>
+                issue.fix && !issue.fix.error && (type === 'all' || issue.type === type));
+        },
+
+        renderFixActions: function() {
+            const actions = document.getElementById('debug-fix-actions');
+            if (!actions) return;
+            actions.innerHTML = '';
+
+            if (this.canApplyFixes() && this.selectedType !== 'all') {
+                const fixable = this.getFixableIssues(this.selectedType);
+                if (fixable.length > 0) {
+                    const applyAllBtn = vh.createElement('button', '', {
+                        textContent: `Apply all fixes of this type (${fixable.length})`,
+                        title: fixable[0].fix.title
+                    });
+                    applyAllBtn.addEventListener('click', () => {
+                        const structural = fixable[0].fix.safe ? '' : '\nThis changes the structure of the graph.';
+                        if (confirm(`${fixable[0].fix.title} for ${fixable.length} ${this.selectedType} issues?${structural}`)) {
+                            this.applyFixes(fixable);
+                        }
+                    });
+                    actions.appendChild(applyAllBtn);
+                }
+            }
+
+            // Offered until another graph is loaded or the graph is edited elsewhere
+            if (this.fixedGraph && this.fixedGraph === app.rawData) {
+                const downloadBtn = vh.createElement('button', '', {
+                    textContent: `Download corrected graph (${this.fixesApplied} fixes)`
+                });
+                downloadBtn.addEventListener('click', () => {
+                    const name = app.rawData.name || 'rendergraph';
+                    vh.downloadFile(`${name}.fixed.json`, JSON.stringify(app.rawData, null, 2));
+                });
+                actions.appendChild(downloadBtn);
+            }
+        },
+
+        // Show the values a fix changes, with a button to apply it
+        createFixPreview: function(issue) {
+            const preview = vh.createElement('div', 'fix-preview');
+
+            let result;
+            try {
+                result = window.RenderGraphFixes.previewFix(issue, app.rawData);
+            } catch (error) {
+                preview.appendChild(vh.createElement('div', 'fix-error', { textContent: error.message }));
+                return preview;
+            }
+
+            preview.appendChild(vh.createElement('div', 'fix-title', { textContent: result.fix.title }));
+
+            const diff = vh.createElement('pre', 'fix-diff');
+            const line = (cls, text) => diff.appendChild(vh.createElement('div', cls, { textContent: text }));
+            result.changes.forEach(change => {
+                line('fix-diff-path', `${change.op} ${change.path}`);
+                if (change.before !== undefined) line('fix-diff-removed', `- ${JSON.stringify(change.before)}`);
+                if (change.after !== undefined) line('fix-diff-added', `+ ${JSON.stringify(change.after)}`);
+            });
+            preview.appendChild(diff);
+
+            const applyBtn = vh.createElement('button', '', { textContent: 'Apply fix' });
+            applyBtn.addEventListener('click', () => this.applyFixes([issue]));
+            preview.appendChild(applyBtn);
+
+            return preview;
+        },
+
+        applyFixes: function(issues) {
+            const result = window.RenderGraphFixes.applyFixes(app.rawData, issues);
+            const skipped = result.skipped.map(({ issue, reason }) => `${issue.type}: ${reason}`);
+
+            if (result.applied.length === 0) {
+                alert(`No fix could be applied:\n${skipped.join('\n')}`);
+                return;
+            }
+
+            this.fixesApplied = (this.fixedGraph === app.rawData ? this.fixesApplied : 0) + result.applied.length;
+            this.fixedGraph = result.description;
+            app.FileHandler.processRawRenderGraph(result.description, {
+                conditions: app.activeConditions,
+                keepTab: true,
+                inPlace: true
+            });
+
+            if (skipped.length > 0) {
+                alert(`Applied ${result.applied.length} fixes, skipped ${skipped.length}:\n${skipped.join('\n')}`);
+            }
         }
 
 
@@ -7,29 +7,44 @@
     const detailsModule = vh.createViewModule('details', {
         init: function() {
             this.container = app.elements.renderTargetDetails;
+            // Index of the node shown by the inspector instead of a render target
+            this.inspectedNode = null;
+            // Binding keys of the inspected node to highlight
+            this.highlightedBindings = [];
             this.clear();
+
+            // Node and render target links in the tables
+            this.container.addEventListener('click', (e) => {
+                const nodeLink = e.target.closest('.node-link');
+                const rtLink = e.target.closest('.rt-link');
+                if (nodeLink) {
+                    e.preventDefault();
+                    this.inspectNode(parseInt(nodeLink.dataset.node));
+                } else if (rtLink) {
+                    e.preventDefault();
+                    this.selectRenderTargetByName(rtLink.dataset.name);
+                }
+            });
         },
 
         activate: function() {
-            // Get current search term
-            const searchInput = document.getElementById('search-input');
-            const searchTerm = searchInput.value.trim();
+            if (this.inspectedNode !== null && this.showNode(this.inspectedNode)) {
+                return;
+            }
 
-            // Check if we have a non-empty search term
-            if (searchTerm && app.graphData()) {
-                // Try to find a matching render target
+            // Select the render target the search points at
+            const query = app.searchQuery();
+            if (!query.isEmpty && app.graphData()) {
                 const renderTargets = app.graphData().render_targets_by_first_usage;
+                const context = window.RenderGraphQuery.createContext(app.graphData());
 
-                // First look for exact matches
-                let matchingTarget = renderTargets.find(rt =>
-                    rt.name.toLowerCase() === searchTerm.toLowerCase()
-                );
+                // Prefer an exact name match for plain searches, then the first match of the query
+                let matchingTarget = query.terms.every(term => term.implicit)
+                    ? renderTargets.find(rt => rt.name.toLowerCase() === query.freeText)
+                    : null;
 
-                // If no exact match, look for partial matches
                 if (!matchingTarget) {
-                    matchingTarget = renderTargets.find(rt =>
-                        rt.name.toLowerCase().includes(searchTerm.toLowerCase())
-                    );
+                    matchingTarget = renderTargets.find(rt => window.RenderGraphQuery.matchRenderTarget(query, rt, context));
                 }
 
                 // If we found a match, select it
@@ -78,10 +93,42 @@
         },
 
         showRenderTarget: function(renderTarget) {
+            this.inspectedNode = null;
             this.container.innerHTML = '';
             this.renderRenderTargetDetails(renderTarget);
         },
 
+        /**
+         * Open the node inspector on a node, switching to the details tab
+         * @param {number} index - Node index
+         * @param {Array} highlightedBindings - Binding keys to highlight, e.g. those of a hazard
+         */
+        inspectNode: function(index, highlightedBindings = []) {
+            this.inspectedNode = index;
+            this.highlightedBindings = highlightedBindings;
+            if (this.container.closest('.view-panel.active')) {
+                this.showNode(index);
+            } else {
+                app.switchTab('details');
+            }
+        },
+
+        // Show the inspector of a node; false if the loaded graph has no such node
+        showNode: function(index) {
+            const data = app.graphData();
+            const node = data ? data.nodes_by_execution_order.find(n => n.index === index) : null;
+            if (!node) {
+                this.inspectedNode = null;
+                return false;
+            }
+
+            this.inspectedNode = index;
+            document.querySelectorAll('.render-target-item.active').forEach(item => item.classList.remove('active'));
+            this.container.innerHTML = '';
+            this.renderNodeDetails(node, data);
+            return true;
+        },
+
         clear: function() {
             this.container.innerHTML = vh.createInfoMessage('Choose a render target from the approved list. Your compliance will be noted in your permanent record.');
         },
@@ -103,6 +150,19 @@
             basicInfoSection.appendChild(vh.createPropertyBox(properties));
             this.container.appendChild(basicInfoSection);
 
+            // Format metadata section
+            if (renderTarget.format.info) {
+                const formatSection = vh.createSection('Format');
+                formatSection.appendChild(vh.createPropertyBox(this.getFormatProperties(renderTarget.format.info)));
+                formatSection.innerHTML += `
+                    <h3>Feature Support</h3>
+                    ${vh.createBadgeContainer(Object.entries(renderTarget.format.info.support)
+                        .filter(([, level]) => level)
+                        .map(([feature, level]) => `${feature}: ${level}`))}
+                `;
+                this.container.appendChild(formatSection);
+            }
+
             // Lifetime section
             const lifetimeSection = vh.createSection('Lifetime');
             lifetimeSection.appendChild(this.renderLifetimeInfo(renderTarget.lifetime));
@@ -146,6 +206,252 @@
             const relationshipsSection = vh.createSection('Usage & Relationships');
             relationshipsSection.innerHTML += this.renderRelationshipTable(renderTarget);
             this.container.appendChild(relationshipsSection);
+
+            // Shader bindings of nodes pointing at this render target
+            const bindings = this.getRenderTargetBindings(renderTarget);
+            if (bindings.length > 0) {
+                const bindingsSection = vh.createSection('Shader Bindings');
+                bindingsSection.innerHTML += vh.createTable(bindings, [
+                    { header: 'Node', accessor: (item) => this.createNodeLink(item.node) },
+                    { header: 'Binding', accessor: (item) => `<code>${vh.escapeHtml(item.key)}</code>` },
+                    { header: 'Access', accessor: (item) => this.createAccessBadge(item.type) },
+                    { header: 'Address', accessor: (item) => `<code>0x${item.address.toString(16)}</code>` }
+                ]);
+                this.container.appendChild(bindingsSection);
+            }
+        },
+
+        getRenderTargetBindings: function(renderTarget) {
+            const Schemas = window.RenderGraphSchemas;
+            return app.graphData().nodes_by_execution_order.flatMap(node =>
+                Schemas.collectBindings(node.data_json, Schemas.getSchema(node.type.value))
+                    .filter(binding => binding.rtIndex === renderTarget.index)
+                    .map(binding => ({ ...binding, node })));
+        },
+
+        createNodeLink: function(node) {
+            return `<a href="#" class="node-link" data-node="${node.index}">${vh.escapeHtml(node.name)} (${node.index})</a>`;
+        },
+
+        createAccessBadge: function(type) {
+            const labels = { input: 'Read', output: 'Write', input_output: 'Read-Write' };
+            return vh.createBadge(labels[type] || type, `binding-access ${type}`);
+        },
+
+        // Typed view of a node and its dataJson, checked against the schema of its type
+        renderNodeDetails: function(node, data) {
+            const renderTargets = {};
+            data.render_targets_by_first_usage.forEach(rt => { renderTargets[rt.index] = rt; });
+            const inspection = window.RenderGraphSchemas.inspectNodeData(node.data_json, node.type.value, renderTargets);
+
+            const basicInfoSection = vh.createSection(node.name);
+            basicInfoSection.appendChild(vh.createPropertyBox({
+                'Index': node.index,
+                'Type': node.type.name,
+                'Execution Order': node.execution_order >= 0 ? node.execution_order : 'Not executed',
+                'Render Pass': node.render_pass || 'None',
+                'Conditions': node.conditions.length > 0 ? node.conditions.join(', ') : 'None'
+            }));
+            this.container.appendChild(basicInfoSection);
+
+            if (inspection.problems.length > 0) {
+                const problemsSection = vh.createSection('Validation');
+                const list = vh.createElement('ul', 'node-data-problems');
+                inspection.problems.forEach(problem => {
+                    const item = vh.createElement('li', `issue-${problem.severity.toLowerCase()}`);
+                    item.innerHTML = `${vh.createBadge(problem.severity, `severity-${problem.severity.toLowerCase()}`)} ${vh.escapeHtml(problem.message)}`;
+                    list.appendChild(item);
+                });
+                problemsSection.appendChild(list);
+                this.container.appendChild(problemsSection);
+            }
+
+            const parameters = inspection.fields.filter(field => field.kind !== 'binding' && field.kind !== 'bindings');
+            if (parameters.length > 0) {
+                const parametersSection = vh.createSection('Parameters');
+                parametersSection.innerHTML += vh.createTable(parameters, [
+                    { header: 'Key', accessor: (field) => `<code>${vh.escapeHtml(field.key)}</code>` },
+                    { header: 'Kind', accessor: (field) => vh.createBadge(field.kind, field.known ? '' : 'unknown-key') },
+                    { header: 'Value', accessor: (field) => this.formatParameter(field, inspection) },
+                    { header: 'Description', accessor: (field) => vh.escapeHtml(field.error || field.description || '') }
+                ]);
+                this.container.appendChild(parametersSection);
+            }
+
+            const hazards = this.getNodeHazards(node);
+            if (hazards.length > 0) {
+                this.container.appendChild(this.createHazardsSection(node, hazards, data));
+            }
+
+            const bindingsSection = vh.createSection('Shader Bindings');
+            bindingsSection.innerHTML += inspection.bindings.length > 0
+                ? vh.createTable(inspection.bindings, [
+                    { header: 'Binding', accessor: (item) => `<code>${vh.escapeHtml(item.key)}</code>` },
+                    { header: 'Access', accessor: (item) => this.createAccessBadge(item.type) },
+                    { header: 'Address', accessor: (item) => `<code>0x${item.address.toString(16)}</code>` },
+                    {
+                        header: 'Render Target',
+                        accessor: (item) => item.rtName !== null
+                            ? `<a href="#" class="rt-link" data-name="${vh.escapeHtml(item.rtName)}">${vh.escapeHtml(item.rtName)}</a> (RT#${item.rtIndex})`
+                            : `Missing RT#${item.rtIndex}`
+                    },
+                    { header: 'Hazards', accessor: (item) => this.createBindingHazardBadges(hazards, node, item.key) }
+                ])
+                : '<p>No shader bindings</p>';
+            this.container.appendChild(bindingsSection);
+
+            // Rows follow the order of inspection.bindings
+            const rows = bindingsSection.querySelectorAll('tbody tr');
+            inspection.bindings.forEach((binding, i) => {
+                if (rows[i] && this.highlightedBindings.includes(binding.key)) {
+                    rows[i].classList.add('binding-highlight');
+                }
+            });
+            const highlighted = bindingsSection.querySelector('.binding-highlight');
+            if (highlighted) {
+                highlighted.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+
+            if (inspection.pushConstants && inspection.pushConstants.values.length > 0) {
+                const pushConstants = inspection.pushConstants;
+                const max = window.RenderGraphSchemas.MAX_PUSH_CONSTANT_BYTES;
+                const pushSection = vh.createSection(`Push Constants (${pushConstants.size} / ${max} bytes)`);
+                pushSection.innerHTML += vh.createTable(pushConstants.values, [
+                    { header: 'Name', accessor: (item) => `<code>${vh.escapeHtml(item.name)}</code>` },
+                    { header: 'Type', accessor: (item) => item.type },
+                    { header: 'Offset', accessor: (item) => item.offset },
+                    { header: 'Size', accessor: (item) => `${item.size} B` },
+                    { header: 'Value', accessor: (item) => vh.escapeHtml(JSON.stringify(item.value)) }
+                ]);
+                this.container.appendChild(pushSection);
+            }
+
+            if (inspection.dispatch) {
+                const { dispatch, groupSize } = inspection;
+                const properties = {
+                    'Workgroups': `${dispatch.x} × ${dispatch.y} × ${dispatch.z}`,
+                    'Total Workgroups': dispatch.total.toLocaleString()
+                };
+                if (groupSize) {
+                    properties['Workgroup Size'] = `${groupSize.x} × ${groupSize.y} × ${groupSize.z}`;
+                    properties['Invocations'] = (dispatch.total * groupSize.total).toLocaleString();
+                }
+                const dispatchSection = vh.createSection('Dispatch');
+                dispatchSection.appendChild(vh.createPropertyBox(properties));
+                this.container.appendChild(dispatchSection);
+            }
+
+            if (Object.keys(node.data_json || {}).length > 0) {
+                const rawSection = vh.createSection('');
+                const raw = vh.createElement('details', 'node-data-raw');
+                raw.appendChild(vh.createElement('summary', '', { textContent: 'Raw dataJson' }));
+                raw.appendChild(vh.createElement('pre', '', { textContent: JSON.stringify(node.data_json, null, 2) }));
+                rawSection.appendChild(raw);
+                this.container.appendChild(rawSection);
+            }
+        },
+
+        // Hazards the node takes part in (see core/hazards.js)
+        getNodeHazards: function(node) {
+            if (!app.analyzedData) return [];
+            const Hazards = window.RenderGraphHazards;
+            const { hazards } = Hazards.analyze(app.analyzedData.renderTargets, app.analyzedData.nodes);
+            return Hazards.getNodeHazards(hazards, node.index);
+        },
+
+        createHazardsSection: function(node, hazards, data) {
+            const section = vh.createSection('Hazards');
+            const nodesByIndex = {};
+            data.nodes_by_execution_order.forEach(n => { nodesByIndex[n.index] = n; });
+
+            // Hazards to fix first, then the ones the graph orders
+            const sorted = [...hazards].sort((a, b) => (b.finding ? 1 : 0) - (a.finding ? 1 : 0));
+            const describe = (ref) => {
+                const other = ref.nodeIndex === node.index ? 'this node' : this.createNodeLink(nodesByIndex[ref.nodeIndex]);
+                const accesses = ref.accesses.map(a => vh.escapeHtml(window.RenderGraphHazards.describeAccess(a)));
+                return `${other}<div><small>${accesses.join(', ')}</small></div>`;
+            };
+            const status = (hazard) => {
+                if (hazard.finding) {
+                    return vh.createBadge(hazard.severity, `severity-${hazard.severity.toLowerCase()}`) +
+                        ` ${vh.escapeHtml(hazard.finding)}<div><small>${vh.escapeHtml(hazard.message)}</small></div>`;
+                }
+                return hazard.scope === 'pass' ? 'Ordered by the render pass' : 'Ordered by a barrier';
+            };
+
+            section.innerHTML += vh.createTable(sorted, [
+                { header: 'Hazard', accessor: (hazard) => vh.createBadge(hazard.type, `hazard-type ${hazard.type.toLowerCase()}`) },
+                {
+                    header: 'Render Target',
+                    accessor: (hazard) => `<a href="#" class="rt-link" data-name="${vh.escapeHtml(hazard.rtName)}">${vh.escapeHtml(hazard.rtName)}</a>`
+                },
+                { header: 'From', accessor: (hazard) => describe(hazard.from) },
+                { header: 'To', accessor: (hazard) => describe(hazard.to) },
+                { header: 'Status', accessor: status }
+            ]);
+            return section;
+        },
+
+        // Types of the hazards a binding of the node is part of
+        createBindingHazardBadges: function(hazards, node, key) {
+            const types = new Set();
+            let finding = false;
+            hazards.forEach(hazard => {
+                const refs = [hazard.from, hazard.to].filter(ref => ref.nodeIndex === node.index);
+                if (refs.some(ref => ref.bindingKeys.includes(key))) {
+                    types.add(hazard.type);
+                    finding = finding || !!hazard.finding;
+                }
+            });
+            if (types.size === 0) return '-';
+            return [...types].map(type => vh.createBadge(type, `hazard-type ${type.toLowerCase()}${finding ? ' unordered' : ''}`)).join(' ');
+        },
+
+        formatParameter: function(field, inspection) {
+            const value = field.value;
+            if (field.error) {
+                return `<span class="invalid-value">${vh.escapeHtml(JSON.stringify(value))}</span>`;
+            }
+
+            switch (field.kind) {
+                case 'color': {
+                    const [r, g, b, a] = value.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255));
+                    return `<span class="color-swatch" style="background: rgba(${r}, ${g}, ${b}, ${a / 255})"></span>` +
+                        vh.escapeHtml(value.join(', '));
+                }
+                case 'dispatch': {
+                    const size = window.RenderGraphSchemas.decodeDispatch(value);
+                    return `${size.x} × ${size.y} × ${size.z}`;
+                }
+                case 'pushConstants':
+                    return `${inspection.pushConstants.values.length} value(s), ${inspection.pushConstants.size} bytes`;
+                case 'string':
+                case 'enum':
+                    return `<code>${vh.escapeHtml(value)}</code>`;
+                default:
+                    return vh.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+            }
+        },
+
+        getFormatProperties: function(info) {
+            const properties = {
+                'Vulkan Name': info.vkName,
+                'Components': info.componentBits.length > 0
+                    ? `${info.components} (${info.componentBits.join('/')} bits)`
+                    : info.components,
+                'Numeric Type': info.numericType,
+                'Aspects': info.aspects.join(', ')
+            };
+
+            if (info.compressed) {
+                properties['Compression'] = `${info.compressionFamily}, ${info.blockSize} bytes per ${info.blockExtent.join('x')} block`;
+            }
+            properties['Bytes per Texel'] = Number.isInteger(info.bytesPerTexel)
+                ? info.bytesPerTexel
+                : info.bytesPerTexel.toFixed(2);
+            properties['sRGB'] = info.srgb ? 'Yes' : 'No';
+
+            return properties;
         },
 
         renderLifetimeInfo: function(lifetime) {
@@ -239,7 +545,7 @@
                     header: 'Node',
                     accessor: (item) => {
                         const passInfo = item.pass_name ? ` (${item.pass_name})` : '';
-                        return `${item.name} (${item.node_index})${passInfo}`;
+                        return `${this.createNodeLink({ index: item.node_index, name: item.name })}${passInfo}`;
                     }
                 },
                 {
@@ -0,0 +1,238 @@
+// Diff view - compares two raw render graphs matched by entity name
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    // Module API
+    const diffModule = vh.createViewModule('diff', {
+        init: function() {
+            this.container = document.getElementById('diff-panel');
+            this.searchTerm = '';
+            // Each side holds { label, data, result } once loaded
+            this.sides = { base: null, target: null };
+            this.diff = null;
+        },
+
+        activate: function() {
+            this.searchTerm = app.searchQuery().freeText;
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            // Refresh so "Use Loaded Graph" reflects the new graph
+            const panel = document.getElementById('diff-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function(searchTerm) {
+            this.searchTerm = searchTerm;
+            this.render();
+        },
+
+        // Analyze a raw render graph and store it as one side of the diff
+        setSide: function(sideName, data, label, options = {}) {
+            let result;
+            try {
+                result = app.FileHandler.analyzeRawRenderGraph(data, options);
+            } catch (error) {
+                alert('Invalid render graph JSON: ' + error.message);
+                return;
+            }
+
+            this.sides[sideName] = { label, data, result };
+            this.computeDiff();
+            this.render();
+        },
+
+        computeDiff: function() {
+            const { base, target } = this.sides;
+            if (!base || !target) {
+                this.diff = null;
+                return;
+            }
+
+            this.diff = window.RenderGraphDiff.diffGraphs(
+                { ...base.result.analyzed, issues: base.result.issues },
+                { ...target.result.analyzed, issues: target.result.issues }
+            );
+        },
+
+        // Open a file dialog and load the chosen JSON into a side
+        pickFile: function(sideName) {
+            const fileInput = vh.createElement('input', '', { type: 'file', accept: '.json' });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        this.setSide(sideName, JSON.parse(e.target.result), file.name);
+                    } catch (error) {
+                        alert('Error parsing JSON file: ' + error.message);
+                    }
+                };
+                reader.readAsText(file);
+            });
+            fileInput.click();
+        },
+
+        createSideControls: function(sideName, title) {
+            const side = this.sides[sideName];
+            const box = vh.createElement('div', 'diff-side-controls');
+            box.appendChild(vh.createElement('h3', '', { textContent: title }));
+            box.appendChild(vh.createElement('div', 'diff-side-label', {
+                textContent: side ? side.label : 'Nothing loaded'
+            }));
+
+            if (app.rawData) {
+                const useLoadedBtn = vh.createElement('button', '', { textContent: 'Use Loaded Graph' });
+                useLoadedBtn.addEventListener('click', () => {
+                    // Keep the simulated conditions so two presets can be compared
+                    const conditions = app.activeConditions || null;
+                    let label = app.rawData.name || 'Loaded graph';
+                    if (conditions) {
+                        label += ` (${app.ConditionsPanel.describe(conditions)})`;
+                    }
+                    this.setSide(sideName, app.rawData, label, { conditions });
+                });
+                box.appendChild(useLoadedBtn);
+            }
+
+            const fileBtn = vh.createElement('button', '', { textContent: 'Load JSON File' });
+            fileBtn.addEventListener('click', () => this.pickFile(sideName));
+            box.appendChild(fileBtn);
+
+            return box;
+        },
+
+        render: function() {
+            if (!this.container) return;
+            this.container.innerHTML = '';
+
+            const inputs = vh.createSection('Compare Render Graphs');
+            const controls = vh.createElement('div', 'diff-controls');
+            controls.appendChild(this.createSideControls('base', 'Base'));
+            controls.appendChild(this.createSideControls('target', 'Compare'));
+            inputs.appendChild(controls);
+            this.container.appendChild(inputs);
+
+            if (!this.diff) {
+                this.container.insertAdjacentHTML('beforeend',
+                    vh.createInfoMessage('Load a base and a compare render graph to see what changed.'));
+                return;
+            }
+
+            this.renderSummary();
+            this.renderEntitySection('Render Targets', this.diff.renderTargets);
+            this.renderEntitySection('Nodes', this.diff.nodes);
+            this.renderEntitySection('Render Passes', this.diff.renderPasses);
+            this.renderExecutionOrder();
+            this.renderIssues();
+        },
+
+        renderSummary: function() {
+            const summary = this.diff.summary;
+            const section = vh.createSection('Summary');
+
+            section.appendChild(vh.createPropertyBox({
+                'Render Target Changes': summary.renderTargetChanges,
+                'Node Changes': summary.nodeChanges,
+                'Render Pass Changes': summary.renderPassChanges,
+                'Execution Order Shifts': summary.executionOrderShifts,
+                'Introduced Issues': summary.introducedIssues,
+                'Resolved Issues': summary.resolvedIssues
+            }));
+
+            if (summary.identical) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage('The graphs are structurally identical.'));
+            }
+
+            const sideBySideBtn = vh.createElement('button', '', { textContent: 'Side-by-side Node Graph' });
+            sideBySideBtn.addEventListener('click', () => {
+                app.tabModules.nodegraph.showDiff({
+                    diff: this.diff,
+                    base: { label: this.sides.base.label, viewData: this.sides.base.result.viewData },
+                    target: { label: this.sides.target.label, viewData: this.sides.target.result.viewData }
+                });
+                app.switchTab('nodegraph');
+            });
+            section.appendChild(sideBySideBtn);
+
+            this.container.appendChild(section);
+        },
+
+        matchesSearch: function(name) {
+            return !this.searchTerm || name.toLowerCase().includes(this.searchTerm);
+        },
+
+        formatValue: function(value) {
+            if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '∅';
+            return value === null || value === undefined ? '-' : String(value);
+        },
+
+        renderEntitySection: function(title, entityDiff) {
+            const rows = [
+                ...entityDiff.added.map(e => ({ ...e, status: 'added' })),
+                ...entityDiff.removed.map(e => ({ ...e, status: 'removed' })),
+                ...entityDiff.modified.map(e => ({ ...e, status: 'modified' }))
+            ].filter(row => this.matchesSearch(row.name));
+
+            const section = vh.createSection(`${title} (${rows.length})`);
+            if (rows.length === 0) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage('No changes.'));
+                this.container.appendChild(section);
+                return;
+            }
+
+            section.insertAdjacentHTML('beforeend', vh.createTable(rows, [
+                { header: 'Name', accessor: row => row.key },
+                { header: 'Status', accessor: row => vh.createBadge(row.status, `diff-badge ${row.status}`) },
+                { header: 'Changes', accessor: row => (row.changes || [])
+                    .map(c => `<div><strong>${c.field}:</strong> ${this.formatValue(c.before)} → ${this.formatValue(c.after)}</div>`)
+                    .join('') || '-' }
+            ]));
+
+            this.container.appendChild(section);
+        },
+
+        renderExecutionOrder: function() {
+            const shifts = this.diff.executionOrder.filter(s => this.matchesSearch(s.name));
+            const section = vh.createSection(`Execution Order Shifts (${shifts.length})`);
+
+            if (shifts.length === 0) {
+                section.insertAdjacentHTML('beforeend', vh.createInfoMessage('No nodes moved.'));
+            } else {
+                section.insertAdjacentHTML('beforeend', vh.createTable(shifts, [
+                    { header: 'Node', accessor: s => s.key },
+                    { header: 'Before', accessor: s => `#${s.before}` },
+                    { header: 'After', accessor: s => `#${s.after}` },
+                    { header: 'Shift', accessor: s => `${s.delta > 0 ? '+' : ''}${s.delta}` }
+                ]));
+            }
+
+            this.container.appendChild(section);
+        },
+
+        renderIssues: function() {
+            const columns = [
+                { header: 'Severity', accessor: i => `<span class="${i.severity.toLowerCase()}-badge">${i.severity}</span>` },
+                { header: 'Type', accessor: i => i.type },
+                { header: 'Message', accessor: i => i.message }
+            ];
+
+            [['Introduced Issues', this.diff.issues.introduced],
+             ['Resolved Issues', this.diff.issues.resolved]].forEach(([title, issues]) => {
+                const shown = issues.filter(i => this.matchesSearch(i.message));
+                const section = vh.createSection(`${title} (${shown.length})`);
+                section.insertAdjacentHTML('beforeend', shown.length > 0
+                    ? vh.createTable(shown, columns)
+                    : vh.createInfoMessage('None.'));
+                this.container.appendChild(section);
+            });
+        }
+    });
+
+})(RenderGraphViewer);
@@ -0,0 +1,393 @@
+// Editor view - edits the loaded raw render graph with live re-analysis and undo
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+    const { FORMAT_MAP, USAGE_FLAGS, NODE_TYPES } = window.RenderGraphConstants;
+
+    const SAMPLE_COUNTS = [1, 2, 4, 8, 16];
+
+    // Module API
+    const editorModule = vh.createViewModule('editor', {
+        init: function() {
+            this.container = document.getElementById('editor-panel');
+            this.editor = null;
+            // Edit sessions by workspace graph id: { editor, scrollTop }
+            this.sessions = new Map();
+            this.session = null;
+            // Scroll position to restore on the next render, after switching sessions
+            this.pendingScroll = null;
+            this.renderInitialState();
+
+            // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y while the tab is open and no field has focus
+            document.addEventListener('keydown', (e) => {
+                if (!this.editor || !this.container.classList.contains('active')) return;
+                if (['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement?.tagName)) return;
+                if (!(e.ctrlKey || e.metaKey)) return;
+
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.editor.undo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.editor.redo();
+                }
+            });
+        },
+
+        activate: function() {
+            this.syncEditor();
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            this.syncEditor();
+            if (this.container.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function() {
+            this.render();
+        },
+
+        // Forget the sessions of closed graphs
+        onWorkspaceChanged: function(graphs) {
+            const open = new Set(graphs.map(graph => graph.id));
+            for (const id of this.sessions.keys()) {
+                if (!open.has(id)) this.sessions.delete(id);
+            }
+        },
+
+        // Each workspace graph keeps its own session, so switching graph tabs keeps its undo history and
+        // scroll position; a new session starts when a different graph was loaded into the tab
+        syncEditor: function() {
+            const graph = app.rawData ? app.Workspace.active() : null;
+            let session = graph ? this.sessions.get(graph.id) : null;
+            if (graph && (!session || session.editor.getDescription() !== app.rawData)) {
+                session = {
+                    editor: window.RenderGraphEditor.createEditor(app.rawData, {
+                        validate: (description) => this.validate(description),
+                        onChange: (description) => this.onEdited(description)
+                    }),
+                    scrollTop: 0
+                };
+                this.sessions.set(graph.id, session);
+            }
+
+            if (session !== this.session) {
+                // A hidden panel reports no scroll position, keep the last one seen
+                if (this.session && this.container.classList.contains('active')) {
+                    this.session.scrollTop = this.container.scrollTop;
+                }
+                this.pendingScroll = session ? session.scrollTop : null;
+            }
+            this.session = session || null;
+            this.editor = session ? session.editor : null;
+        },
+
+        // Edits leaving an invalid graph are rejected before they reach the undo history
+        validate: function(description) {
+            const validation = window.RenderGraphParser.isValidRawRenderGraph(description);
+            if (!validation.valid) {
+                throw new Error('Edit rejected: ' + validation.error);
+            }
+        },
+
+        // Re-run the analysis on the edited description without leaving the tab
+        onEdited: function(description) {
+            app.FileHandler.processRawRenderGraph(description, {
+                conditions: app.activeConditions,
+                keepTab: true,
+                inPlace: true
+            });
+        },
+
+        // Run an edit, reporting invalid input instead of throwing
+        edit: function(action) {
+            try {
+                action(this.editor);
+            } catch (error) {
+                alert(error.message);
+                this.render();
+            }
+        },
+
+        renderInitialState: function() {
+            if (!this.container) return;
+            this.container.innerHTML = vh.createInfoMessage('Load a raw render graph to edit it.');
+        },
+
+        download: function() {
+            const description = this.editor.getDescription();
+            const name = description.name || 'rendergraph';
+            vh.downloadFile(`${name}.json`, JSON.stringify(description, null, 2));
+        },
+
+        render: function() {
+            if (!this.container) return;
+            if (!this.editor) {
+                this.renderInitialState();
+                return;
+            }
+
+            const parsed = window.RenderGraphParser.parseRawRenderGraph(this.editor.getDescription());
+            this.container.innerHTML = '';
+            this.container.appendChild(this.createToolbar());
+            this.container.appendChild(this.createRenderTargetSection(parsed));
+            this.container.appendChild(this.createNodeSection(parsed));
+            this.container.appendChild(this.createAddNodeSection(parsed));
+
+            if (this.pendingScroll !== null && this.container.classList.contains('active')) {
+                this.container.scrollTop = this.pendingScroll;
+                this.pendingScroll = null;
+            }
+        },
+
+        createToolbar: function() {
+            const editor = this.editor;
+            const toolbar = vh.createElement('div', 'editor-toolbar');
+
+            const undoBtn = vh.createElement('button', '', {
+                textContent: 'Undo',
+                disabled: !editor.canUndo(),
+                title: editor.undoLabel() ? `Undo: ${editor.undoLabel()}` : ''
+            });
+            undoBtn.addEventListener('click', () => editor.undo());
+
+            const redoBtn = vh.createElement('button', '', {
+                textContent: 'Redo',
+                disabled: !editor.canRedo(),
+                title: editor.redoLabel() ? `Redo: ${editor.redoLabel()}` : ''
+            });
+            redoBtn.addEventListener('click', () => editor.redo());
+
+            const downloadBtn = vh.createElement('button', '', { textContent: 'Download JSON' });
+            downloadBtn.addEventListener('click', () => this.download());
+
+            const revertBtn = vh.createElement('button', 'editor-revert-btn', {
+                textContent: 'Revert All',
+                disabled: !editor.isDirty()
+            });
+            revertBtn.addEventListener('click', () => {
+                if (confirm('Discard every edit made to this graph?')) {
+                    this.edit(ed => { while (ed.isDirty() && ed.canUndo()) ed.undo(); });
+                }
+            });
+
+            toolbar.append(undoBtn, redoBtn, downloadBtn, revertBtn);
+            toolbar.appendChild(vh.createElement('span', 'editor-status', {
+                textContent: editor.isDirty() ? 'Edited - download to keep the changes' : 'No changes'
+            }));
+            return toolbar;
+        },
+
+        createRenderTargetSection: function(parsed) {
+            const section = vh.createSection('Render Targets');
+            const table = vh.createElement('table', 'editor-table');
+            table.innerHTML = '<thead><tr><th>#</th><th>Name</th><th>Format</th><th>Extent</th><th>Samples</th><th>Mips</th><th>Usage</th></tr></thead>';
+            const body = vh.createElement('tbody');
+
+            Object.values(parsed.renderTargets)
+                .filter(rt => app.renderTargetMatchesSearch(rt.index))
+                .forEach(rt => {
+                    const row = vh.createElement('tr');
+                    const cell = (...children) => {
+                        const td = vh.createElement('td');
+                        td.append(...children);
+                        row.appendChild(td);
+                    };
+
+                    cell(String(rt.index));
+
+                    const nameInput = vh.createElement('input', 'editor-input', { type: 'text', value: rt.name });
+                    nameInput.addEventListener('change', () =>
+                        this.edit(ed => ed.renameRenderTarget(rt.index, nameInput.value)));
+                    cell(nameInput);
+
+                    const formatSelect = vh.createElement('select', 'editor-input');
+                    const formats = Object.entries(FORMAT_MAP);
+                    if (!(rt.format in FORMAT_MAP)) formats.unshift([rt.format, `Unknown (${rt.format})`]);
+                    formats.forEach(([value, name]) => {
+                        formatSelect.appendChild(vh.createElement('option', '', {
+                            value, textContent: name, selected: Number(value) === rt.format
+                        }));
+                    });
+                    formatSelect.addEventListener('change', () =>
+                        this.edit(ed => ed.updateRenderTarget(rt.index, { format: Number(formatSelect.value) })));
+                    cell(formatSelect);
+
+                    const extentInputs = rt.extent.map(value => vh.createElement('input', 'editor-input editor-number', {
+                        type: 'number', min: 0, step: 0.05, value
+                    }));
+                    extentInputs.forEach(input => input.addEventListener('change', () =>
+                        this.edit(ed => ed.updateRenderTarget(rt.index, {
+                            extent: extentInputs.map(i => Number(i.value))
+                        }))));
+                    cell(...extentInputs);
+
+                    const samplesSelect = vh.createElement('select', 'editor-input');
+                    [...new Set([...SAMPLE_COUNTS, rt.sampleCount])].forEach(count => {
+                        samplesSelect.appendChild(vh.createElement('option', '', {
+                            value: count, textContent: count, selected: count === rt.sampleCount
+                        }));
+                    });
+                    samplesSelect.addEventListener('change', () =>
+                        this.edit(ed => ed.updateRenderTarget(rt.index, { sampleCount: Number(samplesSelect.value) })));
+                    cell(samplesSelect);
+
+                    const mipsInput = vh.createElement('input', 'editor-input editor-number', {
+                        type: 'number', min: 1, step: 1, value: rt.mipLevels
+                    });
+                    mipsInput.addEventListener('change', () =>
+                        this.edit(ed => ed.updateRenderTarget(rt.index, { mipLevels: Number(mipsInput.value) })));
+                    cell(mipsInput);
+
+                    const usageFlags = vh.createElement('div', 'editor-flags');
+                    Object.entries(USAGE_FLAGS).forEach(([bit, name]) => {
+                        const label = vh.createElement('label', 'editor-flag');
+                        const checkbox = vh.createElement('input', '', {
+                            type: 'checkbox', checked: (rt.usage & Number(bit)) !== 0
+                        });
+                        checkbox.addEventListener('change', () =>
+                            this.edit(ed => ed.updateRenderTarget(rt.index, {
+                                usage: checkbox.checked ? rt.usage | Number(bit) : rt.usage & ~Number(bit)
+                            })));
+                        label.append(checkbox, name);
+                        usageFlags.appendChild(label);
+                    });
+                    cell(usageFlags);
+
+                    body.appendChild(row);
+                });
+
+            table.appendChild(body);
+            section.appendChild(table);
+            return section;
+        },
+
+        // Resolve comma separated render target names (or indices) to indices
+        parseRenderTargetList: function(parsed, text) {
+            return text.split(',').map(s => s.trim()).filter(Boolean).map(token => {
+                const rt = Object.values(parsed.renderTargets).find(r => r.name === token);
+                if (rt) return rt.index;
+                if (/^\d+$/.test(token) && token in parsed.renderTargets) return Number(token);
+                throw new Error(`Unknown render target '${token}'`);
+            });
+        },
+
+        formatRenderTargetList: function(parsed, indices) {
+            return indices.map(idx => parsed.renderTargets[idx]?.name ?? idx).join(', ');
+        },
+
+        // Nodes in graphOrder order, with controls to move entries and rewire nodes
+        createNodeSection: function(parsed) {
+            const section = vh.createSection('Nodes');
+            section.appendChild(vh.createElement('p', 'editor-hint', {
+                textContent: 'Inputs and outputs are comma separated render target names. Entries move within graphOrder.'
+            }));
+
+            const table = vh.createElement('table', 'editor-table');
+            table.innerHTML = '<thead><tr><th>Order</th><th>Pass</th><th>Name</th><th>Type</th><th>Inputs</th><th>Outputs</th><th></th></tr></thead>';
+            const body = vh.createElement('tbody');
+
+            const order = parsed.graphOrder;
+            const listed = new Set();
+            const rows = order
+                .map((entry, position) => ({ entry, position }))
+                .filter(({ entry }) => Array.isArray(entry) && entry[1] in parsed.nodes)
+                .map(({ entry, position }) => {
+                    listed.add(entry[1]);
+                    return { node: parsed.nodes[entry[1]], position };
+                });
+            Object.values(parsed.nodes)
+                .filter(node => !listed.has(node.index))
+                .forEach(node => rows.push({ node, position: null }));
+
+            rows.forEach(({ node, position }) => {
+                const row = vh.createElement('tr');
+                const cell = (...children) => {
+                    const td = vh.createElement('td');
+                    td.append(...children);
+                    row.appendChild(td);
+                };
+
+                const moveCell = vh.createElement('span', 'editor-move');
+                if (position !== null) {
+                    const up = vh.createElement('button', '', { textContent: '↑', disabled: position === 0 });
+                    up.addEventListener('click', () => this.edit(ed => ed.moveGraphOrderEntry(position, position - 1)));
+                    const down = vh.createElement('button', '', { textContent: '↓', disabled: position === order.length - 1 });
+                    down.addEventListener('click', () => this.edit(ed => ed.moveGraphOrderEntry(position, position + 1)));
+                    moveCell.append(up, down, ` ${position}`);
+                } else {
+                    moveCell.textContent = 'not in graphOrder';
+                }
+                cell(moveCell);
+
+                cell(node.renderPass || '-');
+
+                const nameInput = vh.createElement('input', 'editor-input', { type: 'text', value: node.name });
+                nameInput.addEventListener('change', () => this.edit(ed => ed.renameNode(node.index, nameInput.value)));
+                cell(nameInput);
+
+                cell(node.getTypeName());
+
+                const listInput = (indices, key) => {
+                    const input = vh.createElement('input', 'editor-input editor-list', {
+                        type: 'text', value: this.formatRenderTargetList(parsed, indices)
+                    });
+                    input.addEventListener('change', () => this.edit(ed => ed.setNodeRenderTargets(node.index, {
+                        [key]: this.parseRenderTargetList(parsed, input.value)
+                    })));
+                    return input;
+                };
+                cell(listInput(node.inputs, 'inputs'));
+                cell(listInput(node.outputs, 'outputs'));
+
+                const removeBtn = vh.createElement('button', 'editor-remove-btn', { textContent: 'Remove' });
+                removeBtn.addEventListener('click', () => {
+                    if (confirm(`Remove node ${node.name}?`)) {
+                        this.edit(ed => ed.removeNode(node.index));
+                    }
+                });
+                cell(removeBtn);
+
+                body.appendChild(row);
+            });
+
+            table.appendChild(body);
+            section.appendChild(table);
+            return section;
+        },
+
+        createAddNodeSection: function(parsed) {
+            const section = vh.createSection('Add Node');
+            const form = vh.createElement('div', 'editor-add-node');
+
+            const nameInput = vh.createElement('input', 'editor-input', { type: 'text', placeholder: 'Node name' });
+
+            const typeSelect = vh.createElement('select', 'editor-input');
+            Object.entries(NODE_TYPES).forEach(([value, name]) => {
+                typeSelect.appendChild(vh.createElement('option', '', { value, textContent: name }));
+            });
+
+            const passSelect = vh.createElement('select', 'editor-input');
+            passSelect.appendChild(vh.createElement('option', '', { value: '', textContent: 'No render pass' }));
+            Object.values(parsed.renderPasses).forEach(rp => {
+                passSelect.appendChild(vh.createElement('option', '', { value: rp.index, textContent: rp.name }));
+            });
+
+            const addBtn = vh.createElement('button', '', { textContent: 'Add' });
+            addBtn.addEventListener('click', () => this.edit(ed => ed.addNode({
+                name: nameInput.value,
+                type: Number(typeSelect.value),
+                renderPassIndex: passSelect.value === '' ? null : Number(passSelect.value)
+            })));
+
+            form.append(nameInput, typeSelect, passSelect, addBtn);
+            section.appendChild(form);
+            return section;
+        }
+    });
+
+})(RenderGraphViewer);
@@ -11,6 +11,21 @@
                     return 'raw_rendergraph';
                 }
 
+                // Check if it's a snapshot history archive
+                if (window.RenderGraphHistory && window.RenderGraphHistory.isArchive(data)) {
+                    return 'history';
+                }
+
+                // Check if it's a debugger rules configuration
+                if (window.RenderGraphRules && window.RenderGraphRules.isRulesConfig(data)) {
+                    return 'rules';
+                }
+
+                // Check if it's a frame capture recorded by the engine
+                if (window.RenderGraphCapture && window.RenderGraphCapture.isCapture(data)) {
+                    return 'capture';
+                }
+
                 // Check if it's debug data (has issues array or is an array of issues)
                 if ((data.issues && Array.isArray(data.issues)) ||
                     (Array.isArray(data) && data.length > 0 && data[0].severity)) {
@@ -48,7 +63,12 @@
                         switch (fileType) {
                             case 'raw_rendergraph':
                                 console.log('Raw render graph JSON detected');
-                                this.processRawRenderGraph(data);
+                                this.processRawRenderGraph(data, { source: 'file', origin: file.name });
+                                break;
+
+                            case 'history':
+                                console.log('Snapshot history archive detected');
+                                app.History.importArchive(data);
                                 break;
 
                             case 'debug':
@@ -62,9 +82,19 @@
                                 }
                                 break;
 
+                            case 'capture':
+                                console.log('Frame capture detected');
+                                app.tabModules.capture.loadCapture(data, file.name);
+                                break;
+
+                            case 'rules':
+                                console.log('Rules configuration detected');
+                                app.Rules.set(data);
+                                break;
+
                             case 'graph':
                                 console.log('Pre-processed graph JSON file detected (legacy)');
-                                app.loadGraphData(data);
+                                app.Workspace.open({ graphData: data }, file.name);
 
                                 // Switch to details view for convenience
                                 app.switchTab('details');
@@ -159,18 +189,9 @@
                 return area;
             },
 
-            // Process raw render graph JSON through the analysis pipeline
-            processRawRenderGraph: function(data) {
-                const startTime = performance.now();
-
-                // Validate the raw data
-                const validation = window.RenderGraphParser.isValidRawRenderGraph(data);
-                if (!validation.valid) {
-                    console.error('Invalid raw render graph:', validation.error);
-                    alert('Invalid render graph JSON: ' + validation.error);
-                    return;
-                }
-
+            // Parse the description, apply the simulated conditions and analyze what remains
+            // Returns { parsed, analyzed, conditionKeys, inactive }
+            runAnalysis: function(data, conditions) {
                 // Parse raw JSON into typed objects
                 const parseStart = performance.now();
                 const parsed = window.RenderGraphParser.parseRawRenderGraph(data);
@@ -181,6 +202,17 @@
                 const passCount = Object.keys(parsed.renderPasses).length;
                 console.log(`Parsed: ${rtCount} RTs, ${nodeCount} nodes, ${passCount} passes (${parseTime.toFixed(1)}ms)`);
 
+                // Keep only the nodes and passes enabled by the simulated conditions
+                const conditionKeys = window.RenderGraphConditions.collectConditionKeys(
+                    parsed.nodes,
+                    parsed.renderPasses
+                );
+                let inactive = { removedNodes: [], removedRenderPasses: [] };
+                if (conditions) {
+                    inactive = window.RenderGraphConditions.applyConditions(parsed, conditions);
+                    console.log(`Conditions applied: ${inactive.removedNodes.length} nodes, ${inactive.removedRenderPasses.length} passes inactive`);
+                }
+
                 // Run full analysis using the analyzer module
                 // This includes:
                 // - Execution order compilation from graphOrder
@@ -197,6 +229,44 @@
                 const analyzeTime = performance.now() - analyzeStart;
                 console.log(`Analysis complete (${analyzeTime.toFixed(1)}ms)`);
 
+                return { parsed, analyzed, conditionKeys, inactive };
+            },
+
+            // Carry an earlier analysis over edits that keep the graph's structure (render target properties,
+            // node and graph names), skipping the parse and the analysis; null when they need a full run
+            // previous: { parsed, analyzed, conditionKeys, inactive, operations } of the description the
+            // operations were applied to, under the same conditions
+            updateAnalysis: function(data, previous) {
+                if (!previous.analyzed || !previous.operations) return null;
+
+                const updateStart = performance.now();
+                const analyzed = window.RenderGraphAnalyzer.updateAnalysis(previous.analyzed, data, previous.operations);
+                if (!analyzed) return null;
+
+                const parsed = { ...analyzed, graphOrder: previous.parsed.graphOrder };
+                const updateTime = performance.now() - updateStart;
+                console.log(`Analysis updated for ${previous.operations.length} edits (${updateTime.toFixed(1)}ms)`);
+                return { parsed, analyzed, conditionKeys: previous.conditionKeys, inactive: previous.inactive };
+            },
+
+            // Run raw render graph JSON through the analysis pipeline
+            // options.conditions: map of condition key to boolean, simulates a graph permutation
+            // options.rules: debugger rules configuration (defaults to the stored rules)
+            // options.previous: earlier analysis to update instead when the edits allow it (see updateAnalysis);
+            // the debugger checks always run again, they compare render targets across the whole graph
+            // Returns { parsed, analyzed, viewData, issues, suppressed, debugData, conditionKeys, inactive },
+            // throws on invalid input
+            analyzeRawRenderGraph: function(data, options = {}) {
+                // Validate the raw data
+                const validation = window.RenderGraphParser.isValidRawRenderGraph(data);
+                if (!validation.valid) {
+                    throw new Error(validation.error);
+                }
+
+                const { parsed, analyzed, conditionKeys, inactive } =
+                    (options.previous && this.updateAnalysis(data, options.previous)) ||
+                    this.runAnalysis(data, options.conditions || null);
+
                 // Convert to view format expected by timeline.js, nodegraph.js, etc.
                 const viewStart = performance.now();
                 const viewData = window.RenderGraphAnalyzer.toViewFormat(
@@ -207,40 +277,109 @@
                 const viewTime = performance.now() - viewStart;
                 console.log(`View format conversion complete (${viewTime.toFixed(1)}ms)`);
 
-                // Run validation checks using the debugger module
+                // Run validation checks using the debugger module, filtered by the rules
+                let issues = [];
+                let suppressed = [];
                 let debugData = null;
                 if (window.RenderGraphDebugger) {
                     const debugStart = performance.now();
-                    const issues = window.RenderGraphDebugger.runAllChecks(
+                    const rules = options.rules ?? (app.Rules ? app.Rules.get() : null);
+                    const allIssues = window.RenderGraphDebugger.runAllChecks(
                         analyzed.renderTargets,
                         analyzed.nodes,
                         analyzed.renderPasses,
-                        data  // Pass raw data for shader binding checks
+                        data,  // Pass raw data for shader binding checks
+                        { disabledChecks: window.RenderGraphRules.getDisabledChecks(rules) }
                     );
+                    const filtered = window.RenderGraphRules.applyRules(allIssues, rules, { graphName: data.name });
+                    issues = filtered.issues;
+                    suppressed = filtered.suppressed;
+
+                    // Fixable issues carry a JSON patch against this description; structural fixes need the
+                    // analysis of every node, not of the simulated permutation
+                    if (window.RenderGraphFixes) {
+                        const conditional = inactive.removedNodes.length > 0 || inactive.removedRenderPasses.length > 0;
+                        window.RenderGraphFixes.attachFixes(issues, data, { conditional });
+                    }
+
                     debugData = window.RenderGraphDebugger.formatIssuesForView(issues);
+                    debugData.description = data;
+                    debugData.suppressed = suppressed;
+                    debugData.disabled = filtered.disabled.length;
                     const debugTime = performance.now() - debugStart;
-                    console.log(`Validation complete: ${debugData.errors} errors, ${debugData.warnings} warnings, ${debugData.infos} infos (${debugTime.toFixed(1)}ms)`);
+                    console.log(`Validation complete: ${debugData.errors} errors, ${debugData.warnings} warnings, ${debugData.infos} infos, ${suppressed.length} suppressed (${debugTime.toFixed(1)}ms)`);
                 }
 
-                // Store both raw and analyzed data for potential use
-                app.rawData = data;
-                app.rawParsedData = parsed;
-                app.analyzedData = analyzed;
+                return { parsed, analyzed, viewData, issues, suppressed, debugData, conditionKeys, inactive };
+            },
 
-                // Load into the viewer
-                app.loadGraphData(viewData);
+            // Process raw render graph JSON and load it into the viewer
+            // options.conditions: simulated condition toggles (null shows every node)
+            // options.keepTab: stay on the current tab instead of switching to details
+            // options.inPlace: replace the active graph of the workspace (re-analysis after edits, fixes or
+            // condition changes) instead of opening the graph in a new graph tab
+            // options.graphId: with inPlace, the workspace graph to replace instead of the active one
+            // options.source, options.origin: how the graph was loaded (file, paste, asset...) and the file
+            // name or asset UUID; set for new graphs only, which are saved to the snapshot history
+            // options.operations: with inPlace, the JSON Patch edits turning the graph's current description into
+            // data; its analysis is updated instead of run again when the edits allow it
+            // Returns the workspace graph showing data, undefined when it was rejected
+            processRawRenderGraph: function(data, options = {}) {
+                const startTime = performance.now();
+                const conditions = options.conditions || null;
+
+                let previous = null;
+                const target = !options.inPlace || !options.operations ? null
+                    : options.graphId ? app.Workspace.graphs.find(g => g.id === options.graphId) : app.Workspace.active();
+                if (target && target.analyzedData &&
+                    JSON.stringify(target.activeConditions || null) === JSON.stringify(conditions)) {
+                    previous = {
+                        parsed: target.rawParsedData,
+                        analyzed: target.analyzedData,
+                        conditionKeys: target.conditionKeys,
+                        inactive: target.inactive,
+                        operations: options.operations
+                    };
+                }
 
-                // Load debug data into debug view if available
-                if (debugData && app.tabModules && app.tabModules.debug &&
-                    typeof app.tabModules.debug.loadDebugData === 'function') {
-                    app.tabModules.debug.loadDebugData(debugData);
+                let result;
+                try {
+                    result = this.analyzeRawRenderGraph(data, { conditions, previous });
+                } catch (error) {
+                    console.error('Invalid raw render graph:', error.message);
+                    alert('Invalid render graph JSON: ' + error.message);
+                    return;
                 }
 
+                // Store both raw and analyzed data in the workspace, which loads them into the views
+                const entry = {
+                    rawData: data,
+                    rawParsedData: result.parsed,
+                    analyzedData: result.analyzed,
+                    activeConditions: conditions,
+                    graphData: result.viewData,
+                    debugData: result.debugData,
+                    conditionKeys: result.conditionKeys,
+                    inactive: result.inactive
+                };
+                const name = data.name || options.origin;
+                const graph = options.inPlace
+                    ? app.Workspace.update(entry, name, options.graphId || null)
+                    : app.Workspace.open(entry, name);
+
                 const totalTime = performance.now() - startTime;
                 console.log(`Total processing time: ${totalTime.toFixed(1)}ms`);
 
+                if (options.source && app.History) {
+                    app.History.record(data, options.source, options.origin || null);
+                }
+
                 // Switch to details view
-                app.switchTab('details');
+                if (!options.keepTab) {
+                    app.switchTab('details');
+                }
+
+                return graph;
             }
         };
     };
@@ -0,0 +1,357 @@
+// Snapshot history - every loaded graph is kept in IndexedDB and listed in a drawer
+// to reopen, rename, tag, delete and compare, with import/export of the whole history
+(function(app) {
+    const vh = app.ViewHelper;
+    const History = window.RenderGraphHistory;
+
+    const STORE = 'snapshots';
+    // Untagged snapshots beyond this many are dropped, oldest first
+    const MAX_SNAPSHOTS = 100;
+
+    app.History = {
+        drawer: document.getElementById('history-drawer'),
+        button: document.getElementById('history-btn'),
+        // Snapshots, newest first
+        snapshots: [],
+        filter: '',
+        // Ids picked for comparison, at most two
+        compareIds: [],
+        // Snapshot of the graph on screen
+        currentId: null,
+
+        init: function() {
+            if (!this.drawer || !this.button) return;
+
+            this.button.addEventListener('click', () => this.toggle());
+            this.renderDrawer();
+            this.refresh();
+        },
+
+        isOpen: function() {
+            return this.drawer.classList.contains('open');
+        },
+
+        toggle: function() {
+            this.drawer.classList.toggle('open', !this.isOpen());
+            this.button.classList.toggle('active', this.isOpen());
+            if (this.isOpen()) this.refresh();
+        },
+
+        find: function(id) {
+            return this.snapshots.find(snapshot => snapshot.id === id) || null;
+        },
+
+        refresh: async function() {
+            try {
+                this.snapshots = await app.Storage.getAll(STORE);
+            } catch (error) {
+                console.warn('Snapshot history unavailable:', error.message);
+                this.snapshots = [];
+            }
+            this.snapshots.sort((a, b) => b.createdAt - a.createdAt);
+            this.compareIds = this.compareIds.filter(id => this.find(id));
+            this.renderList();
+        },
+
+        /**
+         * Save a loaded graph as a snapshot; a graph already in the history is not saved twice
+         * @param {Object} description - Raw render graph description
+         * @param {string} source - How it was loaded (see RenderGraphHistory.SOURCES)
+         * @param {string} origin - File name or asset UUID, if any
+         */
+        record: async function(description, source, origin = null) {
+            if (!app.Storage.isAvailable()) return null;
+
+            const snapshot = History.createSnapshot(description, { source, origin });
+            try {
+                const existing = (await app.Storage.getAll(STORE)).find(s => s.key === snapshot.key);
+                if (existing) {
+                    this.currentId = existing.id;
+                    this.renderList();
+                    return existing;
+                }
+
+                await app.Storage.put(STORE, snapshot.id, snapshot);
+                await this.prune();
+            } catch (error) {
+                console.warn('Could not save the snapshot:', error.message);
+                return null;
+            }
+
+            this.currentId = snapshot.id;
+            await this.refresh();
+            return snapshot;
+        },
+
+        prune: async function() {
+            const pruned = History.selectPruned(await app.Storage.getAll(STORE), MAX_SNAPSHOTS);
+            for (const id of pruned) {
+                await app.Storage.delete(STORE, id);
+            }
+        },
+
+        open: function(id) {
+            const snapshot = this.find(id);
+            if (!snapshot) return;
+
+            app.FileHandler.processRawRenderGraph(snapshot.description);
+            if (app.rawData === snapshot.description) {
+                this.currentId = id;
+                this.renderList();
+            }
+        },
+
+        update: async function(snapshot, changes) {
+            const updated = { ...snapshot, ...changes };
+            try {
+                await app.Storage.put(STORE, updated.id, updated);
+            } catch (error) {
+                alert('Could not update the snapshot: ' + error.message);
+                return;
+            }
+            await this.refresh();
+        },
+
+        rename: function(id) {
+            const snapshot = this.find(id);
+            if (!snapshot) return;
+
+            const name = window.prompt('Snapshot name:', snapshot.name);
+            if (name === null || !name.trim()) return;
+            this.update(snapshot, { name: name.trim() });
+        },
+
+        editTags: function(id) {
+            const snapshot = this.find(id);
+            if (!snapshot) return;
+
+            const tags = window.prompt('Tags, separated by commas (tagged snapshots are never dropped):', snapshot.tags.join(', '));
+            if (tags === null) return;
+            this.update(snapshot, { tags: History.normalizeTags(tags) });
+        },
+
+        remove: async function(id) {
+            const snapshot = this.find(id);
+            if (!snapshot || !confirm(`Delete snapshot '${snapshot.name}'?`)) return;
+
+            try {
+                await app.Storage.delete(STORE, id);
+            } catch (error) {
+                alert('Could not delete the snapshot: ' + error.message);
+                return;
+            }
+            if (this.currentId === id) this.currentId = null;
+            await this.refresh();
+        },
+
+        toggleCompare: function(id) {
+            if (this.compareIds.includes(id)) {
+                this.compareIds = this.compareIds.filter(other => other !== id);
+            } else {
+                // Picking a third snapshot replaces the first pick
+                this.compareIds = [...this.compareIds, id].slice(-2);
+            }
+            this.renderList();
+        },
+
+        // Open the two picked snapshots in the diff view, the older one as the base
+        compare: function() {
+            const picked = this.compareIds.map(id => this.find(id)).filter(Boolean);
+            const diff = app.tabModules.diff;
+            if (picked.length !== 2 || !diff) return;
+
+            const [base, target] = picked.sort((a, b) => a.createdAt - b.createdAt);
+            diff.setSide('base', base.description, base.name);
+            diff.setSide('target', target.description, target.name);
+            app.switchTab('diff');
+        },
+
+        exportArchive: function() {
+            if (this.snapshots.length === 0) {
+                alert('The history is empty.');
+                return;
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            vh.downloadFile(`rendergraph-history-${date}.json`, JSON.stringify(History.buildArchive(this.snapshots)));
+        },
+
+        /**
+         * Add the snapshots of an archive; snapshots of graphs already in the history are skipped
+         */
+        importArchive: async function(data) {
+            let archive;
+            let existing;
+            try {
+                existing = await app.Storage.getAll(STORE);
+                archive = History.parseArchive(data, existing.map(snapshot => snapshot.id));
+            } catch (error) {
+                alert('Could not import the history: ' + error.message);
+                return;
+            }
+
+            let imported = 0;
+            try {
+                const keys = new Set(existing.map(snapshot => snapshot.key));
+                for (const snapshot of archive.snapshots) {
+                    if (keys.has(snapshot.key)) continue;
+                    keys.add(snapshot.key);
+                    await app.Storage.put(STORE, snapshot.id, snapshot);
+                    imported++;
+                }
+            } catch (error) {
+                alert('Could not import the history: ' + error.message);
+                return;
+            }
+
+            await this.refresh();
+            if (!this.isOpen()) this.toggle();
+
+            const skipped = archive.snapshots.length - imported;
+            const lines = [`Imported ${imported} snapshot(s)${skipped > 0 ? `, ${skipped} already in the history` : ''}.`];
+            if (archive.errors.length > 0) {
+                lines.push('', `${archive.errors.length} invalid snapshot(s) skipped:`, ...archive.errors);
+            }
+            alert(lines.join('\n'));
+        },
+
+        pickArchive: function() {
+            const fileInput = vh.createElement('input', '', { type: 'file', accept: '.json' });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        this.importArchive(JSON.parse(e.target.result));
+                    } catch (error) {
+                        alert('Error parsing JSON file: ' + error.message);
+                    }
+                };
+                reader.readAsText(file);
+            });
+            fileInput.click();
+        },
+
+        renderDrawer: function() {
+            this.drawer.innerHTML = '';
+
+            const header = vh.createElement('div', 'history-header');
+            header.appendChild(vh.createElement('h3', '', { textContent: 'History' }));
+            const closeBtn = vh.createElement('button', 'history-close', { textContent: '×', title: 'Close' });
+            closeBtn.addEventListener('click', () => this.toggle());
+            header.appendChild(closeBtn);
+            this.drawer.appendChild(header);
+
+            const toolbar = vh.createElement('div', 'history-toolbar');
+            const filterInput = vh.createElement('input', 'history-filter', {
+                type: 'text',
+                placeholder: 'Filter by name or tag'
+            });
+            filterInput.addEventListener('input', () => {
+                this.filter = filterInput.value;
+                this.renderList();
+            });
+            toolbar.appendChild(filterInput);
+
+            const importBtn = vh.createElement('button', '', { textContent: 'Import', title: 'Add the snapshots of a history archive' });
+            importBtn.addEventListener('click', () => this.pickArchive());
+            toolbar.appendChild(importBtn);
+
+            const exportBtn = vh.createElement('button', '', { textContent: 'Export', title: 'Download the whole history as one archive' });
+            exportBtn.addEventListener('click', () => this.exportArchive());
+            toolbar.appendChild(exportBtn);
+            this.drawer.appendChild(toolbar);
+
+            this.compareBar = vh.createElement('div', 'history-compare-bar');
+            this.drawer.appendChild(this.compareBar);
+
+            this.list = vh.createElement('div', 'history-list');
+            this.list.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-action]');
+                const item = e.target.closest('.history-item');
+                if (!action || !item) return;
+
+                const id = item.dataset.id;
+                switch (action.dataset.action) {
+                    case 'open': this.open(id); break;
+                    case 'rename': this.rename(id); break;
+                    case 'tags': this.editTags(id); break;
+                    case 'delete': this.remove(id); break;
+                    case 'compare': this.toggleCompare(id); break;
+                }
+            });
+            this.drawer.appendChild(this.list);
+        },
+
+        renderList: function() {
+            if (!this.list) return;
+
+            this.compareBar.innerHTML = '';
+            this.compareBar.appendChild(vh.createElement('span', '', {
+                textContent: `${this.compareIds.length} of 2 picked to compare`
+            }));
+            const compareBtn = vh.createElement('button', '', { textContent: 'Compare', disabled: this.compareIds.length !== 2 });
+            compareBtn.addEventListener('click', () => this.compare());
+            this.compareBar.appendChild(compareBtn);
+
+            this.list.innerHTML = '';
+            const snapshots = this.snapshots.filter(snapshot => History.matchesFilter(snapshot, this.filter));
+            if (snapshots.length === 0) {
+                this.list.innerHTML = vh.createInfoMessage(this.snapshots.length === 0
+                    ? 'Graphs you load are saved here.'
+                    : 'No snapshots match the filter.');
+                return;
+            }
+
+            snapshots.forEach(snapshot => this.list.appendChild(this.createItem(snapshot)));
+        },
+
+        createItem: function(snapshot) {
+            const classes = ['history-item'];
+            if (snapshot.id === this.currentId) classes.push('current');
+            if (this.compareIds.includes(snapshot.id)) classes.push('picked');
+
+            const item = vh.createElement('div', classes.join(' '), { dataset: { id: snapshot.id } });
+
+            const header = vh.createElement('div', 'history-item-header');
+            header.appendChild(vh.createElement('input', '', {
+                type: 'checkbox',
+                checked: this.compareIds.includes(snapshot.id),
+                title: 'Pick to compare',
+                dataset: { action: 'compare' }
+            }));
+            header.appendChild(vh.createElement('span', 'history-name', { textContent: snapshot.name, title: snapshot.name }));
+            header.insertAdjacentHTML('beforeend', vh.createBadge(History.SOURCES[snapshot.source] || snapshot.source, `history-source ${snapshot.source}`));
+            item.appendChild(header);
+
+            const { summary } = snapshot;
+            const meta = [
+                new Date(snapshot.createdAt).toLocaleString(),
+                `${summary.renderTargets} RTs`,
+                `${summary.nodes} nodes`
+            ];
+            if (snapshot.origin && snapshot.origin !== snapshot.name) meta.push(snapshot.origin);
+            item.appendChild(vh.createElement('div', 'history-meta', { textContent: meta.join(' · ') }));
+
+            if (snapshot.tags.length > 0) {
+                const tags = vh.createElement('div', 'history-tags');
+                tags.innerHTML = vh.createBadgeContainer(snapshot.tags.map(tag => vh.escapeHtml(tag)), () => 'history-tag');
+                item.appendChild(tags);
+            }
+
+            const actions = vh.createElement('div', 'history-actions');
+            [['open', 'Open'], ['rename', 'Rename'], ['tags', 'Tags'], ['delete', 'Delete']].forEach(([action, label]) => {
+                actions.appendChild(vh.createElement('button', action === 'delete' ? 'danger' : '', {
+                    textContent: label,
+                    dataset: { action }
+                }));
+            });
+            item.appendChild(actions);
+
+            return item;
+        }
+    };
+
+})(RenderGraphViewer);
@@ -0,0 +1,162 @@
+// Live session - follows edits to a Labs render graph and updates the analysis as they arrive
+// Edits coalesced over UPDATE_DELAY are handed over as one JSON Patch: when they only touch render target
+// properties or names, the previous analysis is carried over (see FileHandler.updateAnalysis), otherwise
+// the graph is analyzed again. Only the initial description is saved to the snapshot history
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    // Edits arriving in quick succession are analyzed once
+    const UPDATE_DELAY = 200;
+
+    app.LiveSession = {
+        subscription: null,
+        uuid: null,
+        // Workspace graph following the asset, updated even while another graph tab is shown
+        graphId: null,
+        indicator: document.getElementById('live-status'),
+        button: document.getElementById('live-asset-btn'),
+        pending: null,
+        updateTimer: null,
+        lastApplied: null,
+        lastJson: null,
+        // Edits received since lastApplied, null once a full description replaced it
+        unapplied: [],
+        editCount: 0,
+        onLoaded: null,
+
+        isActive: function() {
+            return !!this.subscription;
+        },
+
+        /**
+         * Start following a render graph asset
+         * @param {string} uuid - Asset UUID
+         * @param {string} token - Labs API token
+         * @param {Object} options - { onLoaded(description) } called once the first description arrives
+         */
+        start: function(uuid, token, options = {}) {
+            this.stop();
+
+            this.uuid = uuid;
+            this.graphId = null;
+            this.onLoaded = options.onLoaded || null;
+            this.editCount = 0;
+            this.lastApplied = null;
+            this.lastJson = null;
+            this.unapplied = [];
+
+            this.subscription = ThreeDverseAPI.subscribeLabsRenderGraph(uuid, token, {
+                onDescription: (description, info) => this.handleDescription(description, info),
+                onStatus: (status, info) => this.renderStatus(status, info)
+            });
+        },
+
+        stop: function() {
+            clearTimeout(this.updateTimer);
+            this.updateTimer = null;
+            this.pending = null;
+
+            if (this.subscription) {
+                const subscription = this.subscription;
+                this.subscription = null;
+                subscription.close();
+            }
+        },
+
+        handleDescription: function(description, info) {
+            if (!this.lastApplied) {
+                // First description: load it like a regular fetch
+                this.apply(description, false);
+                if (this.lastApplied && this.onLoaded) this.onLoaded(description);
+                return;
+            }
+
+            if (!info.initial) this.editCount++;
+            this.unapplied = this.unapplied && info.operations ? this.unapplied.concat(info.operations) : null;
+            this.pending = description;
+            if (!this.updateTimer) {
+                this.updateTimer = setTimeout(() => this.flush(), UPDATE_DELAY);
+            }
+        },
+
+        flush: function() {
+            this.updateTimer = null;
+            const description = this.pending;
+            this.pending = null;
+            if (!description || !this.subscription) return;
+
+            // The graph tab was closed, or its graph replaced by hand since the last update: leave it alone
+            const graph = app.Workspace.graphs.find(g => g.id === this.graphId);
+            if (!graph || graph.rawData !== this.lastApplied) {
+                console.log('Live session stopped: its graph was closed or replaced');
+                this.stop();
+                return;
+            }
+
+            this.apply(description, true);
+        },
+
+        apply: function(description, keepTab) {
+            const json = JSON.stringify(description);
+            if (json === this.lastJson) {
+                this.unapplied = [];
+                this.renderStatus('live');
+                return;
+            }
+
+            // Intermediate edits can leave the graph invalid; keep showing the last valid state
+            const validation = window.RenderGraphParser.isValidRawRenderGraph(description);
+            if (!validation.valid) {
+                this.renderStatus('invalid', { error: validation.error });
+                return;
+            }
+
+            // Edits are not snapshotted: hundreds of them would push the user's own graphs out of the history
+            const target = keepTab ? app.Workspace.graphs.find(g => g.id === this.graphId) : null;
+            const graph = app.FileHandler.processRawRenderGraph(description, {
+                conditions: target ? target.activeConditions : null,
+                keepTab,
+                inPlace: keepTab,
+                graphId: keepTab ? this.graphId : null,
+                source: keepTab ? null : 'live',
+                origin: this.uuid,
+                operations: keepTab ? this.unapplied : null
+            });
+
+            // A description the analysis rejected leaves the previous one shown; the next edits apply to
+            // neither, so they need a full analysis
+            if (graph) {
+                this.graphId = graph.id;
+                this.lastApplied = graph.rawData;
+                this.unapplied = [];
+            } else {
+                this.unapplied = null;
+            }
+            this.lastJson = json;
+            this.renderStatus('live');
+        },
+
+        renderStatus: function(status, info = {}) {
+            if (this.button) this.button.classList.toggle('active', status !== 'closed');
+            if (!this.indicator) return;
+
+            const edits = this.editCount > 0 ? ` · ${this.editCount} edit${this.editCount === 1 ? '' : 's'}` : '';
+            const labels = {
+                connecting: info.attempt ? `Connecting (attempt ${info.attempt + 1})...` : 'Connecting...',
+                live: `Live${edits}`,
+                invalid: `Live · waiting for a valid graph`,
+                reconnecting: `Reconnecting in ${Math.round((info.delay || 0) / 1000)}s`,
+                closed: 'Offline'
+            };
+
+            this.indicator.className = `live-status ${status}`;
+            this.indicator.title = info.reason || info.error || '';
+            this.indicator.innerHTML = '';
+            this.indicator.appendChild(vh.createElement('span', 'live-dot'));
+            this.indicator.appendChild(document.createTextNode(labels[status] || status));
+            this.indicator.style.display = status === 'closed' ? 'none' : '';
+        }
+    };
+
+})(RenderGraphViewer);
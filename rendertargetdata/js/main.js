@@ -2,6 +2,8 @@
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize the application
     RenderGraphViewer.init();
+    RenderGraphViewer.SearchAutocomplete.init();
+    RenderGraphViewer.History.init();
 
     // Initial tab activation
     const firstTab = document.querySelector('.tab');
@@ -17,6 +19,10 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Populate recent graphs autocomplete
     RecentGraphs.populate();
+
+    // Open the graph and view of a shared link
+    RenderGraphViewer.Permalink.init();
+    RenderGraphViewer.Permalink.restore(location.hash);
 });
 
 // Recent render graphs stored in localStorage
@@ -70,8 +76,9 @@ const RecentGraphs = {
 };
 
 // Parse JSON text and route to the appropriate handler.
+// source tells the snapshot history where the text came from ('paste' or 'clipboard').
 // Returns true on success, false on failure.
-function loadJsonText(text) {
+function loadJsonText(text, source) {
     const trimmed = text.trim();
     if (!trimmed) return false;
 
@@ -84,15 +91,21 @@ function loadJsonText(text) {
 
     const fileType = RenderGraphViewer.FileHandler.detectFileType(data);
     if (fileType === 'raw_rendergraph') {
-        RenderGraphViewer.FileHandler.processRawRenderGraph(data);
+        RenderGraphViewer.FileHandler.processRawRenderGraph(data, { source });
+    } else if (fileType === 'history') {
+        RenderGraphViewer.History.importArchive(data);
     } else if (fileType === 'debug') {
         if (RenderGraphViewer.tabModules.debug &&
             typeof RenderGraphViewer.tabModules.debug.loadDebugData === 'function') {
             RenderGraphViewer.tabModules.debug.loadDebugData(data);
             RenderGraphViewer.switchTab('debug');
         }
+    } else if (fileType === 'capture') {
+        RenderGraphViewer.tabModules.capture.loadCapture(data);
+    } else if (fileType === 'rules') {
+        RenderGraphViewer.Rules.set(data);
     } else if (fileType === 'graph') {
-        RenderGraphViewer.loadGraphData(data);
+        RenderGraphViewer.Workspace.open({ graphData: data });
         RenderGraphViewer.switchTab('details');
     } else {
         alert('Not a recognized render graph JSON format.');
@@ -128,7 +141,7 @@ function initPasteControls() {
 
     loadBtn.addEventListener('click', function() {
         try {
-            if (loadJsonText(textarea.value)) {
+            if (loadJsonText(textarea.value, 'paste')) {
                 panel.style.display = 'none';
                 textarea.value = '';
             }
@@ -168,7 +181,7 @@ function initPasteControls() {
             }
 
             try {
-                loadJsonText(text);
+                loadJsonText(text, 'clipboard');
             } catch (err) {
                 alert('Invalid JSON in clipboard: ' + err.message);
             }
@@ -181,6 +194,7 @@ function initApiControls() {
     const assetUuidInput = document.getElementById('asset-uuid-input');
     const labsTokenInput = document.getElementById('labs-token-input');
     const fetchBtn = document.getElementById('fetch-asset-btn');
+    const liveBtn = document.getElementById('live-asset-btn');
 
     if (!assetUuidInput || !fetchBtn) {
         console.warn('API controls not found');
@@ -217,6 +231,22 @@ function initApiControls() {
         }
     });
 
+    // Read the token from the input or storage, prompting when there is none
+    function getToken() {
+        let token = labsTokenInput.value.trim();
+        if (token === 'token saved...' || !token) {
+            token = ThreeDverseAPI.getLabsToken();
+        } else if (token.includes('token=')) {
+            token = ThreeDverseAPI.extractTokenFromUrl(token);
+        }
+
+        if (!token) {
+            alert('Please paste the API token.\n\nHow to get it:\n1. Open labs.3dverse.com\n2. Open browser console (F12)\n3. Type: apiToken\n4. Copy the returned string');
+            labsTokenInput.focus();
+        }
+        return token;
+    }
+
     // Fetch button click
     fetchBtn.addEventListener('click', async function() {
         const input = assetUuidInput.value.trim();
@@ -231,18 +261,8 @@ function initApiControls() {
         fetchBtn.textContent = 'Loading...';
 
         try {
-            let token = labsTokenInput.value.trim();
-            if (token === 'token saved...' || !token) {
-                token = ThreeDverseAPI.getLabsToken();
-            } else if (token.includes('token=')) {
-                token = ThreeDverseAPI.extractTokenFromUrl(token);
-            }
-
-            if (!token) {
-                alert('Please paste the API token.\n\nHow to get it:\n1. Open labs.3dverse.com\n2. Open browser console (F12)\n3. Type: apiToken\n4. Copy the returned string');
-                labsTokenInput.focus();
-                return;
-            }
+            const token = getToken();
+            if (!token) return;
 
             const data = await ThreeDverseAPI.fetchLabsRenderGraph(uuid, token);
             console.log('Fetched render graph data:', Object.keys(data));
@@ -252,7 +272,8 @@ function initApiControls() {
             assetUuidInput.value = uuid;
 
             if (RenderGraphViewer.FileHandler) {
-                RenderGraphViewer.FileHandler.processRawRenderGraph(data);
+                RenderGraphViewer.FileHandler.processRawRenderGraph(data, { source: 'asset', origin: uuid });
+                RenderGraphViewer.Permalink.setAssetSource(uuid, data);
             } else {
                 console.error('FileHandler not available');
             }
@@ -264,4 +285,31 @@ function initApiControls() {
             fetchBtn.textContent = 'Fetch';
         }
     });
-}
\ No newline at end of file
+
+    // Live button toggles a subscription that follows edits to the graph
+    liveBtn.addEventListener('click', function() {
+        const live = RenderGraphViewer.LiveSession;
+        if (live.isActive()) {
+            live.stop();
+            return;
+        }
+
+        const input = assetUuidInput.value.trim();
+        if (!input) {
+            alert('Please enter an asset UUID or name');
+            return;
+        }
+
+        const token = getToken();
+        if (!token) return;
+
+        const uuid = RecentGraphs.resolve(input);
+        live.start(uuid, token, {
+            onLoaded: function(data) {
+                RecentGraphs.add(uuid, data.name || '');
+                assetUuidInput.value = uuid;
+                RenderGraphViewer.Permalink.setAssetSource(uuid, data);
+            }
+        });
+    });
+}
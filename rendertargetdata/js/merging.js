@@ -0,0 +1,201 @@
+// Pass merging report - consecutive render passes that could be merged or chained as subpasses,
+// with the attachment bandwidth it would save (see core/merging.js)
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    const Merging = window.RenderGraphMerging;
+    const { DEFAULT_FRAME_RATE } = window.RenderGraphResolution;
+    const { formatBytes } = window.RenderGraphMemory;
+
+    const KIND_LABELS = { merge: 'Merge', subpass: 'Subpass' };
+
+    // Module API
+    const mergingModule = vh.createViewModule('merging', {
+        init: function() {
+            this.container = document.getElementById('merging-panel');
+            this.frameRate = DEFAULT_FRAME_RATE;
+            this.analysis = null;
+            this.renderInitialState();
+        },
+
+        activate: function() {
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            const panel = document.getElementById('merging-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function() {
+            this.renderResults();
+        },
+
+        onResolutionChanged: function() {
+            const panel = document.getElementById('merging-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        renderInitialState: function() {
+            if (!this.container) return;
+            this.container.innerHTML = vh.createInfoMessage(
+                'Load a raw render graph to find render passes that could be merged.'
+            );
+        },
+
+        render: function() {
+            if (!app.analyzedData) {
+                this.renderInitialState();
+                return;
+            }
+
+            this.analysis = Merging.analyze(app.analyzedData, app.outputResolution());
+
+            this.container.innerHTML = '';
+            this.container.appendChild(this.createSettingsSection());
+            this.results = vh.createElement('div', 'merging-results');
+            this.container.appendChild(this.results);
+            this.renderResults();
+        },
+
+        createSettingsSection: function() {
+            const { resolution } = this.analysis;
+            const section = vh.createSection('Pass Merging');
+
+            section.appendChild(vh.createElement('div', 'editor-hint', {
+                textContent: 'Consecutive passes of one extent and sample count, where the second only reads the ' +
+                    'first pass\'s attachments at the pixel it shades, can keep those attachments in tile memory. ' +
+                    `Sizes are computed at the output resolution, ${resolution.width}×${resolution.height}.`
+            }));
+
+            const actions = vh.createElement('div', 'resolution-actions');
+            const fpsLabel = vh.createElement('label', '', { textContent: 'Frame rate' });
+            const fpsInput = vh.createElement('input', 'resolution-input', {
+                type: 'number', min: 1, step: 1, value: this.frameRate
+            });
+            fpsInput.addEventListener('input', () => {
+                const fps = parseInt(fpsInput.value);
+                if (fps > 0) {
+                    this.frameRate = fps;
+                    this.renderResults();
+                }
+            });
+            fpsLabel.appendChild(fpsInput);
+
+            const exportBtn = vh.createElement('button', '', { textContent: 'Export report', title: 'Download the report as JSON' });
+            exportBtn.addEventListener('click', () => this.exportReport());
+
+            actions.append(fpsLabel, exportBtn);
+            section.appendChild(actions);
+            return section;
+        },
+
+        // Opportunities involving a render target matching the search
+        getVisibleOpportunities: function() {
+            return this.analysis.opportunities.filter(opportunity =>
+                opportunity.attachments.some(attachment => app.renderTargetMatchesSearch(attachment.index)));
+        },
+
+        renderResults: function() {
+            if (!this.results || !this.analysis) return;
+
+            this.results.innerHTML = '';
+            this.results.appendChild(this.createSummarySection());
+            this.results.appendChild(this.createOpportunitiesSection());
+            this.results.appendChild(this.createNearMissesSection());
+        },
+
+        createSummarySection: function() {
+            const { passCount, opportunities, nearMisses, savedBytes } = this.analysis;
+            const section = vh.createSection('Summary');
+
+            section.appendChild(vh.createPropertyBox({
+                'Executed render passes': passCount,
+                'Opportunities': opportunities.length,
+                'Near misses': nearMisses.length,
+                'Saved / frame': formatBytes(savedBytes),
+                [`Saved @ ${this.frameRate} fps`]: `${formatBytes(savedBytes * this.frameRate)}/s`
+            }));
+
+            return section;
+        },
+
+        createOpportunitiesSection: function() {
+            const section = vh.createSection('Opportunities');
+            const opportunities = this.getVisibleOpportunities();
+
+            if (this.analysis.opportunities.length === 0) {
+                section.innerHTML += vh.createInfoMessage('No consecutive render passes can be merged.');
+                return section;
+            }
+            if (opportunities.length === 0) {
+                section.innerHTML += vh.createInfoMessage(`No opportunities involve render targets matching '${vh.escapeHtml(app.searchQuery().text)}'.`);
+                return section;
+            }
+
+            const passes = o => `${vh.escapeHtml(o.first.name)} → ${vh.escapeHtml(o.second.name)}` +
+                (o.intervening.length > 0
+                    ? `<div class="merging-note">Move first: ${o.intervening.map(name => vh.escapeHtml(name)).join(', ')}</div>`
+                    : '');
+
+            const attachments = o => o.attachments.map(a => {
+                const readers = a.readers.length > 0 ? ` <small>read by ${a.readers.map(name => vh.escapeHtml(name)).join(', ')}</small>` : '';
+                return `<div>${vh.escapeHtml(a.name)} ${vh.createBadge(a.relation === 'shared' ? 'SHARED' : 'INPUT', `merging-${a.relation}`)}` +
+                    `${readers} <small>${formatBytes(a.savedBytes)}</small></div>`;
+            }).join('');
+
+            section.innerHTML += vh.createTable(opportunities, [
+                { header: 'Render Passes', accessor: passes },
+                { header: 'Kind', accessor: o => vh.createBadge(KIND_LABELS[o.kind], `merging-${o.kind}`) },
+                { header: 'Confidence', accessor: o => vh.createBadge(o.confidence.toUpperCase(), `merging-confidence-${o.confidence}`) },
+                { header: 'Extent', accessor: o => `${o.width}×${o.height}, ${o.sampleCount}x` },
+                { header: 'Attachments', accessor: attachments },
+                { header: 'Saved / frame', accessor: o => formatBytes(o.savedBytes) },
+                { header: `Saved @ ${this.frameRate} fps`, accessor: o => `${formatBytes(o.savedBytes * this.frameRate)}/s` }
+            ]);
+
+            if (opportunities.some(o => o.confidence === 'medium')) {
+                section.appendChild(vh.createElement('div', 'editor-hint', {
+                    textContent: 'Medium confidence: the render target lacks INPUT_ATTACHMENT usage, so check that ' +
+                        'the shader only reads it at the pixel it shades.'
+                }));
+            }
+
+            return section;
+        },
+
+        createNearMissesSection: function() {
+            const section = vh.createSection('Near Misses');
+            const { nearMisses } = this.analysis;
+
+            if (nearMisses.length === 0) {
+                section.innerHTML += vh.createInfoMessage('No other consecutive passes exchange attachments.');
+                return section;
+            }
+
+            section.innerHTML += vh.createTable(nearMisses, [
+                { header: 'Render Passes', accessor: m => `${vh.escapeHtml(m.first.name)} → ${vh.escapeHtml(m.second.name)}` },
+                { header: 'Blocked by', accessor: m => m.reasons.map(reason => `<div>${vh.escapeHtml(reason)}</div>`).join('') }
+            ]);
+
+            return section;
+        },
+
+        exportReport: function() {
+            if (!this.analysis) return;
+
+            const report = {
+                ...this.analysis,
+                frameRate: this.frameRate,
+                savedPerSecond: this.analysis.savedBytes * this.frameRate
+            };
+            vh.downloadFile('rendergraph-pass-merging.json', JSON.stringify(report, null, 2));
+        }
+    });
+
+})(RenderGraphViewer);
@@ -8,14 +8,30 @@
         init: function() {
             // Initialize the container
             this.container = document.getElementById('nodegraph-panel');
-            this.currentSearchTerm = '';
+            // Parsed search query (see core/query.js)
+            this.query = app.searchQuery();
             this.graphData = null;
+            // Side-by-side diff of two graphs, set by the diff view
+            this.diffContext = null;
+            // Overrides app.colorMap() while rendering a diff side
+            this.activeColorMap = null;
+            // 'list' shows nodes in execution order, 'layers' their dependency DAG levels
+            this.viewMode = 'list';
+            // Index of the node picked by clicking it, kept across view modes
+            this.selectedNode = null;
+            this.dependencies = null;
+            this.dependenciesSource = null;
 
             if (!this.container) {
                 console.error('Node graph container not found');
                 return;
             }
 
+            // View mode toggle and diagram export toolbar
+            const toolbar = this.createExportToolbar();
+            toolbar.insertBefore(this.createViewModeToggle(), toolbar.firstChild);
+            this.container.appendChild(toolbar);
+
             // Create inner container for the visualization
             this.vizContainer = vh.createElement('div', 'nodegraph-container');
             this.container.appendChild(this.vizContainer);
@@ -99,16 +115,100 @@
             this.tooltip = document.getElementById('nodegraph-tooltip');
         },
 
+        createViewModeToggle: function() {
+            const toggle = vh.createElement('div', 'nodegraph-view-toggle');
+            [['list', 'Execution Order'], ['layers', 'Dependency Layers']].forEach(([mode, label]) => {
+                const button = vh.createElement('button', mode === this.viewMode ? 'active' : '', {
+                    textContent: label,
+                    dataset: { mode }
+                });
+                button.addEventListener('click', () => this.setViewMode(mode));
+                toggle.appendChild(button);
+            });
+            return toggle;
+        },
+
+        setViewMode: function(mode) {
+            if (mode !== 'list' && mode !== 'layers') return;
+            this.viewMode = mode;
+            this.container.querySelectorAll('.nodegraph-view-toggle button').forEach(button => {
+                button.classList.toggle('active', button.dataset.mode === mode);
+            });
+            if (this.container.classList.contains('active')) {
+                this.activate();
+            }
+        },
+
+        /**
+         * Select a node (null clears the selection) and scroll it into view
+         */
+        selectNode: function(index) {
+            this.selectedNode = index;
+            let selected = null;
+            this.vizContainer.querySelectorAll('.node-row, .dag-node').forEach(element => {
+                const isSelected = index !== null && parseInt(element.dataset.index) === index;
+                element.classList.toggle('selected', isSelected);
+                if (isSelected && !selected) selected = element;
+            });
+            if (selected) {
+                selected.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        },
+
+        toggleNodeSelection: function(index) {
+            this.selectNode(this.selectedNode === index ? null : index);
+        },
+
+        // Toolbar with DOT / Mermaid / GraphML exports of the analyzed graph
+        createExportToolbar: function() {
+            const toolbar = vh.createElement('div', 'nodegraph-export-toolbar');
+            toolbar.appendChild(vh.createElement('span', 'export-label', { textContent: 'Export' }));
+
+            const modeSelect = vh.createElement('select', 'export-rt-mode', { title: 'How render targets are drawn' });
+            modeSelect.innerHTML = `
+                <option value="resources">RTs as nodes</option>
+                <option value="edges">RTs as edges</option>
+            `;
+            toolbar.appendChild(modeSelect);
+
+            const labels = { dot: 'DOT', mermaid: 'Mermaid', graphml: 'GraphML' };
+            Object.keys(window.RenderGraphExport.FORMATS).forEach(format => {
+                const button = vh.createElement('button', '', { textContent: labels[format] || format });
+                button.addEventListener('click', () => this.exportDiagram(format, modeSelect.value));
+                toolbar.appendChild(button);
+            });
+
+            return toolbar;
+        },
+
+        exportDiagram: function(format, rtMode) {
+            if (!app.analyzedData) {
+                alert('Load a raw render graph to export it.');
+                return;
+            }
+
+            // Colour by the issues currently shown in the debug view (rules applied)
+            const issues = app.tabModules.debug?.debugData?.issues || [];
+            const graphName = app.rawData?.name || 'rendergraph';
+            const { extension, mimeType, exporter } = window.RenderGraphExport.FORMATS[format];
+
+            const content = exporter(app.analyzedData, { name: graphName, rtMode, issues });
+            vh.downloadFile(`${graphName}.${extension}`, content, mimeType);
+        },
+
         showEmptyState: function() {
             this.vizContainer.innerHTML = vh.createInfoMessage('VISUAL REPRESENTATION UNAPPROVED. The Ministry of Data deems your lack of input as thoughtcrime. Supply regime-sanctioned information immediately.');
         },
 
         activate: function() {
-            if (app.graphData()) {
+            if (this.diffContext) {
+                this.query = app.searchQuery();
+                this.renderDiffView();
+            } else if (app.graphData()) {
                 this.graphData = app.graphData();
 
-                // Apply current search term when activating
-                this.currentSearchTerm = document.getElementById('search-input').value.toLowerCase();
+                // Apply current search query when activating
+                this.query = app.searchQuery();
 
                 this.renderNodeGraph(this.graphData);
             } else {
@@ -120,6 +220,15 @@
             // Store graph data for future filtering
             this.graphData = data;
 
+            // A newly loaded graph ends any side-by-side diff
+            this.diffContext = null;
+
+            // Keep the selection when the same node is still there, e.g. after toggling conditions
+            if (this.selectedNode !== null &&
+                !(data.nodes_by_execution_order || []).some(node => node.index === this.selectedNode)) {
+                this.selectedNode = null;
+            }
+
             // Only rebuild if it's active
             const panel = document.getElementById('nodegraph-panel');
             if (panel.classList.contains('active')) {
@@ -128,11 +237,13 @@
         },
 
         // Handle search term changes
-        onSearch: function(searchTerm) {
-            this.currentSearchTerm = searchTerm;
+        onSearch: function(searchTerm, query) {
+            this.query = query;
 
-            // Re-render the graph with the current search term
-            if (this.graphData) {
+            // Re-render the graph with the current search query
+            if (this.diffContext) {
+                this.renderDiffView();
+            } else if (this.graphData) {
                 this.renderNodeGraph(this.graphData);
             }
         },
@@ -143,6 +254,11 @@
                 return;
             }
 
+            if (this.viewMode === 'layers') {
+                this.renderLayerView(data);
+                return;
+            }
+
             // Reset the container
             this.vizContainer.innerHTML = '';
             this.vizContainer.className = 'nodegraph-container';
@@ -154,115 +270,308 @@
             // Get nodes sorted by execution order
             const nodes = data.nodes_by_execution_order;
 
-            // Check if there's a search term to filter by render target names
-            const searchTerm = this.currentSearchTerm.toLowerCase();
-            const isFiltered = searchTerm.length > 0;
+            // Check if there's a search query to filter by
+            const query = this.query;
+            const isFiltered = !query.isEmpty;
 
             // Track if we have any matching nodes
             let matchCount = 0;
 
-            // If filtering, first build a map of render targets that match the search term
-            const matchingRenderTargets = new Set();
-            if (isFiltered && data.render_targets_by_first_usage) {
-                data.render_targets_by_first_usage.forEach(rt => {
-                    if (rt.name.toLowerCase().includes(searchTerm)) {
-                        matchingRenderTargets.add(rt.index);
-                    }
-                });
-            }
+            // If filtering, first build a map of render targets that match the search query
+            const matchingRenderTargets = this.getMatchingRenderTargets(data, query);
 
             // Create node rows
             nodes.forEach(node => {
-                // Skip viewport nodes during search as they never have render targets
-                if (isFiltered && node.type.value === 0) {
-                    return;
+                if (this.nodeMatchesSearch(node, data, query)) {
+                    const nodeRow = this.createNodeRow(node, data, matchingRenderTargets);
+                    graphElement.appendChild(nodeRow);
+                    matchCount++;
                 }
+            });
 
-                // Whether this node should be shown
-                let shouldShowNode = !isFiltered; // Show all nodes when not filtering
+            // Show message if no nodes match the search criteria
+            if (matchCount === 0 && isFiltered) {
+                graphElement.innerHTML = vh.createInfoMessage(`No nodes match '${query.text}'.`);
+            }
+        },
 
-                if (isFiltered) {
-                    // Check if any input targets match using the basic node data
-                    if (node.input_targets && node.input_targets.some(target =>
-                        matchingRenderTargets.has(target.index))) {
-                        shouldShowNode = true;
-                    }
+        // Build the dependency DAG lazily from the analyzed graph
+        getDependencies: function() {
+            if (!app.analyzedData || !window.RenderGraphDependencies) return null;
 
-                    // Check if any output targets match using the basic node data
-                    if (!shouldShowNode && node.output_targets && node.output_targets.some(target =>
-                        matchingRenderTargets.has(target.index))) {
-                        shouldShowNode = true;
-                    }
+            if (!this.dependencies || this.dependenciesSource !== app.analyzedData) {
+                this.dependenciesSource = app.analyzedData;
+                this.dependencies = window.RenderGraphDependencies.analyzeDependencies(app.analyzedData);
+            }
+            return this.dependencies;
+        },
 
-                    // More comprehensive check using all render target relationships
-                    if (!shouldShowNode) {
-                        // Scan through all render targets to check for relationships with this node
-                        for (const rt of data.render_targets_by_first_usage) {
-                            // Skip if this render target doesn't match search
-                            if (!matchingRenderTargets.has(rt.index)) continue;
-
-                            // Check ownership relationships (outputs/writes)
-                            if (rt.ownership) {
-                                for (const rel of rt.ownership) {
-                                    // Direct node relationship
-                                    if (rel.node_index === node.index) {
-                                        shouldShowNode = true;
-                                        break;
-                                    }
-
-                                    // Render pass relationship
-                                    if (node.render_pass_index !== undefined &&
-                                        node.render_pass_index !== null &&
-                                        rel.render_pass_index === node.render_pass_index) {
-                                        shouldShowNode = true;
-                                        break;
-                                    }
-                                }
-                            }
-
-                            // If we already found a match, no need to check readers
-                            if (shouldShowNode) break;
-
-                            // Check reader relationships (inputs/reads)
-                            if (rt.readers) {
-                                for (const rel of rt.readers) {
-                                    // Direct node relationship
-                                    if (rel.node_index === node.index) {
-                                        shouldShowNode = true;
-                                        break;
-                                    }
-
-                                    // Render pass relationship
-                                    if (node.render_pass_index !== undefined &&
-                                        node.render_pass_index !== null &&
-                                        rel.render_pass_index === node.render_pass_index) {
-                                        shouldShowNode = true;
-                                        break;
-                                    }
-                                }
-                            }
-
-                            // If we found a match, no need to check more render targets
-                            if (shouldShowNode) break;
-                        }
+        // Nodes arranged in columns by their level in the dependency DAG
+        renderLayerView: function(data) {
+            const deps = this.getDependencies();
+            this.vizContainer.innerHTML = '';
+            this.vizContainer.className = 'nodegraph-container';
+
+            if (!deps) {
+                this.vizContainer.innerHTML = vh.createInfoMessage('Dependency layers need a raw render graph.');
+                return;
+            }
+
+            const asyncCandidates = new Set(deps.asyncComputeCandidates.map(c => c.node));
+            const maxWidth = deps.levels.reduce((max, level) => Math.max(max, level.length), 0);
+
+            this.vizContainer.appendChild(vh.createPropertyBox({
+                'Levels': deps.levels.length,
+                'Critical Path': `${deps.criticalPath.length} nodes`,
+                'Max Parallel': maxWidth,
+                'Async Compute Candidates': asyncCandidates.size,
+                'Reorderable Nodes': deps.reorderable.length
+            }));
+
+            const query = this.query;
+            const matchingRenderTargets = this.getMatchingRenderTargets(data, query);
+            const viewNodes = {};
+            data.nodes_by_execution_order.forEach(node => { viewNodes[node.index] = node; });
+
+            const layers = vh.createElement('div', 'dag-layers');
+            deps.levels.forEach((indices, level) => {
+                const column = vh.createElement('div', 'dag-level');
+                column.appendChild(vh.createElement('div', 'dag-level-header', { textContent: `Level ${level}` }));
+
+                indices.forEach(index => {
+                    const entry = deps.nodes[index];
+                    const viewNode = viewNodes[index];
+                    const card = vh.createElement('div', 'dag-node', { dataset: { index } });
+
+                    if (entry.onCriticalPath) card.classList.add('critical');
+                    if (index === this.selectedNode) card.classList.add('selected');
+                    if (viewNode && !this.nodeMatchesSearch(viewNode, data, query)) {
+                        card.classList.add('dimmed');
                     }
-                }
 
-                if (shouldShowNode) {
-                    const nodeRow = this.createNodeRow(node, data, matchingRenderTargets);
-                    graphElement.appendChild(nodeRow);
-                    matchCount++;
+                    const badges = [];
+                    if (entry.slack > 0) badges.push(vh.createBadge(`slack ${entry.slack}`, 'dag-slack-badge'));
+                    if (asyncCandidates.has(index)) badges.push(vh.createBadge('async', 'dag-async-badge'));
+
+                    card.innerHTML = `
+                        <div class="node-header"><span class="node-order">#${entry.executionOrder}</span> ${entry.name}</div>
+                        <div class="dag-node-meta"><span class="node-type-badge">${viewNode ? viewNode.type.name : entry.type}</span>${badges.join('')}</div>
+                        ${viewNode && viewNode.render_pass ? `<div class="node-render-pass">Pass: ${viewNode.render_pass}</div>` : ''}
+                    `;
+
+                    card.addEventListener('mouseenter', (e) => this.highlightDependencies(layers, deps, index, e));
+                    card.addEventListener('mouseleave', () => this.highlightDependencies(layers, deps, null));
+                    card.addEventListener('click', () => this.toggleNodeSelection(index));
+                    card.addEventListener('dblclick', () => app.tabModules.details.inspectNode(index));
+                    column.appendChild(card);
+                });
+
+                layers.appendChild(column);
+            });
+            this.vizContainer.appendChild(layers);
+
+            this.vizContainer.appendChild(this.createDependencyTables(deps, asyncCandidates));
+        },
+
+        // Highlight the direct predecessors and successors of a node, with the reasons in the tooltip
+        highlightDependencies: function(layers, deps, index, event) {
+            layers.querySelectorAll('.dag-node').forEach(card => {
+                card.classList.remove('dag-pred', 'dag-succ', 'dag-focus');
+            });
+
+            if (index === null) {
+                if (this.tooltip) this.tooltip.style.display = 'none';
+                return;
+            }
+
+            const entry = deps.nodes[index];
+            const mark = (indices, cls) => indices.forEach(i => {
+                const card = layers.querySelector(`.dag-node[data-index="${i}"]`);
+                if (card) card.classList.add(cls);
+            });
+            mark([index], 'dag-focus');
+            mark(entry.predecessors, 'dag-pred');
+            mark(entry.successors, 'dag-succ');
+
+            if (!this.tooltip) return;
+
+            const describe = edge => {
+                const rts = edge.renderTargets.length > 0 ? `: ${edge.renderTargets.join(', ')}` : '';
+                return `${edge.kinds.join('/')}${rts}`;
+            };
+            const incoming = deps.edges.filter(edge => edge.to === index)
+                .map(edge => `<div>${deps.nodes[edge.from].name} <small>(${describe(edge)})</small></div>`);
+
+            this.tooltip.innerHTML = `
+                <div class="tooltip-header">${entry.name}</div>
+                <div class="tooltip-content">
+                    <div><strong>Level:</strong> ${entry.level} (latest ${entry.latestLevel})</div>
+                    <div><strong>Allowed order:</strong> #${entry.earliestOrder} - #${entry.latestOrder} (now #${entry.executionOrder})</div>
+                    <div><strong>Depends on:</strong> ${incoming.length > 0 ? '' : 'nothing'}</div>
+                    ${incoming.join('')}
+                </div>
+            `;
+            this.tooltip.style.display = 'block';
+            this.tooltip.style.left = (event.pageX + 15) + 'px';
+            this.tooltip.style.top = (event.pageY + 15) + 'px';
+        },
+
+        createDependencyTables: function(deps, asyncCandidates) {
+            const wrapper = vh.createElement('div', 'dag-tables');
+            const name = index => deps.nodes[index].name;
+
+            const asyncSection = vh.createSection('Async Compute Candidates');
+            asyncSection.innerHTML += asyncCandidates.size > 0
+                ? vh.createTable(deps.asyncComputeCandidates, [
+                    { header: 'Compute Node', accessor: c => name(c.node) },
+                    { header: 'Could Overlap With', accessor: c => c.overlaps.map(name).join(', ') }
+                ])
+                : vh.createInfoMessage('No compute node is independent of the graphics work.');
+            wrapper.appendChild(asyncSection);
+
+            const orderSection = vh.createSection('Ordering Stricter Than Needed');
+            orderSection.innerHTML += deps.reorderable.length > 0
+                ? vh.createTable(deps.reorderable, [
+                    { header: 'Node', accessor: r => name(r.node) },
+                    { header: 'Order', accessor: r => `#${r.executionOrder}` },
+                    { header: 'Could Run At', accessor: r => `#${r.earliestOrder} - #${r.latestOrder}` }
+                ])
+                : vh.createInfoMessage('Every node is pinned in place by its dependencies.');
+            wrapper.appendChild(orderSection);
+
+            return wrapper;
+        },
+
+        // Show two graphs side by side with changed nodes highlighted
+        // diffContext: { diff, base: { label, viewData }, target: { label, viewData } }
+        showDiff: function(diffContext) {
+            this.diffContext = diffContext;
+
+            const panel = document.getElementById('nodegraph-panel');
+            if (panel.classList.contains('active')) {
+                this.renderDiffView();
+            }
+        },
+
+        clearDiff: function() {
+            this.diffContext = null;
+            this.activate();
+        },
+
+        renderDiffView: function() {
+            const { diff, base, target } = this.diffContext;
+
+            this.vizContainer.innerHTML = '';
+            this.vizContainer.className = 'nodegraph-container';
+
+            const toolbar = vh.createElement('div', 'nodegraph-diff-toolbar');
+            toolbar.innerHTML = `
+                <span class="badge diff-badge added">Added</span>
+                <span class="badge diff-badge removed">Removed</span>
+                <span class="badge diff-badge modified">Modified</span>
+            `;
+            const exitBtn = vh.createElement('button', '', { textContent: 'Exit Diff' });
+            exitBtn.addEventListener('click', () => this.clearDiff());
+            toolbar.appendChild(exitBtn);
+            this.vizContainer.appendChild(toolbar);
+
+            // Color render targets by name so the same RT looks the same on both sides
+            const names = [...new Set([
+                ...base.viewData.render_targets_by_first_usage.map(rt => rt.name),
+                ...target.viewData.render_targets_by_first_usage.map(rt => rt.name)
+            ])];
+            const colorsByName = {};
+            names.forEach((name, index) => {
+                const hue = Math.floor((index * 137.5) % 360);
+                colorsByName[name] = `hsl(${hue}, ${65 + (index % 2) * 10}%, ${45 + (index % 3) * 5}%)`;
+            });
+
+            const columns = vh.createElement('div', 'nodegraph-diff');
+            columns.appendChild(this.createDiffSide(base, diff.nodeStatus.base, diff, 'base', colorsByName));
+            columns.appendChild(this.createDiffSide(target, diff.nodeStatus.target, diff, 'target', colorsByName));
+            this.vizContainer.appendChild(columns);
+        },
+
+        createDiffSide: function(side, nodeStatus, diff, sideName, colorsByName) {
+            const data = side.viewData;
+            const column = vh.createElement('div', 'nodegraph-diff-side');
+            column.appendChild(vh.createElement('h3', '', { textContent: side.label }));
+
+            const graphElement = vh.createElement('div', 'node-graph');
+            column.appendChild(graphElement);
+
+            const query = this.query;
+            const matchingRenderTargets = this.getMatchingRenderTargets(data, query);
+
+            // Execution order shifts keyed by the node index on this side
+            const entries = [...diff.nodes.modified, ...diff.nodes.unchanged];
+            const shifts = {};
+            diff.executionOrder.forEach(shift => {
+                const entry = entries.find(e => e.key === shift.key);
+                if (entry) shifts[sideName === 'base' ? entry.baseIndex : entry.targetIndex] = shift.delta;
+            });
+
+            this.activeColorMap = {};
+            data.render_targets_by_first_usage.forEach(rt => {
+                this.activeColorMap[rt.index] = colorsByName[rt.name];
+            });
+
+            data.nodes_by_execution_order.forEach(node => {
+                if (!this.nodeMatchesSearch(node, data, query)) return;
+
+                const nodeRow = this.createNodeRow(node, data, matchingRenderTargets);
+                const status = nodeStatus[node.index];
+                const header = nodeRow.querySelector('.node-header');
+
+                if (status) {
+                    nodeRow.classList.add(`diff-${status}`);
+                    header.insertAdjacentHTML('beforeend', ` ${vh.createBadge(status, `diff-badge ${status}`)}`);
+                }
+                if (sideName === 'target' && shifts[node.index]) {
+                    const delta = shifts[node.index];
+                    header.insertAdjacentHTML('beforeend',
+                        ` <span class="diff-order-shift">${delta > 0 ? '+' : ''}${delta}</span>`);
                 }
+
+                graphElement.appendChild(nodeRow);
             });
 
-            // Show message if no nodes match the search criteria
-            if (matchCount === 0 && isFiltered) {
-                graphElement.innerHTML = vh.createInfoMessage(`No render targets match '${this.currentSearchTerm}'.`);
+            this.activeColorMap = null;
+
+            if (graphElement.children.length === 0) {
+                graphElement.innerHTML = vh.createInfoMessage(!query.isEmpty
+                    ? `No nodes match '${query.text}'.`
+                    : 'No nodes.');
             }
+
+            return column;
+        },
+
+        // Build the set of render target indices matching the search query
+        getMatchingRenderTargets: function(data, query) {
+            const matchingRenderTargets = new Set();
+            if (!query.isEmpty && data.render_targets_by_first_usage) {
+                const context = window.RenderGraphQuery.createContext(data);
+                data.render_targets_by_first_usage.forEach(rt => {
+                    if (window.RenderGraphQuery.matchRenderTarget(query, rt, context)) {
+                        matchingRenderTargets.add(rt.index);
+                    }
+                });
+            }
+            return matchingRenderTargets;
+        },
+
+        // Check whether a node matches the search, by itself or through the render targets it and its pass use
+        nodeMatchesSearch: function(node, data, query) {
+            if (query.isEmpty) return true;
+            return window.RenderGraphQuery.matchNode(query, node, window.RenderGraphQuery.createContext(data));
         },
 
         createNodeRow: function(node, data, matchingRenderTargets) {
-            const rowContainer = vh.createElement('div', 'node-row');
+            const rowContainer = vh.createElement('div', 'node-row', { dataset: { index: node.index } });
+            if (!this.diffContext && node.index === this.selectedNode) {
+                rowContainer.classList.add('selected');
+            }
 
             // Create the node element
             const nodeElement = vh.createElement('div', 'node-element');
@@ -314,6 +623,11 @@
                 }
             });
 
+            if (!this.diffContext) {
+                nodeElement.addEventListener('click', () => this.toggleNodeSelection(node.index));
+                nodeElement.addEventListener('dblclick', () => app.tabModules.details.inspectNode(node.index));
+            }
+
             // Add to row
             rowContainer.appendChild(nodeElement);
 
@@ -482,8 +796,9 @@
             }
 
             // Use the color map for background color if available
-            if (renderTarget.index !== undefined && app.colorMap()[renderTarget.index]) {
-                const backgroundColor = app.colorMap()[renderTarget.index];
+            const colors = this.activeColorMap || app.colorMap();
+            if (renderTarget.index !== undefined && colors[renderTarget.index]) {
+                const backgroundColor = colors[renderTarget.index];
                 targetElement.style.backgroundColor = backgroundColor;
 
                 // Calculate brightness and choose appropriate text color
@@ -0,0 +1,226 @@
+// Permalinks - "Copy link" and restoring the graph and view from the URL hash
+(function(app) {
+    const { buildHash, parseHash, encodeJson, decodeJson, getGraphKey, fitsInUrl } = window.RenderGraphPermalink;
+
+    // IndexedDB store holding graphs too large to embed in a link
+    const STORE = 'permalinks';
+    const COPIED_DELAY = 2000;
+
+    app.Permalink = {
+        button: document.getElementById('copy-link-btn'),
+        // Asset the loaded graph came from: { uuid, data }
+        assetSource: null,
+        // State of an asset link waiting for the asset to be fetched
+        pendingState: null,
+        copiedTimer: null,
+
+        init: function() {
+            if (this.button) {
+                this.button.addEventListener('click', () => this.copyLink());
+            }
+
+            // Links pasted into the address bar of an open viewer
+            window.addEventListener('hashchange', () => this.restore(location.hash));
+        },
+
+        /**
+         * Remember the asset a graph was fetched from, so links name the asset instead of embedding it
+         * Opens the pending link of that asset, if any
+         */
+        setAssetSource: function(uuid, data) {
+            this.assetSource = { uuid, data };
+
+            const state = this.pendingState;
+            if (state && state.asset === uuid) {
+                this.pendingState = null;
+                this.open(data, state);
+            }
+        },
+
+        // The loaded graph is still the fetched asset, or follows it live
+        isAssetLoaded: function() {
+            if (!this.assetSource || !app.rawData) return false;
+            if (this.assetSource.data === app.rawData) return true;
+            return !!app.LiveSession && app.LiveSession.isActive() && app.LiveSession.lastApplied === app.rawData;
+        },
+
+        captureState: function() {
+            const graph = app.graphData();
+            const activeTab = Array.from(app.elements.tabs).find(tab => tab.classList.contains('active'));
+            const state = {
+                tab: activeTab ? activeTab.dataset.tab : null,
+                search: app.elements.searchInput.value,
+                conditions: app.activeConditions || null,
+                resolution: app.outputResolution()
+            };
+
+            const activeItem = document.querySelector('.render-target-item.active');
+            if (activeItem && graph) {
+                const rt = graph.render_targets_by_first_usage.find(rt => rt.index === parseInt(activeItem.dataset.index));
+                if (rt) state.renderTarget = rt.name;
+            }
+
+            const nodegraph = app.tabModules.nodegraph;
+            if (nodegraph) {
+                if (nodegraph.viewMode !== 'list') state.viewMode = nodegraph.viewMode;
+                const node = graph && nodegraph.selectedNode !== null
+                    ? graph.nodes_by_execution_order.find(n => n.index === nodegraph.selectedNode)
+                    : null;
+                if (node) state.node = node.name;
+            }
+
+            return state;
+        },
+
+        /**
+         * Build a link to the loaded graph and the current view
+         * @returns {Promise<Object>} { url, mode: 'asset' | 'embedded' | 'local' }
+         */
+        createLink: async function() {
+            if (!app.rawData) throw new Error('Load a render graph first');
+
+            const state = this.captureState();
+            const base = location.href.split('#')[0];
+
+            if (this.isAssetLoaded()) {
+                return { url: base + buildHash({ ...state, asset: this.assetSource.uuid }), mode: 'asset' };
+            }
+
+            const embedded = buildHash({ ...state, graph: await encodeJson(app.rawData) });
+            if (fitsInUrl(embedded, base)) {
+                return { url: base + embedded, mode: 'embedded' };
+            }
+
+            // Too large for a URL: keep a copy in this browser and link to it
+            const key = getGraphKey(app.rawData);
+            await app.Storage.put(STORE, key, {
+                name: app.rawData.name || '',
+                description: app.rawData,
+                savedAt: Date.now()
+            });
+            return { url: base + buildHash({ ...state, local: key }), mode: 'local' };
+        },
+
+        copyLink: async function() {
+            let link;
+            try {
+                link = await this.createLink();
+            } catch (error) {
+                alert('Could not create a link: ' + error.message);
+                return;
+            }
+
+            // Keep the address bar in sync; replaceState does not fire hashchange
+            history.replaceState(null, '', link.url);
+
+            try {
+                await navigator.clipboard.writeText(link.url);
+            } catch (err) {
+                window.prompt('Copy this link:', link.url);
+                return;
+            }
+
+            this.showCopied(link.mode);
+        },
+
+        showCopied: function(mode) {
+            if (!this.button) return;
+
+            clearTimeout(this.copiedTimer);
+            this.button.textContent = mode === 'local' ? 'Copied (this browser only)' : 'Copied!';
+            this.button.classList.add('copied');
+            if (mode === 'local') {
+                console.log('The graph is too large for a URL; the link refers to a copy stored in this browser');
+            }
+
+            this.copiedTimer = setTimeout(() => {
+                this.button.textContent = 'Copy link';
+                this.button.classList.remove('copied');
+            }, COPIED_DELAY);
+        },
+
+        /**
+         * Open the graph and view named by a URL hash
+         * @returns {Promise<boolean>} False if the hash holds no permalink or it could not be opened
+         */
+        restore: async function(hash) {
+            const state = parseHash(hash);
+            if (!state) return false;
+
+            try {
+                if (state.graph) {
+                    this.open(await decodeJson(state.graph), state);
+                } else if (state.local) {
+                    const entry = await app.Storage.get(STORE, state.local);
+                    if (!entry) {
+                        throw new Error('The linked graph was stored in another browser. Ask for the JSON file or an asset link instead.');
+                    }
+                    this.open(entry.description, state);
+                } else if (state.asset) {
+                    // A link never sends the saved token by itself: the user confirms with Fetch,
+                    // and the view state is applied once that asset arrives
+                    this.pendingState = state;
+                    document.getElementById('asset-uuid-input').value = state.asset;
+                    this.promptFetch();
+                } else {
+                    // View state only: applies to the graph already loaded
+                    this.applyViewState(state);
+                }
+            } catch (error) {
+                console.error('Permalink error:', error);
+                alert('Could not open the link: ' + error.message);
+                return false;
+            }
+
+            return true;
+        },
+
+        // Point at the Fetch button until it is pressed
+        promptFetch: function() {
+            const fetchBtn = document.getElementById('fetch-asset-btn');
+            fetchBtn.classList.add('pending-link');
+            fetchBtn.title = 'Fetch the linked asset';
+            fetchBtn.focus();
+            fetchBtn.addEventListener('click', () => {
+                fetchBtn.classList.remove('pending-link');
+                fetchBtn.title = '';
+            }, { once: true });
+        },
+
+        open: function(data, state) {
+            app.FileHandler.processRawRenderGraph(data, { conditions: state.conditions || null, keepTab: true });
+
+            // Invalid graphs are reported by the file handler
+            if (app.rawData !== data) return;
+            this.applyViewState(state);
+        },
+
+        applyViewState: function(state) {
+            const graph = app.graphData();
+            const nodegraph = app.tabModules.nodegraph;
+
+            if (state.resolution) {
+                app.setOutputResolution(state.resolution.width, state.resolution.height);
+            }
+
+            if (nodegraph) {
+                if (state.viewMode) nodegraph.setViewMode(state.viewMode);
+                const node = state.node && graph
+                    ? graph.nodes_by_execution_order.find(n => n.name === state.node)
+                    : null;
+                nodegraph.selectedNode = node ? node.index : null;
+            }
+
+            const knownTab = Array.from(app.elements.tabs).some(tab => tab.dataset.tab === state.tab);
+            app.setSearchAndSwitchTab(state.search || '', knownTab ? state.tab : 'details');
+
+            if (state.renderTarget && app.tabModules.details) {
+                app.tabModules.details.selectRenderTargetByName(state.renderTarget);
+            }
+            if (nodegraph && nodegraph.selectedNode !== null) {
+                nodegraph.selectNode(nodegraph.selectedNode);
+            }
+        }
+    };
+
+})(RenderGraphViewer);
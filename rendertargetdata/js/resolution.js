@@ -0,0 +1,359 @@
+// Resolution simulator - render target sizes, memory and attachment traffic at other output resolutions
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    const { PRESETS, DEFAULT_FRAME_RATE, findPreset, describeScale, simulate } = window.RenderGraphResolution;
+    const { formatBytes } = window.RenderGraphMemory;
+
+    const CUSTOM = 'custom';
+
+    // Module API
+    const resolutionModule = vh.createViewModule('resolution', {
+        init: function() {
+            this.container = document.getElementById('resolution-panel');
+            // The first viewport is the viewer's output resolution, the others simulate extra views
+            const output = app.outputResolution();
+            this.viewports = [{ name: 'Output', width: output.width, height: output.height }];
+            this.selectedViewport = 0;
+            this.frameRate = DEFAULT_FRAME_RATE;
+            // What-if scale factors by render target index: { x, y }
+            this.scales = {};
+            this.results = null;
+            this.renderInitialState();
+        },
+
+        activate: function() {
+
+            // The output resolution may have been changed from the statistics view meanwhile
+            const output = app.outputResolution();
+            this.viewports[0].width = output.width;
+            this.viewports[0].height = output.height;
+            this.render();
+        },
+
+        onDataLoaded: function() {
+            // Overrides are tied to the render target indices of the previous graph
+            this.scales = {};
+            const panel = document.getElementById('resolution-panel');
+            if (panel.classList.contains('active')) {
+                this.render();
+            }
+        },
+
+        onSearch: function() {
+            this.renderResults();
+        },
+
+        onResolutionChanged: function(resolution) {
+            const output = this.viewports[0];
+            if (output.width === resolution.width && output.height === resolution.height) return;
+            output.width = resolution.width;
+            output.height = resolution.height;
+            this.render();
+        },
+
+        renderInitialState: function() {
+            if (!this.container) return;
+            this.container.innerHTML = vh.createInfoMessage(
+                'Load a raw render graph to simulate it at other output resolutions.'
+            );
+        },
+
+        render: function() {
+            if (!app.analyzedData) {
+                this.renderInitialState();
+                return;
+            }
+
+            this.container.innerHTML = '';
+            this.container.appendChild(this.createViewportSection());
+            this.results = vh.createElement('div', 'resolution-results');
+            this.container.appendChild(this.results);
+            this.renderResults();
+        },
+
+        // Change a viewport, keeping the viewer's output resolution in sync with the first one
+        updateViewport: function(index, fields) {
+            Object.assign(this.viewports[index], fields);
+            if (index === 0 && ('width' in fields || 'height' in fields)) {
+                app.setOutputResolution(this.viewports[0].width, this.viewports[0].height);
+            }
+            this.renderResults();
+        },
+
+        createViewportSection: function() {
+            const section = vh.createSection('Viewports');
+
+            const list = vh.createElement('div', 'resolution-viewports');
+            this.viewports.forEach((viewport, index) => {
+                list.appendChild(this.createViewportRow(viewport, index));
+            });
+            section.appendChild(list);
+
+            const actions = vh.createElement('div', 'resolution-actions');
+            const addBtn = vh.createElement('button', '', { textContent: 'Add viewport' });
+            addBtn.addEventListener('click', () => {
+                const last = this.viewports[this.viewports.length - 1];
+                this.viewports.push({ name: `Viewport ${this.viewports.length + 1}`, width: last.width, height: last.height });
+                this.render();
+            });
+
+            const fpsLabel = vh.createElement('label', '', { textContent: 'Frame rate' });
+            const fpsInput = vh.createElement('input', 'resolution-input', {
+                type: 'number', min: 1, step: 1, value: this.frameRate
+            });
+            fpsInput.addEventListener('input', () => {
+                const fps = parseInt(fpsInput.value);
+                if (fps > 0) {
+                    this.frameRate = fps;
+                    this.renderResults();
+                }
+            });
+            fpsLabel.appendChild(fpsInput);
+
+            actions.append(addBtn, fpsLabel);
+            section.appendChild(actions);
+            return section;
+        },
+
+        createViewportRow: function(viewport, index) {
+            const row = vh.createElement('div', 'resolution-controls');
+
+            const nameInput = vh.createElement('input', 'resolution-input resolution-name', {
+                type: 'text', value: viewport.name, disabled: index === 0,
+                title: index === 0 ? 'The viewer output resolution, shared with the statistics view' : ''
+            });
+            nameInput.addEventListener('input', () => this.updateViewport(index, { name: nameInput.value }));
+
+            const presetSelect = vh.createElement('select', 'resolution-input resolution-preset');
+            const current = findPreset(viewport.width, viewport.height);
+            PRESETS.forEach(preset => {
+                presetSelect.appendChild(vh.createElement('option', '', {
+                    value: preset.id,
+                    textContent: `${preset.label} (${preset.width}×${preset.height})`,
+                    selected: current === preset
+                }));
+            });
+            presetSelect.appendChild(vh.createElement('option', '', {
+                value: CUSTOM, textContent: 'Custom', selected: !current
+            }));
+
+            const widthInput = vh.createElement('input', 'resolution-input', { type: 'number', min: 1, value: viewport.width });
+            const heightInput = vh.createElement('input', 'resolution-input', { type: 'number', min: 1, value: viewport.height });
+
+            presetSelect.addEventListener('change', () => {
+                const preset = PRESETS.find(p => p.id === presetSelect.value);
+                if (!preset) return;
+                widthInput.value = preset.width;
+                heightInput.value = preset.height;
+                this.updateViewport(index, { width: preset.width, height: preset.height });
+            });
+
+            [widthInput, heightInput].forEach(input => {
+                input.addEventListener('input', () => {
+                    const width = parseInt(widthInput.value);
+                    const height = parseInt(heightInput.value);
+                    if (!(width > 0 && height > 0)) return;
+                    const preset = findPreset(width, height);
+                    presetSelect.value = preset ? preset.id : CUSTOM;
+                    this.updateViewport(index, { width, height });
+                });
+            });
+
+            row.append(nameInput, presetSelect, widthInput, vh.createElement('span', '', { textContent: '×' }), heightInput);
+
+            if (index > 0) {
+                const removeBtn = vh.createElement('button', 'resolution-remove-btn', { textContent: 'Remove' });
+                removeBtn.addEventListener('click', () => {
+                    this.viewports.splice(index, 1);
+                    this.selectedViewport = Math.min(this.selectedViewport, this.viewports.length - 1);
+                    this.render();
+                });
+                row.appendChild(removeBtn);
+            }
+
+            return row;
+        },
+
+        renderResults: function() {
+            if (!this.results || !app.analyzedData) return;
+
+            const simulation = simulate(app.analyzedData, this.viewports, {
+                scales: this.scales,
+                frameRate: this.frameRate
+            });
+            const viewport = simulation.viewports[this.selectedViewport] || simulation.viewports[0];
+
+            this.results.innerHTML = '';
+            this.results.appendChild(this.createSummarySection(simulation));
+            this.results.appendChild(this.createTargetsSection(simulation, viewport));
+            this.results.appendChild(this.createTrafficSection(viewport));
+        },
+
+        createSummarySection: function(simulation) {
+            const section = vh.createSection('Summary');
+
+            section.innerHTML += vh.createTable(simulation.viewports, [
+                { header: 'Viewport', accessor: v => v.name },
+                { header: 'Resolution', accessor: v => `${v.width}×${v.height}` },
+                { header: 'Memory', accessor: v => formatBytes(v.memoryBytes) },
+                { header: 'Used RTs', accessor: v => formatBytes(v.usedBytes) },
+                { header: 'Loads / frame', accessor: v => formatBytes(v.loadBytes) },
+                { header: 'Stores / frame', accessor: v => formatBytes(v.storeBytes) },
+                { header: `Bandwidth @ ${simulation.frameRate} fps`, accessor: v =>
+                    `${formatBytes(v.bandwidthBytes * simulation.frameRate)}/s` }
+            ]);
+
+            if (simulation.viewports.length > 1) {
+                section.appendChild(vh.createPropertyBox({
+                    'Total memory': formatBytes(simulation.memoryBytes),
+                    'Total traffic / frame': formatBytes(simulation.bandwidthBytes),
+                    'Total bandwidth': `${formatBytes(simulation.bandwidthPerSecond)}/s`
+                }));
+            }
+
+            return section;
+        },
+
+        createTargetsSection: function(simulation, viewport) {
+            const section = vh.createSection('Render Targets');
+
+            const toolbar = vh.createElement('div', 'resolution-actions');
+            if (simulation.viewports.length > 1) {
+                const viewportSelect = vh.createElement('select', 'resolution-input resolution-preset');
+                simulation.viewports.forEach((v, index) => {
+                    viewportSelect.appendChild(vh.createElement('option', '', {
+                        value: index, textContent: `${v.name} (${v.width}×${v.height})`, selected: v === viewport
+                    }));
+                });
+                viewportSelect.addEventListener('change', () => {
+                    this.selectedViewport = parseInt(viewportSelect.value);
+                    this.renderResults();
+                });
+                toolbar.appendChild(viewportSelect);
+            }
+
+            const overrides = Object.keys(this.scales).length;
+            if (overrides > 0) {
+                const resetBtn = vh.createElement('button', '', { textContent: `Reset scale overrides (${overrides})` });
+                resetBtn.addEventListener('click', () => {
+                    this.scales = {};
+                    this.renderResults();
+                });
+                toolbar.appendChild(resetBtn);
+            }
+            toolbar.appendChild(vh.createElement('span', 'editor-hint', {
+                textContent: 'Edit a scale factor to see what it would cost; the graph itself is not changed.'
+            }));
+            section.appendChild(toolbar);
+
+            const targets = viewport.targets
+                .filter(t => app.renderTargetMatchesSearch(t.index))
+                .sort((a, b) => b.bytes - a.bytes);
+
+            if (targets.length === 0) {
+                section.appendChild(vh.createElement('div', 'info-message', {
+                    textContent: `No render targets match '${app.searchQuery().text}'.`
+                }));
+                return section;
+            }
+
+            const table = vh.createElement('table', 'resolution-table');
+            table.innerHTML = '<thead><tr><th>Render Target</th><th>Scale</th><th>Dimensions</th><th>Mip Chain</th>' +
+                '<th>Samples</th><th>Size</th><th>Share</th></tr></thead>';
+            const body = vh.createElement('tbody');
+
+            targets.forEach(target => {
+                const row = vh.createElement('tr', target.overridden ? 'scale-overridden' : '');
+                const cell = (...children) => {
+                    const td = vh.createElement('td');
+                    td.append(...children);
+                    row.appendChild(td);
+                    return td;
+                };
+
+                const name = vh.createElement('span', 'clickable-rt', { textContent: target.name });
+                name.addEventListener('click', () => app.setSearchAndSwitchTab(target.name, 'details'));
+                cell(name);
+                cell(this.createScaleInputs(target));
+
+                cell(target.depth > 1
+                    ? `${target.width}×${target.height}×${target.depth}`
+                    : `${target.width}×${target.height}`);
+                cell(target.mips.length > 1
+                    ? target.mips.map(mip => `${mip.width}×${mip.height}`).join(' → ')
+                    : '-');
+                cell(`${target.sampleCount}x`);
+                cell(target.known ? formatBytes(target.bytes) : 'Unknown');
+                cell(viewport.memoryBytes > 0 ? `${(target.bytes / viewport.memoryBytes * 100).toFixed(1)}%` : '-');
+
+                body.appendChild(row);
+            });
+
+            table.appendChild(body);
+            section.appendChild(table);
+            return section;
+        },
+
+        createScaleInputs: function(target) {
+            const wrapper = vh.createElement('span', 'resolution-scale', {
+                title: `Graph: ${describeScale(app.analyzedData.renderTargets[target.index].getResolutionDescription())}`
+            });
+
+            const inputs = ['x', 'y'].map(axis => {
+                const input = vh.createElement('input', 'resolution-input resolution-scale-input', {
+                    type: 'number', min: 0.01, step: 0.05, value: +target.scale[axis].toFixed(4)
+                });
+                input.addEventListener('change', () => {
+                    const x = parseFloat(inputs[0].value);
+                    const y = parseFloat(inputs[1].value);
+                    if (!(x > 0 && y > 0)) return;
+
+                    const own = app.analyzedData.renderTargets[target.index].getResolutionDescription();
+                    if (x === own.x && y === own.y) {
+                        delete this.scales[target.index];
+                    } else {
+                        this.scales[target.index] = { x, y };
+                    }
+                    this.renderResults();
+                });
+                return input;
+            });
+
+            wrapper.append(inputs[0], '×', inputs[1]);
+            return wrapper;
+        },
+
+        createTrafficSection: function(viewport) {
+            const section = vh.createSection(`Attachment Traffic (${viewport.name})`);
+
+            if (viewport.passes.length === 0) {
+                section.innerHTML += vh.createInfoMessage('No render passes executed.');
+                return section;
+            }
+
+            section.appendChild(vh.createElement('div', 'editor-hint', {
+                textContent: 'Estimated from usage: an attachment is loaded when its contents were written earlier ' +
+                    'or persist across frames, and stored when something reads it afterwards.'
+            }));
+
+            const ops = a => [
+                a.role === 'resolve' ? '' : vh.createBadge(a.load ? 'LOAD' : 'CLEAR', a.load ? 'traffic-load' : 'traffic-clear'),
+                vh.createBadge(a.store ? 'STORE' : 'DISCARD', a.store ? 'traffic-store' : 'traffic-discard')
+            ].join('');
+
+            section.innerHTML += vh.createTable(viewport.passes, [
+                { header: 'Render Pass', accessor: p => p.name },
+                { header: 'Attachments', accessor: p => p.attachments
+                    .map(a => `<div>${a.name} <small>(${a.role})</small> ${ops(a)}</div>`)
+                    .join('') },
+                { header: 'Loads', accessor: p => formatBytes(p.loadBytes) },
+                { header: 'Stores', accessor: p => formatBytes(p.storeBytes) }
+            ]);
+
+            return section;
+        }
+    });
+
+})(RenderGraphViewer);
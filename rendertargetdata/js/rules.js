@@ -0,0 +1,68 @@
+// Rules store - keeps the active debugger rules configuration in localStorage
+(function(app) {
+    const Rules = window.RenderGraphRules;
+
+    app.Rules = {
+        STORAGE_KEY: 'rendergraph_viewer_rules',
+        current: null,
+
+        // Get the active rules, loading them from localStorage on first use
+        get: function() {
+            if (!this.current) {
+                try {
+                    const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+                    this.current = stored ? Rules.normalizeRules(stored) : Rules.createRules();
+                } catch (e) {
+                    console.warn('Ignoring invalid stored rules:', e.message);
+                    this.current = Rules.createRules();
+                }
+            }
+            return this.current;
+        },
+
+        // Replace the active rules and re-validate the loaded graph
+        set: function(data) {
+            this.current = Rules.normalizeRules(data);
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.current));
+            } catch (e) { /* localStorage full or disabled */ }
+            this.refresh();
+        },
+
+        // Add a suppression for an issue of the loaded graph
+        suppressIssue: function(issue, scopeToGraph = false) {
+            const graphName = scopeToGraph ? (app.rawData?.name || null) : null;
+            const rules = this.get();
+            this.set({
+                ...rules,
+                suppressions: [...rules.suppressions, Rules.createSuppression(issue, graphName)]
+            });
+        },
+
+        // Remove a suppression by reference
+        removeSuppression: function(suppression) {
+            const rules = this.get();
+            this.set({ ...rules, suppressions: rules.suppressions.filter(s => s !== suppression) });
+        },
+
+        reset: function() {
+            this.set(Rules.createRules());
+        },
+
+        export: function() {
+            app.ViewHelper.downloadFile('rendergraph_rules.json', JSON.stringify(this.get(), null, 2));
+        },
+
+        // Re-run the checks on the loaded graph without leaving the current tab
+        refresh: function() {
+            if (app.rawData && app.FileHandler) {
+                app.FileHandler.processRawRenderGraph(app.rawData, {
+                    conditions: app.activeConditions,
+                    keepTab: true,
+                    inPlace: true
+                });
+            }
+        }
+    };
+
+})(RenderGraphViewer);
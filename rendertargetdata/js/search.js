@@ -0,0 +1,135 @@
+// Search box autocompletion for the structured query language (see core/query.js)
+(function(app) {
+    const vh = app.ViewHelper;
+    const Query = window.RenderGraphQuery;
+
+    app.SearchAutocomplete = {
+        input: null,
+        list: null,
+        suggestions: [],
+        selected: 0,
+        // Token being completed: { text, start, end }
+        token: null,
+
+        init: function() {
+            this.input = app.elements.searchInput;
+            if (!this.input) return;
+
+            this.list = vh.createElement('div', 'search-suggestions');
+            this.list.style.display = 'none';
+            this.input.parentNode.appendChild(this.list);
+
+            this.input.addEventListener('input', () => this.update());
+            this.input.addEventListener('focus', () => this.update());
+            this.input.addEventListener('click', () => this.update());
+            this.input.addEventListener('blur', () => this.hide());
+            this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+            // mousedown keeps the focus in the input, unlike click
+            this.list.addEventListener('mousedown', (e) => {
+                const item = e.target.closest('.search-suggestion');
+                if (!item) return;
+                e.preventDefault();
+                this.accept(parseInt(item.dataset.index));
+            });
+        },
+
+        // Token under the caret, or an empty one when the caret is between tokens
+        getTokenAtCaret: function() {
+            const value = this.input.value;
+            const caret = this.input.selectionStart ?? value.length;
+            const token = Query.tokenize(value).find(t => t.start <= caret && caret <= t.end);
+            return token || { text: '', start: caret, end: caret };
+        },
+
+        update: function() {
+            this.token = this.getTokenAtCaret();
+            if (!this.token.text) {
+                this.hide();
+                return;
+            }
+
+            const debug = app.tabModules.debug;
+            const issues = debug && debug.debugData ? debug.debugData.issues : [];
+            const context = Query.createContext(app.graphData());
+
+            // Nothing left to complete once the token equals the only suggestion
+            this.suggestions = Query.getSuggestions(this.token.text, context, issues)
+                .filter(suggestion => suggestion.text !== this.token.text);
+            this.selected = 0;
+            this.render();
+        },
+
+        render: function() {
+            if (this.suggestions.length === 0) {
+                this.hide();
+                return;
+            }
+
+            this.list.innerHTML = '';
+            this.suggestions.forEach((suggestion, index) => {
+                const item = vh.createElement('div', 'search-suggestion' + (index === this.selected ? ' selected' : ''), {
+                    dataset: { index }
+                });
+                item.appendChild(vh.createElement('span', 'search-suggestion-label', { textContent: suggestion.label }));
+                if (suggestion.detail) {
+                    item.appendChild(vh.createElement('span', 'search-suggestion-detail', { textContent: suggestion.detail }));
+                }
+                this.list.appendChild(item);
+            });
+            this.list.style.display = 'block';
+        },
+
+        hide: function() {
+            if (!this.list) return;
+            this.list.style.display = 'none';
+            this.suggestions = [];
+        },
+
+        isOpen: function() {
+            return this.suggestions.length > 0 && this.list.style.display !== 'none';
+        },
+
+        handleKeyDown: function(e) {
+            if (!this.isOpen()) return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp': {
+                    e.preventDefault();
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    this.selected = (this.selected + step + this.suggestions.length) % this.suggestions.length;
+                    this.render();
+                    break;
+                }
+                case 'Enter':
+                case 'Tab':
+                    e.preventDefault();
+                    this.accept(this.selected);
+                    break;
+                case 'Escape':
+                    // Close the list without clearing the search (see common.js)
+                    e.stopPropagation();
+                    this.hide();
+                    break;
+            }
+        },
+
+        // Replace the token under the caret with a suggestion
+        accept: function(index) {
+            const suggestion = this.suggestions[index];
+            if (!suggestion || !this.token) return;
+
+            const value = this.input.value;
+            // Field names are completed up to the operator, values end the token
+            const text = suggestion.partial ? suggestion.text : suggestion.text + ' ';
+            const rest = value.slice(this.token.end).replace(/^\s+/, '');
+            this.input.value = value.slice(0, this.token.start) + text + rest;
+
+            const caret = this.token.start + text.length;
+            this.input.setSelectionRange(caret, caret);
+            this.input.dispatchEvent(new Event('input'));
+        }
+    };
+
+})(RenderGraphViewer);
@@ -8,6 +8,9 @@
         init: function() {
             // Initialize the view
             this.container = document.getElementById('statistics-panel');
+            // Frame cost chart settings
+            this.costGroup = 'nodes';
+            this.costMetric = 'weight';
             this.renderInitialState();
         },
 
@@ -50,11 +53,46 @@
             const resourceSection = this.createResourceSection(data);
             this.container.appendChild(resourceSection);
 
+            // Add memory footprint section (needs analyzed render targets from a raw graph)
+            if (app.analyzedData && window.RenderGraphMemory) {
+                this.memorySection = this.createMemorySection(app.analyzedData.renderTargets);
+                this.container.appendChild(this.memorySection);
+            }
+
+            // Add frame cost section (same requirement)
+            this.costSection = null;
+            if (app.analyzedData && app.CostModel) {
+                this.costSection = this.createCostSection();
+                this.container.appendChild(this.costSection);
+            }
+
             // Add render passes section
             const passesSection = this.createRenderPassesSection(data.render_passes);
             this.container.appendChild(passesSection);
         },
 
+        onResolutionChanged: function() {
+            // Only the memory and cost sections depend on the output resolution
+            if (this.memorySection && app.analyzedData) {
+                const section = this.createMemorySection(app.analyzedData.renderTargets);
+                this.container.replaceChild(section, this.memorySection);
+                this.memorySection = section;
+            }
+            this.updateCostSection();
+        },
+
+        onCostModelChanged: function() {
+            this.updateCostSection();
+        },
+
+        updateCostSection: function() {
+            if (this.costSection && app.analyzedData) {
+                const section = this.createCostSection();
+                this.container.replaceChild(section, this.costSection);
+                this.costSection = section;
+            }
+        },
+
         createSummarySection: function(summary) {
             // Create a summary of the render graph
             const properties = {
@@ -136,6 +174,270 @@
             return section;
         },
 
+        createMemorySection: function(renderTargets) {
+            const memory = window.RenderGraphMemory;
+            const resolution = app.outputResolution();
+            const estimate = memory.estimateGraphMemory(renderTargets, resolution);
+
+            const section = vh.createSection('Memory Footprint');
+
+            // Output resolution controls
+            const controls = vh.createElement('div', 'resolution-controls');
+            const max = window.RenderGraphConstants.MAX_OUTPUT_DIMENSION;
+            controls.innerHTML = `
+                <label>Output resolution</label>
+                <input type="number" min="1" max="${max}" class="resolution-input" data-axis="width" value="${resolution.width}">
+                <span>×</span>
+                <input type="number" min="1" max="${max}" class="resolution-input" data-axis="height" value="${resolution.height}">
+            `;
+            controls.querySelectorAll('.resolution-input').forEach(input => {
+                input.addEventListener('change', () => {
+                    const width = parseInt(controls.querySelector('[data-axis="width"]').value);
+                    const height = parseInt(controls.querySelector('[data-axis="height"]').value);
+                    if (!app.setOutputResolution(width, height)) {
+                        controls.querySelector('[data-axis="width"]').value = app.outputResolution().width;
+                        controls.querySelector('[data-axis="height"]').value = app.outputResolution().height;
+                    }
+                });
+            });
+            section.appendChild(controls);
+
+            const largest = estimate.entries[0];
+            section.appendChild(vh.createPropertyBox({
+                'Total (all RTs)': memory.formatBytes(estimate.totalBytes),
+                'Used RTs': memory.formatBytes(estimate.usedBytes),
+                'Unused RTs': memory.formatBytes(estimate.totalBytes - estimate.usedBytes),
+                'Largest RT': largest ? `${largest.name} (${memory.formatBytes(largest.bytes)})` : '-'
+            }));
+
+            if (estimate.unknownFormats.length > 0) {
+                section.appendChild(vh.createElement('div', 'info-message', {
+                    textContent: `Unknown texel size for formats ${estimate.unknownFormats.join(', ')}; these RTs are counted as 0 bytes.`
+                }));
+            }
+
+            // Rank render targets by size
+            const rankingDiv = vh.createElement('div');
+            rankingDiv.innerHTML = '<h3>Largest Render Targets</h3>' +
+                vh.createTable(estimate.entries, [
+                    { header: '#', accessor: row => estimate.entries.indexOf(row) + 1 },
+                    { header: 'Render Target', accessor: row =>
+                        `<span class="clickable-rt" data-rtname="${row.name}">${row.name}</span>${row.used ? '' : ' ' + vh.createBadge('unused', 'unused-badge')}` },
+                    { header: 'Format', accessor: row => row.format },
+                    { header: 'Dimensions', accessor: row =>
+                        row.depth > 1 ? `${row.width}×${row.height}×${row.depth}` : `${row.width}×${row.height}` },
+                    { header: 'Mips', accessor: row => row.mipLevels },
+                    { header: 'Samples', accessor: row => `${row.sampleCount}x` },
+                    { header: 'Size', accessor: row => row.known ? memory.formatBytes(row.bytes) : 'Unknown' },
+                    { header: 'Share', accessor: row => estimate.totalBytes > 0
+                        ? `${(row.bytes / estimate.totalBytes * 100).toFixed(1)}%` : '-' }
+                ]);
+
+            // Clicking a name jumps to the render target details
+            rankingDiv.querySelectorAll('.clickable-rt').forEach(el => {
+                el.addEventListener('click', () => {
+                    app.setSearchAndSwitchTab(el.dataset.rtname, 'details');
+                });
+            });
+            section.appendChild(rankingDiv);
+
+            return section;
+        },
+
+        // Estimated bandwidth and ALU weight per node or pass, as a sorted bar chart (see core/cost.js)
+        createCostSection: function() {
+            const Cost = window.RenderGraphCost;
+            const memory = window.RenderGraphMemory;
+            const costs = app.CostModel.estimate();
+            const section = vh.createSection('Frame Cost');
+
+            section.appendChild(vh.createElement('div', 'editor-hint', {
+                textContent: `Relative estimate at ${costs.resolution.width}×${costs.resolution.height} from a simple ` +
+                    'per node type model; it ranks the work of the graph, it does not predict timings.'
+            }));
+            section.appendChild(vh.createPropertyBox({
+                'Bandwidth / frame': memory.formatBytes(costs.totals.bytes),
+                'ALU operations / frame': Cost.formatOps(costs.totals.alu),
+                'Weight': Cost.formatOps(costs.totals.weight)
+            }));
+
+            const controls = vh.createElement('div', 'cost-controls');
+            const addSelect = (options, value, onChange) => {
+                const select = vh.createElement('select', 'resolution-input');
+                options.forEach(([id, label]) => {
+                    select.appendChild(vh.createElement('option', '', { value: id, textContent: label, selected: id === value }));
+                });
+                select.addEventListener('change', () => onChange(select.value));
+                controls.appendChild(select);
+            };
+            addSelect([['nodes', 'Nodes'], ['passes', 'Render passes']], this.costGroup, (value) => {
+                this.costGroup = value;
+                this.updateCostSection();
+            });
+            addSelect([['weight', 'Weight'], ['bytes', 'Bandwidth'], ['alu', 'ALU']], this.costMetric, (value) => {
+                this.costMetric = value;
+                this.updateCostSection();
+            });
+            section.appendChild(controls);
+
+            section.appendChild(this.createCostChart(costs));
+            section.appendChild(this.createCostModelEditor());
+            return section;
+        },
+
+        createCostChart: function(costs) {
+            const Cost = window.RenderGraphCost;
+            const metric = this.costMetric;
+            const format = metric === 'bytes' ? window.RenderGraphMemory.formatBytes : Cost.formatOps;
+            const entries = (this.costGroup === 'passes' ? costs.passes : costs.nodes)
+                .filter(entry => entry[metric] > 0)
+                .sort((a, b) => b[metric] - a[metric]);
+
+            const chart = vh.createElement('div', 'cost-chart');
+            if (entries.length === 0) {
+                chart.innerHTML = vh.createInfoMessage('Nothing in the graph has a cost in this model.');
+                return chart;
+            }
+
+            const max = entries[0][metric];
+            const total = entries.reduce((sum, entry) => sum + entry[metric], 0);
+            entries.forEach(entry => {
+                const row = vh.createElement('div', 'cost-bar-row');
+                const label = vh.createElement('span', 'cost-bar-label', {
+                    textContent: entry.name,
+                    title: entry.typeName ? `${entry.name} (${entry.typeName}, ${entry.method})` : entry.name
+                });
+                // Nodes open in the inspector, passes search for their name
+                label.addEventListener('click', () => {
+                    if (this.costGroup === 'nodes' && app.tabModules.details) {
+                        app.tabModules.details.inspectNode(entry.index);
+                    } else {
+                        app.setSearchAndSwitchTab(entry.name, 'nodegraph');
+                    }
+                });
+
+                const track = vh.createElement('div', 'cost-bar-track');
+                const bar = vh.createElement('div', 'cost-bar');
+                bar.style.width = `${entry[metric] / max * 100}%`;
+                bar.style.backgroundColor = Cost.heatColor(entry[metric], max);
+                track.appendChild(bar);
+
+                const share = total > 0 ? ` (${(entry[metric] / total * 100).toFixed(1)}%)` : '';
+                const value = vh.createElement('span', 'cost-bar-value', {
+                    textContent: format(entry[metric]) + share + (entry.assumed ? ' *' : '')
+                });
+                if (entry.assumed) value.title = 'No dispatch size declared: one invocation per written texel is assumed';
+
+                row.append(label, track, value);
+                chart.appendChild(row);
+            });
+            return chart;
+        },
+
+        // Editable cost model, stored by app.CostModel
+        createCostModelEditor: function() {
+            const Cost = window.RenderGraphCost;
+            const model = app.CostModel.get();
+            const NODE_TYPES = window.RenderGraphConstants.NODE_TYPES;
+
+            const editor = vh.createElement('details', 'cost-model-editor');
+            editor.appendChild(vh.createElement('summary', '', { textContent: 'Cost model' }));
+
+            // Apply a change to a copy of the model; invalid values are reported and not applied
+            const update = (change) => {
+                const data = JSON.parse(JSON.stringify(model));
+                change(data);
+                try {
+                    app.CostModel.set(data);
+                } catch (error) {
+                    alert('Invalid cost model: ' + error.message);
+                }
+            };
+            const numberInput = (value, step, onChange) => {
+                const input = vh.createElement('input', 'resolution-input', { type: 'number', min: 0, step, value });
+                input.addEventListener('change', () => onChange(parseFloat(input.value)));
+                return input;
+            };
+
+            const general = vh.createElement('div', 'cost-controls');
+            const bandwidthLabel = vh.createElement('label', '', {
+                textContent: 'ALU ops per byte',
+                title: 'ALU operations one byte of render target traffic is worth in the weight'
+            });
+            bandwidthLabel.appendChild(numberInput(model.bandwidthCost, 0.5, (value) => update(data => { data.bandwidthCost = value; })));
+            const groupLabel = vh.createElement('label', '', { textContent: 'Default workgroup' });
+            const groupInput = vh.createElement('input', 'resolution-input', { type: 'text', value: model.defaultGroupSize.join(', ') });
+            groupInput.addEventListener('change', () => update(data => {
+                data.defaultGroupSize = groupInput.value.split(',').map(v => parseInt(v));
+            }));
+            groupLabel.appendChild(groupInput);
+            general.append(bandwidthLabel, groupLabel);
+            editor.appendChild(general);
+
+            const table = vh.createElement('table', 'cost-model-table');
+            table.innerHTML = '<thead><tr><th>Node Type</th><th>Method</th><th>ALU / unit</th><th>Coverage</th></tr></thead>';
+            const body = vh.createElement('tbody');
+            Object.entries(model.nodeTypes).forEach(([type, config]) => {
+                const row = vh.createElement('tr');
+                const cell = (child) => {
+                    const td = vh.createElement('td');
+                    td.append(child);
+                    row.appendChild(td);
+                };
+
+                cell(NODE_TYPES[type] || `Type ${type}`);
+                const methodSelect = vh.createElement('select', 'resolution-input');
+                Cost.METHODS.forEach(method => {
+                    methodSelect.appendChild(vh.createElement('option', '', { value: method, textContent: method, selected: method === config.method }));
+                });
+                methodSelect.addEventListener('change', () => update(data => {
+                    data.nodeTypes[type] = { method: methodSelect.value, alu: config.alu };
+                }));
+                cell(methodSelect);
+                cell(numberInput(config.alu, 1, (value) => update(data => { data.nodeTypes[type].alu = value; })));
+                cell(config.method === 'raster'
+                    ? numberInput(config.coverage, 0.05, (value) => update(data => { data.nodeTypes[type].coverage = value; }))
+                    : '-');
+                body.appendChild(row);
+            });
+            table.appendChild(body);
+            editor.appendChild(table);
+
+            const actions = vh.createElement('div', 'cost-controls');
+            const resetBtn = vh.createElement('button', '', { textContent: 'Reset to defaults' });
+            resetBtn.addEventListener('click', () => app.CostModel.reset());
+            const exportBtn = vh.createElement('button', '', { textContent: 'Export model' });
+            exportBtn.addEventListener('click', () => app.CostModel.export());
+            const importBtn = vh.createElement('button', '', { textContent: 'Import model' });
+            importBtn.addEventListener('click', () => this.pickCostModel());
+            actions.append(resetBtn, exportBtn, importBtn);
+            editor.appendChild(actions);
+
+            // Keep the editor open while values are edited
+            editor.open = !!this.costModelEditorOpen;
+            editor.addEventListener('toggle', () => { this.costModelEditorOpen = editor.open; });
+            return editor;
+        },
+
+        pickCostModel: function() {
+            const fileInput = vh.createElement('input', '', { type: 'file', accept: '.json' });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        app.CostModel.set(JSON.parse(e.target.result));
+                    } catch (error) {
+                        alert('Error importing cost model: ' + error.message);
+                    }
+                };
+                reader.readAsText(file);
+            });
+            fileInput.click();
+        },
+
         createRenderPassesSection: function(passes) {
             // Create statistics about render passes
             const section = vh.createSection('Render Passes');
@@ -0,0 +1,66 @@
+// IndexedDB storage for data too large for localStorage: graphs behind local permalinks, snapshot history
+(function(app) {
+    const DB_NAME = 'rendergraph-viewer';
+    const DB_VERSION = 2;
+    // Object stores, keyed by an explicit key
+    const STORES = ['permalinks', 'snapshots'];
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    app.Storage = {
+        db: null,
+
+        isAvailable: function() {
+            return typeof indexedDB !== 'undefined';
+        },
+
+        open: function() {
+            if (this.db) return this.db;
+            if (!this.isAvailable()) {
+                return Promise.reject(new Error('IndexedDB is not available in this browser'));
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                STORES.forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+                });
+            };
+
+            this.db = promisify(request).catch(error => {
+                this.db = null;
+                throw error;
+            });
+            return this.db;
+        },
+
+        // Run a single request against a store
+        request: async function(store, mode, makeRequest) {
+            const db = await this.open();
+            return promisify(makeRequest(db.transaction(store, mode).objectStore(store)));
+        },
+
+        get: function(store, key) {
+            return this.request(store, 'readonly', s => s.get(key));
+        },
+
+        getAll: function(store) {
+            return this.request(store, 'readonly', s => s.getAll());
+        },
+
+        put: function(store, key, value) {
+            return this.request(store, 'readwrite', s => s.put(value, key));
+        },
+
+        delete: function(store, key) {
+            return this.request(store, 'readwrite', s => s.delete(key));
+        }
+    };
+
+})(RenderGraphViewer);
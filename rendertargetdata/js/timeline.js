@@ -10,6 +10,13 @@
             this.content = app.elements.timelineContent;
             this.tooltip = app.elements.timelineTooltip;
             this.maxExecutionOrder = 0;
+            // 'gantt' chart or the marker 'grid'
+            this.mode = 'gantt';
+            this.ganttGroupBy = 'none';
+            this.ganttSortBy = 'first';
+            // Visible execution range of the Gantt chart, reset when another graph is shown
+            this.ganttView = null;
+            this.ganttGraph = null;
         },
 
         activate: function() {
@@ -28,6 +35,21 @@
             }
         },
 
+        onSearch: function() {
+            const timelinePanel = document.getElementById('timeline-panel');
+            if (timelinePanel.classList.contains('active') && app.graphData()) {
+                this.buildTimeline(app.graphData());
+            }
+        },
+
+        onResolutionChanged: function() {
+            // Heap sizes depend on the output resolution
+            const timelinePanel = document.getElementById('timeline-panel');
+            if (timelinePanel.classList.contains('active') && app.graphData()) {
+                this.buildTimeline(app.graphData());
+            }
+        },
+
         // Classify node type for counting
         classifyNodeType: function(markerType, usage) {
             // Types that are rendered as dots (circles)
@@ -60,7 +82,36 @@
 
             // Clear existing content
             this.content.innerHTML = '';
+            this.content.appendChild(this.createModeToggle(graphData));
+
+            if (this.mode === 'gantt') {
+                this.buildGantt(graphData);
+            } else {
+                this.buildGrid(graphData);
+            }
+
+            // Aliasing heap view needs the analyzed graph (raw render graph input)
+            if (app.analyzedData && window.RenderGraphAliasing) {
+                this.content.appendChild(this.buildAliasingView(app.analyzedData));
+            }
+        },
 
+        createModeToggle: function(graphData) {
+            const toggle = vh.createElement('div', 'timeline-mode-toggle');
+            [['gantt', 'Gantt Chart'], ['grid', 'Marker Grid']].forEach(([mode, label]) => {
+                const btn = vh.createElement('button', mode === this.mode ? 'active' : '', { textContent: label });
+                btn.addEventListener('click', () => {
+                    if (this.mode === mode) return;
+                    this.mode = mode;
+                    this.buildTimeline(graphData);
+                });
+                toggle.appendChild(btn);
+            });
+            return toggle;
+        },
+
+        // Execution order grid with a marker per use of each render target
+        buildGrid: function(graphData) {
             // Determine the max execution order
             this.maxExecutionOrder = 0;
             if (graphData.nodes_by_execution_order && graphData.nodes_by_execution_order.length > 0) {
@@ -95,10 +146,21 @@
 
             // Add execution order columns (use reasonable steps to avoid too many columns)
             const columnStep = this.determineColumnStep(this.maxExecutionOrder);
+            const columnCosts = this.getColumnCosts(columnStep);
+            const maxColumnWeight = Math.max(0, ...columnCosts.filter(Boolean).map(column => column.weight));
             for (let i = 0; i <= this.maxExecutionOrder; i += columnStep) {
                 const th = document.createElement('th');
                 th.textContent = i;
                 th.className = 'exec-order-header';
+
+                // Heat colouring by the estimated cost of the nodes in the column (see core/cost.js)
+                const column = columnCosts[i / columnStep];
+                if (column && column.nodes.length > 0) {
+                    th.style.backgroundColor = window.RenderGraphCost.heatColor(column.weight, maxColumnWeight);
+                    th.title = column.nodes
+                        .map(n => `${n.executionOrder}: ${n.name} - ${(n.share * 100).toFixed(1)}% of the frame cost`)
+                        .join('\n');
+                }
                 headerRow.appendChild(th);
             }
 
@@ -112,8 +174,13 @@
             let greenCount = 0;   // Green nodes (read operations)
             let redCount = 0;     // Red nodes (write operations)
 
-            // Create rows for each render target
-            graphData.render_targets_by_first_usage.forEach(rt => {
+            // Create rows for each render target matching the search
+            const query = app.searchQuery();
+            const context = window.RenderGraphQuery.createContext(graphData);
+            const shownTargets = graphData.render_targets_by_first_usage
+                .filter(rt => window.RenderGraphQuery.matchRenderTarget(query, rt, context));
+
+            shownTargets.forEach(rt => {
                 const row = document.createElement('tr');
                 row.className = 'rt-row';
                 tbody.appendChild(row);
@@ -199,13 +266,406 @@
             });
 
             // Update the header with all counts
+            const total = graphData.render_targets_by_first_usage.length;
+            const filtered = shownTargets.length < total ? ` | ${shownTargets.length} of ${total} render targets` : '';
             header.innerHTML = `
                 <h3>
                     Render Target Timeline Grid (Execution Order 0-${this.maxExecutionOrder}) -
-                    ${dotCount} dots, ${squareCount} squares | ${greenCount} green, ${redCount} red
+                    ${dotCount} dots, ${squareCount} squares | ${greenCount} green, ${redCount} red${filtered}
                 </h3>`;
         },
 
+        // Zoomable Gantt chart of render target lifetimes over render pass bands (see core/gantt.js)
+        buildGantt: function(graphData) {
+            const Gantt = window.RenderGraphGantt;
+            const Query = window.RenderGraphQuery;
+
+            // Render targets outside the search are left out, as in the grid
+            const query = app.searchQuery();
+            const context = Query.createContext(graphData);
+            const sizes = {};
+            if (app.analyzedData) {
+                for (const rt of Object.values(app.analyzedData.renderTargets)) {
+                    sizes[rt.index] = window.RenderGraphMemory.estimateRenderTargetMemory(rt, app.outputResolution()).bytes;
+                }
+            }
+            this.chart = Gantt.createChart(graphData, {
+                groupBy: this.ganttGroupBy,
+                sortBy: this.ganttSortBy,
+                sizes,
+                filter: rt => Query.matchRenderTarget(query, rt, context)
+            });
+
+            if (this.ganttGraph !== graphData || !this.ganttView) {
+                this.ganttGraph = graphData;
+                this.ganttView = { start: 0, end: this.chart.maxOrder + 1 };
+            }
+
+            // The brushed range is the during: term of the search, so every tab filters by it
+            const during = query.terms.find(term => term.field === 'during' && !term.negate && term.values.length === 1);
+            const range = during ? Query.parseRange(during.values[0]) : null;
+            this.ganttSelection = range ? { start: range[0], end: range[1] } : null;
+
+            // Estimated node costs as a heat strip under the axis
+            const costs = this.getColumnCosts(1);
+            const maxWeight = Math.max(0, ...costs.filter(Boolean).map(column => column.weight));
+            this.ganttHeat = costs.map((column, order) => column && {
+                order,
+                color: window.RenderGraphCost.heatColor(column.weight, maxWeight),
+                title: column.nodes.map(n => `${n.name} - ${(n.share * 100).toFixed(1)}% of the frame cost`).join('\n')
+            }).filter(Boolean);
+
+            const header = vh.createElement('div', 'timeline-grid-header');
+            const total = graphData.render_targets_by_first_usage.length;
+            header.innerHTML = `<h3>Render Target Lifetimes (Execution Order 0-${this.chart.maxOrder}) - ` +
+                `${this.chart.rowCount} of ${total} render targets, ${this.chart.bands.length} render passes</h3>`;
+            this.content.appendChild(header);
+            this.content.appendChild(this.createGanttToolbar(graphData));
+
+            this.ganttContainer = vh.createElement('div', 'gantt-chart');
+            this.content.appendChild(this.ganttContainer);
+            this.bindGanttEvents(this.ganttContainer);
+            this.renderGantt();
+        },
+
+        createGanttToolbar: function(graphData) {
+            const Gantt = window.RenderGraphGantt;
+            const toolbar = vh.createElement('div', 'gantt-toolbar');
+
+            const addSelect = (label, options, value, onChange) => {
+                const wrapper = vh.createElement('label', '', { textContent: label });
+                const select = vh.createElement('select', 'resolution-input');
+                options.forEach(option => {
+                    select.appendChild(vh.createElement('option', '', { value: option, textContent: option, selected: option === value }));
+                });
+                select.addEventListener('change', () => {
+                    onChange(select.value);
+                    this.buildTimeline(graphData);
+                });
+                wrapper.appendChild(select);
+                toolbar.appendChild(wrapper);
+            };
+            addSelect('Group', Gantt.GROUP_BY, this.ganttGroupBy, value => { this.ganttGroupBy = value; });
+            addSelect('Sort', Gantt.SORT_BY, this.ganttSortBy, value => { this.ganttSortBy = value; });
+
+            const addButton = (text, title, onClick) => {
+                const btn = vh.createElement('button', '', { textContent: text, title });
+                btn.addEventListener('click', onClick);
+                toolbar.appendChild(btn);
+                return btn;
+            };
+            const center = () => (this.ganttView.start + this.ganttView.end) / 2;
+            addButton('−', 'Zoom out', () => this.zoomGantt(2, center()));
+            addButton('+', 'Zoom in', () => this.zoomGantt(0.5, center()));
+            addButton('Fit', 'Show the whole frame', () => {
+                this.ganttView = { start: 0, end: this.chart.maxOrder + 1 };
+                this.renderGantt();
+            });
+
+            if (this.ganttSelection) {
+                const { start, end } = this.ganttSelection;
+                addButton(`Clear ${start}-${end}`, 'Stop filtering the views by the selected execution range',
+                    () => this.setGanttSelection(null));
+                addButton('Zoom to selection', '', () => {
+                    this.ganttView = { start, end: end + 1 };
+                    this.renderGantt();
+                });
+            }
+
+            addButton('SVG', 'Download the chart as SVG', () => this.exportGantt('svg'));
+            addButton('PNG', 'Download the chart as PNG', () => this.exportGantt('png'));
+
+            toolbar.appendChild(vh.createElement('span', 'editor-hint', {
+                textContent: 'Scroll to zoom, drag to pan, Shift+drag or drag the axis to filter by an execution range'
+            }));
+            return toolbar;
+        },
+
+        getGanttSvg: function(width) {
+            return window.RenderGraphGantt.renderSvg(this.chart, {
+                width,
+                view: this.ganttView,
+                selection: this.ganttSelection,
+                colors: app.colorMap(),
+                heat: this.ganttHeat
+            });
+        },
+
+        getGanttWidth: function() {
+            return Math.max(600, this.ganttContainer.clientWidth || this.content.clientWidth || 1000);
+        },
+
+        renderGantt: function() {
+            if (!this.ganttContainer) return;
+            this.ganttView = window.RenderGraphGantt.clampView(this.ganttView, this.chart.maxOrder);
+            this.ganttContainer.innerHTML = this.getGanttSvg(this.getGanttWidth());
+        },
+
+        zoomGantt: function(factor, center) {
+            this.ganttView = window.RenderGraphGantt.zoomView(this.ganttView, factor, center, this.chart.maxOrder);
+            this.renderGantt();
+        },
+
+        // Filter every view by an execution range, through the during: term of the search
+        setGanttSelection: function(selection) {
+            const text = window.RenderGraphQuery.tokenize(app.elements.searchInput.value)
+                .map(token => token.text)
+                .filter(text => !/^during[:=]/i.test(text))
+                .concat(selection ? [`during:${selection.start}-${selection.end}`] : [])
+                .join(' ');
+            app.setSearchAndSwitchTab(text);
+        },
+
+        bindGanttEvents: function(container) {
+            const Gantt = window.RenderGraphGantt;
+            const { labelWidth, axisHeight } = Gantt.LAYOUT;
+
+            // Position in chart coordinates
+            const locate = (e) => {
+                const rect = container.querySelector('svg').getBoundingClientRect();
+                return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            };
+            const orderAt = x => Gantt.orderAt(x, this.ganttView, this.getGanttWidth());
+
+            container.addEventListener('wheel', (e) => {
+                const { x } = locate(e);
+                if (x < labelWidth) return;
+                e.preventDefault();
+                this.zoomGantt(e.deltaY > 0 ? 1.25 : 0.8, orderAt(x));
+            }, { passive: false });
+
+            container.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                const start = locate(e);
+                if (start.x < labelWidth) return;
+                e.preventDefault();
+
+                const brushing = e.shiftKey || start.y < axisHeight;
+                const startOrder = orderAt(start.x);
+                const startView = { ...this.ganttView };
+                let moved = false;
+
+                const onMove = (moveEvent) => {
+                    const current = locate(moveEvent);
+                    moved = moved || Math.abs(current.x - start.x) > 3;
+                    if (!moved) return;
+
+                    if (brushing) {
+                        const a = Math.floor(Math.min(startOrder, orderAt(current.x)));
+                        const b = Math.floor(Math.max(startOrder, orderAt(current.x)));
+                        this.ganttSelection = {
+                            start: Math.max(0, a),
+                            end: Math.min(this.chart.maxOrder, Math.max(0, b))
+                        };
+                    } else {
+                        const shift = startOrder - Gantt.orderAt(current.x, startView, this.getGanttWidth());
+                        this.ganttView = { start: startView.start + shift, end: startView.end + shift };
+                    }
+                    this.renderGantt();
+                };
+
+                const onUp = () => {
+                    window.removeEventListener('mousemove', onMove);
+                    window.removeEventListener('mouseup', onUp);
+                    if (brushing && moved) this.setGanttSelection(this.ganttSelection);
+                };
+
+                window.addEventListener('mousemove', onMove);
+                window.addEventListener('mouseup', onUp);
+            });
+
+            // Rows open their render target, like the names of the grid
+            container.addEventListener('click', (e) => {
+                const row = e.target.closest('.gantt-row');
+                if (!row || locate(e).x >= labelWidth) return;
+                const rt = app.graphData().render_targets_by_first_usage.find(r => r.index === parseInt(row.dataset.rtIndex));
+                if (rt) {
+                    this.tooltip.style.display = 'none';
+                    app.setSearchAndSwitchTab(rt.name, 'details');
+                }
+            });
+
+            container.addEventListener('mousemove', (e) => {
+                const row = e.target.closest('.gantt-row');
+                if (!row) {
+                    this.tooltip.style.display = 'none';
+                    return;
+                }
+
+                const index = parseInt(row.dataset.rtIndex);
+                const data = this.chart.groups.flatMap(group => group.rows).find(r => r.index === index);
+                if (!data) return;
+
+                const use = e.target.closest('.gantt-use');
+                const order = use ? parseInt(use.dataset.order) : null;
+                const uses = order !== null ? data.uses.filter(u => u.order === order) : [];
+                this.tooltip.innerHTML = `
+                    <div class="tooltip-title">${vh.escapeHtml(data.name)}</div>
+                    ${vh.escapeHtml(data.format)}${data.bytes !== null ? `, ${window.RenderGraphMemory.formatBytes(data.bytes)}` : ''}<br>
+                    Alive: order ${data.start}-${data.end}, ${data.uses.length} uses
+                    ${uses.map(u => `<br>${order}: ${u.write ? 'written' : 'read'} by ${vh.escapeHtml(u.node)}`).join('')}
+                `;
+                this.tooltip.style.display = 'block';
+                this.tooltip.style.left = (e.pageX + 15) + 'px';
+                this.tooltip.style.top = (e.pageY + 15) + 'px';
+            });
+
+            container.addEventListener('mouseleave', () => {
+                this.tooltip.style.display = 'none';
+            });
+        },
+
+        exportGantt: function(format) {
+            // Exported at the width shown, the visible range and the current filters
+            const width = this.getGanttWidth();
+            const svg = this.getGanttSvg(width);
+            if (format === 'svg') {
+                vh.downloadFile('rendergraph-lifetimes.svg', svg, 'image/svg+xml');
+                return;
+            }
+
+            // Rasterize at twice the size for sharp text
+            const scale = 2;
+            const height = window.RenderGraphGantt.getHeight(this.chart);
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = vh.createElement('canvas', '', { width: width * scale, height: height * scale });
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                ctx.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => vh.downloadFile('rendergraph-lifetimes.png', blob, 'image/png'), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                alert('Could not render the chart to PNG.');
+            };
+            image.src = url;
+        },
+
+        onCostModelChanged: function() {
+            const timelinePanel = document.getElementById('timeline-panel');
+            if (timelinePanel.classList.contains('active') && app.graphData()) {
+                this.buildTimeline(app.graphData());
+            }
+        },
+
+        // Estimated node costs grouped by execution order column, empty without a raw render graph
+        getColumnCosts: function(columnStep) {
+            const costs = app.CostModel ? app.CostModel.estimate() : null;
+            if (!costs) return [];
+
+            const columns = [];
+            costs.nodes.forEach(n => {
+                const column = Math.floor(n.executionOrder / columnStep);
+                columns[column] = columns[column] || { weight: 0, nodes: [] };
+                columns[column].weight += n.weight;
+                columns[column].nodes.push(n);
+            });
+            return columns;
+        },
+
+        // Stacked band view of the aliasing heap assignment
+        buildAliasingView: function(analyzed) {
+            const memory = window.RenderGraphMemory;
+            const plan = window.RenderGraphAliasing.planAliasing(analyzed.renderTargets, analyzed.nodes, {
+                resolution: app.outputResolution()
+            });
+            const resolution = plan.resolution;
+            const columns = plan.maxExecutionOrder + 1;
+
+            // Allocations of render targets outside the search are dimmed
+            const query = app.searchQuery();
+            const context = window.RenderGraphQuery.createContext(app.graphData());
+            const matchesSearch = index => {
+                const rt = context.rtsByIndex.get(index);
+                return !rt || window.RenderGraphQuery.matchRenderTarget(query, rt, context);
+            };
+
+            const section = vh.createElement('div', 'aliasing-view');
+            section.appendChild(vh.createElement('h3', '', {
+                textContent: `Memory Aliasing Plan (${resolution.width}×${resolution.height})`
+            }));
+
+            const saved = plan.naiveBytes > 0 ? (plan.savedBytes / plan.naiveBytes * 100).toFixed(1) : '0.0';
+            section.appendChild(vh.createPropertyBox({
+                'Naive Allocation': memory.formatBytes(plan.naiveBytes),
+                'Aliased Heaps': `${memory.formatBytes(plan.aliasedBytes)} in ${plan.heaps.length} heaps`,
+                'Saved': `${memory.formatBytes(plan.savedBytes)} (${saved}%)`,
+                'Peak Live Memory': memory.formatBytes(plan.peakLiveBytes)
+            }));
+
+            // Live memory per execution order
+            const liveStrip = vh.createElement('div', 'aliasing-live-strip');
+            plan.timeline.forEach(point => {
+                const bar = vh.createElement('div', 'aliasing-live-bar', {
+                    title: `Order ${point.executionOrder}: ${memory.formatBytes(point.liveBytes)} live`
+                });
+                bar.style.left = `${point.executionOrder / columns * 100}%`;
+                bar.style.width = `${100 / columns}%`;
+                bar.style.height = plan.peakLiveBytes > 0 ? `${point.liveBytes / plan.peakLiveBytes * 100}%` : '0';
+                if (point.liveBytes === plan.peakLiveBytes) bar.classList.add('peak');
+                liveStrip.appendChild(bar);
+            });
+            section.appendChild(liveStrip);
+
+            // One band per heap, allocations stacked by offset within the heap
+            const largestHeap = plan.heaps.reduce((max, h) => Math.max(max, h.size), 0);
+            plan.heaps.forEach(heap => {
+                const row = vh.createElement('div', 'aliasing-heap-row');
+
+                const label = vh.createElement('div', 'aliasing-heap-label', {
+                    textContent: `Heap ${heap.index}${heap.dedicated ? ' (persistent)' : ''}`,
+                    title: memory.formatBytes(heap.size)
+                });
+                label.appendChild(vh.createElement('div', 'aliasing-heap-size', {
+                    textContent: memory.formatBytes(heap.size)
+                }));
+                row.appendChild(label);
+
+                const band = vh.createElement('div', 'aliasing-heap-band');
+                band.style.height = `${Math.max(24, Math.round(heap.size / largestHeap * 120))}px`;
+
+                heap.allocations.forEach(alloc => {
+                    const block = vh.createElement('div', 'aliasing-block', { textContent: alloc.name });
+                    block.style.left = `${alloc.start / columns * 100}%`;
+                    block.style.width = `${(alloc.end - alloc.start + 1) / columns * 100}%`;
+                    block.style.top = `${alloc.offset / heap.size * 100}%`;
+                    block.style.height = `${alloc.size / heap.size * 100}%`;
+                    block.style.backgroundColor = app.colorMap()[alloc.rtIndex] || '#569cd6';
+                    if (!matchesSearch(alloc.rtIndex)) block.classList.add('dimmed');
+
+                    block.addEventListener('mouseenter', (e) => {
+                        this.tooltip.innerHTML = `
+                            <strong>${alloc.name}</strong> (RT#${alloc.rtIndex})<br>
+                            Format: ${alloc.format}<br>
+                            Size: ${memory.formatBytes(alloc.bytes)}<br>
+                            Heap ${heap.index} offset: ${memory.formatBytes(alloc.offset)}<br>
+                            Alive: order ${alloc.start}-${alloc.end}
+                        `;
+                        this.tooltip.style.display = 'block';
+                        this.tooltip.style.left = (e.pageX + 15) + 'px';
+                        this.tooltip.style.top = (e.pageY + 15) + 'px';
+                    });
+                    block.addEventListener('mouseleave', () => {
+                        this.tooltip.style.display = 'none';
+                    });
+                    block.addEventListener('click', () => {
+                        this.tooltip.style.display = 'none';
+                        app.setSearchAndSwitchTab(alloc.name, 'details');
+                    });
+
+                    band.appendChild(block);
+                });
+
+                row.appendChild(band);
+                section.appendChild(row);
+            });
+
+            return section;
+        },
+
         determineColumnStep: function(maxOrder) {
             // Determine a reasonable column step based on max execution order
             if (maxOrder <= 20) return 1;
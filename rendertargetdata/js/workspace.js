@@ -0,0 +1,185 @@
+// Workspace - several loaded graphs kept open at once, each with its own analysis and debug results,
+// switched through the graph tabs above the view tabs
+(function(app) {
+    // Get the ViewHelper
+    const vh = app.ViewHelper;
+
+    const { uniqueName } = window.RenderGraphWorkspace;
+
+    app.Workspace = {
+        container: document.getElementById('graph-tabs'),
+        // Open graphs: { id, name, rawData, rawParsedData, analyzedData, activeConditions, graphData,
+        // debugData, conditionKeys, inactive } - the raw fields are null for pre-processed graphs
+        graphs: [],
+        activeId: null,
+        nextId: 1,
+
+        active: function() {
+            return this.graphs.find(graph => graph.id === this.activeId) || null;
+        },
+
+        /**
+         * Open a graph in a new tab and show it; a raw description already open is replaced instead
+         * @param {Object} entry - Graph fields (see graphs), missing ones default to null
+         * @param {string} name - Tab label, numbered when already in use
+         */
+        open: function(entry, name) {
+            const existing = entry.rawData && this.graphs.find(graph => graph.rawData === entry.rawData);
+            if (existing) {
+                Object.assign(existing, entry);
+                this.activate(existing.id);
+                return existing;
+            }
+
+            const graph = {
+                rawData: null,
+                rawParsedData: null,
+                analyzedData: null,
+                activeConditions: null,
+                debugData: null,
+                conditionKeys: [],
+                inactive: null,
+                ...entry,
+                id: String(this.nextId++),
+                name: uniqueName(name || `Graph ${this.nextId - 1}`, this.graphs.map(g => g.name))
+            };
+            this.graphs.push(graph);
+            this.activate(graph.id);
+            return graph;
+        },
+
+        /**
+         * Replace the analysis of a graph, after edits, fixes or condition changes
+         * Opens a new tab when no graph is open
+         * @param {string} id - Graph to update, the active one when omitted; others are updated in the background
+         */
+        update: function(entry, name, id = null) {
+            const graph = id ? this.graphs.find(g => g.id === id) : this.active();
+            if (!graph) return this.open(entry, name);
+
+            Object.assign(graph, entry);
+            if (graph.id === this.activeId) {
+                this.show(graph);
+            } else {
+                this.notify();
+            }
+            this.render();
+            return graph;
+        },
+
+        activate: function(id) {
+            const graph = this.graphs.find(g => g.id === id);
+            if (!graph) return;
+
+            // Keep debug data loaded from a file, or with fixes applied, with the graph it belongs to
+            const previous = this.active();
+            if (previous && previous !== graph && app.tabModules.debug) {
+                previous.debugData = app.tabModules.debug.debugData;
+            }
+
+            this.activeId = id;
+            this.show(graph);
+            this.render();
+        },
+
+        // Make a graph the one every view shows
+        show: function(graph) {
+            app.rawData = graph.rawData;
+            app.rawParsedData = graph.rawParsedData;
+            app.analyzedData = graph.analyzedData;
+            app.activeConditions = graph.activeConditions;
+
+            app.loadGraphData(graph.graphData);
+
+            const debug = app.tabModules.debug;
+            if (debug) {
+                if (graph.debugData) {
+                    debug.loadDebugData(graph.debugData);
+                } else {
+                    debug.renderInitialState();
+                }
+            }
+
+            if (app.ConditionsPanel) {
+                app.ConditionsPanel.render(graph.conditionKeys, graph.activeConditions, graph.inactive);
+            }
+
+            this.notify();
+        },
+
+        // The last graph stays open, so the views always have one to show
+        close: function(id) {
+            if (this.graphs.length < 2) return;
+
+            const index = this.graphs.findIndex(graph => graph.id === id);
+            if (index < 0) return;
+
+            this.graphs.splice(index, 1);
+            if (this.activeId === id) {
+                this.activeId = null;
+                this.activate(this.graphs[Math.min(index, this.graphs.length - 1)].id);
+            } else {
+                this.render();
+                this.notify();
+            }
+        },
+
+        rename: function(id) {
+            const graph = this.graphs.find(g => g.id === id);
+            if (!graph) return;
+
+            const name = prompt('Graph name', graph.name);
+            if (!name || !name.trim() || name.trim() === graph.name) return;
+            graph.name = uniqueName(name.trim(), this.graphs.filter(g => g !== graph).map(g => g.name));
+            this.render();
+            this.notify();
+        },
+
+        // Let views comparing the open graphs refresh
+        notify: function() {
+            Object.values(app.tabModules).forEach(module => {
+                if (typeof module.onWorkspaceChanged === 'function') {
+                    module.onWorkspaceChanged(this.graphs);
+                }
+            });
+        },
+
+        render: function() {
+            if (!this.container) return;
+
+            this.container.innerHTML = '';
+            if (this.graphs.length < 2) {
+                this.container.style.display = 'none';
+                return;
+            }
+            this.container.style.display = 'flex';
+
+            this.graphs.forEach(graph => {
+                const tab = vh.createElement('div', 'graph-tab' + (graph.id === this.activeId ? ' active' : ''), {
+                    title: `${graph.name}${graph.rawData ? '' : ' (pre-processed)'} - double-click to rename`
+                });
+                tab.appendChild(vh.createElement('span', 'graph-tab-name', { textContent: graph.name }));
+                tab.addEventListener('click', () => {
+                    if (graph.id !== this.activeId) this.activate(graph.id);
+                });
+                tab.addEventListener('dblclick', () => this.rename(graph.id));
+
+                const closeBtn = vh.createElement('button', 'graph-tab-close', { textContent: '×', title: 'Close graph' });
+                closeBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.close(graph.id);
+                });
+                tab.appendChild(closeBtn);
+                this.container.appendChild(tab);
+            });
+
+            const compareBtn = vh.createElement('button', 'graph-tabs-compare', {
+                textContent: 'Compare',
+                title: 'Render targets and nodes shared by the open graphs'
+            });
+            compareBtn.addEventListener('click', () => app.switchTab('crossgraph'));
+            this.container.appendChild(compareBtn);
+        }
+    };
+
+})(RenderGraphViewer);